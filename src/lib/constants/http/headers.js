@@ -4,3 +4,16 @@ export const CONTENT_LENGTH = 'content-length';
 
 export const AUTHORIZATION = 'authorization';
 export const WWW_AUTHENTICATE = 'www-authenticate';
+
+export const RETRY_AFTER = 'retry-after';
+export const IDEMPOTENCY_KEY = 'idempotency-key';
+
+export const CACHE_CONTROL = 'cache-control';
+export const EXPIRES = 'expires';
+export const ETAG = 'etag';
+export const LAST_MODIFIED = 'last-modified';
+export const IF_NONE_MATCH = 'if-none-match';
+export const IF_MODIFIED_SINCE = 'if-modified-since';
+
+export const CONTENT_RANGE = 'content-range';
+export const CHECKSUM_CRC32 = 'x-checksum-crc32';
@@ -649,6 +649,62 @@ export default class IndexedDbCache {
     }
   }
 
+  /**
+   * List the cached entries, without their responses
+   *
+   * @returns {Promise<import('./typedef').CacheEntrySummary[]>}
+   */
+  async list() {
+    try {
+      const db = /** @type {IDBDatabase} */ (await this.dbPromise);
+
+      /** @type {import('./typedef').CacheEntrySummary[]} */
+      const summaries = [];
+
+      return new Promise((resolve, reject) => {
+        try {
+          const transaction = db.transaction(this.storeName, 'readonly');
+          const store = transaction.objectStore(this.storeName);
+          const request = store.openCursor();
+
+          const now = Date.now();
+
+          request.onerror = () => reject(request.error);
+          request.onsuccess = (event) => {
+            const cursor = /** @type {IDBRequest} */ (event.target).result;
+
+            if (!cursor) {
+              resolve(summaries);
+              return;
+            }
+
+            const entry = cursor.value;
+
+            // Expired entries are removed by the background cleanup
+            if (!entry.expires || now <= entry.expires) {
+              summaries.push({
+                key: entry.key,
+                url: entry.url,
+                size: entry.body?.byteLength ?? 0,
+                timestamp: entry.timestamp,
+                expires: entry.expires,
+                metadata: entry.metadata
+              });
+            }
+
+            cursor.continue();
+          };
+        } catch (err) {
+          console.error('Error in list transaction:', err);
+          reject(err);
+        }
+      });
+    } catch (err) {
+      console.error('Cache list error:', err);
+      return [];
+    }
+  }
+
   /**
    * Delete a cached entry
    *
@@ -177,6 +177,26 @@ describe('IndexedDbCache', () => {
     expect(afterClear3).toBeNull();
   });
   
+  it('should list entries without responses', async () => {
+    const response = new MockResponse('test data', {
+      url: 'https://example.com/list'
+    });
+
+    await cache.set('list-key', response, { foo: 'bar' });
+    await cache.set('expired-key', response, { expires: Date.now() - 10 });
+
+    const entries = await cache.list();
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      key: 'list-key',
+      url: 'https://example.com/list',
+      size: 9,
+      metadata: { foo: 'bar' }
+    });
+    expect(entries[0]).not.toHaveProperty('response');
+  });
+
   it('should handle expiresIn parameter', async () => {
     const response = new MockResponse('test data');
     
@@ -72,7 +72,8 @@ export default class MemoryResponseCache {
     // Get body data safely (works with both real Response and mocks)
     let responseBody;
     try {
-      responseBody = await entry.response.arrayBuffer();
+      // Read a clone, the entry can be retrieved more than once
+      responseBody = await entry.response.clone().arrayBuffer();
     } catch (err) {
       // Fallback for test mocks or consumed responses
       responseBody = entry.response.body || new ArrayBuffer(0);
@@ -124,9 +125,20 @@ export default class MemoryResponseCache {
       expires = now + metadata.expiresIn;
     }
 
+    const clonedResponse = response.clone();
+
+    // Read a clone to get the body size, the stored clone stays unread
+    let size = 0;
+    try {
+      size = (await response.clone().arrayBuffer()).byteLength;
+    } catch {
+      // Test mocks without a readable body
+    }
+
     this.cache.set(key, {
-      response: response.clone(),
+      response: clonedResponse,
       metadata,
+      size,
       url: response.url,
       timestamp: now,
       lastAccessed: now,
@@ -137,6 +149,36 @@ export default class MemoryResponseCache {
     });
   }
 
+  /**
+   * List the cached entries, without their responses
+   *
+   * @returns {Promise<import('./typedef').CacheEntrySummary[]>}
+   */
+  async list() {
+    const now = Date.now();
+    const summaries = [];
+
+    for (const [key, entry] of /** @type {Map<string, Object<string, *>>} */ (
+      this.cache
+    )) {
+      if (entry.expires && now > entry.expires) {
+        this.cache.delete(key);
+        continue;
+      }
+
+      summaries.push({
+        key,
+        url: entry.url,
+        size: entry.size,
+        timestamp: entry.timestamp,
+        expires: entry.expires,
+        metadata: entry.metadata
+      });
+    }
+
+    return summaries;
+  }
+
   /**
    * Delete a cached entry
    *
@@ -157,6 +157,25 @@ describe('MemoryResponseCache', () => {
     expect(await cache.get('key3')).toBeNull();
   });
 
+  it('should list entries without responses', async () => {
+    const response = new MockResponse('test data', {
+      url: 'https://example.com/list'
+    });
+
+    await cache.set('list-key', response, { foo: 'bar' });
+    await cache.set('expired-key', response, { expires: Date.now() - 10 });
+
+    const entries = await cache.list();
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      key: 'list-key',
+      url: 'https://example.com/list',
+      metadata: { foo: 'bar' }
+    });
+    expect(entries[0]).not.toHaveProperty('response');
+  });
+
   it('should handle ETag and Last-Modified headers', async () => {
     // Create response with cache-related headers
     const headers = [
@@ -11,6 +11,16 @@
  * @property {string|null} cacheVersion
  */
 
+/**
+ * @typedef {Object} CacheEntrySummary
+ * @property {string} key - Cache key
+ * @property {string} url - URL of the response
+ * @property {number} size - Size of the response body in bytes
+ * @property {number} timestamp - When the entry was cached
+ * @property {number|null} expires - Expiration timestamp (null if no expiration)
+ * @property {Object} metadata - Cache entry metadata
+ */
+
 /**
  * @typedef {Object} CacheStorage
  * @property {function(string): Promise<CacheEntry|null>} get
@@ -19,6 +29,8 @@
  *   Store a response in the cache
  * @property {function(string): Promise<boolean>} delete
  *   Remove a cached response
+ * @property {function(): Promise<CacheEntrySummary[]>} list
+ *   List the cached entries, without their responses
  * @property {function(): Promise<void>} clear
  *   Clear all cached responses
  */
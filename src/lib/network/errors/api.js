@@ -8,4 +8,42 @@ export class BadRequestError extends DetailedError {}
 
 export class AbortError extends DetailedError {}
 
+export class ChecksumError extends DetailedError {}
+
+export class ResponseValidationError extends ResponseError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details
+   * @param {string} details.url - URL of the request
+   * @param {number} details.status - HTTP status of the response
+   * @param {import('valibot').BaseIssue<unknown>[]} details.issues
+   *   Valibot issues
+   */
+  constructor(message, { url, status, issues }) {
+    super(message, { url, status, issues });
+    this.name = 'ResponseValidationError';
+    this.url = url;
+    this.status = status;
+    this.issues = issues;
+  }
+}
+
+export class RequestQueuedError extends DetailedError {
+  /**
+   * @param {string} message - Error message
+   * @param {object} details
+   * @param {number} details.id - Id of the queued request
+   * @param {string} details.url - URL of the request
+   * @param {string} details.method - HTTP method of the request
+   * @param {Error|null} [cause] - Network error that caused queueing
+   */
+  constructor(message, { id, url, method }, cause) {
+    super(message, { id, url, method }, cause);
+    this.name = 'RequestQueuedError';
+    this.id = id;
+    this.url = url;
+    this.method = method;
+  }
+}
+
 // @note import TimeoutError from '$lib/generic/errors.js';
@@ -1,8 +1,15 @@
 export * from './http/caching.js';
+export * from './http/chunked-upload.js';
+export * from './http/client.js';
 export * from './http/errors.js';
 export * from './http/headers.js';
 export * from './http/http-request.js';
 export * from './http/http-status-codes.js';
+export * from './http/in-flight.js';
+export * from './http/interceptors.js';
 export * from './http/json-request.js';
+export * from './http/prefetch.js';
 export * from './http/response.js';
+export * from './http/retry.js';
+export * from './http/upload.js';
 export * from './http/url.js';
@@ -4,39 +4,115 @@ import { browser } from '$app/environment';
 
 import { isTestEnv } from '$lib/util/env';
 
+import { hasProtocol, globToRegExp } from './url.js';
+
+import {
+  CACHE_CONTROL,
+  CONTENT_LENGTH,
+  EXPIRES,
+  ETAG,
+  LAST_MODIFIED,
+  IF_NONE_MATCH,
+  IF_MODIFIED_SINCE
+} from '$lib/constants/http/headers.js';
+
+import {
+  HTTP_NOT_MODIFIED,
+  HTTP_INTERNAL_SERVER_ERROR
+} from './http-status-codes.js';
+
+/**
+ * How long expired responses with an `etag` or `last-modified` header are
+ * kept, so that they can be revalidated with a conditional request
+ */
+const VALIDATOR_RETENTION_MS = 24 * 60 * 60 * 1000;
+
 let defaultCacheStorage = null;
 
+/**
+ * Hit and miss counts by cache storage
+ *
+ * @type {WeakMap<import('$lib/network/cache.js').CacheStorage, { hits: number, misses: number }>}
+ */
+const cacheLookups = new WeakMap();
+
 function getCacheStorage()
 {
   if( !defaultCacheStorage )
   {
-    let type;
+    defaultCacheStorage = createCacheStorage( getDefaultCacheStorageType() );
+  }
 
-    if( !browser || isTestEnv )
-    {
-      type = 'memory';
-    }
-    else {
-      type = 'indexed-db';
-    }
+  return defaultCacheStorage
+}
+
+/**
+ * Get the cache metadata of a response
+ *
+ * Parses the `cache-control`, `expires`, `etag` and `last-modified`
+ * headers. Responses with `no-cache` are stored, but are revalidated
+ * before every use.
+ *
+ * @param {Response} response - Response to cache
+ *
+ * @returns {import('./typedef').CacheMetadata|null}
+ *   Cache metadata, or null if the response may not be cached
+ *
+ * @example
+ * // cache-control: max-age=60, stale-while-revalidate=600
+ * getCacheMetadata(response);
+ * // Returns: { expires: <now + 60s>, staleWhileRevalidate: 600000, ... }
+ */
+export function getCacheMetadata(response) {
+  const directives = parseCacheControl(response.headers.get(CACHE_CONTROL));
 
-    defaultCacheStorage = createCacheStorage( type);
+  if (directives['no-store'] || directives['private']) {
+    return null;
   }
 
-  return defaultCacheStorage
+  // Calculate expiration time
+  let expires = null;
+
+  if (directives['no-cache']) {
+    expires = Date.now();
+  } else if (directives['max-age'] !== undefined) {
+    expires = Date.now() + getDirectiveMs(directives, 'max-age');
+  } else if (response.headers.get(EXPIRES)) {
+    // An invalid date means that the response has expired already
+    expires = Date.parse(response.headers.get(EXPIRES) ?? '') || 0;
+  }
+
+  return {
+    etag: response.headers.get(ETAG),
+    lastModified: response.headers.get(LAST_MODIFIED),
+    expires,
+    immutable: directives['immutable'] === true,
+    staleWhileRevalidate: getDirectiveMs(directives, 'stale-while-revalidate'),
+    staleIfError: getDirectiveMs(directives, 'stale-if-error')
+  };
 }
 
 /**
  * Store a response in the cache
  *
+ * Expired responses are kept in storage while they can still be served
+ * stale or revalidated.
+ *
  * @param {object} cacheKeyParams - Parameters to use for cache key generation
  * @param {string|URL} cacheKeyParams.url - URL string or URL object
  * @param {object} [cacheKeyParams.headers] - Request headers that affect caching
  * @param {Response} response - Response to cache
- * @param {object} metadata - Cache metadata
+ * @param {import('./typedef').CacheMetadata} metadata - Cache metadata
+ * @param {import('$lib/network/cache.js').CacheStorage} [storage]
+ *   Cache storage, the default storage if not set
  * @returns {Promise<void>}
  */
-export async function storeResponseInCache(cacheKeyParams, response, metadata) {
+export async function storeResponseInCache(
+  cacheKeyParams,
+  response,
+  metadata,
+  storage = getCacheStorage()
+) {
   try {
     const { url: rawUrl, ...headers } = cacheKeyParams;
     const url = typeof rawUrl === 'string' ? rawUrl : rawUrl.toString();
@@ -61,14 +137,18 @@ export async function storeResponseInCache(cacheKeyParams, response, metadata) {
       }
     }
 
-    // Add vary headers to metadata
+    // Add vary headers to metadata. The storage removes entries at
+    // `expires`, so that becomes the end of the retention period.
     const enhancedMetadata = {
       ...metadata,
-      varyHeaders
+      url,
+      varyHeaders,
+      freshUntil: metadata.expires,
+      expires: getRetainUntil(metadata)
     };
 
     // Store in cache
-    await getCacheStorage().set(cacheKey, response, enhancedMetadata);
+    await storage.set(cacheKey, response, enhancedMetadata);
   } catch (error) {
     console.error('Cache storage error:', error);
   }
@@ -77,14 +157,466 @@ export async function storeResponseInCache(cacheKeyParams, response, metadata) {
 /**
  * Get a cached response if available and valid
  *
+ * Expired responses are returned within their `stale-while-revalidate`
+ * period, with `isStale` set. If a `revalidate` function is given, it is
+ * called to refresh the cache in the background and its promise is set
+ * as `fresh` on the stale response.
+ *
  * @param {object} cacheKeyParams - Parameters to use for cache key generation
  * @param {string|URL} cacheKeyParams.url - URL string or URL object
  * @param {object} [cacheKeyParams.headers] - Request headers that affect caching
+ * @param {object} [options]
+ * @param {() => Promise<Response>} [options.revalidate]
+ *   Function that revalidates the cached response, see `fetchWithCache`
+ * @param {import('$lib/network/cache.js').CacheStorage} [options.storage]
+ *   Cache storage, the default storage if not set
  *
  * @returns {Promise<Response|import('./typedef').ResponseWithStale|null>}
  *   Cached response or null
+ *
+ * @example
+ * const cached = await getCachedResponse({ url }, {
+ *   revalidate: () => fetchWithCache({ url }, send)
+ * });
+ *
+ * if (cached?.isStale) {
+ *   const fresh = await cached.fresh;
+ * }
  */
-export async function getCachedResponse(cacheKeyParams) {
+export async function getCachedResponse(cacheKeyParams, options = {}) {
+  const storage = options.storage ?? getCacheStorage();
+
+  const cachedEntry = await getCacheEntry(cacheKeyParams, storage);
+
+  if (!cachedEntry) {
+    countCacheLookup(storage, false);
+    return null;
+  }
+
+  const { response } = cachedEntry;
+
+  /** @type {Object<string, *>} */
+  const metadata = cachedEntry.metadata;
+
+  const freshUntil = getFreshUntil(metadata);
+
+  if (freshUntil === null || Date.now() <= freshUntil) {
+    // Not expired, return as-is
+    countCacheLookup(storage, true);
+    return response;
+  }
+
+  if (Date.now() > freshUntil + (metadata.staleWhileRevalidate ?? 0)) {
+    // Too stale to be used without asking the server
+    countCacheLookup(storage, false);
+    return null;
+  }
+
+  countCacheLookup(storage, true);
+
+  let fresh = null;
+
+  if (options.revalidate) {
+    fresh = options.revalidate();
+
+    // Callers that only use the stale response do not await `fresh`
+    fresh.catch(() => {});
+  }
+
+  // Response is stale, add stale info
+  return enhanceResponseWithStale(response, {
+    isStale: true,
+    fresh,
+    timestamp: cachedEntry.timestamp,
+    expires: freshUntil
+  });
+}
+
+/**
+ * Send a request and update the cache with the response
+ *
+ * If the cache holds a response for the request, `send` is called with the
+ * conditional request headers `if-none-match` and `if-modified-since`.
+ * A 304 Not Modified response refreshes the cached response without
+ * downloading it again. If the request fails or the server returns an
+ * error (5xx) within the `stale-if-error` period of the cached response,
+ * the stale response is returned instead.
+ *
+ * @param {object} cacheKeyParams - Parameters to use for cache key generation
+ * @param {string|URL} cacheKeyParams.url - URL string or URL object
+ * @param {object} [cacheKeyParams.headers] - Request headers that affect caching
+ * @param {(headers: Object<string, string>) => Promise<Response>} send
+ *   Function that sends the request with additional headers
+ * @param {object} [options]
+ * @param {boolean} [options.useCached=true]
+ *   Use the cached response for conditional requests and errors
+ * @param {string[]} [options.tags]
+ *   Tags to store with the response, see `invalidateCache`
+ * @param {import('$lib/network/cache.js').CacheStorage} [options.storage]
+ *   Cache storage, the default storage if not set
+ *
+ * @returns {Promise<Response|import('./typedef').ResponseWithStale>}
+ *   Response of the server, the refreshed cached response, or a stale
+ *   response
+ */
+export async function fetchWithCache(cacheKeyParams, send, options = {}) {
+  const { useCached = true, tags, storage = getCacheStorage() } = options;
+
+  const cachedEntry = useCached
+    ? await getCacheEntry(cacheKeyParams, storage)
+    : null;
+
+  if (!cachedEntry) {
+    const response = await send({});
+
+    await storeIfCacheable(cacheKeyParams, response, storage, tags);
+
+    return response;
+  }
+
+  let response;
+
+  try {
+    response = await send(getValidatorHeaders(cachedEntry.metadata));
+  } catch (error) {
+    if (canServeStaleIfError(cachedEntry)) {
+      return toStaleResponse(cachedEntry);
+    }
+    throw error;
+  }
+
+  if (response.status === HTTP_NOT_MODIFIED) {
+    return await refreshCachedResponse(
+      cacheKeyParams,
+      cachedEntry,
+      response,
+      storage,
+      tags
+    );
+  }
+
+  if (
+    response.status >= HTTP_INTERNAL_SERVER_ERROR &&
+    canServeStaleIfError(cachedEntry)
+  ) {
+    await response.body?.cancel();
+    return toStaleResponse(cachedEntry);
+  }
+
+  await storeIfCacheable(cacheKeyParams, response, storage, tags);
+
+  return response;
+}
+
+/**
+ * Create a cache storage adapter
+ *
+ * @param {'indexed-db'|'memory'} [type='indexed-db'] Type of storage
+ * @param {object} [options] Options for the storage adapter
+ * @param {string} [options.dbName='http-cache'] IndexedDB database name
+ * @param {string} [options.storeName='responses'] IndexedDB store name
+ *
+ * @returns {import('$lib/network/cache.js').CacheStorage}
+ *
+ * @example
+ * const storage = createCacheStorage('indexed-db', { dbName: 'api-cache' });
+ */
+export function createCacheStorage(type = 'indexed-db', options = {}) {
+  switch (type) {
+    case 'indexed-db':
+      return new IndexedDbCache({
+        dbName: 'http-cache',
+        storeName: 'responses',
+        ...options
+      });
+
+    case 'memory':
+      return new MemoryResponseCache();
+
+    default:
+      throw new Error(`Unsupported cache storage type: ${type}`);
+  }
+}
+
+/**
+ * Get the type of the default cache storage
+ *
+ * IndexedDB in the browser, memory on the server and in tests.
+ *
+ * @returns {'indexed-db'|'memory'}
+ */
+export function getDefaultCacheStorageType() {
+  return !browser || isTestEnv ? 'memory' : 'indexed-db';
+}
+
+/**
+ * Get the key under which the response of a request is cached
+ *
+ * @param {object} cacheKeyParams - Parameters to use for cache key generation
+ * @param {string|URL} cacheKeyParams.url - URL string or URL object
+ *
+ * @returns {string} Cache key
+ *
+ * @example
+ * getCacheKey({ url: 'https://api.example.com/users', accept: 'text/csv' });
+ */
+export function getCacheKey(cacheKeyParams) {
+  const { url: rawUrl, ...headers } = cacheKeyParams;
+  const url = typeof rawUrl === 'string' ? rawUrl : rawUrl.toString();
+
+  return generateCacheKey(url, headers);
+}
+
+/**
+ * Remove cached responses
+ *
+ * All criteria of the filter must match. Relative URLs, prefixes and globs
+ * are matched against the path and query of the cached URL, absolute ones
+ * against the full URL. In globs, `*` matches any characters except `/`
+ * and `**` matches any characters.
+ *
+ * @param {import('./typedef').CacheInvalidateFilter} filter
+ *   Entries to remove
+ * @param {object} [options]
+ * @param {import('$lib/network/cache.js').CacheStorage} [options.storage]
+ *   Cache storage, the default storage if not set
+ *
+ * @returns {Promise<number>} Number of removed entries
+ *
+ * @example
+ * // After creating a user
+ * await invalidateCache({ prefix: '/api/users' });
+ *
+ * @example
+ * await invalidateCache({ glob: 'https://api.example.com/users/**' });
+ * await invalidateCache({ tag: 'user:123' });
+ */
+export async function invalidateCache(filter, options = {}) {
+  const { storage = getCacheStorage() } = options;
+
+  const matches = createCacheFilter(filter);
+
+  let removed = 0;
+
+  for (const entry of await storage.list()) {
+    if (matches(entry) && (await storage.delete(entry.key))) {
+      removed++;
+    }
+  }
+
+  return removed;
+}
+
+/**
+ * Remove all cached responses and reset the cache statistics
+ *
+ * @param {object} [options]
+ * @param {import('$lib/network/cache.js').CacheStorage} [options.storage]
+ *   Cache storage, the default storage if not set
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearCache(options = {}) {
+  const { storage = getCacheStorage() } = options;
+
+  await storage.clear();
+
+  cacheLookups.delete(storage);
+}
+
+/**
+ * List the cached responses
+ *
+ * @param {object} [options]
+ * @param {import('$lib/network/cache.js').CacheStorage} [options.storage]
+ *   Cache storage, the default storage if not set
+ *
+ * @returns {Promise<import('./typedef').CacheEntryInfo[]>}
+ *
+ * @example
+ * for (const { url, size, tags } of await getCacheEntries()) {
+ *   console.log(url, size, tags);
+ * }
+ */
+export async function getCacheEntries(options = {}) {
+  const { storage = getCacheStorage() } = options;
+
+  /** @type {import('$lib/network/cache.js').CacheEntrySummary[]} */
+  const entries = await storage.list();
+
+  return entries.map((entry) => {
+    /** @type {Object<string, *>} */
+    const metadata = entry.metadata ?? {};
+
+    return {
+      key: entry.key,
+      url: metadata.url ?? entry.url,
+      tags: metadata.tags ?? [],
+      size: entry.size,
+      timestamp: entry.timestamp,
+      freshUntil: getFreshUntil(metadata),
+      expires: entry.expires
+    };
+  });
+}
+
+/**
+ * Get the number of entries, the total size and the hit and miss counts
+ * of a cache storage
+ *
+ * Hits and misses are counted for cache lookups of requests, a stale
+ * response that is used while it is revalidated counts as a hit.
+ *
+ * @param {object} [options]
+ * @param {import('$lib/network/cache.js').CacheStorage} [options.storage]
+ *   Cache storage, the default storage if not set
+ *
+ * @returns {Promise<import('./typedef').CacheStats>}
+ */
+export async function getCacheStats(options = {}) {
+  const { storage = getCacheStorage() } = options;
+
+  /** @type {import('$lib/network/cache.js').CacheEntrySummary[]} */
+  const entries = await storage.list();
+
+  const { hits, misses } = cacheLookups.get(storage) ?? { hits: 0, misses: 0 };
+
+  return {
+    entries: entries.length,
+    size: entries.reduce((total, entry) => total + entry.size, 0),
+    hits,
+    misses
+  };
+}
+
+// > Internal functions
+
+/**
+ * Count a cache lookup as hit or miss
+ *
+ * @param {import('$lib/network/cache.js').CacheStorage} storage
+ * @param {boolean} hit
+ */
+function countCacheLookup(storage, hit) {
+  let counts = cacheLookups.get(storage);
+
+  if (!counts) {
+    counts = { hits: 0, misses: 0 };
+    cacheLookups.set(storage, counts);
+  }
+
+  if (hit) {
+    counts.hits++;
+  } else {
+    counts.misses++;
+  }
+}
+
+/**
+ * Create a function that checks if a cache entry matches a filter
+ *
+ * @param {import('./typedef').CacheInvalidateFilter} filter
+ *
+ * @returns {(entry: import('$lib/network/cache.js').CacheEntrySummary) => boolean}
+ */
+function createCacheFilter(filter) {
+  const { url, prefix, glob, tag } = filter ?? {};
+
+  if (url == null && prefix == null && glob == null && tag == null) {
+    throw new Error(
+      'Invalid parameter [filter] (expected url, prefix, glob or tag)'
+    );
+  }
+
+  /** @type {((entryUrl: string) => boolean)[]} */
+  const urlTests = [];
+
+  if (url != null) {
+    const expected = normalizeCacheUrl(String(url));
+
+    urlTests.push(
+      (entryUrl) => toComparableUrl(entryUrl, String(url)) === expected
+    );
+  }
+
+  if (prefix != null) {
+    const expected = normalizeCacheUrl(String(prefix));
+
+    urlTests.push((entryUrl) =>
+      toComparableUrl(entryUrl, String(prefix)).startsWith(expected)
+    );
+  }
+
+  if (glob != null) {
+    const regexp = globToRegExp(glob);
+
+    urlTests.push((entryUrl) => regexp.test(toComparableUrl(entryUrl, glob)));
+  }
+
+  return (entry) => {
+    /** @type {Object<string, *>} */
+    const metadata = entry.metadata ?? {};
+
+    if (tag != null && !metadata.tags?.includes(tag)) {
+      return false;
+    }
+
+    const entryUrl = metadata.url ?? entry.url;
+
+    return urlTests.every((test) => !!entryUrl && test(entryUrl));
+  };
+}
+
+/**
+ * Normalize a URL of a cache filter, search params are sorted like the
+ * URLs of cached requests
+ *
+ * @param {string} url - Absolute or relative URL
+ *
+ * @returns {string} Normalized URL, relative if the input was relative
+ */
+function normalizeCacheUrl(url) {
+  if (!hasProtocol(url)) {
+    return url;
+  }
+
+  const parsed = new URL(url);
+  parsed.searchParams.sort();
+
+  return parsed.href;
+}
+
+/**
+ * Get the part of a cached URL that a filter value is compared with
+ *
+ * @param {string} entryUrl - Absolute URL of the cached response
+ * @param {string} filterValue - URL, prefix or glob of the filter
+ *
+ * @returns {string} Full URL, or path and query for relative filters
+ */
+function toComparableUrl(entryUrl, filterValue) {
+  if (hasProtocol(filterValue)) {
+    return entryUrl;
+  }
+
+  const parsed = new URL(entryUrl);
+
+  return parsed.pathname + parsed.search;
+}
+
+/**
+ * Get the cache entry for a request
+ *
+ * @param {object} cacheKeyParams - Parameters to use for cache key generation
+ * @param {string|URL} cacheKeyParams.url - URL string or URL object
+ *
+ * @param {import('$lib/network/cache.js').CacheStorage} storage
+ *   Cache storage
+ *
+ * @returns {Promise<import('$lib/network/cache.js').CacheEntry|null>}
+ *   Cache entry or null
+ */
+async function getCacheEntry(cacheKeyParams, storage) {
   try {
     const { url: rawUrl, ...headers } = cacheKeyParams;
     const url = typeof rawUrl === 'string' ? rawUrl : rawUrl.toString();
@@ -93,7 +625,7 @@ export async function getCachedResponse(cacheKeyParams) {
     const cacheKey = generateCacheKey(url, headers);
 
     // Get cached entry
-    const cachedEntry = await getCacheStorage().get(cacheKey);
+    const cachedEntry = await storage.get(cacheKey);
 
     if (!cachedEntry) {
       return null;
@@ -104,53 +636,225 @@ export async function getCachedResponse(cacheKeyParams) {
       return null;
     }
 
-    const { response, metadata } = cachedEntry;
+    return cachedEntry;
+  } catch (error) {
+    console.error('Cache retrieval error:', error);
+    return null;
+  }
+}
 
-    // Check if expired
-    const isExpired = metadata.expires && Date.now() > metadata.expires;
+/**
+ * Store a response in the cache if it is ok and may be cached
+ *
+ * @param {object} cacheKeyParams - Parameters to use for cache key generation
+ * @param {string|URL} cacheKeyParams.url - URL string or URL object
+ * @param {Response} response - Response to cache
+ * @param {import('$lib/network/cache.js').CacheStorage} storage
+ *   Cache storage
+ * @param {string[]} [tags] - Tags to store with the response
+ *
+ * @returns {Promise<void>}
+ */
+async function storeIfCacheable(cacheKeyParams, response, storage, tags) {
+  if (!response.ok) {
+    return;
+  }
+
+  const metadata = getCacheMetadata(response);
 
-    if (!isExpired) {
-      // Not expired, return as-is
-      return response;
+  if (metadata) {
+    await storeResponseInCache(
+      cacheKeyParams,
+      response.clone(),
+      tags?.length ? { ...metadata, tags } : metadata,
+      storage
+    );
+  }
+}
+
+/**
+ * Refresh a cached response after a 304 Not Modified response
+ *
+ * The headers of the 304 response replace the stored headers, so that the
+ * cached response gets a new expiration time.
+ *
+ * @param {object} cacheKeyParams - Parameters to use for cache key generation
+ * @param {string|URL} cacheKeyParams.url - URL string or URL object
+ * @param {import('$lib/network/cache.js').CacheEntry} cachedEntry
+ *   Cache entry that was revalidated
+ * @param {Response} notModified - 304 Not Modified response
+ * @param {import('$lib/network/cache.js').CacheStorage} storage
+ *   Cache storage
+ * @param {string[]} [tags]
+ *   Tags to store with the response, the tags of the entry if not set
+ *
+ * @returns {Promise<Response>} Refreshed response
+ */
+async function refreshCachedResponse(
+  cacheKeyParams,
+  cachedEntry,
+  notModified,
+  storage,
+  tags
+) {
+  const cached = cachedEntry.response;
+
+  const headers = new Headers(cached.headers);
+
+  for (const [name, value] of notModified.headers) {
+    if (name !== CONTENT_LENGTH) {
+      headers.set(name, value);
     }
+  }
 
-    // Response is stale, add stale info
-    return enhanceResponseWithStale(response, {
-      isStale: true,
-      fresh: null,  // No fresh data available yet
-      timestamp: metadata.timestamp,
-      expires: metadata.expires
-    });
-  } catch (error) {
-    console.error('Cache retrieval error:', error);
-    return null;
+  const response = new Response(await cached.arrayBuffer(), {
+    status: cached.status,
+    statusText: cached.statusText,
+    headers
+  });
+
+  await storeIfCacheable(
+    cacheKeyParams,
+    response,
+    storage,
+    tags ?? /** @type {Object<string, *>} */ (cachedEntry.metadata).tags
+  );
+
+  return response;
+}
+
+/**
+ * Create a stale response from a cache entry
+ *
+ * @param {import('$lib/network/cache.js').CacheEntry} cachedEntry
+ *
+ * @returns {import('./typedef').ResponseWithStale}
+ */
+function toStaleResponse(cachedEntry) {
+  return enhanceResponseWithStale(cachedEntry.response, {
+    isStale: true,
+    fresh: null,
+    timestamp: cachedEntry.timestamp,
+    expires: getFreshUntil(cachedEntry.metadata)
+  });
+}
+
+/**
+ * Check if a cached response may be used when revalidation failed
+ *
+ * @param {import('$lib/network/cache.js').CacheEntry} cachedEntry
+ *
+ * @returns {boolean} True within the `stale-if-error` period
+ */
+function canServeStaleIfError(cachedEntry) {
+  const freshUntil = getFreshUntil(cachedEntry.metadata);
+
+  if (freshUntil === null) {
+    return true;
   }
+
+  /** @type {Object<string, *>} */
+  const metadata = cachedEntry.metadata;
+
+  return Date.now() <= freshUntil + (metadata.staleIfError ?? 0);
 }
 
-// > Internal functions
+/**
+ * Get the conditional request headers for a cached response
+ *
+ * @param {Object<string, *>} metadata - Cache entry metadata
+ *
+ * @returns {Object<string, string>} Request headers
+ */
+function getValidatorHeaders(metadata) {
+  /** @type {Object<string, string>} */
+  const headers = {};
+
+  if (metadata.etag) {
+    headers[IF_NONE_MATCH] = metadata.etag;
+  }
+
+  if (metadata.lastModified) {
+    headers[IF_MODIFIED_SINCE] = metadata.lastModified;
+  }
+
+  return headers;
+}
 
 /**
- * Create a cache storage adapter
- * @param {string} type Type of storage ('indexed-db', 'memory')
- * @param {Object} options Options for the storage adapter
+ * Get the time at which a cached response stops being fresh
  *
- * @returns {import('$lib/network/cache.js').CacheStorage}
+ * Entries stored before `freshUntil` was introduced use `expires`.
+ *
+ * @param {Object<string, *>} metadata - Cache entry metadata
+ *
+ * @returns {number|null} Time in ms since epoch, null if it never expires
  */
-function createCacheStorage(type = 'indexed-db', options = {}) {
-  switch (type) {
-    case 'indexed-db':
-      return new IndexedDbCache(
-        {
-          dbName: 'http-cache',
-          storeName: 'responses'
-        } );
+function getFreshUntil(metadata) {
+  return metadata.freshUntil !== undefined
+    ? metadata.freshUntil
+    : (metadata.expires ?? null);
+}
 
-    case 'memory':
-      return new MemoryResponseCache();
+/**
+ * Get the time until which a response should be kept in storage
+ *
+ * @param {import('./typedef').CacheMetadata} metadata - Cache metadata
+ *
+ * @returns {number|null} Time in ms since epoch, null to keep it
+ */
+function getRetainUntil(metadata) {
+  if (metadata.expires === null) {
+    return null;
+  }
 
-    default:
-      throw new Error(`Unsupported cache storage type: ${type}`);
+  const canRevalidate = !!(metadata.etag || metadata.lastModified);
+
+  return (
+    metadata.expires +
+    Math.max(
+      metadata.staleWhileRevalidate,
+      metadata.staleIfError,
+      canRevalidate ? VALIDATOR_RETENTION_MS : 0
+    )
+  );
+}
+
+/**
+ * Parse a cache-control header
+ *
+ * @param {string|null} value - Header value
+ *
+ * @returns {Object<string, string|true>} Directives by lowercase name
+ */
+function parseCacheControl(value) {
+  /** @type {Object<string, string|true>} */
+  const directives = {};
+
+  for (const directive of (value ?? '').split(',')) {
+    const [key, directiveValue] = directive.trim().split('=');
+
+    if (key) {
+      directives[key.toLowerCase()] =
+        directiveValue !== undefined ? directiveValue.replace(/"/g, '') : true;
+    }
   }
+
+  return directives;
+}
+
+/**
+ * Get a cache-control directive in seconds as milliseconds
+ *
+ * @param {Object<string, string|true>} directives - Parsed directives
+ * @param {string} name - Directive name
+ *
+ * @returns {number} Milliseconds, 0 if not set or invalid
+ */
+function getDirectiveMs(directives, name) {
+  const seconds = parseInt(String(directives[name]), 10);
+
+  return Number.isNaN(seconds) || seconds < 0 ? 0 : seconds * 1000;
 }
 
 /**
@@ -246,15 +950,10 @@ function hashValue(value) {
  *   Enhanced response with stale data properties
  */
 function enhanceResponseWithStale(response, staleInfo) {
-  // Create a new object that inherits from Response prototype
-  const enhanced = Object.create(
-    Object.getPrototypeOf(response),
-    Object.getOwnPropertyDescriptors(response)
-  );
-
-  // Add stale properties
-  enhanced.isStale = staleInfo.isStale || false;
-  enhanced.fresh = staleInfo.fresh || null;
-
-  return enhanced;
+  // Set the properties on the response itself, the methods of Response
+  // do not work on objects that only inherit from its prototype
+  return Object.assign(response, {
+    isStale: staleInfo.isStale || false,
+    fresh: staleInfo.fresh || null
+  });
 }
@@ -0,0 +1,381 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import { MemoryResponseCache } from '$lib/network/cache.js';
+
+import {
+  getCacheMetadata,
+  getCachedResponse,
+  fetchWithCache,
+  invalidateCache,
+  clearCache,
+  getCacheEntries,
+  getCacheStats
+} from './caching.js';
+
+// > Helpers
+
+let urlCounter = 0;
+
+/**
+ * Get a URL that has not been cached by another test
+ */
+function uniqueUrl() {
+  urlCounter++;
+  return `https://api.example.com/data/${urlCounter}`;
+}
+
+function createResponse(body, status = 200, headers = {}) {
+  return new Response(status === 304 ? null : body, { status, headers });
+}
+
+// > Tests
+
+describe('getCacheMetadata', () => {
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(0);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should parse cache-control directives', () => {
+    const response = createResponse('', 200, {
+      'cache-control':
+        'max-age=60, stale-while-revalidate=600, stale-if-error=3600',
+      etag: '"v1"',
+      'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT'
+    });
+
+    expect(getCacheMetadata(response)).toEqual({
+      etag: '"v1"',
+      lastModified: 'Mon, 01 Jan 2024 00:00:00 GMT',
+      expires: 60000,
+      immutable: false,
+      staleWhileRevalidate: 600000,
+      staleIfError: 3600000
+    });
+  });
+
+  it('should not cache no-store and private responses', () => {
+    expect(
+      getCacheMetadata(createResponse('', 200, { 'cache-control': 'no-store' }))
+    ).toBeNull();
+    expect(
+      getCacheMetadata(
+        createResponse('', 200, { 'cache-control': 'private, max-age=60' })
+      )
+    ).toBeNull();
+  });
+
+  it('should expire no-cache responses immediately', () => {
+    vi.setSystemTime(5000);
+
+    const metadata = getCacheMetadata(
+      createResponse('', 200, { 'cache-control': 'no-cache', etag: '"v1"' })
+    );
+
+    expect(metadata.expires).toBe(5000);
+  });
+});
+
+describe('HTTP cache revalidation', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_000_000;
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(now);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  /**
+   * Cache a response through fetchWithCache
+   */
+  async function cacheResponse(url, body, headers) {
+    const send = vi.fn(async () => createResponse(body, 200, headers));
+    const response = await fetchWithCache({ url }, send);
+    await response.text();
+  }
+
+  it('should return fresh responses from the cache', async () => {
+    const url = uniqueUrl();
+    await cacheResponse(url, 'v1', { 'cache-control': 'max-age=60' });
+
+    vi.setSystemTime(now + 30000);
+
+    const cached = await getCachedResponse({ url });
+
+    expect(cached.isStale).toBeUndefined();
+    expect(await cached.text()).toBe('v1');
+  });
+
+  it('should serve stale responses while revalidating', async () => {
+    const url = uniqueUrl();
+    await cacheResponse(url, 'v1', {
+      'cache-control': 'max-age=60, stale-while-revalidate=600'
+    });
+
+    vi.setSystemTime(now + 120000);
+
+    const send = vi.fn(async () =>
+      createResponse('v2', 200, { 'cache-control': 'max-age=60' })
+    );
+
+    const cached = await getCachedResponse(
+      { url },
+      { revalidate: () => fetchWithCache({ url }, send) }
+    );
+
+    expect(cached.isStale).toBe(true);
+    expect(await cached.text()).toBe('v1');
+
+    const fresh = await cached.fresh;
+    expect(await fresh.text()).toBe('v2');
+
+    const updated = await getCachedResponse({ url });
+    expect(updated.isStale).toBeUndefined();
+    expect(await updated.text()).toBe('v2');
+  });
+
+  it('should not serve responses after the stale-while-revalidate period', async () => {
+    const url = uniqueUrl();
+    await cacheResponse(url, 'v1', {
+      'cache-control': 'max-age=60, stale-while-revalidate=60'
+    });
+
+    vi.setSystemTime(now + 121000);
+
+    expect(await getCachedResponse({ url })).toBeNull();
+  });
+
+  it('should refresh the cached response on 304 Not Modified', async () => {
+    const url = uniqueUrl();
+    await cacheResponse(url, 'v1', {
+      'cache-control': 'max-age=60',
+      etag: '"v1"',
+      'last-modified': 'Mon, 01 Jan 2024 00:00:00 GMT'
+    });
+
+    vi.setSystemTime(now + 120000);
+
+    expect(await getCachedResponse({ url })).toBeNull();
+
+    const send = vi.fn(async () =>
+      createResponse(null, 304, { 'cache-control': 'max-age=300' })
+    );
+
+    const response = await fetchWithCache({ url }, send);
+
+    expect(send).toHaveBeenCalledWith({
+      'if-none-match': '"v1"',
+      'if-modified-since': 'Mon, 01 Jan 2024 00:00:00 GMT'
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('cache-control')).toBe('max-age=300');
+    expect(await response.text()).toBe('v1');
+
+    // The new max-age applies from now
+    vi.setSystemTime(now + 120000 + 290000);
+
+    const cached = await getCachedResponse({ url });
+    expect(await cached.text()).toBe('v1');
+  });
+
+  it('should serve stale responses on network errors within stale-if-error', async () => {
+    const url = uniqueUrl();
+    await cacheResponse(url, 'v1', {
+      'cache-control': 'max-age=60, stale-if-error=600'
+    });
+
+    vi.setSystemTime(now + 120000);
+
+    const send = vi.fn(async () => {
+      throw new TypeError('Failed to fetch');
+    });
+
+    const response = await fetchWithCache({ url }, send);
+
+    expect(response.isStale).toBe(true);
+    expect(response.fresh).toBeNull();
+    expect(await response.text()).toBe('v1');
+  });
+
+  it('should serve stale responses on server errors within stale-if-error', async () => {
+    const url = uniqueUrl();
+    await cacheResponse(url, 'v1', {
+      'cache-control': 'max-age=60, stale-if-error=600'
+    });
+
+    vi.setSystemTime(now + 120000);
+
+    const send = vi.fn(async () => createResponse('Unavailable', 503));
+
+    const response = await fetchWithCache({ url }, send);
+
+    expect(response.isStale).toBe(true);
+    expect(await response.text()).toBe('v1');
+  });
+
+  it('should return errors after the stale-if-error period', async () => {
+    const url = uniqueUrl();
+    await cacheResponse(url, 'v1', {
+      'cache-control': 'max-age=60, stale-if-error=60',
+      etag: '"v1"'
+    });
+
+    vi.setSystemTime(now + 180000);
+
+    const error = new TypeError('Failed to fetch');
+
+    await expect(
+      fetchWithCache({ url }, async () => {
+        throw error;
+      })
+    ).rejects.toBe(error);
+
+    const response = await fetchWithCache({ url }, async () =>
+      createResponse('Unavailable', 503)
+    );
+
+    expect(response.status).toBe(503);
+  });
+
+  it('should not store responses that may not be cached', async () => {
+    const url = uniqueUrl();
+    await cacheResponse(url, 'v1', { 'cache-control': 'no-store' });
+
+    expect(await getCachedResponse({ url })).toBeNull();
+  });
+});
+
+describe('HTTP cache management', () => {
+  const cacheable = { 'cache-control': 'max-age=60' };
+
+  let storage;
+
+  /**
+   * Store a cacheable response in the test storage
+   */
+  async function store(url, { headers = {}, tags, body = 'data' } = {}) {
+    await fetchWithCache(
+      { url, ...headers },
+      async () => createResponse(body, 200, cacheable),
+      { storage, tags }
+    );
+  }
+
+  beforeEach(() => {
+    storage = new MemoryResponseCache();
+  });
+
+  it('should list cached entries with url, tags and size', async () => {
+    await store('https://api.example.com/users?b=2&a=1', { tags: ['users'] });
+
+    const entries = await getCacheEntries({ storage });
+
+    expect(entries).toHaveLength(1);
+    expect(entries[0]).toMatchObject({
+      url: 'https://api.example.com/users?b=2&a=1',
+      tags: ['users'],
+      size: 4
+    });
+    expect(entries[0].freshUntil).toBeGreaterThan(Date.now());
+  });
+
+  it('should invalidate entries by exact url', async () => {
+    await store('https://api.example.com/users');
+    await store('https://api.example.com/users', {
+      headers: { accept: 'text/csv' }
+    });
+    await store('https://api.example.com/users/1');
+
+    const removed = await invalidateCache(
+      { url: 'https://api.example.com/users' },
+      { storage }
+    );
+
+    expect(removed).toBe(2);
+    expect(
+      (await getCacheEntries({ storage })).map((entry) => entry.url)
+    ).toEqual(['https://api.example.com/users/1']);
+  });
+
+  it('should invalidate entries by prefix and relative prefix', async () => {
+    await store('https://api.example.com/users/1');
+    await store('https://api.example.com/users/2');
+    await store('https://api.example.com/posts/1');
+
+    expect(
+      await invalidateCache(
+        { prefix: 'https://api.example.com/users/' },
+        { storage }
+      )
+    ).toBe(2);
+    expect(await invalidateCache({ prefix: '/posts' }, { storage })).toBe(1);
+    expect(await getCacheEntries({ storage })).toEqual([]);
+  });
+
+  it('should invalidate entries by glob', async () => {
+    await store('https://api.example.com/users/1/posts');
+    await store('https://api.example.com/users/2/posts');
+    await store('https://api.example.com/users/2/comments/7');
+
+    expect(await invalidateCache({ glob: '/users/*/posts' }, { storage })).toBe(
+      2
+    );
+    expect(
+      await invalidateCache(
+        { glob: 'https://api.example.com/**/7' },
+        { storage }
+      )
+    ).toBe(1);
+  });
+
+  it('should invalidate entries by tag', async () => {
+    await store('https://api.example.com/users/1', {
+      tags: ['user:1', 'users']
+    });
+    await store('https://api.example.com/users/2', {
+      tags: ['user:2', 'users']
+    });
+
+    expect(await invalidateCache({ tag: 'user:1' }, { storage })).toBe(1);
+    expect(await invalidateCache({ tag: 'users' }, { storage })).toBe(1);
+  });
+
+  it('should require a filter criterion', async () => {
+    await expect(invalidateCache({}, { storage })).rejects.toThrow(
+      'Invalid parameter [filter]'
+    );
+  });
+
+  it('should count hits and misses', async () => {
+    const url = 'https://api.example.com/users';
+
+    await getCachedResponse({ url }, { storage });
+    await store(url, { body: 'users' });
+    await getCachedResponse({ url }, { storage });
+    await getCachedResponse({ url }, { storage });
+
+    expect(await getCacheStats({ storage })).toEqual({
+      entries: 1,
+      size: 5,
+      hits: 2,
+      misses: 1
+    });
+
+    await clearCache({ storage });
+
+    expect(await getCacheStats({ storage })).toEqual({
+      entries: 0,
+      size: 0,
+      hits: 0,
+      misses: 0
+    });
+  });
+});
@@ -0,0 +1,214 @@
+import { METHOD_PUT } from '$lib/constants/http/methods.js';
+
+import { CONTENT_RANGE, CHECKSUM_CRC32 } from '$lib/constants/http/headers.js';
+
+import { bufferToCrc32 } from '$lib/util/checksum.js';
+
+import { AbortError, ChecksumError } from '../errors/api.js';
+import { HttpError } from '../errors/http.js';
+
+import { httpRequest } from './http-request.js';
+
+import {
+  DEFAULT_RETRY_OPTIONS,
+  RETRYABLE_STATUSES,
+  computeRetryDelay,
+  waitForRetry
+} from './retry.js';
+
+/**
+ * Default size of upload chunks (5 MB)
+ */
+export const DEFAULT_UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Upload a Blob or File in chunks
+ *
+ * Every chunk is sent as a separate request with a `content-range` header
+ * (`bytes <start>-<end>/<size>`) and its CRC32 checksum as 8 hex digits in
+ * the `x-checksum-crc32` header. If the server returns the checksum header
+ * as well, it must match, otherwise the chunk is sent again.
+ *
+ * Failed chunks are retried with exponential backoff. An upload can be
+ * resumed by passing the number of bytes that the server has received
+ * already as `offset`.
+ *
+ * @param {import('./typedef').ChunkedUploadOptions} options
+ *
+ * @returns {Promise<import('./typedef').ChunkedUploadResult>}
+ *
+ * @throws {ChecksumError} If the checksum of a chunk did not match after
+ *   the last attempt
+ * @throws {HttpError|ResponseError|AbortError} If a chunk could not be sent
+ *
+ * @example
+ * const controller = new AbortController();
+ *
+ * const { chunks } = await uploadInChunks({
+ *   url: `https://api.example.com/uploads/${uploadId}`,
+ *   blob: file,
+ *   chunkSize: 8 * 1024 * 1024,
+ *   signal: controller.signal,
+ *   onProgress: ({ bytesSent, size }) => {
+ *     console.log(`${Math.round((bytesSent / size) * 100)}%`);
+ *   }
+ * });
+ *
+ * @example
+ * // Resume after asking the server how much it has received
+ * const { received } = await jsonGet({ url: statusUrl });
+ *
+ * await uploadInChunks({ url, blob: file, offset: received });
+ */
+export async function uploadInChunks(options) {
+  const {
+    url,
+    blob,
+    chunkSize = DEFAULT_UPLOAD_CHUNK_SIZE,
+    offset = 0,
+    method = METHOD_PUT,
+    headers,
+    retry = 3,
+    checksumHeader = CHECKSUM_CRC32,
+    signal,
+    onProgress,
+    onChunkComplete,
+    ...otherOptions
+  } = options;
+
+  if (!(blob instanceof Blob)) {
+    throw new Error('Invalid parameter [blob] (expected Blob or File)');
+  }
+
+  if (!(chunkSize > 0)) {
+    throw new Error('Invalid parameter [chunkSize] (expected positive number)');
+  }
+
+  const retryOptions =
+    typeof retry === 'object'
+      ? { ...DEFAULT_RETRY_OPTIONS, ...retry }
+      : {
+          ...DEFAULT_RETRY_OPTIONS,
+          attempts: retry === true ? DEFAULT_RETRY_OPTIONS.attempts : retry || 1
+        };
+
+  const size = blob.size;
+
+  // Used to wait between attempts if no signal was given
+  const waitSignal = signal ?? new AbortController().signal;
+
+  /** @type {import('./typedef').UploadedChunk[]} */
+  const chunks = [];
+
+  /** @type {((reason?: any) => void)|null} */
+  let abortChunk = null;
+
+  const onAbort = () => abortChunk?.(signal?.reason);
+
+  signal?.addEventListener('abort', onAbort);
+
+  onProgress?.({ bytesSent: offset, size, chunkIndex: 0 });
+
+  try {
+    for (
+      let start = offset, chunkIndex = 0;
+      start < size;
+      start += chunkSize, chunkIndex++
+    ) {
+      const end = Math.min(start + chunkSize, size);
+      const chunk = blob.slice(start, end);
+
+      const checksum = bufferToCrc32(new Uint8Array(await chunk.arrayBuffer()))
+        .toString(16)
+        .padStart(8, '0');
+
+      for (let attempt = 1; ; attempt++) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+
+        try {
+          const response = await httpRequest({
+            ...otherOptions,
+            url,
+            method,
+            body: chunk,
+            headers: {
+              ...headers,
+              [CONTENT_RANGE]: `bytes ${start}-${end - 1}/${size}`,
+              [checksumHeader]: checksum
+            },
+            cacheEnabled: false,
+            retry: false,
+            requestHandler: (
+              /** @type {import('./typedef').RequestHandlerParams} */ { abort }
+            ) => {
+              abortChunk = abort;
+            },
+            onUploadProgress: onProgress
+              ? ({ bytesSent }) =>
+                  onProgress({ bytesSent: start + bytesSent, size, chunkIndex })
+              : undefined
+          });
+
+          const received = response.headers.get(checksumHeader);
+
+          if (received && received.toLowerCase() !== checksum) {
+            throw new ChecksumError(
+              `Checksum of chunk [${chunkIndex}] does not match`,
+              { expected: checksum, received }
+            );
+          }
+
+          /** @type {import('./typedef').UploadedChunk} */
+          const uploaded = { index: chunkIndex, start, end, checksum };
+
+          chunks.push(uploaded);
+
+          onChunkComplete?.({ ...uploaded, response });
+
+          break;
+        } catch (error) {
+          if (
+            attempt >= retryOptions.attempts ||
+            signal?.aborted ||
+            !isRetryableChunkError(error)
+          ) {
+            throw error;
+          }
+
+          await waitForRetry(
+            computeRetryDelay(attempt, retryOptions),
+            waitSignal
+          );
+        }
+      }
+    }
+  } finally {
+    signal?.removeEventListener('abort', onAbort);
+  }
+
+  return { size, chunks };
+}
+
+// > Internal functions
+
+/**
+ * Check if the upload of a chunk should be retried after an error
+ *
+ * @param {*} error
+ *
+ * @returns {boolean}
+ */
+function isRetryableChunkError(error) {
+  if (error instanceof AbortError) {
+    return false;
+  }
+
+  if (error instanceof HttpError) {
+    return error.status >= 500 || RETRYABLE_STATUSES.includes(error.status);
+  }
+
+  // Checksum mismatches, network errors and timeouts
+  return true;
+}
@@ -0,0 +1,200 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import { uploadInChunks } from './chunked-upload.js';
+
+import { bufferToCrc32 } from '$lib/util/checksum.js';
+
+import { ChecksumError } from '../errors/api.js';
+
+// > Helpers
+
+const url = 'https://api.example.com/uploads/1';
+
+/**
+ * Create a blob with the bytes 0, 1, 2, ...
+ */
+function createBlob(size) {
+  return new Blob([Uint8Array.from({ length: size }, (_, i) => i % 256)]);
+}
+
+/**
+ * Create a fetch double that stores the received chunks
+ */
+function createServer() {
+  const received = [];
+
+  const fetch = vi.fn(async (request) => {
+    const body = new Uint8Array(await request.arrayBuffer());
+
+    received.push({
+      range: request.headers.get('content-range'),
+      checksum: request.headers.get('x-checksum-crc32'),
+      body
+    });
+
+    return new Response(null, {
+      status: 204,
+      headers: {
+        'x-checksum-crc32': bufferToCrc32(body).toString(16).padStart(8, '0')
+      }
+    });
+  });
+
+  return { fetch, received };
+}
+
+// > Tests
+
+describe('uploadInChunks', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should upload a blob in chunks with content ranges and checksums', async () => {
+    const { fetch, received } = createServer();
+    const onChunkComplete = vi.fn();
+
+    const result = await uploadInChunks({
+      url,
+      blob: createBlob(10),
+      chunkSize: 4,
+      fetch,
+      onChunkComplete
+    });
+
+    expect(received.map(({ range }) => range)).toEqual([
+      'bytes 0-3/10',
+      'bytes 4-7/10',
+      'bytes 8-9/10'
+    ]);
+
+    expect(received[1].body).toEqual(new Uint8Array([4, 5, 6, 7]));
+    expect(received[1].checksum).toBe(
+      bufferToCrc32(new Uint8Array([4, 5, 6, 7]))
+        .toString(16)
+        .padStart(8, '0')
+    );
+
+    expect(result.size).toBe(10);
+    expect(result.chunks.map(({ start, end }) => [start, end])).toEqual([
+      [0, 4],
+      [4, 8],
+      [8, 10]
+    ]);
+    expect(onChunkComplete).toHaveBeenCalledTimes(3);
+  });
+
+  it('should report progress of the whole upload', async () => {
+    const { fetch } = createServer();
+    const onProgress = vi.fn();
+
+    await uploadInChunks({
+      url,
+      blob: createBlob(10),
+      chunkSize: 4,
+      fetch,
+      onProgress
+    });
+
+    expect(onProgress).toHaveBeenCalledWith({
+      bytesSent: 4,
+      size: 10,
+      chunkIndex: 0
+    });
+    expect(onProgress).toHaveBeenLastCalledWith({
+      bytesSent: 10,
+      size: 10,
+      chunkIndex: 2
+    });
+  });
+
+  it('should resume at an offset', async () => {
+    const { fetch, received } = createServer();
+
+    await uploadInChunks({
+      url,
+      blob: createBlob(10),
+      chunkSize: 4,
+      offset: 8,
+      fetch
+    });
+
+    expect(received.map(({ range }) => range)).toEqual(['bytes 8-9/10']);
+  });
+
+  it('should retry failed chunks with backoff', async () => {
+    const server = createServer();
+
+    const fetch = vi
+      .fn()
+      .mockResolvedValueOnce(new Response(null, { status: 503 }))
+      .mockImplementation(server.fetch);
+
+    const promise = uploadInChunks({
+      url,
+      blob: createBlob(4),
+      chunkSize: 4,
+      retry: { attempts: 2, initialDelayMs: 100, jitter: 0 },
+      fetch
+    });
+
+    await vi.advanceTimersByTimeAsync(100);
+    const result = await promise;
+
+    expect(fetch).toHaveBeenCalledTimes(2);
+    expect(result.chunks).toHaveLength(1);
+  });
+
+  it('should retry chunks with a wrong checksum', async () => {
+    const server = createServer();
+
+    const fetch = vi
+      .fn()
+      .mockResolvedValueOnce(
+        new Response(null, {
+          status: 204,
+          headers: { 'x-checksum-crc32': '00000000' }
+        })
+      )
+      .mockImplementation(server.fetch);
+
+    const promise = uploadInChunks({
+      url,
+      blob: createBlob(4),
+      retry: { attempts: 2, initialDelayMs: 100, jitter: 0 },
+      fetch
+    });
+
+    await vi.advanceTimersByTimeAsync(100);
+    await promise;
+
+    expect(server.received).toHaveLength(1);
+  });
+
+  it('should throw a ChecksumError after the last attempt', async () => {
+    const fetch = vi.fn(
+      async () =>
+        new Response(null, {
+          status: 204,
+          headers: { 'x-checksum-crc32': '00000000' }
+        })
+    );
+
+    await expect(
+      uploadInChunks({ url, blob: createBlob(4), retry: 1, fetch })
+    ).rejects.toBeInstanceOf(ChecksumError);
+  });
+
+  it('should not retry client errors', async () => {
+    const fetch = vi.fn(async () => new Response('Forbidden', { status: 403 }));
+
+    await expect(
+      uploadInChunks({ url, blob: createBlob(4), fetch })
+    ).rejects.toThrow('HTTP 403');
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,175 @@
+import {
+  httpRequest,
+  httpGet,
+  httpPost,
+  httpPut,
+  httpPatch,
+  httpDelete,
+  httpOptions,
+  httpHead
+} from './http-request.js';
+
+import {
+  jsonGet,
+  jsonPost,
+  jsonPut,
+  jsonPatch,
+  jsonDelete
+} from './json-request.js';
+
+import { createCacheStorage, getDefaultCacheStorageType } from './caching.js';
+
+import { hasProtocol } from './url.js';
+
+const CLIENT_CACHE_DB_NAME = 'http-client-cache';
+
+/**
+ * Create an HTTP client with its own configuration and cache storage
+ *
+ * The client has the same HTTP and JSON methods as the module, with the
+ * client configuration applied to every request. Options of a request
+ * override the client configuration, request headers are merged with the
+ * client headers and request interceptors run after the client
+ * interceptors.
+ *
+ * An IndexedDB cache storage of a client uses its own database, named
+ * after the base url, so that clearing or invalidating the cache of one
+ * client does not affect other clients. Set `cacheDbName` for clients
+ * without a base url.
+ *
+ * @param {import('./typedef').HttpClientOptions} [clientOptions]
+ *
+ * @returns {import('./typedef').HttpClient}
+ *
+ * @example
+ * const api = createHttpClient({
+ *   baseUrl: 'https://api.example.com/v1',
+ *   headers: { authorization: `Bearer ${token}` },
+ *   timeoutMs: 10000,
+ *   retry: 3
+ * });
+ *
+ * // GET https://api.example.com/v1/users/123
+ * const user = await api.jsonGet({ url: 'users/123' });
+ *
+ * @example
+ * // In a SvelteKit load function
+ * export async function load({ fetch, url }) {
+ *   const api = createHttpClient({
+ *     baseUrl: new URL('/api', url.origin),
+ *     fetch,
+ *     cache: false
+ *   });
+ *
+ *   return { items: await api.jsonGet({ url: 'items' }) };
+ * }
+ */
+export function createHttpClient(clientOptions = {}) {
+  const {
+    baseUrl = null,
+    headers = null,
+    timeoutMs,
+    withCredentials,
+    retry,
+    cache = getDefaultCacheStorageType(),
+    cacheDbName = getCacheDbName(baseUrl),
+    fetch: customFetch,
+    interceptors = []
+  } = clientOptions;
+
+  const cacheStorage =
+    cache === false
+      ? null
+      : typeof cache === 'string'
+        ? createCacheStorage(cache, { dbName: cacheDbName })
+        : cache;
+
+  /** @type {Object<string, *>} */
+  const defaults = {};
+
+  if (timeoutMs !== undefined) defaults.timeoutMs = timeoutMs;
+  if (withCredentials !== undefined) defaults.withCredentials = withCredentials;
+  if (retry !== undefined) defaults.retry = retry;
+  if (customFetch) defaults.fetch = customFetch;
+
+  if (cacheStorage) {
+    defaults.cacheStorage = cacheStorage;
+  } else {
+    defaults.cacheEnabled = false;
+  }
+
+  /**
+   * Apply the client configuration to the options of a request
+   *
+   * @template {import('./typedef').HttpRequestOptions} T
+   * @param {T} options - Request options
+   *
+   * @returns {T} Request options with the client configuration
+   */
+  const withConfig = (options) => {
+    return {
+      ...defaults,
+      ...options,
+      url: resolveUrl(options.url, baseUrl),
+      headers: { ...headers, ...options.headers },
+      interceptors:
+        options.interceptors === false
+          ? false
+          : [...interceptors, ...(options.interceptors ?? [])]
+    };
+  };
+
+  return {
+    cacheStorage,
+
+    request: (options) => httpRequest(withConfig(options)),
+    get: (options) => httpGet(withConfig(options)),
+    post: (options) => httpPost(withConfig(options)),
+    put: (options) => httpPut(withConfig(options)),
+    patch: (options) => httpPatch(withConfig(options)),
+    delete: (options) => httpDelete(withConfig(options)),
+    options: (options) => httpOptions(withConfig(options)),
+    head: (options) => httpHead(withConfig(options)),
+
+    jsonGet: (options) => jsonGet(withConfig(options)),
+    jsonPost: (options) => jsonPost(withConfig(options)),
+    jsonPut: (options) => jsonPut(withConfig(options)),
+    jsonPatch: (options) => jsonPatch(withConfig(options)),
+    jsonDelete: (options) => jsonDelete(withConfig(options))
+  };
+}
+
+// > Internal functions
+
+/**
+ * Get the name of the IndexedDB database of the cache of a client
+ *
+ * @param {string|URL|null} baseUrl - Base URL of the client
+ *
+ * @returns {string} Database name
+ */
+function getCacheDbName(baseUrl) {
+  return baseUrl
+    ? `${CLIENT_CACHE_DB_NAME} ${String(baseUrl).replace(/\/+$/, '')}`
+    : CLIENT_CACHE_DB_NAME;
+}
+
+/**
+ * Resolve the url of a request against the base url of a client
+ *
+ * Relative urls are appended to the path of the base url, so that
+ * `users` and `/users` both resolve to `https://api.example.com/v1/users`
+ * with base url `https://api.example.com/v1`.
+ *
+ * @param {string|URL} url - URL of the request
+ * @param {string|URL|null} baseUrl - Base URL of the client
+ *
+ * @returns {string|URL} Resolved URL
+ */
+function resolveUrl(url, baseUrl) {
+  if (!baseUrl || url instanceof URL || hasProtocol(url)) {
+    return url;
+  }
+
+  return `${String(baseUrl).replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
@@ -0,0 +1,185 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import 'fake-indexeddb/auto';
+
+import { createHttpClient } from './client.js';
+import { invalidateCache, getCacheEntries } from './caching.js';
+
+import MemoryResponseCache from '../cache/MemoryResponseCache.js';
+
+// > Helpers
+
+/**
+ * Create a fetch double that responds with the given body
+ */
+function createFetch(body = 'ok', init = {}) {
+  return vi.fn(async () => new Response(body, init));
+}
+
+// > Tests
+
+describe('createHttpClient', () => {
+  it('should resolve relative urls against the base url', async () => {
+    const fetch = createFetch();
+    const api = createHttpClient({
+      baseUrl: 'https://api.example.com/v1/',
+      fetch
+    });
+
+    await api.get({ url: '/users/123' });
+    await api.get({ url: 'https://other.example.com/status' });
+
+    expect(fetch.mock.calls.map(([request]) => request.url)).toEqual([
+      'https://api.example.com/v1/users/123',
+      'https://other.example.com/status'
+    ]);
+  });
+
+  it('should merge client and request headers', async () => {
+    const fetch = createFetch();
+    const api = createHttpClient({
+      baseUrl: 'https://api.example.com',
+      headers: { authorization: 'Bearer token', 'x-client': 'app' },
+      fetch
+    });
+
+    await api.post({
+      url: 'items',
+      body: 'data',
+      headers: { 'x-client': 'admin' }
+    });
+
+    const [request] = fetch.mock.calls[0];
+
+    expect(request.method).toBe('POST');
+    expect(request.headers.get('authorization')).toBe('Bearer token');
+    expect(request.headers.get('x-client')).toBe('admin');
+  });
+
+  it('should make JSON requests with the client configuration', async () => {
+    const fetch = createFetch(JSON.stringify({ id: 1 }), {
+      headers: { 'content-type': 'application/json' }
+    });
+    const api = createHttpClient({ baseUrl: 'https://api.example.com', fetch });
+
+    const data = await api.jsonGet({ url: 'items/1' });
+
+    expect(data).toEqual({ id: 1 });
+    expect(fetch.mock.calls[0][0].headers.get('accept')).toBe(
+      'application/json'
+    );
+  });
+
+  it('should apply retry defaults that requests can override', async () => {
+    const fetch = vi.fn(async () => new Response(null, { status: 503 }));
+    const api = createHttpClient({
+      baseUrl: 'https://api.example.com',
+      retry: { attempts: 2, initialDelayMs: 1, jitter: 0 },
+      fetch
+    });
+
+    await expect(api.get({ url: 'items' })).rejects.toThrow('HTTP 503');
+    expect(fetch).toHaveBeenCalledTimes(2);
+
+    fetch.mockClear();
+
+    await expect(api.get({ url: 'items', retry: false })).rejects.toThrow(
+      'HTTP 503'
+    );
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should run client interceptors before request interceptors', async () => {
+    const calls = [];
+    const api = createHttpClient({
+      fetch: createFetch(),
+      interceptors: [
+        (options, next) => {
+          calls.push('client');
+          return next();
+        }
+      ]
+    });
+
+    await api.get({
+      url: 'https://api.example.com/items',
+      interceptors: [
+        (options, next) => {
+          calls.push('request');
+          return next();
+        }
+      ]
+    });
+
+    expect(calls).toEqual(['client', 'request']);
+  });
+
+  it('should store responses in its own cache storage', async () => {
+    const cacheStorage = new MemoryResponseCache();
+    const other = createHttpClient({ cache: 'memory', fetch: createFetch() });
+
+    const api = createHttpClient({
+      cache: cacheStorage,
+      fetch: createFetch('cached', {
+        headers: { 'cache-control': 'max-age=60' }
+      })
+    });
+
+    await api.get({ url: 'https://api.example.com/items' });
+
+    expect(api.cacheStorage).toBe(cacheStorage);
+    expect(cacheStorage.cache.size).toBe(1);
+    expect(other.cacheStorage).toBeInstanceOf(MemoryResponseCache);
+    expect(other.cacheStorage.cache.size).toBe(0);
+  });
+
+  it('should invalidate the IndexedDB cache of each client independently', async () => {
+    const init = { headers: { 'cache-control': 'max-age=60' } };
+
+    const first = createHttpClient({
+      baseUrl: 'https://first.example.com/api',
+      cache: 'indexed-db',
+      fetch: createFetch('first', init)
+    });
+
+    const second = createHttpClient({
+      baseUrl: 'https://second.example.com/api',
+      cache: 'indexed-db',
+      fetch: createFetch('second', init)
+    });
+
+    try {
+      await first.get({ url: 'items' });
+      await second.get({ url: 'items' });
+
+      expect(first.cacheStorage.dbName).not.toBe(second.cacheStorage.dbName);
+
+      const removed = await invalidateCache(
+        { glob: '**/api/items' },
+        { storage: first.cacheStorage }
+      );
+
+      expect(removed).toBe(1);
+      expect(await getCacheEntries({ storage: first.cacheStorage })).toEqual(
+        []
+      );
+      expect(
+        await getCacheEntries({ storage: second.cacheStorage })
+      ).toHaveLength(1);
+    } finally {
+      await first.cacheStorage.close();
+      await second.cacheStorage.close();
+    }
+  });
+
+  it('should not cache if the cache is disabled', async () => {
+    const fetch = createFetch('data', {
+      headers: { 'cache-control': 'max-age=60' }
+    });
+    const api = createHttpClient({ cache: false, fetch });
+
+    await api.get({ url: 'https://api.example.com/items' });
+
+    expect(api.cacheStorage).toBeNull();
+  });
+});
@@ -9,7 +9,7 @@ import {
 } from '$lib/constants/http/methods.js';
 
 import { APPLICATION_JSON } from '$lib/constants/mime/application.js';
-import { CONTENT_TYPE } from '$lib/constants/http/headers.js';
+import { CONTENT_TYPE, IDEMPOTENCY_KEY } from '$lib/constants/http/headers.js';
 
 import { AbortError } from '../errors/api.js';
 import { TimeoutError } from '$lib/generic/errors.js';
@@ -18,12 +18,31 @@ import * as expect from '$lib/util/expect.js';
 
 import { toURL } from './url.js';
 import { setRequestHeaders } from './headers.js';
+import {
+  createUploadStream,
+  getBodySize,
+  supportsRequestStreams
+} from './upload.js';
 import { waitForAndCheckResponse } from './response.js';
 
-import { getCachedResponse, storeResponseInCache } from './caching.js';
+import {
+  getCachedResponse,
+  fetchWithCache,
+  getCacheKey,
+  invalidateCache as invalidateCacheEntries
+} from './caching.js';
+import { shareInFlightRequest } from './in-flight.js';
 
-import { isTestEnv } from '$lib/util/env';
+import {
+  getRetryOptions,
+  computeRetryDelay,
+  getRetryAfterMs,
+  waitForRetry
+} from './retry.js';
 
+import { getInterceptors, runInterceptors } from './interceptors.js';
+
+import { isTestEnv } from '$lib/util/env';
 
 // Caching options
 // export const CACHE_NO_STORE = 'no-store';
@@ -46,6 +65,7 @@ export const DEFAULT_HTTP_CONFIG = {
   headers: null,
   withCredentials: false,
   timeoutMs: null, // No timeout by default
+  onUploadProgress: null,
 
   // Fetch
   mode: 'cors',
@@ -54,7 +74,19 @@ export const DEFAULT_HTTP_CONFIG = {
   referrerPolicy: 'no-referrer',
 
   // Cache
-  cacheEnabled: true
+  cacheEnabled: true,
+  cacheStorage: null, // Default cache storage
+  cacheTags: null,
+  invalidateCache: false,
+
+  // Share identical in-flight GET requests (not in tests, like the cache)
+  dedupe: !isTestEnv,
+
+  // Retry
+  retry: false, // No retries by default
+
+  // Fetch function
+  fetch: null // Global fetch
 };
 
 /**
@@ -357,8 +389,102 @@ export async function httpHead(options) {
  * } else {
  *   // Handle error based on status
  * }
+ *
+ * @example
+ * // Request with an interceptor that logs the duration
+ * const response = await httpRequest({
+ *   url: 'https://api.example.com/data',
+ *   interceptors: [
+ *     async (options, next) => {
+ *       const start = performance.now();
+ *       try {
+ *         return await next();
+ *       } finally {
+ *         console.debug(`${options.url} took ${performance.now() - start}ms`);
+ *       }
+ *     }
+ *   ]
+ * });
  */
 export async function httpRequest(options) {
+  return await runInterceptors(
+    getInterceptors(options.interceptors),
+    options,
+    sendRequest
+  );
+}
+
+// > Internal functions
+
+/**
+ * Ids of option objects in in-flight request keys
+ *
+ * @type {WeakMap<object, number>}
+ */
+const optionObjectIds = new WeakMap();
+
+let nextOptionObjectId = 1;
+
+/**
+ * Get the key under which a GET request is shared while in flight
+ *
+ * Requests are only shared if all options that affect the response are
+ * the same. Option objects, like a cache storage or retry options, are
+ * compared by identity.
+ *
+ * @param {{ url: URL } & Object<string, *>} cacheKeyParams
+ *   URL and headers of the request
+ * @param {RequestInit} init - Fetch options of the request
+ * @param {object} options - Other options that affect the response
+ * @param {number|null} [options.timeoutMs]
+ * @param {*} [options.retry]
+ * @param {boolean} [options.cacheEnabled]
+ * @param {*} [options.cacheStorage]
+ *
+ * @returns {string} Key of the request
+ */
+function getInFlightKey(cacheKeyParams, init, options) {
+  const { timeoutMs, retry, cacheEnabled, cacheStorage } = options;
+
+  const toKeyValue = (/** @type {*} */ value) => {
+    if (value === null || typeof value !== 'object') {
+      return value ?? null;
+    }
+
+    let id = optionObjectIds.get(value);
+
+    if (!id) {
+      id = nextOptionObjectId++;
+      optionObjectIds.set(value, id);
+    }
+
+    return `#${id}`;
+  };
+
+  const requestOptions = [
+    init.credentials,
+    init.mode,
+    init.cache,
+    init.redirect,
+    init.referrerPolicy,
+    timeoutMs ?? null,
+    cacheEnabled ?? null,
+    toKeyValue(cacheStorage),
+    toKeyValue(retry)
+  ];
+
+  return `${getCacheKey(cacheKeyParams)}|${JSON.stringify(requestOptions)}`;
+}
+
+/**
+ * Send an HTTP request, after the interceptors
+ *
+ * @param {import('./typedef').HttpRequestOptions} options
+ *   Request configuration options
+ *
+ * @returns {Promise<Response>} Response promise
+ */
+async function sendRequest(options) {
   // Apply default configuration
   const config = { ...DEFAULT_HTTP_CONFIG, ...options };
 
@@ -370,38 +496,25 @@ export async function httpRequest(options) {
     headers,
     withCredentials,
     requestHandler,
+    onUploadProgress,
     timeoutMs,
     mode,
     cache,
     redirect,
     referrerPolicy,
-    cacheEnabled
+    cacheEnabled,
+    cacheStorage,
+    cacheTags,
+    invalidateCache,
+    dedupe,
+    retry,
+    fetch: customFetch
   } = config;
 
   const url = toURL(rawUrl);
 
   // console.debug(`http:load [${url.pathname}]`);
 
-  // Only consider caching for GET requests
-  const shouldAttemptCache = cacheEnabled && method === METHOD_GET;
-
-  // Try to get from cache if appropriate
-  if (shouldAttemptCache && cache !== 'no-store' && cache !== 'reload') {
-    const cacheKeyParams = { url, ...headers };
-    const cachedResponse = await getCachedResponse(cacheKeyParams);
-
-    if (!isTestEnv) {
-      if (cachedResponse) {
-        // console.debug(`http:cache-hit [${url.pathname}]`);
-        // console.debug(`cached-response has body: ${!!cachedResponse.body}`);
-        // console.debug(`cached-response content-length: ${cachedResponse.headers.get('content-length')}`);
-        return cachedResponse;
-      } else {
-        console.debug(`http:cache-miss [${url.pathname}]`);
-      }
-    }
-  }
-
   // @see https://developer.mozilla.org/en-US/docs/Web/API/Headers
   const requestHeaders = new Headers();
 
@@ -460,127 +573,330 @@ export async function httpRequest(options) {
 
   init.method = method;
 
-  if (METHOD_POST === method) {
-    init.body = body || null; /* : JSON.stringify( body ) */
+  // Stream the body of every attempt to report upload progress, or only
+  // report the start and completion if fetch cannot stream request bodies
+  let streamUpload = false;
+
+  // GET and HEAD requests cannot have a body
+  if (METHOD_GET !== method && METHOD_HEAD !== method && body != null) {
+    init.body = body;
+
+    if (onUploadProgress) {
+      expect.function(onUploadProgress);
+
+      streamUpload = supportsRequestStreams();
+    }
+
+    if (body instanceof ReadableStream) {
+      // Required by fetch for streaming request bodies
+      /** @type {RequestInit & { duplex?: 'half' }} */ (init).duplex = 'half';
+    }
   }
 
-  // @see https://developer.mozilla.org/en-US/docs/Web/API/Request/Request
-  const request = new Request(url, init);
+  const reportUpload = init.body != null && onUploadProgress;
+
+  // A stream body can only be sent once
+  const retryOptions =
+    init.body instanceof ReadableStream
+      ? null
+      : getRetryOptions(
+          retry,
+          /** @type {string} */ (method),
+          requestHeaders.has(IDEMPOTENCY_KEY)
+        );
 
   // @see https://developer.mozilla.org/en-US/docs/Web/API/AbortController/abort
   const controller = new AbortController();
   const signal = controller.signal;
 
-  //
-  // A fetch() promise will reject with a TypeError when a network error
-  // is encountered or CORS is misconfigured on the server-side,
-  // although this usually means permission issues or similar
-  // — a 404 does not constitute a network error, for example.
-  // An accurate check for a successful fetch() would include checking
-  // that the promise resolved, then checking that the Response.ok property
-  // has a value of true. The code would look something like this:
-  //
-  // fetch()
-  // .then( () => {
-  //   if( !response.ok ) {
-  //     throw new Error('Network response was not OK');
-  //   }
-  //   ...
-  // }
-  // .catch((error) => { .. }
-  //
-
-  const promise = fetch(request, { signal });
-
-  if (requestHandler || timeoutMs) {
-    /**
-     * @type {(reason?: any) => void}
-     */
-    const abort = (reason) => {
-      if (!reason) {
-        reason = new AbortError(`Request [${url.href}] aborted`);
-      }
+  /** @type {ReturnType<typeof setTimeout>[]} */
+  const timers = [];
 
-      controller.abort(reason);
-    };
+  /**
+   * @type {(reason?: any) => void}
+   */
+  const abort = (reason) => {
+    if (!reason) {
+      reason = new AbortError(`Request [${url.href}] aborted`);
+    }
 
-    /**
-     * Function that can be used to set a timeout on a request
-     *
-     * @param {number} delayMs - Milliseconds to wait before timeout
-     */
-    const timeout = (delayMs = 10000) => {
-      expect.positiveNumber(delayMs);
+    controller.abort(reason);
+  };
 
-      const timerId = setTimeout(() => {
+  /**
+   * Function that can be used to set a timeout on a request, including
+   * all retries
+   *
+   * @param {number} delayMs - Milliseconds to wait before timeout
+   */
+  const timeout = (delayMs = 10000) => {
+    expect.positiveNumber(delayMs);
+
+    timers.push(
+      setTimeout(() => {
         controller.abort(
           new TimeoutError(`Request [${url.href}] timed out [${delayMs}]`)
         );
-      }, delayMs);
+      }, delayMs)
+    );
+  };
 
-      promise.finally(() => {
-        clearTimeout(timerId);
-      });
-    };
+  /**
+   * Send the request once
+   *
+   * With retries enabled or for shared requests, every attempt has its own
+   * abort controller, so that `timeoutMs` applies to each attempt.
+   * Aborting the request aborts the current attempt.
+   *
+   * @param {RequestInit} requestInit - Request options
+   * @param {AbortSignal} requestSignal - Signal that aborts the request
+   *
+   * @returns {Promise<{ response?: Response, error?: * }>}
+   */
+  const attemptFetch = async (requestInit, requestSignal) => {
+    const attemptController =
+      retryOptions || requestSignal !== signal
+        ? new AbortController()
+        : controller;
+
+    const onAbort = () => attemptController.abort(requestSignal.reason);
+
+    if (attemptController !== controller) {
+      if (requestSignal.aborted) {
+        onAbort();
+      } else {
+        requestSignal.addEventListener('abort', onAbort, { once: true });
+      }
+    }
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    let timerId;
 
     if (timeoutMs) {
-      timeout(timeoutMs);
+      expect.positiveNumber(timeoutMs);
+
+      timerId = setTimeout(() => {
+        attemptController.abort(
+          new TimeoutError(`Request [${url.href}] timed out [${timeoutMs}]`)
+        );
+      }, timeoutMs);
     }
 
-    if (requestHandler) {
-      expect.function(requestHandler);
+    try {
+      /** @type {RequestInit & { duplex?: 'half' }} */
+      let attemptInit = requestInit;
+
+      let size = 0;
+
+      if (reportUpload && streamUpload) {
+        // A stream can only be read once, every attempt gets a new one
+        const upload = createUploadStream(body, reportUpload);
+        const attemptHeaders = new Headers(requestInit.headers);
+
+        if (upload.contentType && !attemptHeaders.has(CONTENT_TYPE)) {
+          attemptHeaders.set(CONTENT_TYPE, upload.contentType);
+        }
+
+        attemptInit = {
+          ...requestInit,
+          body: upload.stream,
+          headers: attemptHeaders,
+          duplex: 'half'
+        };
+      } else if (reportUpload) {
+        size = getBodySize(body);
+        reportUpload({ bytesSent: 0, size });
+      }
+
+      // @see https://developer.mozilla.org/en-US/docs/Web/API/Request/Request
+      const request = new Request(url, attemptInit);
+
+      //
+      // A fetch() promise will reject with a TypeError when a network error
+      // is encountered or CORS is misconfigured on the server-side,
+      // although this usually means permission issues or similar
+      // — a 404 does not constitute a network error, for example.
+      //
+      const response = await (customFetch ?? fetch)(request, {
+        signal: attemptController.signal
+      });
+
+      if (reportUpload && !streamUpload) {
+        reportUpload({ bytesSent: size, size });
+      }
+
+      return { response };
+    } catch (error) {
+      return { error };
+    } finally {
+      clearTimeout(timerId);
 
-      requestHandler({ controller, abort, timeout });
+      if (attemptController !== controller) {
+        requestSignal.removeEventListener('abort', onAbort);
+      }
     }
-  }
+  };
 
-  // Wait for the response and check it
-  const response = await waitForAndCheckResponse(promise, url);
+  /**
+   * Send the request and retry transient failures
+   *
+   * @param {Object<string, string>} [extraHeaders]
+   *   Additional request headers, e.g. conditional request headers
+   * @param {AbortSignal} [requestSignal]
+   *   Signal that aborts the request, the signal of the caller by default
+   *
+   * @returns {Promise<Response>}
+   */
+  const fetchWithRetry = async (extraHeaders = {}, requestSignal = signal) => {
+    const requestInit = { ...init, headers: new Headers(requestHeaders) };
+
+    setRequestHeaders(requestInit.headers, extraHeaders);
+
+    for (let attempt = 1; ; attempt++) {
+      const { response, error } = await attemptFetch(
+        requestInit,
+        requestSignal
+      );
 
-  // If caching is enabled, store the response in cache
-  if (shouldAttemptCache && response.ok) {
-    // Extract cache control headers
-    const cacheControl = response.headers.get('Cache-Control') || '';
-    const etag = response.headers.get('ETag');
-    const lastModified = response.headers.get('Last-Modified');
-
-    // Parse cache-control directives
-    const directives = {};
-    cacheControl.split(',').forEach((directive) => {
-      const [key, value] = directive.trim().split('=');
-      directives[key.toLowerCase()] = value !== undefined ? value : true;
-    });
+      const canRetry =
+        retryOptions &&
+        attempt < retryOptions.attempts &&
+        !requestSignal.aborted &&
+        (response
+          ? retryOptions.isRetryableStatus(response.status)
+          : retryOptions.isRetryableError(error));
+
+      if (!canRetry) {
+        if (response) {
+          return response;
+        }
+        throw error;
+      }
+
+      let delayMs = computeRetryDelay(attempt, retryOptions);
+
+      if (response) {
+        const retryAfterMs = retryOptions.respectRetryAfter
+          ? getRetryAfterMs(response)
+          : null;
+
+        if (retryAfterMs !== null) {
+          if (retryAfterMs > retryOptions.maxRetryAfterMs) {
+            // The server asks to wait longer than we are willing to
+            return response;
+          }
+          delayMs = retryAfterMs;
+        }
 
-    // Determine if cacheable
-    const isCacheable = !directives['no-store'] && !directives['private'];
-
-    if (isCacheable) {
-      // Calculate expiration time
-      let expires = null;
-      if (directives['max-age']) {
-        const maxAge = parseInt(directives['max-age'], 10);
-        expires = Date.now() + maxAge * 1000;
-      } else if (response.headers.get('Expires')) {
-        expires = new Date(response.headers.get('Expires')).getTime();
+        // Release the connection of the response that is discarded
+        await response.body?.cancel();
       }
 
-      // Create stale info
-      // const staleInfo = {
-      //   isStale: false,
-      //   fresh: null,
-      //   timestamp: Date.now(),
-      //   expires
-      // };
-
-      // Store response in cache
-      const cacheKeyParams = { url, ...headers };
-      await storeResponseInCache(cacheKeyParams, response.clone(), {
-        etag,
-        lastModified,
-        expires,
-        immutable: directives['immutable'] || false
+      retryOptions.onRetry?.({
+        attempt,
+        delayMs,
+        status: response?.status ?? null,
+        error: error ?? null
       });
+
+      // Rejects when the request is aborted while waiting
+      await waitForRetry(delayMs, requestSignal);
+    }
+  };
+
+  // Only consider caching for GET requests
+  const shouldAttemptCache = cacheEnabled && method === METHOD_GET;
+
+  // Cached responses are not used in tests
+  const useCached =
+    shouldAttemptCache &&
+    cache !== 'no-store' &&
+    cache !== 'reload' &&
+    !isTestEnv;
+
+  const cacheKeyParams = { url, ...headers };
+
+  /**
+   * Send the request, using and updating the cache if enabled
+   *
+   * @param {AbortSignal} [requestSignal]
+   *   Signal that aborts the request, the signal of the caller by default
+   *
+   * @returns {Promise<Response>}
+   */
+  const fetchResponse = (requestSignal = signal) =>
+    shouldAttemptCache
+      ? fetchWithCache(
+          cacheKeyParams,
+          (extraHeaders) => fetchWithRetry(extraHeaders, requestSignal),
+          {
+            useCached,
+            tags: cacheTags ?? undefined,
+            storage: cacheStorage ?? undefined
+          }
+        )
+      : fetchWithRetry({}, requestSignal);
+
+  // Try to get from cache if appropriate
+  if (useCached) {
+    const cachedResponse = await getCachedResponse(cacheKeyParams, {
+      revalidate: () => waitForAndCheckResponse(fetchResponse(), url),
+      storage: cacheStorage ?? undefined
+    });
+
+    if (cachedResponse) {
+      // console.debug(`http:cache-hit [${url.pathname}]`);
+      return cachedResponse;
     }
+
+    console.debug(`http:cache-miss [${url.pathname}]`);
+  }
+
+  if (requestHandler) {
+    expect.function(requestHandler);
+
+    requestHandler({ controller, abort, timeout });
+  }
+
+  //
+  // Identical GET requests that are in flight share one fetch, every
+  // caller gets its own clone of the response
+  //
+  const promise =
+    dedupe && method === METHOD_GET
+      ? shareInFlightRequest(
+          getInFlightKey(cacheKeyParams, init, {
+            timeoutMs,
+            retry,
+            cacheEnabled,
+            cacheStorage
+          }),
+          fetchResponse,
+          {
+            signal,
+            fetch: customFetch ?? fetch
+          }
+        )
+      : fetchResponse();
+
+  promise
+    .finally(() => {
+      for (const timerId of timers) {
+        clearTimeout(timerId);
+      }
+    })
+    .catch(() => {});
+
+  // Wait for the response and check it
+  const response = await waitForAndCheckResponse(promise, url);
+
+  if (invalidateCache && method !== METHOD_GET && method !== METHOD_HEAD) {
+    await invalidateCacheEntries(
+      invalidateCache === true
+        ? { prefix: `${url.origin}${url.pathname}` }
+        : invalidateCache,
+      { storage: cacheStorage ?? undefined }
+    );
   }
 
   return response;
@@ -16,9 +16,21 @@ import { AbortError } from '../errors/api.js';
 import { TimeoutError } from '$lib/generic/errors.js';
 
 import { createJsonFetchResponse } from './mocks.js';
+import { addInterceptor, clearInterceptors } from './interceptors.js';
+import { getCacheEntries } from './caching.js';
+
+import { MemoryResponseCache } from '$lib/network/cache.js';
+
+import { supportsRequestStreams } from './upload.js';
 
 // > Mocks
 
+// Request is mocked below, which would fail the feature detection
+vi.mock('./upload.js', async (importOriginal) => ({
+	...(await importOriginal()),
+	supportsRequestStreams: vi.fn(() => true)
+}));
+
 // Keep track of Request constructor calls
 let lastRequestInit = null;
 
@@ -586,3 +598,474 @@ describe('httpRequest', () => {
 		}
 	});
 });
+
+describe('httpRequest retry', () => {
+	const url = 'http://localhost/items';
+	const noJitter = { initialDelayMs: 100, jitter: 0 };
+
+	// Other tests replace AbortController with a mock
+	const RealAbortController = globalThis.AbortController;
+
+	beforeEach(() => {
+		global.AbortController = RealAbortController;
+		vi.useFakeTimers();
+	});
+
+	it('should retry transient responses with backoff', async () => {
+		// @ts-ignore
+		fetch
+			.mockResolvedValueOnce(new Response(null, { status: 502 }))
+			.mockResolvedValueOnce(new Response(null, { status: 504 }))
+			.mockResolvedValueOnce(new Response('ok'));
+
+		const onRetry = vi.fn();
+
+		const promise = httpGet({
+			url,
+			cacheEnabled: false,
+			retry: { ...noJitter, onRetry }
+		});
+
+		await vi.advanceTimersByTimeAsync(100);
+		expect(fetch).toHaveBeenCalledTimes(2);
+
+		await vi.advanceTimersByTimeAsync(200);
+		const response = await promise;
+
+		expect(fetch).toHaveBeenCalledTimes(3);
+		expect(await response.text()).toBe('ok');
+		expect(onRetry.mock.calls.map(([info]) => [info.status, info.delayMs])).toEqual([
+			[502, 100],
+			[504, 200]
+		]);
+	});
+
+	it('should retry network errors and throw after the last attempt', async () => {
+		// @ts-ignore
+		fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+		const promise = httpGet({ url, cacheEnabled: false, retry: { ...noJitter, attempts: 2 } });
+		const assertion = expect(promise).rejects.toThrow('A network error occurred');
+
+		await vi.advanceTimersByTimeAsync(100);
+		await assertion;
+
+		expect(fetch).toHaveBeenCalledTimes(2);
+	});
+
+	it('should retry attempts that timed out', async () => {
+		// @ts-ignore
+		fetch
+			.mockImplementationOnce(
+				(request, { signal }) =>
+					new Promise((_, reject) => {
+						signal.addEventListener('abort', () => reject(signal.reason));
+					})
+			)
+			.mockResolvedValueOnce(new Response('ok'));
+
+		const promise = httpGet({ url, cacheEnabled: false, timeoutMs: 1000, retry: noJitter });
+
+		await vi.advanceTimersByTimeAsync(1100);
+		const response = await promise;
+
+		expect(fetch).toHaveBeenCalledTimes(2);
+		expect(response.ok).toBe(true);
+	});
+
+	it('should not retry non-idempotent methods by default', async () => {
+		// @ts-ignore
+		fetch.mockResolvedValue(new Response(null, { status: 503 }));
+
+		await expect(
+			httpPost({ url, body: 'data', retry: noJitter })
+		).rejects.toThrow('HTTP 503');
+
+		expect(fetch).toHaveBeenCalledTimes(1);
+	});
+
+	it('should retry non-idempotent methods with an idempotency key', async () => {
+		// @ts-ignore
+		fetch
+			.mockResolvedValueOnce(new Response(null, { status: 503 }))
+			.mockResolvedValueOnce(new Response('created', { status: 201 }));
+
+		const promise = httpPost({
+			url,
+			body: 'data',
+			headers: { 'idempotency-key': 'order-1' },
+			retry: noJitter
+		});
+
+		await vi.advanceTimersByTimeAsync(100);
+
+		expect((await promise).status).toBe(201);
+		expect(fetch).toHaveBeenCalledTimes(2);
+	});
+
+	it('should honour the retry-after header', async () => {
+		// @ts-ignore
+		fetch
+			.mockResolvedValueOnce(
+				new Response(null, { status: 429, headers: { 'retry-after': '2' } })
+			)
+			.mockResolvedValueOnce(new Response('ok'));
+
+		const promise = httpGet({ url, cacheEnabled: false, retry: noJitter });
+
+		await vi.advanceTimersByTimeAsync(1900);
+		expect(fetch).toHaveBeenCalledTimes(1);
+
+		await vi.advanceTimersByTimeAsync(100);
+		expect((await promise).ok).toBe(true);
+	});
+
+	it('should cancel pending retries when aborted', async () => {
+		// @ts-ignore
+		fetch.mockResolvedValue(new Response(null, { status: 503 }));
+
+		let abort;
+
+		const promise = httpGet({
+			url,
+			cacheEnabled: false,
+			retry: noJitter,
+			requestHandler: (handler) => {
+				abort = handler.abort;
+			}
+		});
+		const assertion = expect(promise).rejects.toBeInstanceOf(AbortError);
+
+		await vi.advanceTimersByTimeAsync(50);
+		abort();
+		await assertion;
+
+		await vi.advanceTimersByTimeAsync(1000);
+		expect(fetch).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe('httpRequest interceptors', () => {
+	const url = 'http://localhost/profile';
+
+	afterEach(() => {
+		clearInterceptors();
+	});
+
+	it('should refresh the token and retry once on 401', async () => {
+		// @ts-ignore
+		fetch
+			.mockResolvedValueOnce(new Response('expired', { status: 401 }))
+			.mockResolvedValueOnce(new Response('ok'));
+
+		const refreshToken = vi.fn(async () => 'fresh-token');
+
+		addInterceptor(async (options, next) => {
+			try {
+				return await next();
+			} catch (error) {
+				if (error.status !== 401) throw error;
+
+				const token = await refreshToken();
+
+				return await next({
+					...options,
+					headers: { ...options.headers, authorization: `Bearer ${token}` }
+				});
+			}
+		});
+
+		const response = await httpGet({ url, cacheEnabled: false });
+
+		expect(await response.text()).toBe('ok');
+		expect(refreshToken).toHaveBeenCalledTimes(1);
+		expect(fetch).toHaveBeenCalledTimes(2);
+		expect(lastRequestInit.headers.get('authorization')).toBe('Bearer fresh-token');
+	});
+
+	it('should not fetch if an interceptor returns a response', async () => {
+		const response = await httpGet({
+			url,
+			cacheEnabled: false,
+			interceptors: [() => new Response('synthetic')]
+		});
+
+		expect(await response.text()).toBe('synthetic');
+		expect(fetch).not.toHaveBeenCalled();
+	});
+
+	it('should pass the request options to the interceptors', async () => {
+		const interceptor = vi.fn((options, next) => next());
+
+		await httpPost({ url, body: 'data', cacheEnabled: false, interceptors: [interceptor] });
+
+		expect(interceptor.mock.calls[0][0]).toMatchObject({
+			url,
+			body: 'data',
+			method: 'POST'
+		});
+	});
+});
+
+describe('httpRequest bodies', () => {
+	const url = 'http://localhost/items/1';
+
+	it('should send bodies for PUT, PATCH and DELETE', async () => {
+		await httpPut({ url, body: 'put' });
+		expect(lastRequestInit.body).toBe('put');
+
+		await httpPatch({ url, body: 'patch' });
+		expect(lastRequestInit.body).toBe('patch');
+
+		await httpDelete({ url, body: 'delete' });
+		expect(lastRequestInit.body).toBe('delete');
+	});
+
+	it('should not send bodies for GET and HEAD', async () => {
+		await httpGet({ url, body: 'ignored', cacheEnabled: false });
+		expect(lastRequestInit.body).toBeUndefined();
+
+		await httpHead({ url, body: 'ignored' });
+		expect(lastRequestInit.body).toBeUndefined();
+	});
+
+	it('should send stream bodies with duplex half', async () => {
+		const body = new ReadableStream();
+
+		await httpPut({ url, body, retry: 3 });
+
+		expect(lastRequestInit.body).toBe(body);
+		expect(lastRequestInit.duplex).toBe('half');
+	});
+
+	it('should report upload progress', async () => {
+		// @ts-ignore
+		fetch.mockImplementation(async (request) => {
+			await new Response(request.init.body).arrayBuffer();
+			return new Response();
+		});
+
+		const onUploadProgress = vi.fn();
+
+		await httpPost({ url, body: 'hello', onUploadProgress });
+
+		expect(lastRequestInit.duplex).toBe('half');
+		expect(onUploadProgress).toHaveBeenCalledWith({ bytesSent: 0, size: 5 });
+		expect(onUploadProgress).toHaveBeenLastCalledWith({ bytesSent: 5, size: 5 });
+	});
+
+	it('should stream the body again when retrying with upload progress', async () => {
+		/** @type {string[]} */
+		const sent = [];
+
+		// @ts-ignore
+		fetch.mockImplementation(async (request) => {
+			sent.push(await new Response(request.init.body).text());
+			return new Response(null, { status: sent.length === 1 ? 503 : 200 });
+		});
+
+		vi.useFakeTimers();
+
+		const promise = httpPut({
+			url,
+			body: 'hello',
+			retry: { attempts: 2, jitter: 0 },
+			onUploadProgress: vi.fn()
+		});
+
+		await vi.advanceTimersByTimeAsync(1000);
+		const response = await promise;
+
+		expect(response.status).toBe(200);
+		expect(sent).toEqual(['hello', 'hello']);
+	});
+
+	it('should report completion only if request streams are not supported', async () => {
+		// @ts-ignore
+		supportsRequestStreams.mockReturnValueOnce(false);
+
+		const onUploadProgress = vi.fn();
+
+		await httpPost({ url, body: 'hello', onUploadProgress });
+
+		expect(lastRequestInit.body).toBe('hello');
+		expect(lastRequestInit.duplex).toBeUndefined();
+		expect(onUploadProgress.mock.calls).toEqual([
+			[{ bytesSent: 0, size: 5 }],
+			[{ bytesSent: 5, size: 5 }]
+		]);
+	});
+
+	it('should set the content type of form data with upload progress', async () => {
+		const body = new FormData();
+		body.append('name', 'value');
+
+		await httpPost({ url, body, onUploadProgress: vi.fn() });
+
+		expect(lastRequestInit.headers.get('content-type')).toMatch(/^multipart\/form-data/);
+	});
+});
+
+describe('httpRequest deduplication', () => {
+	const url = 'http://localhost/items';
+
+	it('should share one fetch between identical GET requests', async () => {
+		// @ts-ignore
+		fetch.mockImplementation(async () => new Response('items'));
+
+		const responses = await Promise.all([
+			httpGet({ url, dedupe: true }),
+			httpGet({ url, dedupe: true })
+		]);
+
+		expect(fetch).toHaveBeenCalledTimes(1);
+		expect(await responses[0].text()).toBe('items');
+		expect(await responses[1].text()).toBe('items');
+	});
+
+	it('should not share requests with different headers', async () => {
+		// @ts-ignore
+		fetch.mockImplementation(async () => new Response('items'));
+
+		await Promise.all([
+			httpGet({ url, dedupe: true }),
+			httpGet({ url, dedupe: true, headers: { accept: 'text/csv' } })
+		]);
+
+		expect(fetch).toHaveBeenCalledTimes(2);
+	});
+
+	it('should not share requests with different request options', async () => {
+		// @ts-ignore
+		fetch.mockImplementation(async () => new Response('items'));
+
+		await Promise.all([
+			httpGet({ url, dedupe: true }),
+			httpGet({ url, dedupe: true, withCredentials: true }),
+			httpGet({ url, dedupe: true, mode: 'same-origin' }),
+			httpGet({ url, dedupe: true, timeoutMs: 1000 }),
+			httpGet({ url, dedupe: true, retry: 2 }),
+			httpGet({ url, dedupe: true, cacheStorage: new MemoryResponseCache() })
+		]);
+
+		expect(fetch).toHaveBeenCalledTimes(6);
+	});
+
+	it('should share requests with the same option objects', async () => {
+		// @ts-ignore
+		fetch.mockImplementation(async () => new Response('items'));
+
+		const retry = { attempts: 2 };
+
+		await Promise.all([
+			httpGet({ url, dedupe: true, retry }),
+			httpGet({ url, dedupe: true, retry }),
+			httpGet({ url, dedupe: true, retry: { attempts: 2 } })
+		]);
+
+		expect(fetch).toHaveBeenCalledTimes(2);
+	});
+
+	it('should not share POST requests', async () => {
+		// @ts-ignore
+		fetch.mockImplementation(async () => new Response('ok'));
+
+		await Promise.all([
+			httpPost({ url, body: 'a', dedupe: true }),
+			httpPost({ url, body: 'a', dedupe: true })
+		]);
+
+		expect(fetch).toHaveBeenCalledTimes(2);
+	});
+
+	it('should keep the shared request when one caller aborts', async () => {
+		let resolveFetch;
+
+		// @ts-ignore
+		fetch.mockImplementation(
+			() => new Promise((resolve) => (resolveFetch = resolve))
+		);
+
+		let abortFirst;
+
+		const first = httpGet({
+			url,
+			dedupe: true,
+			requestHandler: ({ abort }) => {
+				abortFirst = abort;
+			}
+		});
+		const second = httpGet({ url, dedupe: true });
+
+		abortFirst();
+
+		await expect(first).rejects.toThrow(AbortError);
+
+		resolveFetch(new Response('items'));
+
+		expect(await (await second).text()).toBe('items');
+		expect(fetch).toHaveBeenCalledTimes(1);
+	});
+});
+
+describe('httpRequest cache invalidation', () => {
+	const cacheable = { 'cache-control': 'max-age=60' };
+
+	it('should invalidate cached GET responses after a mutation', async () => {
+		const cacheStorage = new MemoryResponseCache();
+
+		// @ts-ignore
+		fetch.mockImplementation(async () => new Response('data', { headers: cacheable }));
+
+		await httpGet({ url: 'http://localhost/users?page=2', cacheStorage });
+		await httpGet({ url: 'http://localhost/posts', cacheStorage });
+
+		await httpPost({
+			url: 'http://localhost/users',
+			body: 'new user',
+			cacheStorage,
+			invalidateCache: true
+		});
+
+		const entries = await getCacheEntries({ storage: cacheStorage });
+
+		expect(entries.map((entry) => entry.url)).toEqual(['http://localhost/posts']);
+	});
+
+	it('should invalidate by the given filter', async () => {
+		const cacheStorage = new MemoryResponseCache();
+
+		// @ts-ignore
+		fetch.mockImplementation(async () => new Response('data', { headers: cacheable }));
+
+		await httpGet({ url: 'http://localhost/users/1', cacheStorage, cacheTags: ['user:1'] });
+		await httpGet({ url: 'http://localhost/feed', cacheStorage, cacheTags: ['user:1'] });
+
+		await httpPatch({
+			url: 'http://localhost/users/1',
+			body: 'changes',
+			cacheStorage,
+			invalidateCache: { tag: 'user:1' }
+		});
+
+		expect(await getCacheEntries({ storage: cacheStorage })).toEqual([]);
+	});
+
+	it('should not invalidate after a failed request', async () => {
+		const cacheStorage = new MemoryResponseCache();
+
+		// @ts-ignore
+		fetch.mockImplementation(async () => new Response('data', { headers: cacheable }));
+
+		await httpGet({ url: 'http://localhost/users', cacheStorage });
+
+		// @ts-ignore
+		fetch.mockImplementation(async () => new Response('error', { status: 500 }));
+
+		await expect(
+			httpDelete({ url: 'http://localhost/users', cacheStorage, invalidateCache: true })
+		).rejects.toThrow();
+
+		expect(await getCacheEntries({ storage: cacheStorage })).toHaveLength(1);
+	});
+});
@@ -1,4 +1,12 @@
 export const HTTP_SEE_OTHER = 303;
+export const HTTP_NOT_MODIFIED = 304;
 export const HTTP_BAD_REQUEST = 400;
 export const HTTP_UNAUTHORIZED = 401;
+export const HTTP_CONFLICT = 409;
+export const HTTP_PRECONDITION_FAILED = 412;
 export const HTTP_INTERNAL_SERVER_ERROR = 500;
+export const HTTP_REQUEST_TIMEOUT = 408;
+export const HTTP_TOO_MANY_REQUESTS = 429;
+export const HTTP_BAD_GATEWAY = 502;
+export const HTTP_SERVICE_UNAVAILABLE = 503;
+export const HTTP_GATEWAY_TIMEOUT = 504;
@@ -0,0 +1,169 @@
+/**
+ * In-flight requests by fetch function and request key
+ *
+ * Requests are only shared when they use the same fetch function, so that
+ * e.g. the `fetch` of different SvelteKit load functions (which forwards
+ * the cookies of the incoming request) is never shared.
+ *
+ * @type {WeakMap<Function, Map<string, InFlightRequest>>}
+ */
+const inFlightRequests = new WeakMap();
+
+// > Types
+
+/**
+ * @typedef {object} InFlightRequest
+ * @property {Promise<Response>} promise - Promise of the shared request
+ * @property {AbortController} controller - Aborts the shared request
+ * @property {number} waiting - Number of callers waiting for the response
+ */
+
+// > Exports
+
+/**
+ * Share a request with identical requests that are in flight
+ *
+ * The first caller starts the request, callers with the same key that
+ * arrive before the response share it. Every caller receives its own
+ * copy of the response (a clone, or the original for the last caller).
+ *
+ * When a caller aborts, only its own promise rejects. The shared request
+ * is aborted when all callers have aborted.
+ *
+ * @param {string} key - Key of the request, e.g. from `getCacheKey`
+ * @param {(signal: AbortSignal) => Promise<Response>} send
+ *   Function that sends the shared request
+ * @param {object} [options]
+ * @param {AbortSignal} [options.signal] - Abort signal of the caller
+ * @param {Function} [options.fetch=fetch]
+ *   Fetch function that is used to send the request
+ *
+ * @returns {Promise<Response>} Clone of the shared response
+ *
+ * @example
+ * const response = await shareInFlightRequest(
+ *   getCacheKey({ url }),
+ *   (signal) => fetch(url, { signal }),
+ *   { signal: controller.signal }
+ * );
+ */
+export function shareInFlightRequest(key, send, options = {}) {
+  const { signal, fetch: fetchFn = fetch } = options;
+
+  let requests = inFlightRequests.get(fetchFn);
+
+  if (!requests) {
+    requests = new Map();
+    inFlightRequests.set(fetchFn, requests);
+  }
+
+  let request = requests.get(key);
+
+  if (!request) {
+    const controller = new AbortController();
+
+    /** @type {InFlightRequest} */
+    const newRequest = {
+      promise: send(controller.signal),
+      controller,
+      waiting: 0
+    };
+
+    const settle = () => {
+      // Callers that arrive later start a new request
+      if (requests.get(key) === newRequest) {
+        requests.delete(key);
+      }
+    };
+
+    newRequest.promise.then(settle, settle);
+
+    requests.set(key, newRequest);
+
+    request = newRequest;
+  }
+
+  return waitForSharedResponse(request, signal, () => {
+    if (requests.get(key) === request) {
+      requests.delete(key);
+    }
+  });
+}
+
+/**
+ * Get the number of requests that are in flight and can be shared
+ *
+ * @param {Function} [fetchFn=fetch] - Fetch function of the requests
+ *
+ * @returns {number}
+ */
+export function getInFlightRequestCount(fetchFn = fetch) {
+  return inFlightRequests.get(fetchFn)?.size ?? 0;
+}
+
+// > Internal functions
+
+/**
+ * Wait for the response of a shared request
+ *
+ * @param {InFlightRequest} request - Shared request
+ * @param {AbortSignal|undefined} signal - Abort signal of the caller
+ * @param {() => void} onAbandoned
+ *   Called when all callers have aborted
+ *
+ * @returns {Promise<Response>} Clone of the shared response
+ */
+function waitForSharedResponse(request, signal, onAbandoned) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    request.waiting++;
+
+    const done = () => {
+      signal?.removeEventListener('abort', onAbort);
+
+      request.waiting--;
+    };
+
+    const onAbort = () => {
+      done();
+      reject(signal?.reason);
+
+      if (!request.waiting) {
+        onAbandoned();
+        request.controller.abort(signal?.reason);
+      }
+    };
+
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    request.promise.then(
+      (response) => {
+        if (signal?.aborted) {
+          return;
+        }
+
+        done();
+
+        try {
+          // The last caller gets the original response, after all other
+          // callers have cloned it
+          resolve(request.waiting ? response.clone() : response);
+        } catch (error) {
+          reject(error);
+        }
+      },
+      (error) => {
+        if (signal?.aborted) {
+          return;
+        }
+
+        done();
+        reject(error);
+      }
+    );
+  });
+}
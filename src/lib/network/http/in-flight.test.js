@@ -0,0 +1,136 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import { shareInFlightRequest, getInFlightRequestCount } from './in-flight.js';
+
+// > Helpers
+
+/**
+ * Create a send function that resolves when `resolve` is called
+ */
+function createDeferredSend() {
+  let resolve;
+  let reject;
+
+  const send = vi.fn(
+    (signal) =>
+      new Promise((res, rej) => {
+        resolve = res;
+        reject = rej;
+        signal.addEventListener('abort', () => rej(signal.reason));
+      })
+  );
+
+  return {
+    send,
+    resolve: (value) => resolve(value),
+    reject: (error) => reject(error)
+  };
+}
+
+// > Tests
+
+describe('shareInFlightRequest', () => {
+  const fetchFn = vi.fn();
+
+  it('should share one request between identical callers', async () => {
+    const { send, resolve } = createDeferredSend();
+
+    const first = shareInFlightRequest('a', send, { fetch: fetchFn });
+    const second = shareInFlightRequest('a', send, { fetch: fetchFn });
+
+    expect(getInFlightRequestCount(fetchFn)).toBe(1);
+
+    resolve(new Response('shared'));
+
+    const responses = await Promise.all([first, second]);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(responses[0]).not.toBe(responses[1]);
+    expect(await responses[0].text()).toBe('shared');
+    expect(await responses[1].text()).toBe('shared');
+    expect(getInFlightRequestCount(fetchFn)).toBe(0);
+  });
+
+  it('should not share requests with different keys or fetch functions', async () => {
+    const send = vi.fn(async () => new Response('ok'));
+    const otherFetch = vi.fn();
+
+    await Promise.all([
+      shareInFlightRequest('a', send, { fetch: fetchFn }),
+      shareInFlightRequest('b', send, { fetch: fetchFn }),
+      shareInFlightRequest('a', send, { fetch: otherFetch })
+    ]);
+
+    expect(send).toHaveBeenCalledTimes(3);
+  });
+
+  it('should start a new request after the response arrived', async () => {
+    const send = vi.fn(async () => new Response('ok'));
+
+    await shareInFlightRequest('a', send, { fetch: fetchFn });
+    await shareInFlightRequest('a', send, { fetch: fetchFn });
+
+    expect(send).toHaveBeenCalledTimes(2);
+  });
+
+  it('should reject all callers if the request fails', async () => {
+    const { send, reject } = createDeferredSend();
+
+    const first = shareInFlightRequest('a', send, { fetch: fetchFn });
+    const second = shareInFlightRequest('a', send, { fetch: fetchFn });
+
+    const error = new TypeError('Failed to fetch');
+    reject(error);
+
+    await expect(first).rejects.toBe(error);
+    await expect(second).rejects.toBe(error);
+  });
+
+  it('should only reject the caller that aborted', async () => {
+    const { send, resolve } = createDeferredSend();
+
+    const controller = new AbortController();
+
+    const first = shareInFlightRequest('a', send, {
+      fetch: fetchFn,
+      signal: controller.signal
+    });
+    const second = shareInFlightRequest('a', send, { fetch: fetchFn });
+
+    const reason = new Error('Aborted');
+    controller.abort(reason);
+
+    await expect(first).rejects.toBe(reason);
+
+    expect(send.mock.calls[0][0].aborted).toBe(false);
+
+    resolve(new Response('ok'));
+
+    expect(await (await second).text()).toBe('ok');
+  });
+
+  it('should abort the shared request when all callers aborted', async () => {
+    const { send } = createDeferredSend();
+
+    const controllers = [new AbortController(), new AbortController()];
+
+    const promises = controllers.map((controller) =>
+      shareInFlightRequest('a', send, {
+        fetch: fetchFn,
+        signal: controller.signal
+      })
+    );
+
+    const sharedSignal = send.mock.calls[0][0];
+
+    controllers[0].abort();
+    expect(sharedSignal.aborted).toBe(false);
+
+    controllers[1].abort();
+    expect(sharedSignal.aborted).toBe(true);
+
+    await expect(Promise.all(promises)).rejects.toBeDefined();
+
+    expect(getInFlightRequestCount(fetchFn)).toBe(0);
+  });
+});
@@ -0,0 +1,129 @@
+import * as expect from '$lib/util/expect.js';
+
+/**
+ * Interceptors that are applied to all requests
+ *
+ * @type {import('./typedef').HttpInterceptor[]}
+ */
+const globalInterceptors = [];
+
+/**
+ * Add an interceptor that is applied to all HTTP requests
+ *
+ * Interceptors are middleware functions that receive the request options
+ * and a `next` function that sends the request. They can change the
+ * options, inspect or replace the response, handle errors, return a
+ * synthetic response without calling `next`, or call `next` again to
+ * retry the request.
+ *
+ * Global interceptors run before the interceptors of a client or request,
+ * in the order in which they were added.
+ *
+ * @param {import('./typedef').HttpInterceptor} interceptor
+ *
+ * @returns {() => void} Function that removes the interceptor
+ *
+ * @example
+ * // Add a correlation id to every request
+ * const remove = addInterceptor((options, next) =>
+ *   next({
+ *     ...options,
+ *     headers: { ...options.headers, 'x-correlation-id': crypto.randomUUID() }
+ *   })
+ * );
+ *
+ * @example
+ * // Refresh an expired token and retry once
+ * addInterceptor(async (options, next) => {
+ *   try {
+ *     return await next();
+ *   } catch (error) {
+ *     if (error.status !== 401) throw error;
+ *
+ *     const token = await refreshToken();
+ *
+ *     return await next({
+ *       ...options,
+ *       headers: { ...options.headers, authorization: `Bearer ${token}` }
+ *     });
+ *   }
+ * });
+ */
+export function addInterceptor(interceptor) {
+  expect.function(interceptor);
+
+  globalInterceptors.push(interceptor);
+
+  return () => {
+    const index = globalInterceptors.indexOf(interceptor);
+
+    if (index !== -1) {
+      globalInterceptors.splice(index, 1);
+    }
+  };
+}
+
+/**
+ * Remove all global interceptors
+ */
+export function clearInterceptors() {
+  globalInterceptors.length = 0;
+}
+
+/**
+ * Get the interceptors for a request
+ *
+ * @param {import('./typedef').HttpInterceptor[]|false} [interceptors]
+ *   Interceptors of the client or request, or false to skip all
+ *   interceptors (including the global ones)
+ *
+ * @returns {import('./typedef').HttpInterceptor[]}
+ */
+export function getInterceptors(interceptors) {
+  if (interceptors === false) {
+    return [];
+  }
+
+  return [...globalInterceptors, ...(interceptors ?? [])];
+}
+
+/**
+ * Run a request through a chain of interceptors
+ *
+ * @param {import('./typedef').HttpInterceptor[]} interceptors
+ *   Interceptors, the first one is the outermost
+ * @param {import('./typedef').HttpRequestOptions} options
+ *   Request options
+ * @param {(options: import('./typedef').HttpRequestOptions) => Promise<Response>} send
+ *   Function that sends the request
+ *
+ * @returns {Promise<Response>}
+ *
+ * @example
+ * const response = await runInterceptors(
+ *   getInterceptors(options.interceptors),
+ *   options,
+ *   sendRequest
+ * );
+ */
+export function runInterceptors(interceptors, options, send) {
+  /**
+   * @param {number} index
+   * @param {import('./typedef').HttpRequestOptions} currentOptions
+   *
+   * @returns {Promise<Response>}
+   */
+  const dispatch = async (index, currentOptions) => {
+    const interceptor = interceptors[index];
+
+    if (!interceptor) {
+      return await send(currentOptions);
+    }
+
+    return await interceptor(currentOptions, (nextOptions = currentOptions) =>
+      dispatch(index + 1, nextOptions)
+    );
+  };
+
+  return dispatch(0, options);
+}
@@ -0,0 +1,151 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import {
+  addInterceptor,
+  clearInterceptors,
+  getInterceptors,
+  runInterceptors
+} from './interceptors.js';
+
+// > Tests
+
+describe('runInterceptors', () => {
+  it('should run interceptors in order around the request', async () => {
+    const calls = [];
+
+    const logger = (label) => async (options, next) => {
+      calls.push(`${label}:before`);
+      const response = await next();
+      calls.push(`${label}:after`);
+      return response;
+    };
+
+    const send = vi.fn(async () => {
+      calls.push('send');
+      return new Response('ok');
+    });
+
+    const response = await runInterceptors(
+      [logger('a'), logger('b')],
+      { url: 'http://localhost' },
+      send
+    );
+
+    expect(await response.text()).toBe('ok');
+    expect(calls).toEqual([
+      'a:before',
+      'b:before',
+      'send',
+      'b:after',
+      'a:after'
+    ]);
+  });
+
+  it('should pass changed options to the next interceptor', async () => {
+    const send = vi.fn(async () => new Response());
+
+    await runInterceptors(
+      [
+        (options, next) =>
+          next({ ...options, headers: { ...options.headers, 'x-id': '1' } })
+      ],
+      { url: 'http://localhost', headers: { accept: 'text/plain' } },
+      send
+    );
+
+    expect(send).toHaveBeenCalledWith({
+      url: 'http://localhost',
+      headers: { accept: 'text/plain', 'x-id': '1' }
+    });
+  });
+
+  it('should short-circuit with a synthetic response', async () => {
+    const send = vi.fn();
+
+    const response = await runInterceptors(
+      [() => new Response('synthetic')],
+      { url: 'http://localhost' },
+      send
+    );
+
+    expect(await response.text()).toBe('synthetic');
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  it('should let interceptors handle errors and retry', async () => {
+    const error = new Error('Unauthorized');
+    const send = vi
+      .fn()
+      .mockRejectedValueOnce(error)
+      .mockResolvedValueOnce(new Response('ok'));
+
+    const response = await runInterceptors(
+      [
+        async (options, next) => {
+          try {
+            return await next();
+          } catch {
+            return await next({
+              ...options,
+              headers: { authorization: 'new' }
+            });
+          }
+        }
+      ],
+      { url: 'http://localhost' },
+      send
+    );
+
+    expect(await response.text()).toBe('ok');
+    expect(send).toHaveBeenLastCalledWith({
+      url: 'http://localhost',
+      headers: { authorization: 'new' }
+    });
+  });
+
+  it('should reject with errors thrown by interceptors', async () => {
+    const error = new Error('Blocked');
+
+    await expect(
+      runInterceptors(
+        [
+          () => {
+            throw error;
+          }
+        ],
+        { url: 'http://localhost' },
+        vi.fn()
+      )
+    ).rejects.toBe(error);
+  });
+});
+
+describe('global interceptors', () => {
+  afterEach(() => {
+    clearInterceptors();
+  });
+
+  it('should run before the interceptors of a request', () => {
+    const global = vi.fn();
+    const local = vi.fn();
+
+    addInterceptor(global);
+
+    expect(getInterceptors([local])).toEqual([global, local]);
+  });
+
+  it('should be removable', () => {
+    const interceptor = vi.fn();
+
+    const remove = addInterceptor(interceptor);
+    remove();
+
+    expect(getInterceptors()).toEqual([]);
+  });
+
+  it('should be skipped if interceptors is false', () => {
+    addInterceptor(vi.fn());
+
+    expect(getInterceptors(false)).toEqual([]);
+  });
+});
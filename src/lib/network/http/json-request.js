@@ -1,8 +1,10 @@
+import * as v from 'valibot';
+
 import { METHOD_GET, METHOD_POST, METHOD_PUT, METHOD_PATCH, METHOD_DELETE } from '$lib/constants/http/methods.js';
 
 import { APPLICATION_JSON } from '$lib/constants/mime/application.js';
 import { CONTENT_TYPE } from '$lib/constants/http/headers.js';
-import { ResponseError } from '$lib/network/errors.js';
+import { ResponseError, ResponseValidationError } from '$lib/network/errors.js';
 
 import * as expect from '$lib/util/expect.js';
 
@@ -18,10 +20,15 @@ const ACCEPT = 'accept';
  * This function performs a GET request and expects a JSON response from the server.
  * It handles common error cases and parses the JSON response.
  *
- * @param {import('./typedef').JsonGetOptions} options
+ * @template {import('valibot').GenericSchema|undefined} [TSchema=undefined]
+ *
+ * @param {import('./typedef').JsonGetOptions & { schema?: TSchema }} options
  *   Request configuration options
  *
- * @returns {Promise<any>} Parsed JSON data
+ * @returns {Promise<import('./typedef').JsonResponseData<TSchema>>}
+ *   Parsed JSON data, validated and typed by the schema if given
+ *
+ * @throws {ResponseValidationError} If the data does not match the schema
  *
  * @example
  * // Basic JSON GET request
@@ -60,6 +67,7 @@ export async function jsonGet(options) {
     urlSearchParams,
     headers,
     withCredentials,
+    schema,
     ...otherOptions
   } = options;
 
@@ -105,6 +113,10 @@ export async function jsonGet(options) {
     );
   }
 
+  if (schema) {
+    return validateResponseData(parsedResponse, schema, response, url);
+  }
+
   return parsedResponse;
 }
 
@@ -114,10 +126,15 @@ export async function jsonGet(options) {
  * This function performs a POST request with JSON data and expects a JSON
  * response from the server. It handles common error cases and parses the JSON response.
  *
- * @param {import('./typedef').JsonPostOptions} options
+ * @template {import('valibot').GenericSchema|undefined} [TSchema=undefined]
+ *
+ * @param {import('./typedef').JsonPostOptions & { schema?: TSchema }} options
  *   Request configuration options
  *
- * @returns {Promise<any>} Parsed JSON data
+ * @returns {Promise<import('./typedef').JsonResponseData<TSchema>>}
+ *   Parsed JSON data, validated and typed by the schema if given
+ *
+ * @throws {ResponseValidationError} If the data does not match the schema
  *
  * @example
  * // Basic JSON POST request
@@ -157,6 +174,7 @@ export async function jsonPost(options) {
     urlSearchParams,
     headers,
     withCredentials,
+    schema,
     ...otherOptions
   } = options;
 
@@ -221,6 +239,10 @@ export async function jsonPost(options) {
     );
   }
 
+  if (schema) {
+    return validateResponseData(parsedResponse, schema, response, url);
+  }
+
   return parsedResponse;
 }
 
@@ -230,10 +252,15 @@ export async function jsonPost(options) {
  * This function performs a PUT request with JSON data and expects a JSON
  * response from the server. It handles common error cases and parses the JSON response.
  *
- * @param {import('./typedef').JsonPutOptions} options
+ * @template {import('valibot').GenericSchema|undefined} [TSchema=undefined]
+ *
+ * @param {import('./typedef').JsonPutOptions & { schema?: TSchema }} options
  *   Request configuration options
  *
- * @returns {Promise<any>} Parsed JSON data
+ * @returns {Promise<import('./typedef').JsonResponseData<TSchema>>}
+ *   Parsed JSON data, validated and typed by the schema if given
+ *
+ * @throws {ResponseValidationError} If the data does not match the schema
  *
  * @example
  * // Basic JSON PUT request
@@ -273,6 +300,7 @@ export async function jsonPut(options) {
     urlSearchParams,
     headers,
     withCredentials,
+    schema,
     ...otherOptions
   } = options;
 
@@ -337,6 +365,10 @@ export async function jsonPut(options) {
     );
   }
 
+  if (schema) {
+    return validateResponseData(parsedResponse, schema, response, url);
+  }
+
   return parsedResponse;
 }
 
@@ -346,10 +378,15 @@ export async function jsonPut(options) {
  * This function performs a PATCH request with JSON data and expects a JSON
  * response from the server. It handles common error cases and parses the JSON response.
  *
- * @param {import('./typedef').JsonPatchOptions} options
+ * @template {import('valibot').GenericSchema|undefined} [TSchema=undefined]
+ *
+ * @param {import('./typedef').JsonPatchOptions & { schema?: TSchema }} options
  *   Request configuration options
  *
- * @returns {Promise<any>} Parsed JSON data
+ * @returns {Promise<import('./typedef').JsonResponseData<TSchema>>}
+ *   Parsed JSON data, validated and typed by the schema if given
+ *
+ * @throws {ResponseValidationError} If the data does not match the schema
  *
  * @example
  * // Basic JSON PATCH request
@@ -388,6 +425,7 @@ export async function jsonPatch(options) {
     urlSearchParams,
     headers,
     withCredentials,
+    schema,
     ...otherOptions
   } = options;
 
@@ -452,6 +490,10 @@ export async function jsonPatch(options) {
     );
   }
 
+  if (schema) {
+    return validateResponseData(parsedResponse, schema, response, url);
+  }
+
   return parsedResponse;
 }
 
@@ -461,10 +503,15 @@ export async function jsonPatch(options) {
  * This function performs a DELETE request and expects a JSON response from the server.
  * It handles common error cases and parses the JSON response.
  *
- * @param {import('./typedef').JsonDeleteOptions} options
+ * @template {import('valibot').GenericSchema|undefined} [TSchema=undefined]
+ *
+ * @param {import('./typedef').JsonDeleteOptions & { schema?: TSchema }} options
  *   Request configuration options
  *
- * @returns {Promise<any>} Parsed JSON data
+ * @returns {Promise<import('./typedef').JsonResponseData<TSchema>>}
+ *   Parsed JSON data, validated and typed by the schema if given
+ *
+ * @throws {ResponseValidationError} If the data does not match the schema
  *
  * @example
  * // Basic JSON DELETE request
@@ -496,6 +543,7 @@ export async function jsonDelete(options) {
     urlSearchParams,
     headers,
     withCredentials,
+    schema,
     ...otherOptions
   } = options;
 
@@ -541,5 +589,37 @@ export async function jsonDelete(options) {
     );
   }
 
+  if (schema) {
+    return validateResponseData(parsedResponse, schema, response, url);
+  }
+
   return parsedResponse;
 }
+
+// > Internal functions
+
+/**
+ * Validate the data of a JSON response with a valibot schema
+ *
+ * @param {*} data - Parsed JSON data
+ * @param {import('valibot').GenericSchema} schema - Valibot schema
+ * @param {Response} response - Response of the request
+ * @param {URL} url - URL of the request
+ *
+ * @returns {*} Validated data (output of the schema)
+ *
+ * @throws {ResponseValidationError} If the data does not match the schema
+ */
+function validateResponseData(data, schema, response, url) {
+  const result = v.safeParse(schema, data);
+
+  if (!result.success) {
+    throw new ResponseValidationError(
+      `Server response from [${decodeURI(url.href)}] does not match ` +
+        `the schema:\n${v.summarize(result.issues)}`,
+      { url: url.href, status: response.status, issues: result.issues }
+    );
+  }
+
+  return result.output;
+}
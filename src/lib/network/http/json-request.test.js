@@ -1,8 +1,10 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
+import * as v from 'valibot';
+
 import { APPLICATION_JSON } from '$lib/constants/mime/application.js';
 import { CONTENT_TYPE } from '$lib/constants/http/headers.js';
-import { ResponseError } from '$lib/network/errors.js';
+import { ResponseError, ResponseValidationError } from '$lib/network/errors.js';
 
 import { jsonGet, jsonPost, jsonPut, jsonPatch, jsonDelete } from './json-request.js';
 import { createJsonFetchResponse } from './mocks.js';
@@ -143,6 +145,20 @@ describe('jsonGet', () => {
 			expect(error.cause instanceof TypeError).toBe(true);
 		}
 	});
+
+	it('should pass the retry option to httpRequest', async () => {
+		const url = 'http://localhost';
+
+		// @ts-ignore
+		fetch
+			.mockRejectedValueOnce(new TypeError('Network error'))
+			.mockResolvedValueOnce(createJsonFetchResponse({ hello: 'world' }));
+
+		const data = await jsonGet({ url, retry: { initialDelayMs: 1 } });
+
+		expect(data?.hello).toEqual('world');
+		expect(fetch).toHaveBeenCalledTimes(2);
+	});
 });
 
 describe('jsonPost', () => {
@@ -691,3 +707,76 @@ describe('jsonDelete', () => {
 		}
 	});
 });
+
+describe('JSON response schemas', () => {
+	const UserSchema = v.object({
+		id: v.number(),
+		name: v.string()
+	});
+
+	it('should return the validated data', async () => {
+		// @ts-ignore
+		fetch.mockResolvedValue(createJsonFetchResponse({ id: 1, name: 'Jens', extra: true }));
+
+		const user = await jsonGet({ url: 'http://localhost/users/1', schema: UserSchema });
+
+		// v.object removes unknown keys
+		expect(user).toEqual({ id: 1, name: 'Jens' });
+	});
+
+	it('should apply schema transformations', async () => {
+		// @ts-ignore
+		fetch.mockResolvedValue(createJsonFetchResponse({ createdAt: '2024-01-02T00:00:00Z' }));
+
+		const data = await jsonPost({
+			url: 'http://localhost/items',
+			body: JSON.stringify({}),
+			schema: v.object({
+				createdAt: v.pipe(v.string(), v.transform((value) => new Date(value)))
+			})
+		});
+
+		expect(data.createdAt).toBeInstanceOf(Date);
+	});
+
+	it('should throw a ResponseValidationError on mismatch', async () => {
+		// @ts-ignore
+		fetch.mockResolvedValue({ ...createJsonFetchResponse({ id: '1' }), status: 200 });
+
+		const error = await jsonGet({
+			url: 'http://localhost/users/1',
+			schema: UserSchema
+		}).catch((e) => e);
+
+		expect(error).toBeInstanceOf(ResponseValidationError);
+		expect(error).toBeInstanceOf(ResponseError);
+		expect(error.url).toBe('http://localhost/users/1');
+		expect(error.status).toBe(200);
+		expect(error.issues.map((issue) => v.getDotPath(issue))).toEqual(['id', 'name']);
+		expect(error.message).toContain('does not match the schema');
+	});
+
+	it('should validate the data of all JSON helpers', async () => {
+		for (const helper of [jsonPut, jsonPatch, jsonDelete]) {
+			// @ts-ignore
+			fetch.mockResolvedValue(createJsonFetchResponse([1, 2]));
+
+			await expect(
+				helper({
+					url: 'http://localhost',
+					body: JSON.stringify(null),
+					schema: v.array(v.string())
+				})
+			).rejects.toThrow(ResponseValidationError);
+		}
+	});
+
+	it('should not pass the schema to the request', async () => {
+		// @ts-ignore
+		fetch.mockResolvedValue(createJsonFetchResponse({ id: 1, name: 'Jens' }));
+
+		await jsonGet({ url: 'http://localhost', schema: UserSchema });
+
+		expect(lastRequestInit).not.toHaveProperty('schema');
+	});
+});
@@ -1,6 +1,404 @@
 import { CONTENT_TYPE, CONTENT_LENGTH } from '$lib/constants/http.js';
 
-import { OCTET_STREAM } from '$lib/constants/mime.js';
+import { APPLICATION_JSON, OCTET_STREAM } from '$lib/constants/mime.js';
+
+import { hasProtocol, globToRegExp } from './url.js';
+
+import { createPngResponse } from '../loaders/image/mocks.js';
+import { createWavResponse } from '../loaders/audio/mocks.js';
+import { createDataResponse } from '../states/mocks.js';
+
+/**
+ * Mock responses that can be returned by name using the `fixture`
+ * option of a route
+ */
+const FIXTURES = {
+	png: createPngResponse,
+	wav: createWavResponse,
+	data: createDataResponse
+};
+
+/**
+ * Response statuses that do not allow a response body
+ */
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
+// > Types
+
+/**
+ * @typedef {object} MockFetchCall
+ * @property {string} method - HTTP method of the request
+ * @property {string} url - Absolute URL of the request
+ * @property {Headers} headers - Request headers
+ * @property {Request} request - Copy of the request, e.g. to read the body
+ * @property {AbortSignal|null} signal - Signal that was passed to fetch
+ */
+
+/**
+ * @typedef {object} MockRouteResponse
+ * @property {number} [status=200] - Response status
+ * @property {string} [statusText] - Response status text
+ * @property {Object<string, string>} [headers] - Response headers
+ * @property {*} [json] - Data to return as JSON
+ * @property {string} [text] - Text to return
+ * @property {BodyInit|null} [body] - Body to return as is
+ * @property {ArrayBuffer|Uint8Array<ArrayBuffer>} [binary] - Bytes to return as
+ *   `application/octet-stream`
+ * @property {ArrayBuffer} [stream] - Bytes to return as a streamed body
+ *   in ten chunks
+ * @property {'png'|'wav'|'data'} [fixture] - Return one of the mock
+ *   image, audio or binary data responses
+ * @property {number} [delayMs] - Wait before responding
+ * @property {boolean} [timeout=false] - Never respond, the request only
+ *   ends when it is aborted, e.g. by the `timeoutMs` of a request
+ * @property {boolean|string} [networkError=false] - Reject with a
+ *   TypeError like fetch does for network errors, a string is used as
+ *   error message
+ */
+
+/**
+ * @typedef {MockRouteResponse
+ *   |((call: MockFetchCall) => MockRouteResponse|Response|Promise<MockRouteResponse|Response>)
+ * } MockRouteHandler
+ */
+
+/**
+ * @typedef {string|RegExp|((url: URL) => boolean)} MockRoutePattern
+ */
+
+/**
+ * @typedef {object} MockRouteOptions
+ * @property {number} [times] - Number of requests the route responds to,
+ *   all requests by default
+ */
+
+// > Exports
+
+/**
+ * Create a fetch mock that responds to requests using routes
+ *
+ * Routes are matched in the order in which they were added. A route
+ * matches by method (`*` for any method) and URL pattern. Patterns are
+ * globs where `*` matches any characters except `/` and `**` matches any
+ * characters, regular expressions or functions. Relative patterns are
+ * matched against the path, absolute patterns against the full URL. The
+ * query string is only compared if the pattern contains a `?`.
+ *
+ * Requests that do not match a route are rejected with an error.
+ *
+ * @param {object} [options]
+ * @param {(fn: typeof fetch) => typeof fetch} [options.createSpy]
+ *   Wrap the mocked fetch function in a spy, e.g. `vi.fn`
+ *
+ * @returns {MockFetchRouter}
+ *
+ * @example
+ * const router = createFetchRouter()
+ *   .get('https://api.example.com/users/*', { json: { id: 1 } })
+ *   .post('/users', { status: 201, json: { id: 2 } })
+ *   .get('/status', { status: 503 }, { times: 1 })
+ *   .get('/status', { json: { ok: true } })
+ *   .get('/slow', { timeout: true })
+ *   .get('/offline', { networkError: true })
+ *   .get('/images/*.png', { fixture: 'png' });
+ *
+ * beforeEach(() => router.install());
+ * afterEach(() => router.restore());
+ *
+ * it('should create a user', async () => {
+ *   await jsonPost({ url: 'https://api.example.com/users', body: '{}' });
+ *
+ *   expect(router.calls[0].method).toBe('POST');
+ * });
+ */
+export function createFetchRouter(options) {
+	return new MockFetchRouter(options);
+}
+
+/**
+ * Fetch mock that responds to requests using routes
+ *
+ * @see createFetchRouter
+ */
+export class MockFetchRouter {
+	/**
+	 * Requests that were received, in order
+	 *
+	 * @type {MockFetchCall[]}
+	 */
+	calls = [];
+
+	/**
+	 * @type {{
+	 *   method: string,
+	 *   pattern: MockRoutePattern,
+	 *   handler: MockRouteHandler,
+	 *   remaining: number
+	 * }[]}
+	 */
+	#routes = [];
+
+	/** @type {typeof fetch|undefined|null} */
+	#originalFetch = null;
+
+	/**
+	 * Mocked fetch function, requests are recorded in `calls`
+	 *
+	 * @type {typeof fetch}
+	 */
+	fetch;
+
+	/**
+	 * @param {object} [options]
+	 * @param {(fn: typeof fetch) => typeof fetch} [options.createSpy]
+	 *   Wrap the mocked fetch function in a spy, e.g. `vi.fn`, so that it
+	 *   can be used with `expect(...).toHaveBeenCalled()`
+	 */
+	constructor({ createSpy } = {}) {
+		/**
+		 * @param {RequestInfo|URL} input
+		 * @param {RequestInit} [init]
+		 *
+		 * @returns {Promise<Response>}
+		 */
+		const respond = (input, init) => this.#respond(input, init);
+
+		this.fetch = createSpy ? createSpy(respond) : respond;
+	}
+
+	/**
+	 * Add a route
+	 *
+	 * @param {string} method - HTTP method or `*` for any method
+	 * @param {MockRoutePattern} pattern - URL pattern
+	 * @param {MockRouteHandler} handler - Response or function that
+	 *   returns a response
+	 * @param {MockRouteOptions} [options]
+	 *
+	 * @returns {this}
+	 */
+	on(method, pattern, handler, options = {}) {
+		this.#routes.push({
+			method: method.toUpperCase(),
+			pattern,
+			handler,
+			remaining: options.times ?? Infinity
+		});
+
+		return this;
+	}
+
+	/**
+	 * Add a route for GET requests
+	 *
+	 * @param {MockRoutePattern} pattern
+	 * @param {MockRouteHandler} handler
+	 * @param {MockRouteOptions} [options]
+	 *
+	 * @returns {this}
+	 */
+	get(pattern, handler, options) {
+		return this.on('GET', pattern, handler, options);
+	}
+
+	/**
+	 * Add a route for POST requests
+	 *
+	 * @param {MockRoutePattern} pattern
+	 * @param {MockRouteHandler} handler
+	 * @param {MockRouteOptions} [options]
+	 *
+	 * @returns {this}
+	 */
+	post(pattern, handler, options) {
+		return this.on('POST', pattern, handler, options);
+	}
+
+	/**
+	 * Add a route for PUT requests
+	 *
+	 * @param {MockRoutePattern} pattern
+	 * @param {MockRouteHandler} handler
+	 * @param {MockRouteOptions} [options]
+	 *
+	 * @returns {this}
+	 */
+	put(pattern, handler, options) {
+		return this.on('PUT', pattern, handler, options);
+	}
+
+	/**
+	 * Add a route for PATCH requests
+	 *
+	 * @param {MockRoutePattern} pattern
+	 * @param {MockRouteHandler} handler
+	 * @param {MockRouteOptions} [options]
+	 *
+	 * @returns {this}
+	 */
+	patch(pattern, handler, options) {
+		return this.on('PATCH', pattern, handler, options);
+	}
+
+	/**
+	 * Add a route for DELETE requests
+	 *
+	 * @param {MockRoutePattern} pattern
+	 * @param {MockRouteHandler} handler
+	 * @param {MockRouteOptions} [options]
+	 *
+	 * @returns {this}
+	 */
+	delete(pattern, handler, options) {
+		return this.on('DELETE', pattern, handler, options);
+	}
+
+	/**
+	 * Add a route for HEAD requests
+	 *
+	 * @param {MockRoutePattern} pattern
+	 * @param {MockRouteHandler} handler
+	 * @param {MockRouteOptions} [options]
+	 *
+	 * @returns {this}
+	 */
+	head(pattern, handler, options) {
+		return this.on('HEAD', pattern, handler, options);
+	}
+
+	/**
+	 * Add a route for OPTIONS requests
+	 *
+	 * @param {MockRoutePattern} pattern
+	 * @param {MockRouteHandler} handler
+	 * @param {MockRouteOptions} [options]
+	 *
+	 * @returns {this}
+	 */
+	options(pattern, handler, options) {
+		return this.on('OPTIONS', pattern, handler, options);
+	}
+
+	/**
+	 * Get the received requests that match a method and URL pattern
+	 *
+	 * @param {string} [method='*'] - HTTP method or `*` for any method
+	 * @param {MockRoutePattern} [pattern='**'] - URL pattern
+	 *
+	 * @returns {MockFetchCall[]}
+	 */
+	callsTo(method = '*', pattern = '**') {
+		return this.calls.filter((call) =>
+			matchesRoute(method.toUpperCase(), pattern, call)
+		);
+	}
+
+	/**
+	 * Use the router as global `fetch`
+	 *
+	 * @returns {this}
+	 */
+	install() {
+		if (this.#originalFetch === null) {
+			this.#originalFetch = globalThis.fetch;
+		}
+
+		globalThis.fetch = /** @type {typeof fetch} */ (this.fetch);
+
+		return this;
+	}
+
+	/**
+	 * Restore the global `fetch` and remove all routes and recorded calls
+	 */
+	restore() {
+		if (this.#originalFetch !== null) {
+			if (this.#originalFetch) {
+				globalThis.fetch = this.#originalFetch;
+			} else {
+				// @ts-ignore
+				delete globalThis.fetch;
+			}
+
+			this.#originalFetch = null;
+		}
+
+		this.reset();
+	}
+
+	/**
+	 * Remove all routes and recorded calls
+	 */
+	reset() {
+		this.#routes = [];
+		this.calls = [];
+		/** @type {{ mockClear?: () => void }} */ (this.fetch).mockClear?.();
+	}
+
+	/**
+	 * Respond to a request
+	 *
+	 * @param {RequestInfo|URL} input
+	 * @param {RequestInit} [init]
+	 *
+	 * @returns {Promise<Response>}
+	 */
+	async #respond(input, init) {
+		const request = new Request(input, init);
+
+		const signal =
+			init?.signal ?? (input instanceof Request ? input.signal : null);
+
+		/** @type {MockFetchCall} */
+		const call = {
+			method: request.method,
+			url: request.url,
+			headers: request.headers,
+			request: request.clone(),
+			signal
+		};
+
+		this.calls.push(call);
+
+		const route = this.#routes.find(
+			(route) =>
+				route.remaining > 0 && matchesRoute(route.method, route.pattern, call)
+		);
+
+		if (!route) {
+			throw new Error(
+				`No mock route matches request [${call.method} ${call.url}]`
+			);
+		}
+
+		route.remaining--;
+
+		const handled =
+			typeof route.handler === 'function'
+				? await route.handler(call)
+				: route.handler;
+
+		if (handled instanceof Response) {
+			return handled;
+		}
+
+		const { delayMs, timeout, networkError } = handled;
+
+		if (delayMs || timeout) {
+			await waitForAbort(timeout ? null : (delayMs ?? 0), signal);
+		} else if (signal?.aborted) {
+			throw signal.reason;
+		}
+
+		if (networkError) {
+			throw new TypeError(
+				typeof networkError === 'string' ? networkError : 'Failed to fetch'
+			);
+		}
+
+		return createRouteResponse(handled);
+	}
+}
 
 /**
  * Create a response value that can be used by a mocked fetch function
@@ -39,8 +437,10 @@ export function createStreamedResponse(arrayBuffer /*, options */) {
 				// Calculate the size of the current chunk
 				const currentChunkSize = Math.min(chunkSize, byteLength - offset);
 
-				// Create a new ArrayBuffer for this chunk
-				const chunk = arrayBuffer.slice(offset, offset + currentChunkSize);
+				// Enqueue a copy of the bytes as Uint8Array, like a fetch body
+				const chunk = new Uint8Array(
+					arrayBuffer.slice(offset, offset + currentChunkSize)
+				);
 
 				controller.enqueue(chunk);
 				offset += currentChunkSize;
@@ -63,3 +463,130 @@ export function createStreamedResponse(arrayBuffer /*, options */) {
 
 	return response;
 }
+
+// > Internal functions
+
+/**
+ * Check if a request matches the method and URL pattern of a route
+ *
+ * @param {string} method - HTTP method or `*`
+ * @param {MockRoutePattern} pattern - URL pattern
+ * @param {MockFetchCall} call - Received request
+ *
+ * @returns {boolean}
+ */
+function matchesRoute(method, pattern, call) {
+	if (method !== '*' && method !== call.method) {
+		return false;
+	}
+
+	const url = new URL(call.url);
+
+	if (typeof pattern === 'function') {
+		return pattern(url);
+	}
+
+	if (pattern instanceof RegExp) {
+		return pattern.test(url.href);
+	}
+
+	const withQuery = pattern.includes('?');
+
+	const target = hasProtocol(pattern)
+		? url.origin + url.pathname
+		: url.pathname;
+
+	return globToRegExp(pattern).test(withQuery ? target + url.search : target);
+}
+
+/**
+ * Wait until a delay has passed or the request was aborted
+ *
+ * @param {number|null} delayMs - Delay in milliseconds, or null to wait
+ *   until the request is aborted
+ * @param {AbortSignal|null} signal - Signal of the request
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {*} The abort reason if the request was aborted
+ */
+function waitForAbort(delayMs, signal) {
+	return new Promise((resolve, reject) => {
+		if (signal?.aborted) {
+			reject(signal.reason);
+			return;
+		}
+
+		/** @type {ReturnType<typeof setTimeout>|undefined} */
+		let timer;
+
+		const onAbort = () => {
+			clearTimeout(timer);
+			reject(signal?.reason);
+		};
+
+		if (delayMs !== null) {
+			timer = setTimeout(() => {
+				signal?.removeEventListener('abort', onAbort);
+				resolve();
+			}, delayMs);
+		}
+
+		signal?.addEventListener('abort', onAbort, { once: true });
+	});
+}
+
+/**
+ * Create the response of a route
+ *
+ * @param {MockRouteResponse} options
+ *
+ * @returns {Response}
+ */
+function createRouteResponse(options) {
+	const {
+		status = 200,
+		statusText,
+		headers,
+		json,
+		text,
+		body,
+		binary,
+		stream,
+		fixture
+	} = options;
+
+	/** @type {Response} */
+	let base;
+
+	if (fixture) {
+		base = FIXTURES[fixture]();
+	} else if (stream) {
+		base = createStreamedResponse(stream);
+	} else if (binary) {
+		base = new Response(binary, {
+			headers: {
+				[CONTENT_TYPE]: OCTET_STREAM,
+				[CONTENT_LENGTH]: String(binary.byteLength)
+			}
+		});
+	} else if (json !== undefined) {
+		base = new Response(JSON.stringify(json), {
+			headers: { [CONTENT_TYPE]: APPLICATION_JSON }
+		});
+	} else {
+		base = new Response(text ?? body ?? null);
+	}
+
+	const responseHeaders = new Headers(base.headers);
+
+	for (const [name, value] of Object.entries(headers ?? {})) {
+		responseHeaders.set(name, value);
+	}
+
+	return new Response(NULL_BODY_STATUSES.includes(status) ? null : base.body, {
+		status,
+		statusText,
+		headers: responseHeaders
+	});
+}
@@ -0,0 +1,196 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import { IMAGE_PNG } from '$lib/constants/mime/image.js';
+import { TimeoutError } from '$lib/generic/errors.js';
+
+import { createFetchRouter } from './mocks.js';
+import { httpGet, httpPost } from './http-request.js';
+import { jsonGet } from './json-request.js';
+
+// > Mocks
+
+const router = createFetchRouter();
+
+afterEach(() => {
+  router.restore();
+});
+
+// > Tests
+
+describe('createFetchRouter', () => {
+  it('should respond with JSON', async () => {
+    router
+      .install()
+      .get('https://api.example.com/users/*', { json: { id: 1 } });
+
+    const data = await jsonGet({ url: 'https://api.example.com/users/1' });
+
+    expect(data).toEqual({ id: 1 });
+  });
+
+  it('should match by method and relative pattern', async () => {
+    router
+      .install()
+      .get('/users', { json: { method: 'GET' } })
+      .post('/users', { status: 201, json: { method: 'POST' } });
+
+    const response = await fetch('https://api.example.com/users', {
+      method: 'POST',
+      body: '{"name":"Jim"}'
+    });
+
+    expect(response.status).toBe(201);
+    expect(await response.json()).toEqual({ method: 'POST' });
+  });
+
+  it('should match globs and query strings', async () => {
+    router
+      .install()
+      .get('/files/**', { text: 'file' })
+      .get('/search?q=*', { text: 'search' });
+
+    expect(
+      await (await fetch('https://example.com/files/a/b.txt')).text()
+    ).toBe('file');
+    expect(
+      await (await fetch('https://example.com/search?q=cats')).text()
+    ).toBe('search');
+    await expect(fetch('https://example.com/search')).rejects.toThrow(
+      /No mock route/
+    );
+  });
+
+  it('should respond a limited number of times', async () => {
+    router
+      .install()
+      .get('/status', { status: 503 }, { times: 1 })
+      .get('/status', { json: { ok: true } });
+
+    const first = await fetch('https://example.com/status');
+    const second = await fetch('https://example.com/status');
+
+    expect(first.status).toBe(503);
+    expect(second.status).toBe(200);
+  });
+
+  it('should call handler functions', async () => {
+    router.install().post('/echo', async ({ request }) => ({
+      json: await request.json()
+    }));
+
+    const response = await fetch('https://example.com/echo', {
+      method: 'POST',
+      body: '{"a":1}'
+    });
+
+    expect(await response.json()).toEqual({ a: 1 });
+  });
+
+  it('should return binary, streamed and fixture bodies', async () => {
+    const bytes = new Uint8Array([1, 2, 3, 4]);
+
+    router
+      .install()
+      .get('/binary', { binary: bytes })
+      .get('/stream', { stream: bytes.buffer })
+      .get('/image.png', { fixture: 'png' });
+
+    const binary = await fetch('https://example.com/binary');
+    const stream = await fetch('https://example.com/stream');
+    const image = await fetch('https://example.com/image.png');
+
+    expect(new Uint8Array(await binary.arrayBuffer())).toEqual(bytes);
+    expect(new Uint8Array(await stream.arrayBuffer())).toEqual(bytes);
+    expect(image.headers.get('content-type')).toBe(IMAGE_PNG);
+  });
+
+  it('should simulate network errors', async () => {
+    router.install().get('/offline', { networkError: true });
+
+    await expect(fetch('https://example.com/offline')).rejects.toBeInstanceOf(
+      TypeError
+    );
+  });
+
+  it('should delay responses and respect abort signals', async () => {
+    router.install().get('/slow', { delayMs: 20, text: 'slow' });
+
+    const start = Date.now();
+    const response = await fetch('https://example.com/slow');
+
+    expect(Date.now() - start).toBeGreaterThanOrEqual(15);
+    expect(await response.text()).toBe('slow');
+
+    const controller = new AbortController();
+    const promise = fetch('https://example.com/slow', {
+      signal: controller.signal
+    });
+
+    controller.abort(new Error('Stop'));
+
+    await expect(promise).rejects.toThrow('Stop');
+  });
+
+  it('should simulate timeouts', async () => {
+    router.install().get('/hang', { timeout: true });
+
+    await expect(
+      httpGet({
+        url: 'https://example.com/hang',
+        timeoutMs: 10,
+        cacheEnabled: false
+      })
+    ).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  it('should record calls', async () => {
+    router.install().on('*', '**', { status: 204 });
+
+    await httpPost({
+      url: 'https://example.com/items',
+      body: 'payload',
+      headers: { 'x-test': '1' }
+    });
+
+    await fetch('https://example.com/other');
+
+    expect(router.calls).toHaveLength(2);
+
+    const [call] = router.callsTo('POST', '/items');
+
+    expect(call.url).toBe('https://example.com/items');
+    expect(call.headers.get('x-test')).toBe('1');
+    expect(await call.request.text()).toBe('payload');
+  });
+
+  it('should wrap fetch in a spy', async () => {
+    const spied = createFetchRouter({ createSpy: vi.fn }).install();
+
+    try {
+      spied.get('/items', { text: 'items' });
+
+      await fetch('https://example.com/items');
+
+      expect(spied.fetch).toHaveBeenCalledTimes(1);
+
+      spied.reset();
+
+      expect(spied.fetch).not.toHaveBeenCalled();
+    } finally {
+      spied.restore();
+    }
+  });
+
+  it('should restore the global fetch', () => {
+    const original = globalThis.fetch;
+
+    router.install();
+
+    expect(globalThis.fetch).toBe(router.fetch);
+
+    router.restore();
+
+    expect(globalThis.fetch).toBe(original);
+    expect(router.calls).toEqual([]);
+  });
+});
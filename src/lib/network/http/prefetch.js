@@ -0,0 +1,65 @@
+import * as expect from '$lib/util/expect.js';
+
+import { httpGet } from './http-request.js';
+
+/**
+ * Fetch a list of URLs to fill the HTTP cache
+ *
+ * The requests are sent with at most `concurrency` requests at the same
+ * time. Responses that may be cached are stored in the cache, the bodies
+ * are not returned. Failed requests do not stop the other requests.
+ *
+ * @param {(string|URL|import('./typedef').HttpRequestOptions)[]} requests
+ *   URLs or request options
+ * @param {import('./typedef').HttpRequestOptions & { concurrency?: number }} [options]
+ *   Number of requests at the same time (default 4) and options for all
+ *   requests, e.g. `cacheTags` or `cacheStorage`
+ *
+ * @returns {Promise<import('./typedef').PrefetchResult[]>}
+ *   Result for every request, in the order of the requests
+ *
+ * @example
+ * await prefetchUrls(
+ *   ['/api/profile', '/api/settings', '/api/notifications'],
+ *   { concurrency: 2, cacheTags: ['session'] }
+ * );
+ */
+export async function prefetchUrls(requests, options) {
+  const { concurrency = 4, ...requestOptions } = options ?? {};
+
+  expect.positiveNumber(concurrency);
+
+  /** @type {import('./typedef').PrefetchResult[]} */
+  const results = new Array(requests.length);
+
+  let next = 0;
+
+  const worker = async () => {
+    while (next < requests.length) {
+      const index = next++;
+      const item = requests[index];
+
+      const request =
+        typeof item === 'string' || item instanceof URL ? { url: item } : item;
+
+      const url = request.url;
+
+      try {
+        const response = await httpGet({ ...requestOptions, ...request });
+
+        // The response is in the cache now
+        await response.body?.cancel();
+
+        results[index] = { url: String(url), ok: true, error: null };
+      } catch (error) {
+        results[index] = { url: String(url), ok: false, error };
+      }
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(concurrency, requests.length) }, worker)
+  );
+
+  return results;
+}
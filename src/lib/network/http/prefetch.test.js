@@ -0,0 +1,91 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import { MemoryResponseCache } from '$lib/network/cache.js';
+
+import { getCacheEntries } from './caching.js';
+import { prefetchUrls } from './prefetch.js';
+
+// > Mocks
+
+beforeEach(() => {
+  global.fetch = vi.fn();
+});
+
+afterEach(() => {
+  // @ts-ignore
+  delete global.fetch;
+});
+
+// > Tests
+
+describe('prefetchUrls', () => {
+  it('should store the responses in the cache', async () => {
+    const storage = new MemoryResponseCache();
+
+    // @ts-ignore
+    fetch.mockImplementation(
+      async () =>
+        new Response('data', { headers: { 'cache-control': 'max-age=60' } })
+    );
+
+    const results = await prefetchUrls(
+      [
+        'https://api.example.com/a',
+        { url: 'https://api.example.com/b', cacheTags: ['b'] }
+      ],
+      { cacheStorage: storage }
+    );
+
+    expect(results).toEqual([
+      { url: 'https://api.example.com/a', ok: true, error: null },
+      { url: 'https://api.example.com/b', ok: true, error: null }
+    ]);
+
+    const entries = await getCacheEntries({ storage });
+
+    expect(entries.map(({ url, tags }) => ({ url, tags }))).toEqual([
+      { url: 'https://api.example.com/a', tags: [] },
+      { url: 'https://api.example.com/b', tags: ['b'] }
+    ]);
+  });
+
+  it('should limit the number of concurrent requests', async () => {
+    let active = 0;
+    let maxActive = 0;
+
+    // @ts-ignore
+    fetch.mockImplementation(async () => {
+      active++;
+      maxActive = Math.max(maxActive, active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      active--;
+      return new Response('data');
+    });
+
+    const urls = Array.from(
+      { length: 7 },
+      (_, index) => `https://api.example.com/${index}`
+    );
+
+    await prefetchUrls(urls, { concurrency: 3, cacheEnabled: false });
+
+    expect(fetch).toHaveBeenCalledTimes(7);
+    expect(maxActive).toBe(3);
+  });
+
+  it('should report failed requests without stopping', async () => {
+    // @ts-ignore
+    fetch
+      .mockResolvedValueOnce(new Response('missing', { status: 404 }))
+      .mockResolvedValueOnce(new Response('data'));
+
+    const results = await prefetchUrls(
+      ['https://api.example.com/missing', 'https://api.example.com/ok'],
+      { concurrency: 1, cacheEnabled: false }
+    );
+
+    expect(results[0].ok).toBe(false);
+    expect(results[0].error).toBeInstanceOf(Error);
+    expect(results[1].ok).toBe(true);
+  });
+});
@@ -0,0 +1,201 @@
+import {
+  METHOD_GET,
+  METHOD_PUT,
+  METHOD_DELETE,
+  METHOD_OPTIONS,
+  METHOD_HEAD
+} from '$lib/constants/http/methods.js';
+
+import { RETRY_AFTER } from '$lib/constants/http/headers.js';
+
+import { TimeoutError } from '$lib/generic/errors.js';
+
+import { computeBackoffDelay } from '$lib/util/backoff.js';
+
+import {
+  HTTP_TOO_MANY_REQUESTS,
+  HTTP_BAD_GATEWAY,
+  HTTP_SERVICE_UNAVAILABLE,
+  HTTP_GATEWAY_TIMEOUT
+} from './http-status-codes.js';
+
+/**
+ * HTTP methods that can safely be sent more than once
+ *
+ * @see https://developer.mozilla.org/en-US/docs/Glossary/Idempotent
+ */
+export const IDEMPOTENT_METHODS = [
+  METHOD_GET,
+  METHOD_HEAD,
+  METHOD_OPTIONS,
+  METHOD_PUT,
+  METHOD_DELETE
+];
+
+/**
+ * Response statuses that are retried by default
+ */
+export const RETRYABLE_STATUSES = [
+  HTTP_TOO_MANY_REQUESTS,
+  HTTP_BAD_GATEWAY,
+  HTTP_SERVICE_UNAVAILABLE,
+  HTTP_GATEWAY_TIMEOUT
+];
+
+/**
+ * Response statuses for which the `retry-after` header is used
+ */
+const RETRY_AFTER_STATUSES = [HTTP_TOO_MANY_REQUESTS, HTTP_SERVICE_UNAVAILABLE];
+
+/**
+ * Default retry options
+ *
+ * @type {Required<Omit<import('./typedef').RetryOptions, 'onRetry'>>}
+ */
+export const DEFAULT_RETRY_OPTIONS = {
+  attempts: 3,
+  initialDelayMs: 200,
+  maxDelayMs: 5000,
+  factor: 2,
+  jitter: 0.5,
+  methods: IDEMPOTENT_METHODS,
+  isRetryableStatus: (status) => RETRYABLE_STATUSES.includes(status),
+  isRetryableError: (error) =>
+    error instanceof TypeError || error instanceof TimeoutError,
+  respectRetryAfter: true,
+  maxRetryAfterMs: 30000
+};
+
+/**
+ * Get the retry options of a request
+ *
+ * Requests with a method that is not idempotent are only retried when the
+ * method is listed in `methods`, or when the request has an
+ * `idempotency-key` header.
+ *
+ * @param {import('./typedef').RetryOptions|number|boolean|undefined} retry
+ *   Retry options, the maximum number of attempts, or true for the
+ *   default options
+ * @param {string} method - HTTP method of the request
+ * @param {boolean} [hasIdempotencyKey=false]
+ *   Whether the request has an idempotency key
+ *
+ * @returns {import('./typedef').RetryOptions & typeof DEFAULT_RETRY_OPTIONS|null}
+ *   Retry options, or null if the request should not be retried
+ *
+ * @example
+ * getRetryOptions(3, 'GET');
+ * // Returns: { ...DEFAULT_RETRY_OPTIONS, attempts: 3 }
+ *
+ * getRetryOptions(3, 'POST');
+ * // Returns: null
+ */
+export function getRetryOptions(retry, method, hasIdempotencyKey = false) {
+  if (!retry) {
+    return null;
+  }
+
+  const options = {
+    ...DEFAULT_RETRY_OPTIONS,
+    ...(typeof retry === 'number'
+      ? { attempts: retry }
+      : typeof retry === 'object'
+        ? retry
+        : {})
+  };
+
+  if (options.attempts <= 1) {
+    return null;
+  }
+
+  if (!options.methods.includes(method) && !hasIdempotencyKey) {
+    return null;
+  }
+
+  return options;
+}
+
+/**
+ * Compute the delay before a retry using exponential backoff with jitter
+ *
+ * @param {number} attempt - Number of the attempt that failed, starting at 1
+ * @param {typeof DEFAULT_RETRY_OPTIONS} options - Retry options
+ * @param {() => number} [random=Math.random] - Random number source [0, 1)
+ *
+ * @returns {number} Delay in milliseconds
+ *
+ * @example
+ * computeRetryDelay(3, { ...DEFAULT_RETRY_OPTIONS, jitter: 0 });
+ * // Returns: 800
+ */
+export function computeRetryDelay(attempt, options, random = Math.random) {
+  return computeBackoffDelay(attempt, options, random);
+}
+
+/**
+ * Get the delay requested by the server in the `retry-after` header
+ *
+ * Only 429 Too Many Requests and 503 Service Unavailable responses are
+ * considered.
+ *
+ * @param {Response} response - Response that will be retried
+ * @param {number} [now=Date.now()] - Current time in ms since epoch
+ *
+ * @returns {number|null} Delay in milliseconds, or null if not set
+ *
+ * @example
+ * // retry-after: 2
+ * getRetryAfterMs(response);
+ * // Returns: 2000
+ */
+export function getRetryAfterMs(response, now = Date.now()) {
+  if (!RETRY_AFTER_STATUSES.includes(response.status)) {
+    return null;
+  }
+
+  const value = response.headers?.get(RETRY_AFTER)?.trim();
+
+  if (!value) {
+    return null;
+  }
+
+  if (/^\d+$/.test(value)) {
+    return parseInt(value, 10) * 1000;
+  }
+
+  // HTTP date
+  const at = Date.parse(value);
+
+  return Number.isNaN(at) ? null : Math.max(0, at - now);
+}
+
+/**
+ * Wait before the next attempt, unless the request is aborted
+ *
+ * @param {number} delayMs - Delay in milliseconds
+ * @param {AbortSignal} signal - Signal of the request
+ *
+ * @returns {Promise<void>}
+ *
+ * @throws {*} The abort reason if the request was aborted while waiting
+ */
+export function waitForRetry(delayMs, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, delayMs);
+
+    signal.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+
+import {
+  getRetryOptions,
+  computeRetryDelay,
+  getRetryAfterMs,
+  DEFAULT_RETRY_OPTIONS
+} from './retry.js';
+
+// > Tests
+
+describe('getRetryOptions', () => {
+  it('should be disabled by default', () => {
+    expect(getRetryOptions(undefined, 'GET')).toBeNull();
+    expect(getRetryOptions(false, 'GET')).toBeNull();
+    expect(getRetryOptions(1, 'GET')).toBeNull();
+  });
+
+  it('should accept a number of attempts', () => {
+    expect(getRetryOptions(5, 'GET')).toEqual({
+      ...DEFAULT_RETRY_OPTIONS,
+      attempts: 5
+    });
+  });
+
+  it('should only retry idempotent methods', () => {
+    expect(getRetryOptions(true, 'PUT')).not.toBeNull();
+    expect(getRetryOptions(true, 'POST')).toBeNull();
+    expect(getRetryOptions(true, 'POST', true)).not.toBeNull();
+    expect(getRetryOptions({ methods: ['POST'] }, 'POST')).not.toBeNull();
+  });
+});
+
+describe('computeRetryDelay', () => {
+  const options = {
+    ...DEFAULT_RETRY_OPTIONS,
+    initialDelayMs: 100,
+    maxDelayMs: 1000
+  };
+
+  it('should grow exponentially up to the maximum', () => {
+    const noJitter = { ...options, jitter: 0 };
+
+    expect(computeRetryDelay(1, noJitter)).toBe(100);
+    expect(computeRetryDelay(3, noJitter)).toBe(400);
+    expect(computeRetryDelay(10, noJitter)).toBe(1000);
+  });
+
+  it('should subtract jitter', () => {
+    expect(computeRetryDelay(1, { ...options, jitter: 0.5 }, () => 1)).toBe(50);
+  });
+});
+
+describe('getRetryAfterMs', () => {
+  it('should parse seconds', () => {
+    const response = new Response(null, {
+      status: 503,
+      headers: { 'retry-after': '3' }
+    });
+
+    expect(getRetryAfterMs(response)).toBe(3000);
+  });
+
+  it('should parse HTTP dates', () => {
+    const now = Date.parse('Wed, 21 Oct 2026 07:28:00 GMT');
+    const response = new Response(null, {
+      status: 429,
+      headers: { 'retry-after': 'Wed, 21 Oct 2026 07:28:05 GMT' }
+    });
+
+    expect(getRetryAfterMs(response, now)).toBe(5000);
+  });
+
+  it('should ignore other statuses and invalid values', () => {
+    expect(
+      getRetryAfterMs(
+        new Response(null, { status: 502, headers: { 'retry-after': '3' } })
+      )
+    ).toBeNull();
+    expect(
+      getRetryAfterMs(
+        new Response(null, { status: 503, headers: { 'retry-after': 'soon' } })
+      )
+    ).toBeNull();
+  });
+});
@@ -6,16 +6,91 @@
  * @property {Object|URLSearchParams} [urlSearchParams]
  *   Parameters to add to the URL
  *
- * @property {*} [body] Request body (for POST, PUT, etc.)
+ * @property {*} [body]
+ *   Request body (for POST, PUT, etc.), can be a ReadableStream
+ *
  * @property {Record<string, string>} [headers] HTTP headers as name-value pairs
  * @property {boolean} [withCredentials] Whether to include credentials
  * @property {number} [timeoutMs] Request timeout in milliseconds
  * @property {Function} [requestHandler] Handler for abort/timeout control
+ *
+ * @property {import('./upload.js').uploadProgressCallback} [onUploadProgress]
+ *   Callback that reports the bytes of the body sent so far, only the
+ *   start and completion if request bodies cannot be streamed
  * @property {string} [mode] CORS mode ('cors', 'no-cors', 'same-origin')
  * @property {string} [cache] Cache mode ('default', 'no-cache', etc.)
  * @property {string} [redirect] Redirect mode ('follow', 'error', 'manual')
  * @property {string} [referrerPolicy] Referrer policy
  * @property {boolean} [cacheEnabled] Enable or disabled automatic caching
+ *
+ * @property {boolean} [dedupe]
+ *   Share identical GET requests that are in flight (enabled by default,
+ *   except in tests)
+ *
+ * @property {string[]} [cacheTags]
+ *   Tags to store with a cached response, see `invalidateCache`
+ *
+ * @property {boolean|CacheInvalidateFilter} [invalidateCache]
+ *   Remove cached responses after a successful request that is not a GET
+ *   or HEAD request. If true, entries with the URL of the request (without
+ *   query) as prefix are removed.
+ *
+ * @property {RetryOptions|number|boolean} [retry]
+ *   Retry transient failures, see RetryOptions (disabled by default)
+ *
+ * @property {HttpInterceptor[]|false} [interceptors]
+ *   Interceptors that run after the global interceptors, or false to skip
+ *   all interceptors
+ *
+ * @property {false|{ onConflict?: import('../queue/typedef.js').ConflictHandler }} [offlineQueue]
+ *   Options for an OfflineQueue interceptor, or false to never queue the
+ *   request
+ *
+ * @property {import('$lib/network/cache.js').CacheStorage} [cacheStorage]
+ *   Cache storage to use instead of the default storage
+ *
+ * @property {typeof fetch} [fetch]
+ *   Fetch function to use instead of the global fetch, e.g. the `fetch`
+ *   of a SvelteKit load function
+ */
+
+/**
+ * @typedef {Object} RetryOptions
+ * @property {number} [attempts=3] Maximum number of attempts, including the first
+ * @property {number} [initialDelayMs=200] Delay before the first retry
+ * @property {number} [maxDelayMs=5000] Maximum delay between attempts
+ * @property {number} [factor=2] Delay multiplier per attempt
+ *
+ * @property {number} [jitter=0.5]
+ *   Fraction of the delay that is randomly subtracted (0-1)
+ *
+ * @property {string[]} [methods]
+ *   Methods that are retried (default: GET, HEAD, OPTIONS, PUT, DELETE).
+ *   Other methods are only retried with an `idempotency-key` header.
+ *
+ * @property {(status: number) => boolean} [isRetryableStatus]
+ *   Retry responses with this status (default: 429, 502, 503 and 504)
+ *
+ * @property {(error: *) => boolean} [isRetryableError]
+ *   Retry requests that failed with this error
+ *   (default: network errors (TypeError) and TimeoutError)
+ *
+ * @property {boolean} [respectRetryAfter=true]
+ *   Wait as long as the `retry-after` header of 429 and 503 responses asks
+ *
+ * @property {number} [maxRetryAfterMs=30000]
+ *   Do not retry if `retry-after` asks to wait longer than this
+ *
+ * @property {(info: RetryInfo) => void} [onRetry]
+ *   Called before waiting for the next attempt
+ */
+
+/**
+ * @typedef {Object} RetryInfo
+ * @property {number} attempt Number of the attempt that failed
+ * @property {number} delayMs Delay before the next attempt
+ * @property {number|null} status Response status, null if the request failed
+ * @property {*} error Error of the failed request, null if there is a response
  */
 
 /**
@@ -34,6 +109,74 @@
  * @returns {void}
  */
 
+/**
+ * Middleware function that wraps HTTP requests
+ *
+ * Calling `next` sends the request (through the next interceptors) and
+ * resolves with the checked response. Non-ok responses reject with an
+ * HttpError.
+ *
+ * @callback HttpInterceptor
+ * @param {HttpRequestOptions} options Request options
+ *
+ * @param {(options?: HttpRequestOptions) => Promise<Response>} next
+ *   Send the request, optionally with changed options
+ *
+ * @returns {Promise<Response>|Response}
+ */
+
+/**
+ * @typedef {Object} HttpClientOptions
+ *
+ * @property {string|URL} [baseUrl]
+ *   Base URL for requests with a relative url
+ *
+ * @property {Record<string, string>} [headers]
+ *   Headers that are sent with every request
+ *
+ * @property {number} [timeoutMs] Default request timeout in milliseconds
+ * @property {boolean} [withCredentials] Whether to include credentials
+ *
+ * @property {RetryOptions|number|boolean} [retry]
+ *   Default retry options, see RetryOptions
+ *
+ * @property {import('$lib/network/cache.js').CacheStorage|'memory'|'indexed-db'|false} [cache]
+ *   Cache storage of the client, a storage type to create a new storage,
+ *   or false to disable caching (default: new storage of the default type)
+ *
+ * @property {string} [cacheDbName]
+ *   IndexedDB database of a new `indexed-db` cache storage
+ *   (default: derived from `baseUrl`)
+ *
+ * @property {typeof fetch} [fetch]
+ *   Fetch function to use instead of the global fetch
+ *
+ * @property {HttpInterceptor[]} [interceptors]
+ *   Interceptors that run after the global interceptors
+ */
+
+/**
+ * @typedef {Object} HttpClient
+ *
+ * @property {import('$lib/network/cache.js').CacheStorage|null} cacheStorage
+ *   Cache storage of the client, null if caching is disabled
+ *
+ * @property {(options: HttpRequestOptions) => Promise<Response>} request
+ * @property {(options: HttpRequestOptions) => Promise<Response>} get
+ * @property {(options: HttpRequestOptions) => Promise<Response>} post
+ * @property {(options: HttpRequestOptions) => Promise<Response>} put
+ * @property {(options: HttpRequestOptions) => Promise<Response>} patch
+ * @property {(options: HttpRequestOptions) => Promise<Response>} delete
+ * @property {(options: HttpRequestOptions) => Promise<Response>} options
+ * @property {(options: HttpRequestOptions) => Promise<Response>} head
+ *
+ * @property {(options: JsonGetOptions) => Promise<any>} jsonGet
+ * @property {(options: JsonPostOptions) => Promise<any>} jsonPost
+ * @property {(options: JsonPutOptions) => Promise<any>} jsonPut
+ * @property {(options: JsonPatchOptions) => Promise<any>} jsonPatch
+ * @property {(options: JsonDeleteOptions) => Promise<any>} jsonDelete
+ */
+
 /**
  * @typedef {Object} JsonGetOptions
  * @property {string|URL} url URL string or URL object for the request
@@ -50,6 +193,39 @@
  * @property {string} [redirect] Redirect mode ('follow', 'error', 'manual')
  * @property {string} [referrerPolicy] Referrer policy
  * @property {boolean} [cacheEnabled] Enable or disabled automatic caching
+ *
+ * @property {boolean} [dedupe]
+ *   Share identical GET requests that are in flight (enabled by default,
+ *   except in tests)
+ *
+ * @property {string[]} [cacheTags]
+ *   Tags to store with a cached response, see `invalidateCache`
+ *
+ * @property {boolean|CacheInvalidateFilter} [invalidateCache]
+ *   Remove cached responses after a successful request that is not a GET
+ *   or HEAD request. If true, entries with the URL of the request (without
+ *   query) as prefix are removed.
+ *
+ * @property {RetryOptions|number|boolean} [retry]
+ *   Retry transient failures, see RetryOptions (disabled by default)
+ *
+ * @property {HttpInterceptor[]|false} [interceptors]
+ *   Interceptors that run after the global interceptors, or false to skip
+ *   all interceptors
+ *
+ * @property {false|{ onConflict?: import('../queue/typedef.js').ConflictHandler }} [offlineQueue]
+ *   Options for an OfflineQueue interceptor, or false to never queue the
+ *   request
+ *
+ * @property {import('$lib/network/cache.js').CacheStorage} [cacheStorage]
+ *   Cache storage to use instead of the default storage
+ *
+ * @property {typeof fetch} [fetch]
+ *   Fetch function to use instead of the global fetch, e.g. the `fetch`
+ *   of a SvelteKit load function
+ *
+ * @property {import('valibot').GenericSchema} [schema]
+ *   Valibot schema to validate the response data with
  */
 
 /**
@@ -69,6 +245,39 @@
  * @property {string} [redirect] Redirect mode ('follow', 'error', 'manual')
  * @property {string} [referrerPolicy] Referrer policy
  * @property {boolean} [cacheEnabled] Enable or disabled automatic caching
+ *
+ * @property {boolean} [dedupe]
+ *   Share identical GET requests that are in flight (enabled by default,
+ *   except in tests)
+ *
+ * @property {string[]} [cacheTags]
+ *   Tags to store with a cached response, see `invalidateCache`
+ *
+ * @property {boolean|CacheInvalidateFilter} [invalidateCache]
+ *   Remove cached responses after a successful request that is not a GET
+ *   or HEAD request. If true, entries with the URL of the request (without
+ *   query) as prefix are removed.
+ *
+ * @property {RetryOptions|number|boolean} [retry]
+ *   Retry transient failures, see RetryOptions (disabled by default)
+ *
+ * @property {HttpInterceptor[]|false} [interceptors]
+ *   Interceptors that run after the global interceptors, or false to skip
+ *   all interceptors
+ *
+ * @property {false|{ onConflict?: import('../queue/typedef.js').ConflictHandler }} [offlineQueue]
+ *   Options for an OfflineQueue interceptor, or false to never queue the
+ *   request
+ *
+ * @property {import('$lib/network/cache.js').CacheStorage} [cacheStorage]
+ *   Cache storage to use instead of the default storage
+ *
+ * @property {typeof fetch} [fetch]
+ *   Fetch function to use instead of the global fetch, e.g. the `fetch`
+ *   of a SvelteKit load function
+ *
+ * @property {import('valibot').GenericSchema} [schema]
+ *   Valibot schema to validate the response data with
  */
 
 /**
@@ -88,6 +297,39 @@
  * @property {string} [redirect] Redirect mode ('follow', 'error', 'manual')
  * @property {string} [referrerPolicy] Referrer policy
  * @property {boolean} [cacheEnabled] Enable or disabled automatic caching
+ *
+ * @property {boolean} [dedupe]
+ *   Share identical GET requests that are in flight (enabled by default,
+ *   except in tests)
+ *
+ * @property {string[]} [cacheTags]
+ *   Tags to store with a cached response, see `invalidateCache`
+ *
+ * @property {boolean|CacheInvalidateFilter} [invalidateCache]
+ *   Remove cached responses after a successful request that is not a GET
+ *   or HEAD request. If true, entries with the URL of the request (without
+ *   query) as prefix are removed.
+ *
+ * @property {RetryOptions|number|boolean} [retry]
+ *   Retry transient failures, see RetryOptions (disabled by default)
+ *
+ * @property {HttpInterceptor[]|false} [interceptors]
+ *   Interceptors that run after the global interceptors, or false to skip
+ *   all interceptors
+ *
+ * @property {false|{ onConflict?: import('../queue/typedef.js').ConflictHandler }} [offlineQueue]
+ *   Options for an OfflineQueue interceptor, or false to never queue the
+ *   request
+ *
+ * @property {import('$lib/network/cache.js').CacheStorage} [cacheStorage]
+ *   Cache storage to use instead of the default storage
+ *
+ * @property {typeof fetch} [fetch]
+ *   Fetch function to use instead of the global fetch, e.g. the `fetch`
+ *   of a SvelteKit load function
+ *
+ * @property {import('valibot').GenericSchema} [schema]
+ *   Valibot schema to validate the response data with
  */
 
 /**
@@ -107,6 +349,39 @@
  * @property {string} [redirect] Redirect mode ('follow', 'error', 'manual')
  * @property {string} [referrerPolicy] Referrer policy
  * @property {boolean} [cacheEnabled] Enable or disabled automatic caching
+ *
+ * @property {boolean} [dedupe]
+ *   Share identical GET requests that are in flight (enabled by default,
+ *   except in tests)
+ *
+ * @property {string[]} [cacheTags]
+ *   Tags to store with a cached response, see `invalidateCache`
+ *
+ * @property {boolean|CacheInvalidateFilter} [invalidateCache]
+ *   Remove cached responses after a successful request that is not a GET
+ *   or HEAD request. If true, entries with the URL of the request (without
+ *   query) as prefix are removed.
+ *
+ * @property {RetryOptions|number|boolean} [retry]
+ *   Retry transient failures, see RetryOptions (disabled by default)
+ *
+ * @property {HttpInterceptor[]|false} [interceptors]
+ *   Interceptors that run after the global interceptors, or false to skip
+ *   all interceptors
+ *
+ * @property {false|{ onConflict?: import('../queue/typedef.js').ConflictHandler }} [offlineQueue]
+ *   Options for an OfflineQueue interceptor, or false to never queue the
+ *   request
+ *
+ * @property {import('$lib/network/cache.js').CacheStorage} [cacheStorage]
+ *   Cache storage to use instead of the default storage
+ *
+ * @property {typeof fetch} [fetch]
+ *   Fetch function to use instead of the global fetch, e.g. the `fetch`
+ *   of a SvelteKit load function
+ *
+ * @property {import('valibot').GenericSchema} [schema]
+ *   Valibot schema to validate the response data with
  */
 
 /**
@@ -125,6 +400,164 @@
  * @property {string} [redirect] Redirect mode ('follow', 'error', 'manual')
  * @property {string} [referrerPolicy] Referrer policy
  * @property {boolean} [cacheEnabled] Enable or disabled automatic caching
+ *
+ * @property {boolean} [dedupe]
+ *   Share identical GET requests that are in flight (enabled by default,
+ *   except in tests)
+ *
+ * @property {string[]} [cacheTags]
+ *   Tags to store with a cached response, see `invalidateCache`
+ *
+ * @property {boolean|CacheInvalidateFilter} [invalidateCache]
+ *   Remove cached responses after a successful request that is not a GET
+ *   or HEAD request. If true, entries with the URL of the request (without
+ *   query) as prefix are removed.
+ *
+ * @property {RetryOptions|number|boolean} [retry]
+ *   Retry transient failures, see RetryOptions (disabled by default)
+ *
+ * @property {HttpInterceptor[]|false} [interceptors]
+ *   Interceptors that run after the global interceptors, or false to skip
+ *   all interceptors
+ *
+ * @property {false|{ onConflict?: import('../queue/typedef.js').ConflictHandler }} [offlineQueue]
+ *   Options for an OfflineQueue interceptor, or false to never queue the
+ *   request
+ *
+ * @property {import('$lib/network/cache.js').CacheStorage} [cacheStorage]
+ *   Cache storage to use instead of the default storage
+ *
+ * @property {typeof fetch} [fetch]
+ *   Fetch function to use instead of the global fetch, e.g. the `fetch`
+ *   of a SvelteKit load function
+ *
+ * @property {import('valibot').GenericSchema} [schema]
+ *   Valibot schema to validate the response data with
+ */
+
+/**
+ * @typedef {Object} ChunkedUploadOptions
+ * @property {string|URL} url URL to send the chunks to
+ * @property {Blob} blob Blob or File to upload
+ *
+ * @property {number} [chunkSize=5242880] Chunk size in bytes (5 MB)
+ *
+ * @property {number} [offset=0]
+ *   Bytes that have been uploaded already, to resume an upload
+ *
+ * @property {string} [method='PUT'] HTTP method of the chunk requests
+ * @property {Record<string, string>} [headers] Additional request headers
+ *
+ * @property {RetryOptions|number|boolean} [retry=3]
+ *   Attempts per chunk, or retry options for the backoff between attempts
+ *
+ * @property {string} [checksumHeader='x-checksum-crc32']
+ *   Header for the CRC32 checksum of a chunk
+ *
+ * @property {AbortSignal} [signal] Signal to abort the upload
+ *
+ * @property {(progress: ChunkedUploadProgress) => void} [onProgress]
+ *   Callback that reports the bytes of the blob sent so far
+ *
+ * @property {(chunk: UploadedChunk & { response: Response }) => void} [onChunkComplete]
+ *   Callback that is called after each chunk, e.g. to store the offset
+ *   for resuming the upload
+ *
+ * @property {typeof fetch} [fetch]
+ *   Fetch function to use instead of the global fetch
+ */
+
+/**
+ * @typedef {Object} ChunkedUploadProgress
+ * @property {number} bytesSent Bytes of the blob sent so far
+ * @property {number} size Size of the blob in bytes
+ * @property {number} chunkIndex Index of the chunk that is being sent
+ */
+
+/**
+ * @typedef {Object} UploadedChunk
+ * @property {number} index Index of the chunk, starting at the offset
+ * @property {number} start First byte of the chunk
+ * @property {number} end Byte after the last byte of the chunk
+ * @property {string} checksum CRC32 checksum of the chunk (hex)
+ */
+
+/**
+ * @typedef {Object} ChunkedUploadResult
+ * @property {number} size Size of the blob in bytes
+ * @property {UploadedChunk[]} chunks Chunks uploaded by this call
+ */
+
+/**
+ * Data of a JSON response, typed by the schema if given
+ *
+ * @template {import('valibot').GenericSchema|undefined} TSchema
+ * @typedef {TSchema extends import('valibot').GenericSchema
+ *   ? import('valibot').InferOutput<TSchema>
+ *   : any} JsonResponseData
+ */
+
+/**
+ * @typedef {Object} CacheInvalidateFilter
+ * @property {string|URL} [url] Exact URL of the request
+ * @property {string|URL} [prefix] Prefix of the URL of the request
+ *
+ * @property {string} [glob]
+ *   URL glob, `*` matches any characters except `/`, `**` matches any
+ *   characters
+ *
+ * @property {string} [tag] Tag that was given with `cacheTags`
+ */
+
+/**
+ * @typedef {Object} CacheEntryInfo
+ * @property {string} key Cache key
+ * @property {string} url URL of the request
+ * @property {string[]} tags Tags that were given with `cacheTags`
+ * @property {number} size Size of the response body in bytes
+ * @property {number} timestamp When the response was cached
+ *
+ * @property {number|null} freshUntil
+ *   When the response stops being fresh (null if it does not expire)
+ *
+ * @property {number|null} expires
+ *   When the entry is removed from the cache (null if never)
+ */
+
+/**
+ * @typedef {Object} CacheStats
+ * @property {number} entries Number of cached responses
+ * @property {number} size Total size of the response bodies in bytes
+ * @property {number} hits Number of requests answered from the cache
+ * @property {number} misses Number of requests not found in the cache
+ */
+
+/**
+ * @typedef {Object} PrefetchResult
+ * @property {string} url URL of the request
+ * @property {boolean} ok Whether the request succeeded
+ * @property {*} error Error of a failed request, null otherwise
+ */
+
+/**
+ * @typedef {Object} CacheMetadata
+ * @property {string|null} etag Value of the `etag` header
+ * @property {string|null} lastModified Value of the `last-modified` header
+ *
+ * @property {number|null} expires
+ *   When the response stops being fresh (null if it does not expire)
+ *
+ * @property {boolean} immutable Whether the response never changes
+ *
+ * @property {number} staleWhileRevalidate
+ *   Milliseconds after `expires` in which the stale response may be used
+ *   while it is revalidated in the background
+ *
+ * @property {number} staleIfError
+ *   Milliseconds after `expires` in which the stale response may be used
+ *   if revalidation fails
+ *
+ * @property {string[]} [tags] Tags that were given with `cacheTags`
  */
 
 /**
@@ -143,7 +576,8 @@
  * @property {boolean} isStale Whether this response contains stale data
  *
  * @property {Promise<Response>|null} fresh
- *   Promise for fresh data if this is stale
+ *   Promise for fresh data if this is stale, resolves when the background
+ *   revalidation has updated the cache
  */
 
 export {};
@@ -0,0 +1,186 @@
+import { CONTENT_TYPE } from '$lib/constants/http/headers.js';
+
+/**
+ * Maximum number of bytes that is handed to fetch at once, so that upload
+ * progress is reported in small enough steps
+ */
+const UPLOAD_STEP_BYTES = 64 * 1024;
+
+/**
+ * Whether fetch supports streaming request bodies, detected on first use
+ *
+ * @type {boolean|null}
+ */
+let requestStreamsSupported = null;
+
+// > Types
+
+/**
+ * Callback function that reports progress of an upload
+ *
+ * @callback uploadProgressCallback
+ *
+ * @param {object} _
+ * @param {number} _.bytesSent - Number of bytes sent so far
+ * @param {number} _.size - Total size of the body in bytes (0 if unknown)
+ */
+
+// > Exports
+
+/**
+ * Get the size of a request body in bytes
+ *
+ * @param {*} body - Request body
+ *
+ * @returns {number} Size in bytes, 0 if unknown (e.g. streams, FormData)
+ *
+ * @example
+ * getBodySize('héllo');
+ * // Returns: 6
+ */
+export function getBodySize(body) {
+  if (typeof body === 'string') {
+    return new TextEncoder().encode(body).byteLength;
+  }
+
+  if (body instanceof URLSearchParams) {
+    return new TextEncoder().encode(body.toString()).byteLength;
+  }
+
+  if (body instanceof Blob) {
+    return body.size;
+  }
+
+  if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) {
+    return body.byteLength;
+  }
+
+  return 0;
+}
+
+/**
+ * Check if fetch supports streaming request bodies (`duplex: 'half'`)
+ *
+ * A runtime without support ignores the `duplex` option and converts the
+ * stream to a string body with a text content type. The result is
+ * detected once and cached.
+ *
+ * @returns {boolean} True if request bodies can be streamed
+ */
+export function supportsRequestStreams() {
+  if (requestStreamsSupported === null) {
+    try {
+      let duplexAccessed = false;
+
+      /** @type {RequestInit & { duplex?: 'half' }} */
+      const init = {
+        method: 'POST',
+        body: new ReadableStream(),
+        /** @returns {'half'} */
+        get duplex() {
+          duplexAccessed = true;
+          return 'half';
+        }
+      };
+
+      const hasContentType = new Request('http://localhost', init).headers.has(
+        CONTENT_TYPE
+      );
+
+      requestStreamsSupported = duplexAccessed && !hasContentType;
+    } catch {
+      requestStreamsSupported = false;
+    }
+  }
+
+  return requestStreamsSupported;
+}
+
+/**
+ * Wrap a request body in a stream that reports upload progress
+ *
+ * Progress is reported when fetch reads from the stream, which is close
+ * to the number of bytes sent. Streaming request bodies require
+ * `duplex: 'half'` and are not supported by all browsers, see
+ * `supportsRequestStreams`.
+ *
+ * Bodies other than streams are converted with `new Response(body)`, so
+ * that e.g. FormData gets its multipart content type.
+ *
+ * @param {*} body - Request body (string, Blob, BufferSource, FormData,
+ *   URLSearchParams or ReadableStream)
+ * @param {uploadProgressCallback} onProgress - Progress callback
+ *
+ * @returns {{
+ *   stream: ReadableStream<Uint8Array>,
+ *   size: number,
+ *   contentType: string|null
+ * }} Stream to use as request body, size of the body in bytes and the
+ *   content type of converted bodies
+ *
+ * @example
+ * const { stream, size } = createUploadStream(file, ({ bytesSent, size }) => {
+ *   console.log(`Sent ${bytesSent} of ${size} bytes`);
+ * });
+ */
+export function createUploadStream(body, onProgress) {
+  const size = getBodySize(body);
+
+  /** @type {ReadableStream} */
+  let source;
+
+  let contentType = null;
+
+  if (body instanceof ReadableStream) {
+    source = body;
+  } else {
+    const converted = new Response(body);
+
+    source = /** @type {ReadableStream} */ (converted.body);
+    contentType = converted.headers.get(CONTENT_TYPE);
+  }
+
+  const reader = source.getReader();
+
+  let bytesSent = 0;
+
+  /** @type {Uint8Array|null} */
+  let pending = null;
+
+  onProgress({ bytesSent, size });
+
+  const stream = new ReadableStream(
+    {
+      async pull(controller) {
+        if (!pending || !pending.byteLength) {
+          const { done, value } = await reader.read();
+
+          if (done) {
+            controller.close();
+            return;
+          }
+
+          pending = ArrayBuffer.isView(value)
+            ? new Uint8Array(value.buffer, value.byteOffset, value.byteLength)
+            : new Uint8Array(value);
+        }
+
+        const step = pending.subarray(0, UPLOAD_STEP_BYTES);
+        pending = pending.subarray(step.byteLength);
+
+        controller.enqueue(step);
+
+        bytesSent += step.byteLength;
+        onProgress({ bytesSent, size });
+      },
+
+      cancel(reason) {
+        return reader.cancel(reason);
+      }
+    },
+    // Only read from the source when fetch asks for data
+    { highWaterMark: 0 }
+  );
+
+  return { stream, size, contentType };
+}
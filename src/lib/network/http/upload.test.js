@@ -0,0 +1,108 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+
+import {
+  getBodySize,
+  createUploadStream,
+  supportsRequestStreams
+} from './upload.js';
+
+// > Helpers
+
+/**
+ * Read a stream completely, like fetch does when sending the body
+ */
+async function readAll(stream) {
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// > Tests
+
+describe('getBodySize', () => {
+  it('should return the size of known body types', () => {
+    expect(getBodySize('héllo')).toBe(6);
+    expect(getBodySize(new Blob(['abc']))).toBe(3);
+    expect(getBodySize(new ArrayBuffer(8))).toBe(8);
+    expect(getBodySize(new Uint16Array(4))).toBe(8);
+    expect(getBodySize(new URLSearchParams({ a: '1' }))).toBe(3);
+  });
+
+  it('should return 0 for streams and form data', () => {
+    expect(getBodySize(new ReadableStream())).toBe(0);
+    expect(getBodySize(new FormData())).toBe(0);
+  });
+});
+
+describe('createUploadStream', () => {
+  it('should report progress while the body is read', async () => {
+    const body = new Uint8Array(150 * 1024).fill(1);
+    const onProgress = vi.fn();
+
+    const { stream, size } = createUploadStream(new Blob([body]), onProgress);
+
+    expect(size).toBe(body.byteLength);
+    expect(onProgress).toHaveBeenCalledWith({ bytesSent: 0, size });
+
+    const sent = await readAll(stream);
+
+    expect(sent).toEqual(body);
+
+    const reported = onProgress.mock.calls.map(([{ bytesSent }]) => bytesSent);
+
+    // Reported in steps of at most 64 KiB
+    expect(reported.length).toBeGreaterThanOrEqual(4);
+    expect(reported.at(-1)).toBe(size);
+  });
+
+  it('should stream ReadableStream bodies', async () => {
+    const source = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new TextEncoder().encode('hello '));
+        controller.enqueue(new TextEncoder().encode('world'));
+        controller.close();
+      }
+    });
+
+    const onProgress = vi.fn();
+    const { stream, size } = createUploadStream(source, onProgress);
+
+    expect(size).toBe(0);
+    expect(new TextDecoder().decode(await readAll(stream))).toBe('hello world');
+    expect(onProgress).toHaveBeenLastCalledWith({ bytesSent: 11, size: 0 });
+  });
+
+  it('should return the content type of form data', () => {
+    const formData = new FormData();
+    formData.append('name', 'value');
+
+    const { contentType } = createUploadStream(formData, vi.fn());
+
+    expect(contentType).toMatch(/^multipart\/form-data; boundary=/);
+  });
+});
+
+describe('supportsRequestStreams', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.resetModules();
+  });
+
+  it('should detect support for streaming request bodies', () => {
+    expect(supportsRequestStreams()).toBe(true);
+  });
+
+  it('should detect a fetch that converts streams to text', async () => {
+    // Ignores `duplex` and sends the stream as "[object ReadableStream]"
+    vi.stubGlobal(
+      'Request',
+      class {
+        headers = new Headers({ 'content-type': 'text/plain;charset=UTF-8' });
+      }
+    );
+
+    // Evaluate the module again, the result is cached
+    vi.resetModules();
+    const upload = await import('./upload.js');
+
+    expect(upload.supportsRequestStreams()).toBe(false);
+  });
+});
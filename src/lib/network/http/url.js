@@ -50,3 +50,29 @@ export function href(url) {
 	const urlObj = toURL(url);
 	return decodeURI(urlObj.href);
 }
+
+/**
+ * Convert a URL glob into a regular expression
+ *
+ * @param {string} glob - Glob, `*` matches any characters except `/`,
+ *   `**` matches any characters
+ *
+ * @returns {RegExp}
+ *
+ * @example
+ * globToRegExp('/users/*').test('/users/123');
+ * // Returns: true
+ */
+export function globToRegExp(glob) {
+	const source = glob
+		.split('**')
+		.map((part) =>
+			part
+				.split('*')
+				.map((text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+				.join('[^/]*')
+		)
+		.join('.*');
+
+	return new RegExp(`^${source}$`);
+}
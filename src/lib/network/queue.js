@@ -0,0 +1,7 @@
+export { default as OfflineQueue } from './queue/OfflineQueue.svelte.js';
+export { default as MemoryRequestStore } from './queue/MemoryRequestStore.js';
+export { default as IndexedDbRequestStore } from './queue/IndexedDbRequestStore.js';
+
+export * from './queue/constants.js';
+export * from './queue/serialize.js';
+export * from './queue/typedef.js';
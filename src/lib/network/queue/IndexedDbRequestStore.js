@@ -0,0 +1,149 @@
+/**
+ * @fileoverview IndexedDB store for queued requests
+ *
+ * Requests get an auto-incremented id, so that they are returned in the
+ * order in which they were added.
+ *
+ * @example
+ * const store = new IndexedDbRequestStore({ dbName: 'field-app-queue' });
+ *
+ * const id = await store.add(await serializeRequest(options));
+ */
+
+const DEFAULT_DB_NAME = 'offline-queue';
+const DEFAULT_STORE_NAME = 'requests';
+
+/**
+ * IndexedDB store for queued requests
+ */
+export default class IndexedDbRequestStore {
+  /**
+   * Create a new IndexedDB request store
+   *
+   * @param {Object} [options] - Store options
+   * @param {string} [options.dbName='offline-queue'] - Database name
+   * @param {string} [options.storeName='requests'] - Store name
+   */
+  constructor(options = {}) {
+    this.dbName = options.dbName || DEFAULT_DB_NAME;
+    this.storeName = options.storeName || DEFAULT_STORE_NAME;
+
+    /**
+     * Database connection promise
+     * @type {Promise<IDBDatabase>|null}
+     * @private
+     */
+    this.dbPromise = null;
+  }
+
+  /**
+   * Add a request
+   *
+   * @param {import('./typedef.js').QueuedRequest} request
+   *
+   * @returns {Promise<number>} Id of the request
+   */
+  async add(request) {
+    // The id is assigned by the store
+    // eslint-disable-next-line no-unused-vars
+    const { id, ...record } = request;
+
+    return /** @type {number} */ (
+      await this._run('readwrite', (store) => store.add(record))
+    );
+  }
+
+  /**
+   * Get all requests, in the order in which they were added
+   *
+   * @returns {Promise<import('./typedef.js').QueuedRequest[]>}
+   */
+  async getAll() {
+    return await this._run('readonly', (store) => store.getAll());
+  }
+
+  /**
+   * Remove a request
+   *
+   * @param {number} id - Id of the request
+   *
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this._run('readwrite', (store) => store.delete(id));
+  }
+
+  /**
+   * Remove all requests
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._run('readwrite', (store) => store.clear());
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      (await this.dbPromise).close();
+      this.dbPromise = null;
+    }
+  }
+
+  /**
+   * Run a request on the object store
+   *
+   * @private
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {(store: IDBObjectStore) => IDBRequest} createRequest
+   *
+   * @returns {Promise<*>} Result of the request
+   */
+  async _run(mode, createRequest) {
+    const db = await this._openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = createRequest(transaction.objectStore(this.storeName));
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  /**
+   * Open the database, creating the object store if needed
+   *
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName, {
+              keyPath: 'id',
+              autoIncrement: true
+            });
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+      });
+    }
+
+    return this.dbPromise;
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * @fileoverview Unit tests for IndexedDbRequestStore
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import IndexedDbRequestStore from './IndexedDbRequestStore.js';
+import 'fake-indexeddb/auto';
+
+/**
+ * Create a queued request record
+ */
+function createRecord(url) {
+  return {
+    url,
+    method: 'POST',
+    urlSearchParams: null,
+    headers: {},
+    body: { type: 'text', value: 'data' },
+    withCredentials: false,
+    queuedAt: Date.now()
+  };
+}
+
+describe('IndexedDbRequestStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new IndexedDbRequestStore({
+      dbName: `queue-test-${Math.random()}`
+    });
+  });
+
+  afterEach(async () => {
+    await store.close();
+  });
+
+  it('should return requests in the order in which they were added', async () => {
+    const first = await store.add(createRecord('/a'));
+    const second = await store.add(createRecord('/b'));
+
+    expect(second).toBeGreaterThan(first);
+
+    const requests = await store.getAll();
+
+    expect(requests.map((request) => request.url)).toEqual(['/a', '/b']);
+    expect(requests[0].id).toBe(first);
+  });
+
+  it('should delete and clear requests', async () => {
+    const id = await store.add(createRecord('/a'));
+    await store.add(createRecord('/b'));
+
+    await store.delete(id);
+    expect((await store.getAll()).map((request) => request.url)).toEqual([
+      '/b'
+    ]);
+
+    await store.clear();
+    expect(await store.getAll()).toEqual([]);
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * In-memory store for queued requests
+ *
+ * Has the same API as IndexedDbRequestStore, for tests and environments
+ * without IndexedDB. Requests are lost when the page is closed.
+ */
+export default class MemoryRequestStore {
+  /** @type {Map<number, import('./typedef.js').QueuedRequest>} */
+  #requests = new Map();
+
+  #nextId = 1;
+
+  /**
+   * Add a request
+   *
+   * @param {import('./typedef.js').QueuedRequest} request
+   *
+   * @returns {Promise<number>} Id of the request
+   */
+  async add(request) {
+    const id = this.#nextId++;
+
+    this.#requests.set(id, { ...request, id });
+
+    return id;
+  }
+
+  /**
+   * Get all requests, in the order in which they were added
+   *
+   * @returns {Promise<import('./typedef.js').QueuedRequest[]>}
+   */
+  async getAll() {
+    return [...this.#requests.values()];
+  }
+
+  /**
+   * Remove a request
+   *
+   * @param {number} id - Id of the request
+   *
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    this.#requests.delete(id);
+  }
+
+  /**
+   * Remove all requests
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.#requests.clear();
+  }
+}
@@ -0,0 +1,476 @@
+import { browser } from '$app/environment';
+import { SvelteMap } from 'svelte/reactivity';
+
+import {
+  METHOD_GET,
+  METHOD_POST,
+  METHOD_PUT,
+  METHOD_PATCH,
+  METHOD_DELETE
+} from '$lib/constants/http/methods.js';
+
+import { isOnline } from '$lib/browser/info/system.js';
+
+import { isTestEnv } from '$lib/util/env';
+
+import { HttpError, RequestQueuedError, ResponseError } from '../errors.js';
+
+import {
+  HTTP_CONFLICT,
+  HTTP_PRECONDITION_FAILED,
+  HTTP_INTERNAL_SERVER_ERROR
+} from '../http/http-status-codes.js';
+
+import { httpRequest } from '../http/http-request.js';
+
+import { serializeRequest, deserializeRequest } from './serialize.js';
+
+import MemoryRequestStore from './MemoryRequestStore.js';
+import IndexedDbRequestStore from './IndexedDbRequestStore.js';
+
+import { QUEUE_IDLE, QUEUE_OFFLINE, QUEUE_REPLAYING } from './constants.js';
+
+/**
+ * Methods that are queued by default
+ */
+const DEFAULT_QUEUE_METHODS = [
+  METHOD_POST,
+  METHOD_PUT,
+  METHOD_PATCH,
+  METHOD_DELETE
+];
+
+/**
+ * Response statuses that are passed to the conflict handler
+ */
+const CONFLICT_STATUSES = [HTTP_CONFLICT, HTTP_PRECONDITION_FAILED];
+
+/**
+ * Number of times a conflicting request can be replaced by the conflict
+ * handler before it is dropped
+ */
+const MAX_CONFLICT_RETRIES = 3;
+
+/**
+ * Offline queue for mutating requests
+ *
+ * The queue is used as interceptor. While the device is offline, or when a
+ * request fails with a network error, POST, PUT, PATCH and DELETE requests
+ * are stored and the request rejects with a `RequestQueuedError`. Queued
+ * requests are replayed in order when the browser comes back online.
+ *
+ * During replay, requests that the server rejects with 409 Conflict or
+ * 412 Precondition Failed are passed to the conflict handler of the
+ * request (option `offlineQueue.onConflict`), or to the `onConflict`
+ * handler of the queue. Per request handlers are only available in the
+ * session in which the request was queued. A request that still conflicts
+ * after three replacements is dropped and reported to `onReplayError`.
+ *
+ * @example
+ * const queue = new OfflineQueue({
+ *   onConflict: ({ request, error }) => null // Drop
+ * });
+ *
+ * const api = createHttpClient({
+ *   baseUrl: '/api',
+ *   interceptors: [queue.interceptor]
+ * });
+ *
+ * try {
+ *   await api.jsonPost({ url: 'notes', body: JSON.stringify(note) });
+ * } catch (error) {
+ *   if (error instanceof RequestQueuedError) {
+ *     showToast('Saved offline, will sync later');
+ *   }
+ * }
+ *
+ * // In a component: {#if queue.length}{queue.length} pending{/if}
+ */
+export default class OfflineQueue {
+  /**
+   * Number of queued requests
+   * @type {number}
+   */
+  length = $state(0);
+
+  /**
+   * Whether the device is online
+   * @type {boolean}
+   */
+  online = $state(true);
+
+  /**
+   * Whether the queue is being replayed
+   * @type {boolean}
+   */
+  replaying = $state(false);
+
+  /**
+   * Last error that stopped or dropped a replayed request
+   * @type {*}
+   */
+  lastError = $state(null);
+
+  /**
+   * State of the queue: `idle`, `offline` or `replaying`
+   */
+  state = $derived.by(() => {
+    if (this.replaying) {
+      return QUEUE_REPLAYING;
+    }
+
+    return this.online ? QUEUE_IDLE : QUEUE_OFFLINE;
+  });
+
+  /**
+   * Promise that resolves when the stored queue length has been loaded
+   * @type {Promise<void>}
+   */
+  ready;
+
+  /** @type {import('./typedef.js').RequestStore} */
+  #store;
+
+  /** @type {(options: import('../http/typedef.js').HttpRequestOptions) => Promise<Response>} */
+  #send;
+
+  /** @type {() => boolean} */
+  #isOnline;
+
+  /** @type {string[]} */
+  #methods;
+
+  /** @type {import('./typedef.js').ConflictHandler|undefined} */
+  #onConflict;
+
+  /** @type {import('./typedef.js').OfflineQueueOptions['onReplayError']} */
+  #onReplayError;
+
+  /**
+   * Conflict handlers of requests queued in this session, by request id
+   * @type {Map<number, import('./typedef.js').ConflictHandler>}
+   */
+  #conflictHandlers = new SvelteMap();
+
+  /** @type {Promise<import('./typedef.js').ReplayResult>|null} */
+  #replayPromise = null;
+
+  /** @type {(() => void)|null} */
+  #removeListeners = null;
+
+  /**
+   * Create an offline queue
+   *
+   * @param {import('./typedef.js').OfflineQueueOptions} [options]
+   */
+  constructor(options = {}) {
+    const {
+      store,
+      send = httpRequest,
+      isOnline: checkOnline = () => !browser || isOnline(),
+      methods = DEFAULT_QUEUE_METHODS,
+      onConflict,
+      onReplayError,
+      autoReplay = true
+    } = options;
+
+    this.#store =
+      store ??
+      (browser && !isTestEnv
+        ? new IndexedDbRequestStore()
+        : new MemoryRequestStore());
+
+    this.#send = send;
+    this.#isOnline = checkOnline;
+    this.#methods = methods;
+    this.#onConflict = onConflict;
+    this.#onReplayError = onReplayError;
+
+    this.online = checkOnline();
+
+    if (browser && autoReplay) {
+      const handleOnline = () => {
+        this.online = true;
+
+        this.replay().catch((error) => {
+          this.lastError = error;
+        });
+      };
+
+      const handleOffline = () => {
+        this.online = false;
+      };
+
+      window.addEventListener('online', handleOnline);
+      window.addEventListener('offline', handleOffline);
+
+      this.#removeListeners = () => {
+        window.removeEventListener('online', handleOnline);
+        window.removeEventListener('offline', handleOffline);
+      };
+    }
+
+    this.ready = this.#updateLength();
+  }
+
+  /**
+   * Interceptor that queues mutating requests while offline
+   *
+   * Requests with `offlineQueue: false` are never queued.
+   *
+   * @type {import('../http/typedef.js').HttpInterceptor}
+   */
+  interceptor = async (options, next) => {
+    const method = (options.method ?? METHOD_GET).toUpperCase();
+
+    if (options.offlineQueue === false || !this.#methods.includes(method)) {
+      return await next();
+    }
+
+    if (!this.#isOnline()) {
+      this.online = false;
+
+      throw await this.#queueRequest(options, null);
+    }
+
+    try {
+      return await next();
+    } catch (error) {
+      if (!isNetworkError(error)) {
+        throw error;
+      }
+
+      throw await this.#queueRequest(options, /** @type {Error} */ (error));
+    }
+  };
+
+  /**
+   * Add a request to the queue
+   *
+   * @param {import('../http/typedef.js').HttpRequestOptions} options
+   *   Request options
+   * @param {object} [_]
+   * @param {import('./typedef.js').ConflictHandler} [_.onConflict]
+   *   Conflict handler for this request (not persisted)
+   *
+   * @returns {Promise<number>} Id of the queued request
+   */
+  async enqueue(options, { onConflict } = {}) {
+    const id = await this.#store.add(await serializeRequest(options));
+
+    if (onConflict) {
+      this.#conflictHandlers.set(id, onConflict);
+    }
+
+    await this.#updateLength();
+
+    return id;
+  }
+
+  /**
+   * Replay the queued requests in order
+   *
+   * Replay stops at the first network error or server error (5xx), the
+   * request and all following requests stay queued. Other failed requests
+   * are dropped and reported to `onReplayError`.
+   *
+   * @returns {Promise<import('./typedef.js').ReplayResult>}
+   */
+  replay() {
+    if (!this.#replayPromise) {
+      this.#replayPromise = this.#replayQueue().finally(() => {
+        this.#replayPromise = null;
+        this.replaying = false;
+      });
+    }
+
+    return this.#replayPromise;
+  }
+
+  /**
+   * Get the queued requests
+   *
+   * @returns {Promise<import('./typedef.js').QueuedRequest[]>}
+   */
+  async getRequests() {
+    return await this.#store.getAll();
+  }
+
+  /**
+   * Remove all queued requests
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this.#store.clear();
+
+    this.#conflictHandlers.clear();
+
+    await this.#updateLength();
+  }
+
+  /**
+   * Stop listening to connectivity changes
+   */
+  destroy() {
+    this.#removeListeners?.();
+    this.#removeListeners = null;
+  }
+
+  // > Private methods
+
+  /**
+   * Queue a request and create the error for the caller
+   *
+   * @param {import('../http/typedef.js').HttpRequestOptions} options
+   * @param {Error|null} cause - Network error, null if offline
+   *
+   * @returns {Promise<RequestQueuedError>}
+   */
+  async #queueRequest(options, cause) {
+    const offlineQueue = options.offlineQueue || {};
+
+    const id = await this.enqueue(options, {
+      onConflict: offlineQueue.onConflict
+    });
+
+    const method = /** @type {string} */ (options.method);
+    const url = String(options.url);
+
+    return new RequestQueuedError(
+      `Request [${method} ${url}] was queued for replay`,
+      { id, url, method },
+      cause
+    );
+  }
+
+  /**
+   * Replay the queued requests
+   *
+   * @returns {Promise<import('./typedef.js').ReplayResult>}
+   */
+  async #replayQueue() {
+    this.replaying = true;
+
+    let sent = 0;
+    let dropped = 0;
+
+    for (const record of await this.#store.getAll()) {
+      if (!this.#isOnline()) {
+        this.online = false;
+        break;
+      }
+
+      const outcome = await this.#replayRequest(record);
+
+      if (outcome === 'stop') {
+        break;
+      }
+
+      const id = /** @type {number} */ (record.id);
+
+      await this.#store.delete(id);
+      this.#conflictHandlers.delete(id);
+
+      if (outcome === 'sent') {
+        sent++;
+      } else {
+        dropped++;
+      }
+
+      await this.#updateLength();
+    }
+
+    await this.#updateLength();
+
+    return { sent, dropped, remaining: this.length };
+  }
+
+  /**
+   * Replay a queued request
+   *
+   * @param {import('./typedef.js').QueuedRequest} record
+   *
+   * @returns {Promise<'sent'|'dropped'|'stop'>}
+   */
+  async #replayRequest(record) {
+    let request = deserializeRequest(record);
+    let conflicts = 0;
+
+    for (;;) {
+      try {
+        const response = await this.#send({ ...request, offlineQueue: false });
+
+        await response.body?.cancel();
+
+        this.online = true;
+
+        return 'sent';
+      } catch (error) {
+        this.lastError = error;
+
+        if (
+          isNetworkError(error) ||
+          (error instanceof HttpError &&
+            error.status >= HTTP_INTERNAL_SERVER_ERROR)
+        ) {
+          // Try again later
+          return 'stop';
+        }
+
+        if (
+          error instanceof HttpError &&
+          CONFLICT_STATUSES.includes(error.status)
+        ) {
+          const onConflict =
+            this.#conflictHandlers.get(/** @type {number} */ (record.id)) ??
+            this.#onConflict;
+
+          if (conflicts === MAX_CONFLICT_RETRIES) {
+            // The replacements keep conflicting
+            this.#onReplayError?.({ request, error });
+            return 'dropped';
+          }
+
+          const replacement = await onConflict?.({ request, error });
+
+          if (replacement) {
+            conflicts++;
+            request = replacement;
+            continue;
+          }
+        } else {
+          this.#onReplayError?.({ request, error });
+        }
+
+        return 'dropped';
+      }
+    }
+  }
+
+  /**
+   * Update the queue length from the store
+   */
+  async #updateLength() {
+    this.length = (await this.#store.getAll()).length;
+  }
+}
+
+// > Internal functions
+
+/**
+ * Check if an error is a network error
+ *
+ * `waitForAndCheckResponse` wraps the TypeError of fetch in a
+ * ResponseError.
+ *
+ * @param {*} error
+ *
+ * @returns {boolean}
+ */
+function isNetworkError(error) {
+  return (
+    error instanceof TypeError ||
+    (error instanceof ResponseError && error.cause instanceof TypeError)
+  );
+}
@@ -0,0 +1,243 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import { HttpError, RequestQueuedError } from '../errors.js';
+import { httpPost, httpGet } from '../http/http-request.js';
+
+import OfflineQueue from './OfflineQueue.svelte.js';
+import MemoryRequestStore from './MemoryRequestStore.js';
+
+import { QUEUE_IDLE, QUEUE_OFFLINE } from './constants.js';
+
+// > Mocks
+
+beforeEach(() => {
+  global.fetch = vi.fn();
+});
+
+afterEach(() => {
+  // @ts-ignore
+  delete global.fetch;
+});
+
+// > Helpers
+
+/**
+ * Create a queue with a memory store and controllable connectivity
+ */
+function createQueue(options = {}) {
+  const connectivity = { online: true };
+
+  const queue = new OfflineQueue({
+    store: new MemoryRequestStore(),
+    isOnline: () => connectivity.online,
+    ...options
+  });
+
+  return { queue, connectivity };
+}
+
+// > Tests
+
+describe('OfflineQueue', () => {
+  it('should queue mutating requests while offline', async () => {
+    const { queue, connectivity } = createQueue();
+
+    connectivity.online = false;
+
+    const error = await httpPost({
+      url: 'http://localhost/notes',
+      body: 'note',
+      interceptors: [queue.interceptor]
+    }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(RequestQueuedError);
+    expect(error.method).toBe('POST');
+    expect(fetch).not.toHaveBeenCalled();
+
+    expect(queue.length).toBe(1);
+    expect(queue.state).toBe(QUEUE_OFFLINE);
+
+    const [record] = await queue.getRequests();
+    expect(record).toMatchObject({
+      id: error.id,
+      url: 'http://localhost/notes',
+      body: { type: 'text', value: 'note' }
+    });
+  });
+
+  it('should queue requests that fail with a network error', async () => {
+    const { queue } = createQueue();
+
+    // @ts-ignore
+    fetch.mockRejectedValue(new TypeError('Failed to fetch'));
+
+    const error = await httpPost({
+      url: 'http://localhost/notes',
+      body: 'note',
+      interceptors: [queue.interceptor]
+    }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(RequestQueuedError);
+    expect(error.cause.cause).toBeInstanceOf(TypeError);
+    expect(queue.length).toBe(1);
+  });
+
+  it('should not queue GET requests, HTTP errors or opted out requests', async () => {
+    const { queue, connectivity } = createQueue();
+
+    // @ts-ignore
+    fetch.mockImplementation(async () => new Response('bad', { status: 400 }));
+
+    await expect(
+      httpPost({
+        url: 'http://localhost/notes',
+        body: 'x',
+        interceptors: [queue.interceptor]
+      })
+    ).rejects.toBeInstanceOf(HttpError);
+
+    connectivity.online = false;
+
+    await expect(
+      httpGet({
+        url: 'http://localhost/notes',
+        interceptors: [queue.interceptor]
+      })
+    ).rejects.toBeInstanceOf(HttpError);
+
+    await expect(
+      httpPost({
+        url: 'http://localhost/notes',
+        body: 'x',
+        offlineQueue: false,
+        interceptors: [queue.interceptor]
+      })
+    ).rejects.toBeInstanceOf(HttpError);
+
+    expect(queue.length).toBe(0);
+  });
+
+  it('should replay queued requests in order', async () => {
+    const send = vi.fn(async () => new Response('ok'));
+    const { queue } = createQueue({ send });
+
+    await queue.enqueue({ url: '/notes/1', method: 'PUT', body: 'first' });
+    await queue.enqueue({ url: '/notes/2', method: 'DELETE' });
+
+    const result = await queue.replay();
+
+    expect(result).toEqual({ sent: 2, dropped: 0, remaining: 0 });
+    expect(send.mock.calls.map(([options]) => options.url)).toEqual([
+      '/notes/1',
+      '/notes/2'
+    ]);
+    expect(send.mock.calls[0][0]).toMatchObject({
+      body: 'first',
+      offlineQueue: false
+    });
+    expect(queue.length).toBe(0);
+    expect(queue.state).toBe(QUEUE_IDLE);
+  });
+
+  it('should stop replaying at network and server errors', async () => {
+    const send = vi
+      .fn()
+      .mockResolvedValueOnce(new Response('ok'))
+      .mockRejectedValueOnce(
+        new HttpError(503, 'HTTP 503: Service Unavailable')
+      );
+
+    const { queue } = createQueue({ send });
+
+    await queue.enqueue({ url: '/a', method: 'POST', body: 'a' });
+    await queue.enqueue({ url: '/b', method: 'POST', body: 'b' });
+    await queue.enqueue({ url: '/c', method: 'POST', body: 'c' });
+
+    expect(await queue.replay()).toEqual({ sent: 1, dropped: 0, remaining: 2 });
+    expect(queue.lastError).toBeInstanceOf(HttpError);
+    expect((await queue.getRequests()).map((request) => request.url)).toEqual([
+      '/b',
+      '/c'
+    ]);
+  });
+
+  it('should call the conflict handler of the request', async () => {
+    const send = vi
+      .fn()
+      .mockRejectedValueOnce(new HttpError(409, 'HTTP 409: Conflict'))
+      .mockResolvedValueOnce(new Response('ok'));
+
+    const queueConflict = vi.fn();
+    const { queue } = createQueue({ send, onConflict: queueConflict });
+
+    const onConflict = vi.fn(({ request }) => ({ ...request, body: 'merged' }));
+
+    await queue.enqueue(
+      { url: '/notes/1', method: 'PUT', body: 'mine' },
+      { onConflict }
+    );
+
+    expect(await queue.replay()).toEqual({ sent: 1, dropped: 0, remaining: 0 });
+
+    expect(onConflict).toHaveBeenCalledTimes(1);
+    expect(onConflict.mock.calls[0][0].error.status).toBe(409);
+    expect(queueConflict).not.toHaveBeenCalled();
+    expect(send.mock.calls[1][0].body).toBe('merged');
+  });
+
+  it('should drop requests on unresolved conflicts and client errors', async () => {
+    const send = vi
+      .fn()
+      .mockRejectedValueOnce(
+        new HttpError(412, 'HTTP 412: Precondition Failed')
+      )
+      .mockRejectedValueOnce(new HttpError(404, 'HTTP 404: Not Found'));
+
+    const onConflict = vi.fn(() => null);
+    const onReplayError = vi.fn();
+
+    const { queue } = createQueue({ send, onConflict, onReplayError });
+
+    await queue.enqueue({ url: '/a', method: 'PUT', body: 'a' });
+    await queue.enqueue({ url: '/b', method: 'DELETE' });
+
+    expect(await queue.replay()).toEqual({ sent: 0, dropped: 2, remaining: 0 });
+
+    expect(onConflict).toHaveBeenCalledTimes(1);
+    expect(onReplayError).toHaveBeenCalledTimes(1);
+    expect(onReplayError.mock.calls[0][0].request.url).toBe('/b');
+  });
+
+  it('should drop requests that keep conflicting', async () => {
+    const send = vi
+      .fn()
+      .mockRejectedValue(new HttpError(409, 'HTTP 409: Conflict'));
+
+    const onConflict = vi.fn(({ request }) => request);
+    const onReplayError = vi.fn();
+
+    const { queue } = createQueue({ send, onConflict, onReplayError });
+
+    await queue.enqueue({ url: '/a', method: 'PUT', body: 'a' });
+
+    expect(await queue.replay()).toEqual({ sent: 0, dropped: 1, remaining: 0 });
+
+    expect(send).toHaveBeenCalledTimes(4);
+    expect(onConflict).toHaveBeenCalledTimes(3);
+    expect(onReplayError).toHaveBeenCalledTimes(1);
+    expect(onReplayError.mock.calls[0][0].error.status).toBe(409);
+  });
+
+  it('should not replay while offline', async () => {
+    const send = vi.fn();
+    const { queue, connectivity } = createQueue({ send });
+
+    await queue.enqueue({ url: '/a', method: 'POST', body: 'a' });
+
+    connectivity.online = false;
+
+    expect(await queue.replay()).toEqual({ sent: 0, dropped: 0, remaining: 1 });
+    expect(send).not.toHaveBeenCalled();
+    expect(queue.online).toBe(false);
+  });
+});
@@ -0,0 +1,4 @@
+// Offline queue states
+export const QUEUE_IDLE = 'idle';
+export const QUEUE_OFFLINE = 'offline';
+export const QUEUE_REPLAYING = 'replaying';
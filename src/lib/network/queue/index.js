@@ -0,0 +1,8 @@
+export { default as OfflineQueue } from './OfflineQueue.svelte.js';
+export { default as MemoryRequestStore } from './MemoryRequestStore.js';
+export { default as IndexedDbRequestStore } from './IndexedDbRequestStore.js';
+
+export * from './constants.js';
+export * from './serialize.js';
+
+export * from './typedef.js';
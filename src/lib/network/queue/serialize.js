@@ -0,0 +1,172 @@
+/**
+ * Convert the options of a request into a record that can be stored in
+ * IndexedDB
+ *
+ * Supported bodies are strings, Blobs, BufferSources, URLSearchParams and
+ * FormData. Functions like `requestHandler` are not stored.
+ *
+ * @param {import('../http/typedef.js').HttpRequestOptions} options
+ *   Request options
+ *
+ * @returns {Promise<import('./typedef.js').QueuedRequest>}
+ *
+ * @throws {Error} If the body cannot be stored, e.g. a ReadableStream
+ */
+export async function serializeRequest(options) {
+  const {
+    url,
+    method,
+    urlSearchParams,
+    headers,
+    body,
+    withCredentials = false
+  } = options;
+
+  if (!method) {
+    throw new Error('Missing parameter [method]');
+  }
+
+  return {
+    url: String(url),
+    method,
+    urlSearchParams: urlSearchParams ? String(urlSearchParams) : null,
+    headers: { ...headers },
+    body: body == null ? null : await serializeBody(body),
+    withCredentials,
+    queuedAt: Date.now()
+  };
+}
+
+/**
+ * Convert a stored record back into request options
+ *
+ * @param {import('./typedef.js').QueuedRequest} record
+ *
+ * @returns {import('../http/typedef.js').HttpRequestOptions}
+ */
+export function deserializeRequest(record) {
+  return {
+    url: record.url,
+    method: record.method,
+    urlSearchParams: record.urlSearchParams
+      ? new URLSearchParams(record.urlSearchParams)
+      : undefined,
+    headers: { ...record.headers },
+    body: record.body ? deserializeBody(record.body) : undefined,
+    withCredentials: record.withCredentials
+  };
+}
+
+// > Internal functions
+
+/**
+ * Serialize a request body
+ *
+ * @param {*} body
+ *
+ * @returns {Promise<import('./typedef.js').SerializedBody>}
+ */
+async function serializeBody(body) {
+  if (typeof body === 'string') {
+    return { type: 'text', value: body };
+  }
+
+  if (body instanceof URLSearchParams) {
+    return { type: 'url-search-params', value: body.toString() };
+  }
+
+  if (body instanceof Blob) {
+    return {
+      type: 'binary',
+      value: await body.arrayBuffer(),
+      contentType: body.type
+    };
+  }
+
+  if (body instanceof ArrayBuffer) {
+    return { type: 'binary', value: body.slice(0) };
+  }
+
+  if (ArrayBuffer.isView(body)) {
+    return {
+      type: 'binary',
+      value: new Uint8Array(
+        body.buffer,
+        body.byteOffset,
+        body.byteLength
+      ).slice().buffer
+    };
+  }
+
+  if (body instanceof FormData) {
+    /** @type {import('./typedef.js').SerializedFormDataEntry[]} */
+    const entries = [];
+
+    for (const [name, value] of body) {
+      if (typeof value === 'string') {
+        entries.push({ name, value });
+      } else {
+        entries.push({
+          name,
+          value: await value.arrayBuffer(),
+          fileName: value.name,
+          contentType: value.type
+        });
+      }
+    }
+
+    return { type: 'form-data', value: entries };
+  }
+
+  throw new Error(
+    'Cannot queue request body ' +
+      '(expected string, Blob, BufferSource, URLSearchParams or FormData)'
+  );
+}
+
+/**
+ * Deserialize a request body
+ *
+ * @param {import('./typedef.js').SerializedBody} serialized
+ *
+ * @returns {string|Blob|URLSearchParams|FormData}
+ */
+function deserializeBody(serialized) {
+  const { type, value } = serialized;
+
+  switch (type) {
+    case 'text':
+      return /** @type {string} */ (value);
+
+    case 'url-search-params':
+      return new URLSearchParams(/** @type {string} */ (value));
+
+    case 'binary':
+      return new Blob([/** @type {ArrayBuffer} */ (value)], {
+        type: serialized.contentType ?? ''
+      });
+
+    case 'form-data': {
+      const formData = new FormData();
+
+      for (const entry of /** @type {import('./typedef.js').SerializedFormDataEntry[]} */ (
+        value
+      )) {
+        if (typeof entry.value === 'string') {
+          formData.append(entry.name, entry.value);
+        } else {
+          formData.append(
+            entry.name,
+            new Blob([entry.value], { type: entry.contentType ?? '' }),
+            entry.fileName
+          );
+        }
+      }
+
+      return formData;
+    }
+
+    default:
+      throw new Error(`Unsupported body type [${type}]`);
+  }
+}
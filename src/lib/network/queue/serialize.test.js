@@ -0,0 +1,80 @@
+import { describe, it, expect } from 'vitest';
+
+import { serializeRequest, deserializeRequest } from './serialize.js';
+
+describe('serializeRequest', () => {
+  it('should store url, method, headers and text body', async () => {
+    const record = await serializeRequest({
+      url: new URL('https://api.example.com/notes'),
+      method: 'POST',
+      urlSearchParams: new URLSearchParams({ draft: '1' }),
+      headers: { 'content-type': 'application/json' },
+      body: '{"text":"hello"}',
+      requestHandler: () => {}
+    });
+
+    expect(record).toMatchObject({
+      url: 'https://api.example.com/notes',
+      method: 'POST',
+      urlSearchParams: 'draft=1',
+      headers: { 'content-type': 'application/json' },
+      body: { type: 'text', value: '{"text":"hello"}' },
+      withCredentials: false
+    });
+    expect(record).not.toHaveProperty('requestHandler');
+
+    // Can be stored in IndexedDB
+    expect(structuredClone(record)).toEqual(record);
+  });
+
+  it('should restore binary, URLSearchParams and FormData bodies', async () => {
+    const formData = new FormData();
+    formData.append('title', 'Photo');
+    formData.append(
+      'file',
+      new Blob(['jpeg'], { type: 'image/jpeg' }),
+      'photo.jpg'
+    );
+
+    const bodies = [
+      new Blob(['blob'], { type: 'text/plain' }),
+      new Uint8Array([1, 2, 3]),
+      new URLSearchParams({ a: '1' }),
+      formData
+    ];
+
+    const [blob, bytes, params, form] = await Promise.all(
+      bodies.map(async (body) =>
+        deserializeRequest(
+          structuredClone(
+            await serializeRequest({ url: '/upload', method: 'PUT', body })
+          )
+        )
+      )
+    );
+
+    expect(await blob.body.text()).toBe('blob');
+    expect(blob.body.type).toBe('text/plain');
+    expect([...new Uint8Array(await bytes.body.arrayBuffer())]).toEqual([
+      1, 2, 3
+    ]);
+    expect(params.body.toString()).toBe('a=1');
+
+    expect(form.body.get('title')).toBe('Photo');
+
+    const file = form.body.get('file');
+    expect(file.name).toBe('photo.jpg');
+    expect(file.type).toBe('image/jpeg');
+    expect(await file.text()).toBe('jpeg');
+  });
+
+  it('should reject stream bodies', async () => {
+    await expect(
+      serializeRequest({
+        url: '/upload',
+        method: 'PUT',
+        body: new ReadableStream()
+      })
+    ).rejects.toThrow('Cannot queue request body');
+  });
+});
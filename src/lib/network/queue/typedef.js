@@ -0,0 +1,92 @@
+/**
+ * @typedef {Object} QueuedRequest
+ * @property {number} [id] Id of the request, assigned by the store
+ * @property {string} url URL of the request
+ * @property {string} method HTTP method
+ * @property {string|null} urlSearchParams Search parameters to add to the URL
+ * @property {Record<string, string>} headers HTTP headers
+ * @property {SerializedBody|null} body Serialized request body
+ * @property {boolean} withCredentials Whether to include credentials
+ * @property {number} queuedAt When the request was queued
+ */
+
+/**
+ * @typedef {Object} SerializedBody
+ * @property {'text'|'binary'|'url-search-params'|'form-data'} type
+ *   Type of the original body
+ *
+ * @property {string|ArrayBuffer|SerializedFormDataEntry[]} value
+ *   Body data
+ *
+ * @property {string} [contentType] Content type of a Blob body
+ */
+
+/**
+ * @typedef {Object} SerializedFormDataEntry
+ * @property {string} name Name of the field
+ * @property {string|ArrayBuffer} value Value of the field
+ * @property {string} [fileName] File name of a file field
+ * @property {string} [contentType] Content type of a file field
+ */
+
+/**
+ * @typedef {Object} RequestStore
+ * @property {(request: QueuedRequest) => Promise<number>} add
+ *   Add a request, returns the id of the request
+ * @property {() => Promise<QueuedRequest[]>} getAll
+ *   Get all requests, in the order in which they were added
+ * @property {(id: number) => Promise<void>} delete
+ *   Remove a request
+ * @property {() => Promise<void>} clear
+ *   Remove all requests
+ */
+
+/**
+ * Callback that decides what to do with a request that the server rejected
+ * with 409 Conflict or 412 Precondition Failed during replay
+ *
+ * @callback ConflictHandler
+ * @param {object} _
+ * @param {import('../http/typedef.js').HttpRequestOptions} _.request
+ *   Options of the request
+ * @param {import('../errors.js').HttpError} _.error
+ *   Error of the response
+ *
+ * @returns {Promise<import('../http/typedef.js').HttpRequestOptions|null|void>|import('../http/typedef.js').HttpRequestOptions|null|void}
+ *   Request options to send instead, or nothing to drop the request
+ */
+
+/**
+ * @typedef {Object} OfflineQueueOptions
+ * @property {RequestStore} [store]
+ *   Storage for queued requests (IndexedDB in the browser, memory otherwise)
+ *
+ * @property {(options: import('../http/typedef.js').HttpRequestOptions) => Promise<Response>} [send]
+ *   Function that replays a request (default: httpRequest)
+ *
+ * @property {() => boolean} [isOnline]
+ *   Function that checks the connectivity (default: isOnline from
+ *   `$lib/browser/info/system.js`, always true on the server)
+ *
+ * @property {string[]} [methods]
+ *   Methods that are queued (default: POST, PUT, PATCH and DELETE)
+ *
+ * @property {ConflictHandler} [onConflict]
+ *   Conflict handler for requests without their own handler, e.g. after
+ *   a reload
+ *
+ * @property {(failure: { request: import('../http/typedef.js').HttpRequestOptions, error: * }) => void} [onReplayError]
+ *   Called when a replayed request fails and is dropped
+ *
+ * @property {boolean} [autoReplay=true]
+ *   Replay the queue when the browser comes back online
+ */
+
+/**
+ * @typedef {Object} ReplayResult
+ * @property {number} sent Number of requests that were sent
+ * @property {number} dropped Number of requests that were dropped
+ * @property {number} remaining Number of requests that are still queued
+ */
+
+export default {};
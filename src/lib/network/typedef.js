@@ -8,5 +8,6 @@ export * from './http/typedef.js';
 export * from './cache/typedef.js';
 export * from './states/typedef.js';
 export * from './loaders/typedef.js';
+export * from './queue/typedef.js';
 
 export default {};
@@ -3,6 +3,7 @@ export { default as ServiceManager } from './service-manager/ServiceManager.js';
 
 export * from './service-base/constants.js';
 export * from './service-manager/constants.js';
+export * from './service-manager/errors.js';
 
 /**
  * Create a getService function with a preset manager
@@ -0,0 +1,360 @@
+/**
+ * @fileoverview Periodic health monitoring plugin for ServiceManager
+ *
+ * Runs the health checks of all registered services at a fixed interval,
+ * each with its own timeout, and keeps the last result per service. Health
+ * transitions detected by the checks are emitted on the manager as
+ * `service:healthChanged` events. The results are combined into an
+ * aggregated status that distinguishes critical and optional services.
+ *
+ * @example
+ * // Basic usage
+ * import HealthMonitorPlugin from
+ *   '$lib/services/manager-plugins/HealthMonitorPlugin.js';
+ *
+ * const healthMonitor = new HealthMonitorPlugin({
+ *   intervalMs: 15000,
+ *   timeoutMs: 2000
+ * });
+ *
+ * manager.attachPlugin(healthMonitor);
+ *
+ * // Register optional services with `critical: false`
+ * manager.register('cache', CacheService, 'cache', { critical: false });
+ *
+ * const { status, services } = healthMonitor.getStatus();
+ * // status: 'healthy' | 'degraded' | 'unhealthy'
+ *
+ * @example
+ * // Expose readiness in SvelteKit (src/routes/health/ready/+server.js)
+ * import { createReadinessHandler } from
+ *   '$lib/services/manager-plugins/health-handlers.js';
+ *
+ * export const GET = createReadinessHandler(healthMonitor);
+ */
+
+import {
+  SERVICE_HEALTH_CHANGED,
+  HEALTH_HEALTHY,
+  HEALTH_DEGRADED,
+  HEALTH_UNHEALTHY
+} from '../service-manager/constants.js';
+
+/**
+ * @typedef {import('./typedef.js').HealthMonitorOptions} HealthMonitorOptions
+ * @typedef {import('./typedef.js').ServiceHealthRecord} ServiceHealthRecord
+ * @typedef {import('./typedef.js').AggregatedHealth} AggregatedHealth
+ */
+
+/**
+ * Plugin that periodically checks the health of all services
+ */
+export default class HealthMonitorPlugin {
+  /** @type {Map<string, ServiceHealthRecord>} */
+  #records = new Map();
+
+  /**
+   * Last known health per service, including changes reported by the
+   * services themselves
+   *
+   * @type {Map<string, boolean>}
+   */
+  #knownHealth = new Map();
+
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  #timer = null;
+
+  /** @type {boolean} */
+  #running = false;
+
+  /** @type {number|null} */
+  #lastCheckAt = null;
+
+  /** @type {Promise<AggregatedHealth>|null} */
+  #pendingCheck = null;
+
+  /** @type {Function|null} */
+  #unsubscribe = null;
+
+  /**
+   * Create a new health monitor plugin
+   *
+   * @param {HealthMonitorOptions} [options={}]
+   */
+  constructor(options = {}) {
+    /** @type {string} */
+    this.name = 'health-monitor';
+
+    /** @type {import('../service-manager/ServiceManager.js').ServiceManager|null} */
+    this.manager = null;
+
+    /** @type {Required<HealthMonitorOptions>} */
+    this.options = {
+      intervalMs: options.intervalMs ?? 30000,
+      timeoutMs: options.timeoutMs ?? 5000,
+      autoStart: options.autoStart ?? true
+    };
+  }
+
+  /**
+   * Whether periodic health checks are running
+   *
+   * @returns {boolean}
+   */
+  get running() {
+    return this.#running;
+  }
+
+  /**
+   * Start periodic health checks
+   *
+   * The first check round runs immediately.
+   */
+  start() {
+    if (this.#running) {
+      return;
+    }
+
+    if (!this.manager) {
+      throw new Error(`Plugin '${this.name}' is not attached`);
+    }
+
+    this.#running = true;
+    this.#runPeriodicCheck();
+
+    this.manager.logger.debug(
+      `Health monitor started (interval: ${this.options.intervalMs}ms)`
+    );
+  }
+
+  /**
+   * Stop periodic health checks
+   */
+  stop() {
+    if (!this.#running) {
+      return;
+    }
+
+    this.#running = false;
+
+    if (this.#timer) {
+      clearTimeout(this.#timer);
+      this.#timer = null;
+    }
+
+    this.manager?.logger.debug('Health monitor stopped');
+  }
+
+  /**
+   * Check the health of all services now
+   *
+   * Concurrent calls share the same check round.
+   *
+   * @returns {Promise<AggregatedHealth>} Aggregated health status
+   */
+  async checkAll() {
+    if (!this.#pendingCheck) {
+      this.#pendingCheck = this.#checkAllServices().finally(() => {
+        this.#pendingCheck = null;
+      });
+    }
+
+    return await this.#pendingCheck;
+  }
+
+  /**
+   * Get the aggregated health status from the last check results
+   *
+   * Services that have not been checked yet are not included.
+   *
+   * @returns {AggregatedHealth} Aggregated health status
+   */
+  getStatus() {
+    /** @type {Object<string, ServiceHealthRecord>} */
+    const services = {};
+
+    let status = HEALTH_HEALTHY;
+
+    for (const [name, record] of this.#records) {
+      services[name] = { ...record };
+
+      if (!record.healthy) {
+        if (record.critical) {
+          status = HEALTH_UNHEALTHY;
+        } else if (status === HEALTH_HEALTHY) {
+          status = HEALTH_DEGRADED;
+        }
+      }
+    }
+
+    return {
+      status: /** @type {AggregatedHealth['status']} */ (status),
+      checkedAt: this.#lastCheckAt,
+      services
+    };
+  }
+
+  /**
+   * Get the last health check result of a service
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {ServiceHealthRecord|undefined} Last result, if checked
+   */
+  getServiceRecord(name) {
+    const record = this.#records.get(name);
+    return record ? { ...record } : undefined;
+  }
+
+  /**
+   * Attach plugin to ServiceManager
+   *
+   * @param {import('../service-manager/ServiceManager.js').ServiceManager} manager
+   *   ServiceManager instance
+   */
+  attach(manager) {
+    if (this.manager) {
+      throw new Error(
+        `Plugin '${this.name}' is already attached to a ServiceManager`
+      );
+    }
+
+    this.manager = manager;
+
+    // Keep track of health changes reported by the services themselves,
+    // so that only transitions detected by the checks are emitted
+    this.#unsubscribe = manager.on(
+      SERVICE_HEALTH_CHANGED,
+      (
+        /** @type {{ service: string, data: { healthy: boolean } }} */ event
+      ) => {
+        this.#knownHealth.set(event.service, event.data.healthy);
+      }
+    );
+
+    this.manager.logger.info('HealthMonitorPlugin attached');
+
+    if (this.options.autoStart) {
+      this.start();
+    }
+  }
+
+  /**
+   * Detach plugin from ServiceManager
+   */
+  detach() {
+    if (this.manager) {
+      this.stop();
+
+      this.#unsubscribe?.();
+      this.#unsubscribe = null;
+
+      this.#records.clear();
+      this.#knownHealth.clear();
+      this.#lastCheckAt = null;
+
+      this.manager.logger.info('HealthMonitorPlugin detached');
+      this.manager = null;
+    }
+  }
+
+  // Internal methods
+
+  /**
+   * Run a check round and schedule the next one
+   *
+   * The next round is scheduled after the current one completed, so that
+   * slow checks never overlap.
+   */
+  async #runPeriodicCheck() {
+    try {
+      await this.checkAll();
+    } catch (error) {
+      this.manager?.logger.error(
+        'Health check round failed',
+        /** @type {Error} */ (error)
+      );
+    }
+
+    if (this.#running) {
+      this.#timer = setTimeout(() => {
+        this.#timer = null;
+        this.#runPeriodicCheck();
+      }, this.options.intervalMs);
+    }
+  }
+
+  /**
+   * Check all registered services concurrently and store the results
+   *
+   * @returns {Promise<AggregatedHealth>} Aggregated health status
+   */
+  async #checkAllServices() {
+    const manager = this.manager;
+
+    if (!manager) {
+      throw new Error(`Plugin '${this.name}' is not attached`);
+    }
+
+    const names = [...manager.services.keys()];
+
+    await Promise.all(names.map((name) => this.#checkService(name)));
+
+    // Forget services that are no longer registered
+    for (const name of this.#records.keys()) {
+      if (!manager.services.has(name)) {
+        this.#records.delete(name);
+        this.#knownHealth.delete(name);
+      }
+    }
+
+    this.#lastCheckAt = Date.now();
+
+    return this.getStatus();
+  }
+
+  /**
+   * Check a single service, store the result and emit a health change
+   * event on transitions
+   *
+   * @param {string} name - Service name
+   */
+  async #checkService(name) {
+    const manager =
+      /** @type {import('../service-manager/ServiceManager.js').ServiceManager} */ (
+        this.manager
+      );
+
+    const startedAt = Date.now();
+
+    const details = await manager.getServiceHealth(name, {
+      timeout: this.options.timeoutMs
+    });
+
+    const checkedAt = Date.now();
+    const healthy = details.healthy;
+
+    const previous = this.#records.get(name);
+    const wasHealthy = this.#knownHealth.get(name);
+
+    const changed = wasHealthy !== undefined && wasHealthy !== healthy;
+
+    this.#records.set(name, {
+      healthy,
+      critical: manager.services.get(name)?.critical ?? true,
+      checkedAt,
+      latencyMs: checkedAt - startedAt,
+      changedAt: changed ? checkedAt : (previous?.changedAt ?? null),
+      details
+    });
+
+    this.#knownHealth.set(name, healthy);
+
+    if (changed) {
+      manager.emit(SERVICE_HEALTH_CHANGED, {
+        service: name,
+        data: { healthy, wasHealthy }
+      });
+    }
+  }
+}
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Unit tests for HealthMonitorPlugin.js
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import HealthMonitorPlugin from './HealthMonitorPlugin.js';
+import { ServiceManager } from '../service-manager/ServiceManager.js';
+import { ServiceBase } from '../service-base/ServiceBase.js';
+import { SERVICE_HEALTH_CHANGED } from '../service-manager/constants.js';
+
+// Mock service with a controllable health check
+class MockService extends ServiceBase {
+  constructor(name, options) {
+    super(name, options);
+    this.checkHealthy = true;
+    this.checkDelay = 0;
+  }
+
+  async _healthCheck() {
+    if (this.checkDelay) {
+      await new Promise((resolve) => setTimeout(resolve, this.checkDelay));
+    }
+    if (!this.checkHealthy) {
+      throw new Error('Ping failed');
+    }
+    return { ping: 'ok' };
+  }
+}
+
+describe('HealthMonitorPlugin', () => {
+  let manager;
+  let monitor;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    manager = new ServiceManager();
+    manager.register('database', MockService);
+    manager.register('cache', MockService, {}, { critical: false });
+
+    monitor = new HealthMonitorPlugin({
+      intervalMs: 1000,
+      timeoutMs: 100,
+      autoStart: false
+    });
+    manager.attachPlugin(monitor);
+  });
+
+  afterEach(() => {
+    manager.detachPlugin(monitor.name);
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('Checks', () => {
+    it('should record the result per service', async () => {
+      await manager.startAll();
+
+      const result = await monitor.checkAll();
+
+      expect(result.status).toBe('healthy');
+      expect(result.checkedAt).toEqual(expect.any(Number));
+      expect(result.services.database).toMatchObject({
+        healthy: true,
+        critical: true,
+        latencyMs: expect.any(Number),
+        details: { name: 'database', ping: 'ok' }
+      });
+      expect(monitor.getServiceRecord('cache').critical).toBe(false);
+    });
+
+    it('should report unhealthy when a check times out', async () => {
+      await manager.startAll();
+      manager.get('database').checkDelay = 10000;
+
+      const resultPromise = monitor.checkAll();
+      await vi.advanceTimersByTimeAsync(100);
+      const result = await resultPromise;
+
+      expect(result.services.database.healthy).toBe(false);
+      expect(result.services.database.details.checkError).toBe(
+        'Health check timed out after 100ms'
+      );
+      expect(result.services.cache.healthy).toBe(true);
+    });
+
+    it('should share a check round between concurrent calls', async () => {
+      await manager.startAll();
+      const spy = vi.spyOn(manager, 'getServiceHealth');
+
+      await Promise.all([monitor.checkAll(), monitor.checkAll()]);
+
+      expect(spy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Aggregated status', () => {
+    beforeEach(async () => {
+      await manager.startAll();
+    });
+
+    it('should be degraded when an optional service is unhealthy', async () => {
+      manager.get('cache').checkHealthy = false;
+
+      const { status } = await monitor.checkAll();
+
+      expect(status).toBe('degraded');
+    });
+
+    it('should be unhealthy when a critical service is unhealthy', async () => {
+      manager.get('cache').checkHealthy = false;
+      manager.get('database').checkHealthy = false;
+
+      const { status } = await monitor.checkAll();
+
+      expect(status).toBe('unhealthy');
+    });
+  });
+
+  describe('Health transitions', () => {
+    it('should emit only when health changes', async () => {
+      await manager.startAll();
+
+      const events = [];
+      manager.on(SERVICE_HEALTH_CHANGED, (e) => events.push(e));
+
+      await monitor.checkAll();
+      expect(events).toHaveLength(0);
+
+      manager.get('database').checkHealthy = false;
+      await monitor.checkAll();
+      await monitor.checkAll();
+
+      expect(events).toEqual([
+        {
+          service: 'database',
+          data: { healthy: false, wasHealthy: true }
+        }
+      ]);
+      expect(monitor.getServiceRecord('database').changedAt).toEqual(
+        expect.any(Number)
+      );
+    });
+
+    it('should not repeat changes reported by the service itself', async () => {
+      await manager.startAll();
+      await monitor.checkAll();
+
+      const events = [];
+      manager.on(SERVICE_HEALTH_CHANGED, (e) => events.push(e));
+
+      await manager.stopService('database');
+      await monitor.checkAll();
+
+      // Only the event forwarded from the service
+      expect(events).toHaveLength(1);
+    });
+  });
+
+  describe('Periodic checks', () => {
+    it('should check at the configured interval', async () => {
+      await manager.startAll();
+      const spy = vi.spyOn(monitor, 'checkAll');
+
+      monitor.start();
+      expect(monitor.running).toBe(true);
+
+      await vi.advanceTimersByTimeAsync(2500);
+      expect(spy).toHaveBeenCalledTimes(3);
+
+      monitor.stop();
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(spy).toHaveBeenCalledTimes(3);
+    });
+
+    it('should start automatically when attached', () => {
+      const otherManager = new ServiceManager();
+      const autoMonitor = new HealthMonitorPlugin();
+
+      otherManager.attachPlugin(autoMonitor);
+      expect(autoMonitor.running).toBe(true);
+
+      otherManager.detachPlugin(autoMonitor.name);
+      expect(autoMonitor.running).toBe(false);
+    });
+
+    it('should throw when started without manager', () => {
+      const detached = new HealthMonitorPlugin({ autoStart: false });
+
+      expect(() => detached.start()).toThrow(
+        "Plugin 'health-monitor' is not attached"
+      );
+    });
+  });
+});
@@ -0,0 +1,471 @@
+/**
+ * @fileoverview Metrics collection plugin for ServiceManager
+ *
+ * Listens to the events of the manager and records per service:
+ * - the duration of the lifecycle operations (configure, start, drain,
+ *   stop and destroy) as histograms
+ * - the number of errors per failed operation
+ * - the number of recovery attempts, recoveries and give-ups
+ *
+ * The metrics are available as a JSON snapshot and in the Prometheus text
+ * exposition format.
+ *
+ * @example
+ * // Basic usage
+ * import MetricsPlugin from
+ *   '$lib/services/manager-plugins/MetricsPlugin.js';
+ *
+ * const metrics = new MetricsPlugin();
+ *
+ * manager.attachPlugin(metrics);
+ *
+ * await manager.startAll();
+ *
+ * const { services } = metrics.getSnapshot();
+ * // services.database.operations.start:
+ * //   { count: 1, sumMs: 120, lastMs: 120, maxMs: 120, buckets: {...} }
+ *
+ * @example
+ * // Expose the metrics in SvelteKit (src/routes/metrics/+server.js)
+ * import { createMetricsHandler } from
+ *   '$lib/services/manager-plugins/metrics-handlers.js';
+ *
+ * export const GET = createMetricsHandler(metrics);
+ */
+
+import {
+  SERVICE_STATE_CHANGED,
+  SERVICE_ERROR,
+  SERVICE_RECOVERING,
+  SERVICE_RECOVERED,
+  SERVICE_GAVE_UP
+} from '../service-manager/constants.js';
+
+import {
+  STATE_CONFIGURING,
+  STATE_STARTING,
+  STATE_DRAINING,
+  STATE_STOPPING,
+  STATE_DESTROYING,
+  STATE_RUNNING
+} from '../service-base/constants.js';
+
+/**
+ * @typedef {import('./typedef.js').MetricsOptions} MetricsOptions
+ * @typedef {import('./typedef.js').OperationMetrics} OperationMetrics
+ * @typedef {import('./typedef.js').ServiceMetrics} ServiceMetrics
+ * @typedef {import('./typedef.js').MetricsSnapshot} MetricsSnapshot
+ */
+
+/**
+ * Default histogram bucket upper bounds in milliseconds
+ */
+export const DEFAULT_BUCKETS_MS = [
+  5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000
+];
+
+/**
+ * Lifecycle operations by the transitional state the service is in while
+ * the operation runs
+ *
+ * @type {Object<string, string>}
+ */
+const OPERATIONS_BY_STATE = {
+  [STATE_CONFIGURING]: 'configure',
+  [STATE_STARTING]: 'start',
+  [STATE_DRAINING]: 'drain',
+  [STATE_STOPPING]: 'stop',
+  [STATE_DESTROYING]: 'destroy'
+};
+
+/**
+ * Plugin that records lifecycle metrics of all services
+ */
+export default class MetricsPlugin {
+  /** @type {Map<string, ServiceMetrics>} */
+  #services = new Map();
+
+  /**
+   * Time each service entered its current transitional state
+   *
+   * @type {Map<string, number>}
+   */
+  #operationStartedAt = new Map();
+
+  /** @type {Function[]} */
+  #unsubscribers = [];
+
+  /**
+   * Create a new metrics plugin
+   *
+   * @param {MetricsOptions} [options={}]
+   */
+  constructor(options = {}) {
+    /** @type {string} */
+    this.name = 'metrics';
+
+    /** @type {import('../service-manager/ServiceManager.js').ServiceManager|null} */
+    this.manager = null;
+
+    /** @type {Required<MetricsOptions>} */
+    this.options = {
+      bucketsMs: [...(options.bucketsMs ?? DEFAULT_BUCKETS_MS)].sort(
+        (a, b) => a - b
+      ),
+      prefix: options.prefix ?? 'service'
+    };
+  }
+
+  /**
+   * Get a JSON-serializable snapshot of all metrics
+   *
+   * Services that have not recorded any metrics yet are included with
+   * empty metrics, so that every registered service is listed.
+   *
+   * @returns {MetricsSnapshot} Metrics snapshot
+   */
+  getSnapshot() {
+    /** @type {Object<string, ServiceMetrics & { running: boolean }>} */
+    const services = {};
+
+    for (const name of this.#getServiceNames()) {
+      const metrics = this.#services.get(name) ?? this.#createServiceMetrics();
+
+      /** @type {Object<string, OperationMetrics>} */
+      const operations = {};
+
+      for (const [operation, histogram] of Object.entries(metrics.operations)) {
+        operations[operation] = {
+          ...histogram,
+          buckets: { ...histogram.buckets }
+        };
+      }
+
+      services[name] = {
+        running: this.#isRunning(name),
+        operations,
+        errors: { ...metrics.errors },
+        recovery: { ...metrics.recovery }
+      };
+    }
+
+    return { generatedAt: Date.now(), services };
+  }
+
+  /**
+   * Get all metrics in the Prometheus text exposition format
+   *
+   * @returns {string} Metrics text (version 0.0.4)
+   */
+  toPrometheus() {
+    const { services } = this.getSnapshot();
+    const prefix = this.options.prefix;
+
+    /** @type {string[]} */
+    const lines = [];
+
+    // -- Running gauge
+
+    lines.push(
+      `# HELP ${prefix}_up Whether the service is running (1) or not (0)`,
+      `# TYPE ${prefix}_up gauge`
+    );
+
+    for (const [name, metrics] of Object.entries(services)) {
+      lines.push(
+        `${prefix}_up${formatLabels({ service: name })} ${metrics.running ? 1 : 0}`
+      );
+    }
+
+    // -- Operation durations
+
+    const durationName = `${prefix}_operation_duration_seconds`;
+
+    lines.push(
+      `# HELP ${durationName} Duration of service lifecycle operations`,
+      `# TYPE ${durationName} histogram`
+    );
+
+    for (const [name, metrics] of Object.entries(services)) {
+      for (const [operation, histogram] of Object.entries(metrics.operations)) {
+        const labels = { service: name, operation };
+
+        for (const [le, count] of Object.entries(histogram.buckets)) {
+          const bound = le === '+Inf' ? le : String(Number(le) / 1000);
+
+          lines.push(
+            `${durationName}_bucket${formatLabels({ ...labels, le: bound })} ${count}`
+          );
+        }
+
+        lines.push(
+          `${durationName}_sum${formatLabels(labels)} ${histogram.sumMs / 1000}`,
+          `${durationName}_count${formatLabels(labels)} ${histogram.count}`
+        );
+      }
+    }
+
+    // -- Counters
+
+    lines.push(
+      `# HELP ${prefix}_errors_total Number of errors per failed operation`,
+      `# TYPE ${prefix}_errors_total counter`
+    );
+
+    for (const [name, metrics] of Object.entries(services)) {
+      for (const [operation, count] of Object.entries(metrics.errors)) {
+        lines.push(
+          `${prefix}_errors_total${formatLabels({ service: name, operation })} ${count}`
+        );
+      }
+    }
+
+    /** @type {[keyof ServiceMetrics['recovery'], string, string][]} */
+    const recoveryCounters = [
+      ['attempts', 'recovery_attempts_total', 'Number of recovery attempts'],
+      ['recovered', 'recoveries_total', 'Number of successful recoveries'],
+      ['gaveUp', 'recovery_gave_up_total', 'Number of times recovery gave up']
+    ];
+
+    for (const [key, suffix, help] of recoveryCounters) {
+      lines.push(
+        `# HELP ${prefix}_${suffix} ${help}`,
+        `# TYPE ${prefix}_${suffix} counter`
+      );
+
+      for (const [name, metrics] of Object.entries(services)) {
+        lines.push(
+          `${prefix}_${suffix}${formatLabels({ service: name })} ${metrics.recovery[key]}`
+        );
+      }
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Remove all recorded metrics
+   */
+  reset() {
+    this.#services.clear();
+    this.#operationStartedAt.clear();
+  }
+
+  /**
+   * Attach plugin to ServiceManager
+   *
+   * @param {import('../service-manager/ServiceManager.js').ServiceManager} manager
+   *   ServiceManager instance
+   */
+  attach(manager) {
+    if (this.manager) {
+      throw new Error(
+        `Plugin '${this.name}' is already attached to a ServiceManager`
+      );
+    }
+
+    this.manager = manager;
+
+    this.#unsubscribers = [
+      manager.on(
+        SERVICE_STATE_CHANGED,
+        (
+          /** @type {{ service: string, data: { oldState: string, newState: string } }} */ event
+        ) => {
+          this.#onStateChanged(
+            event.service,
+            event.data.oldState,
+            event.data.newState
+          );
+        }
+      ),
+      manager.on(
+        SERVICE_ERROR,
+        (
+          /** @type {{ service: string, data: { operation: string } }} */ event
+        ) => {
+          const errors = this.#getServiceMetrics(event.service).errors;
+          const operation = event.data.operation;
+
+          errors[operation] = (errors[operation] ?? 0) + 1;
+        }
+      ),
+      manager.on(SERVICE_RECOVERING, (/** @type {{ service: string }} */ e) => {
+        this.#getServiceMetrics(e.service).recovery.attempts++;
+      }),
+      manager.on(SERVICE_RECOVERED, (/** @type {{ service: string }} */ e) => {
+        this.#getServiceMetrics(e.service).recovery.recovered++;
+      }),
+      manager.on(SERVICE_GAVE_UP, (/** @type {{ service: string }} */ e) => {
+        this.#getServiceMetrics(e.service).recovery.gaveUp++;
+      })
+    ];
+
+    this.manager.logger.info('MetricsPlugin attached');
+  }
+
+  /**
+   * Detach plugin from ServiceManager
+   */
+  detach() {
+    if (this.manager) {
+      for (const unsubscribe of this.#unsubscribers) {
+        unsubscribe();
+      }
+      this.#unsubscribers = [];
+
+      this.reset();
+
+      this.manager.logger.info('MetricsPlugin detached');
+      this.manager = null;
+    }
+  }
+
+  // Internal methods
+
+  /**
+   * Measure lifecycle operations from state transitions
+   *
+   * An operation starts when the service enters a transitional state and
+   * ends when it leaves that state, also when the operation failed.
+   *
+   * @param {string} name - Service name
+   * @param {string} oldState - Previous state
+   * @param {string} newState - New state
+   */
+  #onStateChanged(name, oldState, newState) {
+    const now = Date.now();
+    const operation = OPERATIONS_BY_STATE[oldState];
+    const startedAt = this.#operationStartedAt.get(name);
+
+    this.#operationStartedAt.delete(name);
+
+    if (operation && startedAt !== undefined) {
+      this.#observe(name, operation, now - startedAt);
+    }
+
+    if (OPERATIONS_BY_STATE[newState]) {
+      this.#operationStartedAt.set(name, now);
+    }
+  }
+
+  /**
+   * Add an operation duration to the histogram of a service
+   *
+   * @param {string} name - Service name
+   * @param {string} operation - Operation name
+   * @param {number} durationMs - Duration in milliseconds
+   */
+  #observe(name, operation, durationMs) {
+    const operations = this.#getServiceMetrics(name).operations;
+
+    let histogram = operations[operation];
+
+    if (!histogram) {
+      /** @type {Object<string, number>} */
+      const buckets = {};
+
+      for (const bound of this.options.bucketsMs) {
+        buckets[String(bound)] = 0;
+      }
+      buckets['+Inf'] = 0;
+
+      histogram = operations[operation] = {
+        count: 0,
+        sumMs: 0,
+        lastMs: 0,
+        maxMs: 0,
+        buckets
+      };
+    }
+
+    histogram.count++;
+    histogram.sumMs += durationMs;
+    histogram.lastMs = durationMs;
+    histogram.maxMs = Math.max(histogram.maxMs, durationMs);
+
+    // Buckets are cumulative
+    for (const bound of this.options.bucketsMs) {
+      if (durationMs <= bound) {
+        histogram.buckets[String(bound)]++;
+      }
+    }
+    histogram.buckets['+Inf']++;
+  }
+
+  /**
+   * Get the metrics of a service, created on first use
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {ServiceMetrics}
+   */
+  #getServiceMetrics(name) {
+    let metrics = this.#services.get(name);
+
+    if (!metrics) {
+      metrics = this.#createServiceMetrics();
+      this.#services.set(name, metrics);
+    }
+
+    return metrics;
+  }
+
+  /**
+   * Create empty service metrics
+   *
+   * @returns {ServiceMetrics}
+   */
+  #createServiceMetrics() {
+    return {
+      operations: {},
+      errors: {},
+      recovery: { attempts: 0, recovered: 0, gaveUp: 0 }
+    };
+  }
+
+  /**
+   * Get the names of the registered services and of the services with
+   * recorded metrics
+   *
+   * @returns {string[]} Service names
+   */
+  #getServiceNames() {
+    return [
+      ...new Set([
+        ...(this.manager?.services.keys() ?? []),
+        ...this.#services.keys()
+      ])
+    ];
+  }
+
+  /**
+   * Check if a service is running without creating its instance
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {boolean}
+   */
+  #isRunning(name) {
+    return this.manager?.services.get(name)?.instance?.state === STATE_RUNNING;
+  }
+}
+
+/**
+ * Format Prometheus labels
+ *
+ * @param {Object<string, string>} labels
+ *
+ * @returns {string} Labels, e.g. `{service="database"}`
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) =>
+      `${key}="${value
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')}"`
+  );
+
+  return `{${pairs.join(',')}}`;
+}
@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Unit tests for MetricsPlugin.js
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+
+import MetricsPlugin from './MetricsPlugin.js';
+import { ServiceManager } from '../service-manager/ServiceManager.js';
+import { ServiceBase } from '../service-base/ServiceBase.js';
+
+// Service that takes 120ms to start
+class SlowService extends ServiceBase {
+  async _start() {
+    await new Promise((resolve) => setTimeout(resolve, 120));
+  }
+}
+
+// Service that fails to start once, then recovers
+class FlakyService extends ServiceBase {
+  constructor(name, options) {
+    super(name, options);
+    this.failures = 1;
+  }
+
+  async _start() {
+    if (this.failures > 0) {
+      this.failures--;
+      throw new Error('Port in use');
+    }
+  }
+
+  async _recover() {
+    await this._start();
+  }
+}
+
+describe('MetricsPlugin', () => {
+  let manager;
+  let metrics;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    manager = new ServiceManager();
+    manager.register('database', SlowService);
+
+    metrics = new MetricsPlugin({ bucketsMs: [100, 1000] });
+    manager.attachPlugin(metrics);
+  });
+
+  afterEach(() => {
+    manager.detachPlugin(metrics.name);
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  async function startDatabase() {
+    const promise = manager.startService('database');
+    await vi.advanceTimersByTimeAsync(120);
+    await promise;
+  }
+
+  it('should record operation durations', async () => {
+    await startDatabase();
+
+    const { services } = metrics.getSnapshot();
+
+    expect(services.database.running).toBe(true);
+    expect(services.database.operations.start).toEqual({
+      count: 1,
+      sumMs: 120,
+      lastMs: 120,
+      maxMs: 120,
+      buckets: { 100: 0, 1000: 1, '+Inf': 1 }
+    });
+    expect(services.database.operations.configure.count).toBe(1);
+  });
+
+  it('should count errors and recoveries', async () => {
+    vi.spyOn(manager.logger, 'error').mockImplementation(() => {});
+
+    manager.register(
+      'flaky',
+      FlakyService,
+      {},
+      {
+        restart: {
+          policy: 'on-failure',
+          backoff: { initialDelayMs: 100, jitter: 0 }
+        }
+      }
+    );
+
+    await manager.startService('flaky');
+    await vi.advanceTimersByTimeAsync(100);
+
+    const { services } = metrics.getSnapshot();
+
+    expect(manager.get('flaky').state).toBe('running');
+    expect(services.flaky.errors).toEqual({ startup: 1 });
+    expect(services.flaky.recovery).toEqual({
+      attempts: 1,
+      recovered: 1,
+      gaveUp: 0
+    });
+
+    // Failed operations are measured as well
+    expect(services.flaky.operations.start.count).toBe(1);
+  });
+
+  it('should list registered services without metrics', () => {
+    manager.register('cache', ServiceBase);
+
+    expect(metrics.getSnapshot().services.cache).toEqual({
+      running: false,
+      operations: {},
+      errors: {},
+      recovery: { attempts: 0, recovered: 0, gaveUp: 0 }
+    });
+  });
+
+  it('should export the Prometheus text format', async () => {
+    await startDatabase();
+
+    const text = metrics.toPrometheus();
+
+    expect(text).toContain('# TYPE service_up gauge');
+    expect(text).toContain('service_up{service="database"} 1');
+    expect(text).toContain(
+      '# TYPE service_operation_duration_seconds histogram'
+    );
+    expect(text).toContain(
+      'service_operation_duration_seconds_bucket{service="database",operation="start",le="0.1"} 0'
+    );
+    expect(text).toContain(
+      'service_operation_duration_seconds_bucket{service="database",operation="start",le="+Inf"} 1'
+    );
+    expect(text).toContain(
+      'service_operation_duration_seconds_sum{service="database",operation="start"} 0.12'
+    );
+    expect(text).toContain(
+      'service_recovery_attempts_total{service="database"} 0'
+    );
+    expect(text.endsWith('\n')).toBe(true);
+  });
+
+  it('should stop recording when detached', async () => {
+    manager.detachPlugin(metrics.name);
+
+    await startDatabase();
+
+    expect(metrics.getSnapshot().services).toEqual({});
+
+    // Attach again for afterEach
+    manager.attachPlugin(metrics);
+  });
+});
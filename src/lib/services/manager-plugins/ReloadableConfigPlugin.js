@@ -0,0 +1,375 @@
+/**
+ * @fileoverview Hot reloading configuration plugin for ServiceManager
+ *
+ * Extends ConfigPlugin with configuration sources, such as environment
+ * variables and JSON files. The sources are watched, and when they change
+ * only the config labels with a different value are pushed to their
+ * services using `replaceConfig`. Configs can be validated against valibot
+ * schemas; a config that fails validation is rejected and the services
+ * keep their current config.
+ *
+ * @example
+ * import * as v from 'valibot';
+ *
+ * import ReloadableConfigPlugin from
+ *   '$lib/services/manager-plugins/ReloadableConfigPlugin.js';
+ * import {
+ *   createEnvSource,
+ *   createJsonFileSource
+ * } from '$lib/services/manager-plugins/config-sources.js';
+ *
+ * const configPlugin = new ReloadableConfigPlugin({
+ *   sources: [
+ *     createJsonFileSource('./config/services.json'),
+ *     createEnvSource({ prefixMap: { database: 'DATABASE' } })
+ *   ],
+ *   schemas: {
+ *     database: v.object({ host: v.string(), port: v.number() })
+ *   }
+ * });
+ *
+ * manager.attachPlugin(configPlugin);
+ * manager.register('db', DatabaseService, 'database');
+ *
+ * @example
+ * // Reload manually, e.g. on SIGHUP
+ * process.on('SIGHUP', async () => {
+ *   const { changed, rejected } = await configPlugin.reload();
+ * });
+ */
+
+import * as v from 'valibot';
+
+import { equals } from '$lib/util/compare.js';
+
+import ConfigPlugin from './ConfigPlugin.js';
+
+/**
+ * @typedef {import('../service-manager/typedef.js').ServiceEntry<
+ *   import('../service-base/typedef.js').ServiceInstance
+ * >} ServiceEntry
+ */
+
+/**
+ * @typedef {import('./typedef.js').ConfigSource} ConfigSource
+ * @typedef {import('./typedef.js').ReloadableConfigOptions} ReloadableConfigOptions
+ * @typedef {import('./typedef.js').ConfigReloadResult} ConfigReloadResult
+ */
+
+/**
+ * Plugin that loads service configuration from (watched) sources
+ */
+export default class ReloadableConfigPlugin extends ConfigPlugin {
+  /** @type {ConfigSource[]} */
+  #sources;
+
+  /** @type {Object<string, *>} */
+  #schemas;
+
+  /** @type {Promise<ConfigReloadResult>|null} */
+  #initialLoad = null;
+
+  /** @type {Promise<*>} */
+  #reloadQueue = Promise.resolve();
+
+  /** @type {Function[]} */
+  #unwatchFns = [];
+
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  #debounceTimer = null;
+
+  /** @type {ReturnType<typeof setInterval>|null} */
+  #pollTimer = null;
+
+  /**
+   * Create a new reloadable configuration plugin
+   *
+   * @param {ReloadableConfigOptions} [options={}]
+   */
+  constructor(options = {}) {
+    super({});
+
+    this.name = 'reloadable-config';
+
+    this.#sources = options.sources ?? [];
+    this.#schemas = options.schemas ?? {};
+
+    /** @type {Required<Omit<ReloadableConfigOptions, 'sources'|'schemas'>>} */
+    this.options = {
+      watch: options.watch ?? true,
+      debounceMs: options.debounceMs ?? 100,
+      pollIntervalMs: options.pollIntervalMs ?? 0
+    };
+  }
+
+  /**
+   * Load the configuration sources for the first time
+   *
+   * Called automatically when the first service config is resolved.
+   * Subsequent calls return the result of the first load.
+   *
+   * @returns {Promise<ConfigReloadResult>}
+   */
+  async load() {
+    if (!this.#initialLoad) {
+      this.#initialLoad = this.#enqueueReload(true);
+    }
+
+    return await this.#initialLoad;
+  }
+
+  /**
+   * Load all sources and apply the config labels that changed
+   *
+   * Reloads never run concurrently, a reload that is requested while
+   * another one is running starts after it.
+   *
+   * @returns {Promise<ConfigReloadResult>}
+   *   Changed labels, updated services and rejected labels
+   */
+  async reload() {
+    return await this.#enqueueReload(false);
+  }
+
+  /**
+   * Resolve service configuration, loading the sources first if needed
+   *
+   * @param {string} serviceName
+   * @param {ServiceEntry} serviceEntry - Service registration entry
+   * @param {*} currentConfig
+   *
+   * @returns {Promise<Object|undefined>}
+   */
+  async resolveServiceConfig(serviceName, serviceEntry, currentConfig) {
+    await this.load();
+
+    return super.resolveServiceConfig(serviceName, serviceEntry, currentConfig);
+  }
+
+  /**
+   * Attach plugin to ServiceManager and start watching the sources
+   *
+   * @param {import('../service-manager/ServiceManager.js').ServiceManager} manager
+   *   ServiceManager instance
+   */
+  attach(manager) {
+    super.attach(manager);
+
+    if (this.options.watch) {
+      this.#startWatching();
+    }
+  }
+
+  /**
+   * Stop watching the sources and detach plugin from ServiceManager
+   */
+  detach() {
+    this.#stopWatching();
+
+    super.detach();
+  }
+
+  // Internal methods
+
+  /**
+   * Run a reload after the reloads that are already queued
+   *
+   * @param {boolean} initial - Whether this is the initial load
+   *
+   * @returns {Promise<ConfigReloadResult>}
+   */
+  #enqueueReload(initial) {
+    const result = this.#reloadQueue.then(() => this.#reload(initial));
+
+    this.#reloadQueue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Load, validate and apply all configs
+   *
+   * The initial load only stores the configs, services that are
+   * configured afterwards resolve them from the config object.
+   *
+   * @param {boolean} initial - Whether this is the initial load
+   *
+   * @returns {Promise<ConfigReloadResult>}
+   */
+  async #reload(initial) {
+    const logger = this.manager?.logger;
+
+    /** @type {ConfigReloadResult} */
+    const result = { changed: [], updatedServices: [], rejected: [] };
+
+    let loaded;
+
+    try {
+      loaded = await this.#loadSources();
+    } catch (error) {
+      // Keep all current configs if a source cannot be loaded, e.g. a JSON
+      // file that is being edited
+      logger?.error(
+        'Failed to load config sources',
+        /** @type {Error} */ (error)
+      );
+      result.error = /** @type {Error} */ (error);
+      return result;
+    }
+
+    for (const [label, config] of Object.entries(loaded)) {
+      const schema = this.#schemas[label];
+
+      let newConfig = config;
+
+      if (schema) {
+        const parsed = v.safeParse(schema, config);
+
+        if (!parsed.success) {
+          logger?.error(
+            `Rejected invalid config for label '${label}', ` +
+              'services keep their current config',
+            { issues: v.flatten(parsed.issues) }
+          );
+
+          result.rejected.push({ label, issues: parsed.issues });
+          continue;
+        }
+
+        newConfig = parsed.output;
+      }
+
+      if (equals(this.allConfigs[label], newConfig)) {
+        continue;
+      }
+
+      result.changed.push(label);
+
+      if (this.manager && !initial) {
+        const services = await this.replaceConfig(label, newConfig);
+        result.updatedServices.push(...services);
+      } else {
+        this.allConfigs[label] = newConfig;
+      }
+    }
+
+    if (result.changed.length) {
+      logger?.info(
+        `Reloaded config labels [${result.changed.join(', ')}], ` +
+          `updated ${result.updatedServices.length} services`
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Load all sources and merge them
+   *
+   * Sources are merged in order. Config objects of the same label are
+   * merged shallowly, so later sources override single properties.
+   *
+   * @returns {Promise<Object<string, *>>} Configs by label
+   */
+  async #loadSources() {
+    const results = await Promise.all(
+      this.#sources.map((source) => source.load())
+    );
+
+    /** @type {Object<string, *>} */
+    const merged = {};
+
+    for (const configs of results) {
+      for (const [label, config] of Object.entries(configs)) {
+        const current = merged[label];
+
+        if (isPlainObject(current) && isPlainObject(config)) {
+          merged[label] = { ...current, ...config };
+        } else {
+          merged[label] = config;
+        }
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * Watch all sources that support watching and start polling if
+   * configured
+   */
+  #startWatching() {
+    const onChange = () => this.#scheduleReload();
+
+    for (const source of this.#sources) {
+      if (!source.watch) {
+        continue;
+      }
+
+      try {
+        this.#unwatchFns.push(source.watch(onChange));
+      } catch (error) {
+        this.manager?.logger.warn(
+          `Could not watch config source [${source.name}]`,
+          /** @type {Error} */ (error)
+        );
+      }
+    }
+
+    if (this.options.pollIntervalMs > 0) {
+      this.#pollTimer = setInterval(onChange, this.options.pollIntervalMs);
+    }
+  }
+
+  /**
+   * Stop watching and polling the sources
+   */
+  #stopWatching() {
+    for (const unwatch of this.#unwatchFns) {
+      unwatch();
+    }
+    this.#unwatchFns = [];
+
+    if (this.#pollTimer) {
+      clearInterval(this.#pollTimer);
+      this.#pollTimer = null;
+    }
+
+    if (this.#debounceTimer) {
+      clearTimeout(this.#debounceTimer);
+      this.#debounceTimer = null;
+    }
+  }
+
+  /**
+   * Schedule a reload after changes have settled
+   *
+   * Editors often write a file in multiple steps, so changes within
+   * `debounceMs` result in a single reload.
+   */
+  #scheduleReload() {
+    if (this.#debounceTimer) {
+      clearTimeout(this.#debounceTimer);
+    }
+
+    this.#debounceTimer = setTimeout(() => {
+      this.#debounceTimer = null;
+      this.reload();
+    }, this.options.debounceMs);
+  }
+}
+
+/**
+ * Check if a value is a plain object
+ *
+ * @param {*} value
+ *
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === 'object' &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
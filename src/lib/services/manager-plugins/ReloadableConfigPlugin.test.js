@@ -0,0 +1,253 @@
+/**
+ * @fileoverview Unit tests for ReloadableConfigPlugin.js
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, writeFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import * as v from 'valibot';
+
+import ReloadableConfigPlugin from './ReloadableConfigPlugin.js';
+import { createEnvSource, createJsonFileSource } from './config-sources.js';
+import { ServiceManager } from '../service-manager/ServiceManager.js';
+import { ServiceBase } from '../service-base/ServiceBase.js';
+
+// Mock service that records the configs it received
+class MockService extends ServiceBase {
+  constructor(name, options) {
+    super(name, options);
+    this.configs = [];
+  }
+
+  async _configure(newConfig) {
+    this.configs.push(newConfig);
+  }
+}
+
+// Config source that can be changed by the tests
+function createMemorySource(configs) {
+  const source = {
+    name: 'memory',
+    configs,
+    onChange: null,
+    async load() {
+      return structuredClone(source.configs);
+    },
+    watch(onChange) {
+      source.onChange = onChange;
+      return () => {
+        source.onChange = null;
+      };
+    }
+  };
+  return source;
+}
+
+describe('ReloadableConfigPlugin', () => {
+  let manager;
+  let source;
+  let plugin;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    manager = new ServiceManager();
+    manager.register('db', MockService, 'database');
+    manager.register('cache', MockService, 'redis');
+
+    source = createMemorySource({
+      database: { host: 'localhost', port: 5432 },
+      redis: { host: 'cache', port: 6379 }
+    });
+
+    plugin = new ReloadableConfigPlugin({
+      sources: [source],
+      schemas: {
+        database: v.object({ host: v.string(), port: v.number() })
+      }
+    });
+    manager.attachPlugin(plugin);
+  });
+
+  afterEach(() => {
+    manager.detachPlugin(plugin.name);
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('Loading', () => {
+    it('should configure services from the sources', async () => {
+      await manager.startAll();
+
+      expect(manager.get('db').configs).toEqual([
+        { host: 'localhost', port: 5432 }
+      ]);
+      expect(manager.get('cache').configs).toEqual([
+        { host: 'cache', port: 6379 }
+      ]);
+    });
+
+    it('should merge sources in order', async () => {
+      const override = createMemorySource({ database: { port: 5433 } });
+
+      const merged = new ReloadableConfigPlugin({
+        sources: [source, override],
+        watch: false
+      });
+
+      await merged.load();
+
+      expect(merged.allConfigs.database).toEqual({
+        host: 'localhost',
+        port: 5433
+      });
+    });
+  });
+
+  describe('Reloading', () => {
+    it('should only push changed labels to their services', async () => {
+      await manager.startAll();
+
+      source.configs.database = { host: 'db.internal', port: 5432 };
+
+      const result = await plugin.reload();
+
+      expect(result.changed).toEqual(['database']);
+      expect(result.updatedServices).toEqual(['db']);
+      expect(manager.get('db').configs.at(-1)).toEqual({
+        host: 'db.internal',
+        port: 5432
+      });
+      expect(manager.get('cache').configs).toHaveLength(1);
+    });
+
+    it('should reject invalid configs and keep the old config', async () => {
+      await manager.startAll();
+
+      const errorSpy = vi.spyOn(manager.logger, 'error');
+
+      source.configs.database = { host: 'db.internal', port: 'not a number' };
+      source.configs.redis = { host: 'cache', port: 6380 };
+
+      const result = await plugin.reload();
+
+      expect(result.rejected).toEqual([
+        { label: 'database', issues: expect.any(Array) }
+      ]);
+      expect(result.changed).toEqual(['redis']);
+      expect(errorSpy).toHaveBeenCalledWith(
+        expect.stringContaining("Rejected invalid config for label 'database'"),
+        expect.any(Object)
+      );
+
+      expect(manager.get('db').configs).toHaveLength(1);
+      expect(plugin.allConfigs.database).toEqual({
+        host: 'localhost',
+        port: 5432
+      });
+    });
+
+    it('should keep all configs if a source fails to load', async () => {
+      await manager.startAll();
+
+      vi.spyOn(manager.logger, 'error').mockImplementation(() => {});
+      source.load = async () => {
+        throw new Error('Unexpected end of JSON input');
+      };
+
+      const result = await plugin.reload();
+
+      expect(result.error.message).toBe('Unexpected end of JSON input');
+      expect(result.changed).toEqual([]);
+      expect(manager.get('db').configs).toHaveLength(1);
+    });
+
+    it('should reload once after watched changes settle', async () => {
+      await manager.startAll();
+
+      const reloadSpy = vi.spyOn(plugin, 'reload');
+
+      source.configs.redis = { host: 'cache', port: 6380 };
+      source.onChange();
+      source.onChange();
+
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect(reloadSpy).toHaveBeenCalledTimes(1);
+      expect(manager.get('cache').configs.at(-1)).toEqual({
+        host: 'cache',
+        port: 6380
+      });
+    });
+
+    it('should stop watching when detached', async () => {
+      expect(source.onChange).toEqual(expect.any(Function));
+
+      manager.detachPlugin(plugin.name);
+
+      expect(source.onChange).toBeNull();
+
+      // Attach again for afterEach
+      manager.attachPlugin(plugin);
+    });
+  });
+});
+
+describe('config-sources', () => {
+  describe('createEnvSource', () => {
+    const env = {
+      DATABASE_HOST: 'localhost',
+      DATABASE_PORT: '5432',
+      JWT_SECRET: 'secret'
+    };
+
+    it('should group env vars by prefix', async () => {
+      const configs = await createEnvSource({ env }).load();
+
+      expect(configs.database).toEqual({ host: 'localhost', port: 5432 });
+      expect(configs.jwt).toEqual({ secret: 'secret' });
+    });
+
+    it('should use the prefix map', async () => {
+      const configs = await createEnvSource({
+        env: () => env,
+        prefixMap: { auth: 'JWT' }
+      }).load();
+
+      expect(configs).toEqual({ auth: { secret: 'secret' } });
+    });
+  });
+
+  describe('createJsonFileSource', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await mkdtemp(join(tmpdir(), 'config-source-'));
+    });
+
+    afterEach(async () => {
+      await rm(dir, { recursive: true, force: true });
+    });
+
+    it('should load configs by label', async () => {
+      const path = join(dir, 'services.json');
+      await writeFile(path, JSON.stringify({ database: { port: 5432 } }));
+
+      expect(await createJsonFileSource(path).load()).toEqual({
+        database: { port: 5432 }
+      });
+      expect(await createJsonFileSource(path, { label: 'all' }).load()).toEqual(
+        { all: { database: { port: 5432 } } }
+      );
+    });
+
+    it('should handle missing files', async () => {
+      const path = join(dir, 'missing.json');
+
+      expect(
+        await createJsonFileSource(path, { optional: true }).load()
+      ).toEqual({});
+      await expect(createJsonFileSource(path).load()).rejects.toThrow();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @fileoverview Configuration sources for the ReloadableConfigPlugin
+ *
+ * A configuration source loads an object that maps config labels to
+ * configuration objects. Sources that can detect changes also implement
+ * `watch(onChange)`, which returns a function that stops watching.
+ *
+ * @example
+ * import {
+ *   createEnvSource,
+ *   createJsonFileSource
+ * } from '$lib/services/manager-plugins/config-sources.js';
+ *
+ * // DATABASE_HOST=localhost -> { database: { host: 'localhost' } }
+ * const envSource = createEnvSource({ env: () => process.env });
+ *
+ * // { "database": { "port": 5432 } }
+ * const fileSource = createJsonFileSource('./config/services.json');
+ *
+ * // The whole file is the config of a single label
+ * const authSource = createJsonFileSource('./config/auth.json', {
+ *   label: 'auth'
+ * });
+ */
+
+import { readFile } from 'node:fs/promises';
+import { watch } from 'node:fs';
+
+import {
+  autoGroupEnvByPrefix,
+  parseEnvByPrefix
+} from '$lib/util/sveltekit/env/parsers.js';
+
+/**
+ * @typedef {import('./typedef.js').ConfigSource} ConfigSource
+ * @typedef {import('./typedef.js').EnvSourceOptions} EnvSourceOptions
+ * @typedef {import('./typedef.js').JsonFileSourceOptions} JsonFileSourceOptions
+ */
+
+/**
+ * Create a configuration source that reads environment variables
+ *
+ * Without a `prefixMap`, variables are grouped automatically by their
+ * first name segment (see `autoGroupEnvByPrefix`). With a `prefixMap`,
+ * only the listed labels are created from their prefixes.
+ *
+ * Environment variables cannot be watched, use the `pollIntervalMs` option
+ * of the plugin or call `reload()` to pick up changes.
+ *
+ * @param {EnvSourceOptions} [options={}]
+ *
+ * @returns {ConfigSource} Configuration source
+ */
+export function createEnvSource(options = {}) {
+  const {
+    env = () => globalThis.process?.env ?? {},
+    prefixMap,
+    camelCase = true,
+    parseValues = true
+  } = options;
+
+  return {
+    name: 'env',
+
+    async load() {
+      const values = typeof env === 'function' ? env() : env;
+
+      if (!prefixMap) {
+        return autoGroupEnvByPrefix(values, { camelCase, parseValues });
+      }
+
+      /** @type {Object<string, *>} */
+      const configs = {};
+
+      for (const [label, prefix] of Object.entries(prefixMap)) {
+        configs[label] = parseEnvByPrefix(values, prefix, {
+          camelCase,
+          parseValues
+        });
+      }
+
+      return configs;
+    }
+  };
+}
+
+/**
+ * Create a configuration source that reads a JSON file
+ *
+ * @param {string} path - Path of the JSON file
+ * @param {JsonFileSourceOptions} [options={}]
+ *
+ * @returns {ConfigSource} Configuration source
+ */
+export function createJsonFileSource(path, options = {}) {
+  const { label, optional = false } = options;
+
+  return {
+    name: `file:${path}`,
+
+    async load() {
+      let text;
+
+      try {
+        text = await readFile(path, 'utf8');
+      } catch (error) {
+        if (optional && /** @type {any} */ (error).code === 'ENOENT') {
+          return {};
+        }
+        throw error;
+      }
+
+      const data = JSON.parse(text);
+
+      if (label) {
+        return { [label]: data };
+      }
+
+      if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error(
+          `Config file [${path}] should contain an object with config labels`
+        );
+      }
+
+      return data;
+    },
+
+    watch(onChange) {
+      const watcher = watch(path, () => onChange());
+
+      // Errors (e.g. file removed) are picked up by the next load
+      watcher.on('error', () => {});
+
+      return () => watcher.close();
+    }
+  };
+}
@@ -0,0 +1,118 @@
+/**
+ * @fileoverview SvelteKit request handler factories that expose liveness
+ * and readiness information from a HealthMonitorPlugin as JSON.
+ *
+ * @example
+ * // src/routes/health/live/+server.js
+ * import { createLivenessHandler } from
+ *   '@hkdigital/lib-core/services/manager-plugins/health-handlers.js';
+ *
+ * export const GET = createLivenessHandler();
+ *
+ * @example
+ * // src/routes/health/ready/+server.js
+ * import { createReadinessHandler } from
+ *   '@hkdigital/lib-core/services/manager-plugins/health-handlers.js';
+ * import { healthMonitor } from '$lib/server/services.js';
+ *
+ * export const GET = createReadinessHandler(healthMonitor);
+ */
+
+import {
+  HEALTH_DEGRADED,
+  HEALTH_UNHEALTHY
+} from '../service-manager/constants.js';
+
+/**
+ * Create a JSON response that is never cached
+ *
+ * @param {Object} body - Response body
+ * @param {number} status - HTTP status code
+ *
+ * @returns {Response}
+ */
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'content-type': 'application/json',
+      'cache-control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Create a liveness handler
+ *
+ * Liveness only tells that the process is able to respond, it does not
+ * depend on the health of the services.
+ *
+ * @returns {import('@sveltejs/kit').RequestHandler} Request handler
+ */
+export function createLivenessHandler() {
+  return async () => {
+    return jsonResponse({ status: 'alive', timestamp: Date.now() }, 200);
+  };
+}
+
+/**
+ * Create a readiness handler
+ *
+ * Responds with status 200 when the aggregated health is `healthy` or
+ * `degraded` and with 503 when a critical service is unhealthy.
+ *
+ * @param {import('./HealthMonitorPlugin.js').default} healthMonitor
+ *   Attached health monitor
+ * @param {object} [options]
+ * @param {boolean} [options.refresh=false]
+ *   Run a new check round instead of using the last results
+ * @param {boolean} [options.degradedIsReady=true]
+ *   Report ready when only optional services are unhealthy
+ * @param {boolean} [options.includeDetails=false]
+ *   Include the full health details of every service in the response
+ *
+ * @returns {import('@sveltejs/kit').RequestHandler} Request handler
+ */
+export function createReadinessHandler(healthMonitor, options = {}) {
+  const {
+    refresh = false,
+    degradedIsReady = true,
+    includeDetails = false
+  } = options;
+
+  return async () => {
+    let health = healthMonitor.getStatus();
+
+    if (refresh || health.checkedAt === null) {
+      // No results yet or fresh results requested
+      health = await healthMonitor.checkAll();
+    }
+
+    const ready =
+      health.status !== HEALTH_UNHEALTHY &&
+      (degradedIsReady || health.status !== HEALTH_DEGRADED);
+
+    /** @type {Object<string, *>} */
+    const services = {};
+
+    for (const [name, record] of Object.entries(health.services)) {
+      services[name] = {
+        healthy: record.healthy,
+        critical: record.critical,
+        checkedAt: record.checkedAt,
+        latencyMs: record.latencyMs,
+        ...(includeDetails ? { details: record.details } : {})
+      };
+    }
+
+    return jsonResponse(
+      {
+        status: health.status,
+        ready,
+        checkedAt: health.checkedAt,
+        services
+      },
+      ready ? 200 : 503
+    );
+  };
+}
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Unit tests for health-handlers.js
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  createLivenessHandler,
+  createReadinessHandler
+} from './health-handlers.js';
+import HealthMonitorPlugin from './HealthMonitorPlugin.js';
+import { ServiceManager } from '../service-manager/ServiceManager.js';
+import { ServiceBase } from '../service-base/ServiceBase.js';
+
+class MockService extends ServiceBase {}
+
+describe('health-handlers', () => {
+  let manager;
+  let monitor;
+
+  beforeEach(async () => {
+    manager = new ServiceManager();
+    manager.register('database', MockService);
+    manager.register('cache', MockService, {}, { critical: false });
+
+    monitor = new HealthMonitorPlugin({ autoStart: false });
+    manager.attachPlugin(monitor);
+  });
+
+  it('should respond alive to liveness requests', async () => {
+    const response = await createLivenessHandler()();
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('cache-control')).toBe('no-store');
+    expect(body).toEqual({ status: 'alive', timestamp: expect.any(Number) });
+  });
+
+  it('should respond ready when all services are healthy', async () => {
+    await manager.startAll();
+
+    const response = await createReadinessHandler(monitor)();
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body).toMatchObject({
+      status: 'healthy',
+      ready: true,
+      services: { database: { healthy: true, critical: true } }
+    });
+    expect(body.services.database.details).toBeUndefined();
+  });
+
+  it('should respond 503 when a critical service is unhealthy', async () => {
+    await manager.startService('cache');
+
+    const response = await createReadinessHandler(monitor)();
+    const body = await response.json();
+
+    expect(response.status).toBe(503);
+    expect(body).toMatchObject({ status: 'unhealthy', ready: false });
+  });
+
+  it('should treat degraded as ready unless configured otherwise', async () => {
+    await manager.startService('database');
+
+    const readyResponse = await createReadinessHandler(monitor)();
+    expect(readyResponse.status).toBe(200);
+
+    const strictResponse = await createReadinessHandler(monitor, {
+      degradedIsReady: false
+    })();
+    expect(strictResponse.status).toBe(503);
+  });
+
+  it('should include details when requested', async () => {
+    await manager.startAll();
+
+    const response = await createReadinessHandler(monitor, {
+      includeDetails: true
+    })();
+    const body = await response.json();
+
+    expect(body.services.database.details).toMatchObject({
+      name: 'database',
+      state: 'running'
+    });
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview SvelteKit request handler factory that exposes the metrics
+ * of a MetricsPlugin in the Prometheus text format or as JSON.
+ *
+ * @example
+ * // src/routes/metrics/+server.js
+ * import { createMetricsHandler } from
+ *   '@hkdigital/lib-core/services/manager-plugins/metrics-handlers.js';
+ * import { metrics } from '$lib/server/services.js';
+ *
+ * export const GET = createMetricsHandler(metrics);
+ *
+ * // GET /metrics              -> Prometheus text
+ * // GET /metrics?format=json  -> JSON snapshot
+ */
+
+/**
+ * Content type of the Prometheus text exposition format
+ */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4';
+
+/**
+ * Create a metrics handler
+ *
+ * Responds in the Prometheus text format, or with the JSON snapshot when
+ * the format is `json` or the request has the query parameter
+ * `format=json`.
+ *
+ * @param {import('./MetricsPlugin.js').default} metrics
+ *   Attached metrics plugin
+ * @param {object} [options]
+ * @param {'prometheus'|'json'} [options.format='prometheus']
+ *   Default response format
+ *
+ * @returns {import('@sveltejs/kit').RequestHandler} Request handler
+ */
+export function createMetricsHandler(metrics, options = {}) {
+  const { format = 'prometheus' } = options;
+
+  return async ({ url }) => {
+    const headers = { 'cache-control': 'no-store' };
+
+    if ((url.searchParams.get('format') ?? format) === 'json') {
+      return new Response(JSON.stringify(metrics.getSnapshot()), {
+        status: 200,
+        headers: { ...headers, 'content-type': 'application/json' }
+      });
+    }
+
+    return new Response(metrics.toPrometheus(), {
+      status: 200,
+      headers: { ...headers, 'content-type': PROMETHEUS_CONTENT_TYPE }
+    });
+  };
+}
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Unit tests for metrics-handlers.js
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createMetricsHandler } from './metrics-handlers.js';
+import MetricsPlugin from './MetricsPlugin.js';
+import { ServiceManager } from '../service-manager/ServiceManager.js';
+import { ServiceBase } from '../service-base/ServiceBase.js';
+
+class MockService extends ServiceBase {}
+
+describe('metrics-handlers', () => {
+  let manager;
+  let metrics;
+
+  beforeEach(() => {
+    manager = new ServiceManager();
+    manager.register('database', MockService);
+
+    metrics = new MetricsPlugin();
+    manager.attachPlugin(metrics);
+  });
+
+  it('should respond with Prometheus text by default', async () => {
+    await manager.startAll();
+
+    const handler = createMetricsHandler(metrics);
+    const response = await handler({
+      url: new URL('http://localhost/metrics')
+    });
+
+    expect(response.headers.get('content-type')).toBe(
+      'text/plain; version=0.0.4'
+    );
+    expect(await response.text()).toBe(metrics.toPrometheus());
+  });
+
+  it('should respond with JSON on request', async () => {
+    const handler = createMetricsHandler(metrics);
+    const response = await handler({
+      url: new URL('http://localhost/metrics?format=json')
+    });
+    const body = await response.json();
+
+    expect(response.headers.get('content-type')).toBe('application/json');
+    expect(body.services.database.running).toBe(false);
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Type definitions for ServiceManager plugins.
+ */
+
+// ============================================================================
+// PUBLIC TYPES
+// ============================================================================
+
+/**
+ * Options for the HealthMonitorPlugin
+ *
+ * @typedef {Object} HealthMonitorOptions
+ * @property {number} [intervalMs=30000] - Time between health check rounds
+ * @property {number} [timeoutMs=5000] - Maximum time per health check
+ * @property {boolean} [autoStart=true]
+ *   Start periodic checks when the plugin is attached
+ */
+
+/**
+ * Last health check result of a single service
+ *
+ * @typedef {Object} ServiceHealthRecord
+ * @property {boolean} healthy - Whether the service is healthy
+ * @property {boolean} critical - Whether the service is critical
+ * @property {number} checkedAt - Time of the check (ms since epoch)
+ * @property {number} latencyMs - Duration of the check
+ * @property {number|null} changedAt
+ *   Time of the last health transition, null if never changed
+ * @property {import('../service-base/typedef.js').HealthStatus} details
+ *   Health status as reported by the service
+ */
+
+/**
+ * Aggregated health status of all services
+ *
+ * - `healthy`: all services are healthy
+ * - `degraded`: only non-critical services are unhealthy
+ * - `unhealthy`: at least one critical service is unhealthy
+ *
+ * @typedef {Object} AggregatedHealth
+ * @property {'healthy'|'degraded'|'unhealthy'} status - Overall status
+ * @property {number|null} checkedAt - Time of the last check round
+ * @property {Object<string, ServiceHealthRecord>} services
+ *   Last result per service
+ */
+
+/**
+ * Source of configuration objects for the ReloadableConfigPlugin
+ *
+ * @typedef {Object} ConfigSource
+ * @property {string} name - Name used in log messages
+ * @property {() => Promise<Object<string, *>>} load
+ *   Load configs by config label
+ * @property {(onChange: () => void) => Function} [watch]
+ *   Call `onChange` when the source changes, returns a function that stops
+ *   watching
+ */
+
+/**
+ * Options for an environment variables config source
+ *
+ * @typedef {Object} EnvSourceOptions
+ * @property {Record<string, string|undefined>|
+ *   (() => Record<string, string|undefined>)} [env]
+ *   Environment variables or a function that returns them
+ *   (defaults to `process.env`)
+ * @property {Object<string, string>} [prefixMap]
+ *   Map of config labels to env var prefixes. If not set, variables are
+ *   grouped by their first name segment
+ * @property {boolean} [camelCase=true] - Convert keys to camelCase
+ * @property {boolean} [parseValues=true] - Parse numbers and booleans
+ */
+
+/**
+ * Options for a JSON file config source
+ *
+ * @typedef {Object} JsonFileSourceOptions
+ * @property {string} [label]
+ *   Use the whole file as the config of this label. If not set, the file
+ *   should contain an object with configs by label
+ * @property {boolean} [optional=false]
+ *   Return no configs if the file does not exist
+ */
+
+/**
+ * Options for the ReloadableConfigPlugin
+ *
+ * @typedef {Object} ReloadableConfigOptions
+ * @property {ConfigSource[]} [sources=[]]
+ *   Config sources, later sources override earlier ones
+ * @property {Object<string, *>} [schemas={}]
+ *   Valibot schemas by config label
+ * @property {boolean} [watch=true] - Watch sources that support it
+ * @property {number} [debounceMs=100]
+ *   Time to wait for more changes before reloading
+ * @property {number} [pollIntervalMs=0]
+ *   Reload periodically, e.g. for sources that cannot be watched (0 = off)
+ */
+
+/**
+ * Result of a configuration reload
+ *
+ * @typedef {Object} ConfigReloadResult
+ * @property {string[]} changed - Config labels with a new config
+ * @property {string[]} updatedServices
+ *   Services that received a new config
+ * @property {{ label: string, issues: * }[]} rejected
+ *   Config labels that failed validation
+ * @property {Error} [error]
+ *   Set if the sources could not be loaded, no configs were changed
+ */
+
+/**
+ * Options for the MetricsPlugin
+ *
+ * @typedef {Object} MetricsOptions
+ * @property {number[]} [bucketsMs]
+ *   Histogram bucket upper bounds in milliseconds
+ *   (default: 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000)
+ * @property {string} [prefix='service'] - Prometheus metric name prefix
+ */
+
+/**
+ * Duration histogram of a lifecycle operation
+ *
+ * @typedef {Object} OperationMetrics
+ * @property {number} count - Number of times the operation ran
+ * @property {number} sumMs - Total duration
+ * @property {number} lastMs - Duration of the last run
+ * @property {number} maxMs - Longest duration
+ * @property {Object<string, number>} buckets
+ *   Cumulative counts by bucket upper bound in milliseconds, including
+ *   `+Inf`
+ */
+
+/**
+ * Metrics of a single service
+ *
+ * @typedef {Object} ServiceMetrics
+ * @property {Object<string, OperationMetrics>} operations
+ *   Histograms by operation (configure, start, drain, stop, destroy)
+ * @property {Object<string, number>} errors
+ *   Number of errors by failed operation
+ * @property {{ attempts: number, recovered: number, gaveUp: number }} recovery
+ *   Automatic recovery counters
+ */
+
+/**
+ * Snapshot of all metrics
+ *
+ * @typedef {Object} MetricsSnapshot
+ * @property {number} generatedAt - Time of the snapshot (ms since epoch)
+ * @property {Object<string, ServiceMetrics & { running: boolean }>} services
+ *   Metrics by service name
+ */
+
+export {};
@@ -52,7 +52,7 @@
 
 import { EventEmitter } from '$lib/generic/events.js';
 import { Logger, INFO } from '$lib/logging/common.js';
-import { DetailedError } from '$lib/generic/errors.js';
+import { DetailedError, TimeoutError } from '$lib/generic/errors.js';
 
 import {
   STATE_CREATED,
@@ -60,6 +60,7 @@ import {
   STATE_CONFIGURED,
   STATE_STARTING,
   STATE_RUNNING,
+  STATE_DRAINING,
   STATE_STOPPING,
   STATE_STOPPED,
   STATE_DESTROYING,
@@ -89,6 +90,9 @@ export class ServiceBase extends EventEmitter {
   /** @type {Object<string,any>|null} */
   #lastConfig = null;
 
+  /** @type {import('./typedef.js').ServiceDependencies} */
+  #dependencies = {};
+
   /**
    * Create a new service instance
    *
@@ -155,7 +159,7 @@ export class ServiceBase extends EventEmitter {
 
       this.logger.debug('Configuring service', { keys: Object.keys(config ?? {})});
 
-      await this._configure(config, this.#lastConfig);
+      await this._configure(config, this.#lastConfig, this.#dependencies);
       this.#lastConfig = config;
 
       this._setState(wasRunning ? STATE_RUNNING : STATE_CONFIGURED);
@@ -177,6 +181,27 @@ export class ServiceBase extends EventEmitter {
     return { ...this.#lastConfig };
   }
 
+  /**
+   * Get the resolved dependencies of the service
+   *
+   * @returns {import('./typedef.js').ServiceDependencies} dependencies
+   */
+  get dependencies() {
+    return this.#dependencies;
+  }
+
+  /**
+   * Set the resolved dependencies of the service
+   *
+   * Called by the ServiceManager before the service is configured and
+   * started. The dependencies are passed to `_configure` and `_start`.
+   *
+   * @param {import('./typedef.js').ServiceDependencies} dependencies
+   */
+  injectDependencies(dependencies) {
+    this.#dependencies = { ...dependencies };
+  }
+
   /**
    * Start the service
    *
@@ -194,7 +219,7 @@ export class ServiceBase extends EventEmitter {
       this._setState(STATE_STARTING);
       this.logger.debug('Starting service');
 
-      await this._start();
+      await this._start(this.#dependencies);
 
       this._setState(STATE_RUNNING);
       this._setHealthy(true);
@@ -206,6 +231,66 @@ export class ServiceBase extends EventEmitter {
     }
   }
 
+  /**
+   * Drain the service before it is stopped
+   *
+   * The service stops accepting new work, reports itself unhealthy and
+   * finishes the work in progress (see `_drain`). It stays in the
+   * draining state until it is stopped.
+   *
+   * @param {import('./typedef.js').DrainOptions} [options={}]
+   *   Drain options
+   *
+   * @returns {Promise<import('./typedef.js').OperationResult>}
+   *   Operation result, not ok if the work in progress did not finish in
+   *   time
+   */
+  async drain(options = {}) {
+    if (this.state !== STATE_RUNNING) {
+      this.logger.debug(`Cannot drain from state: ${this.state}`);
+      return { ok: true }; // Nothing to drain
+    }
+
+    const timeout = options.timeout ?? 0;
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    let timer;
+
+    try {
+      this._setTargetState(STATE_STOPPED);
+      this._setState(STATE_DRAINING);
+      this._setHealthy(false);
+      this.logger.debug('Draining service');
+
+      const drainPromise = this._drain();
+
+      if (timeout > 0) {
+        await Promise.race([
+          drainPromise,
+          new Promise((_, reject) => {
+            timer = setTimeout(
+              () =>
+                reject(new TimeoutError(`Drain timeout after ${timeout}ms`)),
+              timeout
+            );
+          })
+        ]);
+      } else {
+        await drainPromise;
+      }
+
+      this.logger.info('Service drained');
+      return { ok: true };
+    } catch (thing) {
+      // Work in progress is abandoned when the service is stopped
+      const error = /** @type {Error} */ (thing);
+      this.logger.warn(`Service did not drain: ${error.message}`);
+      return { ok: false, error };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Stop the service with optional timeout
    *
@@ -214,7 +299,11 @@ export class ServiceBase extends EventEmitter {
    * @returns {Promise<import('./typedef.js').OperationResult>} Operation result
    */
   async stop(options = {}) {
-    if (this.state !== STATE_RUNNING && this.state !== STATE_ERROR) {
+    if (
+      this.state !== STATE_RUNNING &&
+      this.state !== STATE_DRAINING &&
+      this.state !== STATE_ERROR
+    ) {
       this.logger.warn(`Cannot stop from state: ${this.state}`);
       return { ok: true }; // Already stopped
     }
@@ -251,7 +340,7 @@ export class ServiceBase extends EventEmitter {
       ) {
         this.logger.warn('Forced shutdown after timeout');
         this._setState(STATE_STOPPED);
-        return { ok: true };
+        return { ok: true, forced: true };
       }
       this._setError('shutdown', /** @type {Error} */ (error));
       return { ok: false, error: this.error };
@@ -311,7 +400,7 @@ export class ServiceBase extends EventEmitter {
     }
 
     try {
-      if (this.state === STATE_RUNNING) {
+      if (this.state === STATE_RUNNING || this.state === STATE_DRAINING) {
         const stopResult = await this.stop();
         if (!stopResult.ok) {
           return stopResult; // Forward the stop error
@@ -390,6 +479,8 @@ export class ServiceBase extends EventEmitter {
    * @protected
    * @param {any} newConfig - Configuration to apply
    * @param {any} [oldConfig=null] - Previous config (null = initial setup)
+   * @param {import('./typedef.js').ServiceDependencies} [dependencies]
+   *   Resolved dependencies (injected by the ServiceManager)
    *
    * @returns {Promise<void>}
    *
@@ -417,7 +508,7 @@ export class ServiceBase extends EventEmitter {
    * }
    */
   // eslint-disable-next-line no-unused-vars
-  async _configure(newConfig, oldConfig = null) {
+  async _configure(newConfig, oldConfig = null, dependencies = {}) {
     // Override in subclass
   }
 
@@ -426,9 +517,13 @@ export class ServiceBase extends EventEmitter {
    *
    * @protected
    *
+   * @param {import('./typedef.js').ServiceDependencies} [dependencies]
+   *   Resolved dependencies (injected by the ServiceManager)
+   *
    * @returns {Promise<void>}
    */
-  async _start() {
+  // eslint-disable-next-line no-unused-vars
+  async _start(dependencies = {}) {
     // Override in subclass
   }
 
@@ -443,6 +538,21 @@ export class ServiceBase extends EventEmitter {
     // Override in subclass
   }
 
+  /**
+   * Stop accepting new work and finish work in progress (optional
+   * override)
+   *
+   * Called by `drain()` before the service is stopped, e.g. during a
+   * graceful shutdown. The state is `draining` while this runs.
+   *
+   * @protected
+   *
+   * @returns {Promise<void>}
+   */
+  async _drain() {
+    // Override in subclass to wait for work in progress
+  }
+
   /**
    * Destroy the service (optional override)
    *
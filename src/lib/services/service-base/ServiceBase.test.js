@@ -10,6 +10,7 @@ import {
   STATE_CONFIGURED,
   STATE_STARTING,
   STATE_RUNNING,
+  STATE_DRAINING,
   STATE_STOPPING,
   STATE_STOPPED,
   STATE_DESTROYED,
@@ -62,7 +63,7 @@ describe('ServiceBase', () => {
       // Initialize
       expect((await service.configure({ test: true })).ok).toBe(true);
       expect(service.state).toBe(STATE_CONFIGURED);
-      expect(service._configure).toHaveBeenCalledWith({ test: true }, null);
+      expect(service._configure).toHaveBeenCalledWith({ test: true }, null, {});
 
       // Start
       expect((await service.start()).ok).toBe(true);
@@ -91,12 +92,16 @@ describe('ServiceBase', () => {
       // Initial configuration
       const initialConfig = { setting1: 'value1' };
       expect((await service.configure(initialConfig)).ok).toBe(true);
-      expect(service._configure).toHaveBeenCalledWith(initialConfig, null);
+      expect(service._configure).toHaveBeenCalledWith(initialConfig, null, {});
 
       // Reconfiguration
       const newConfig = { setting1: 'value2', setting2: 'newValue' };
       expect((await service.configure(newConfig)).ok).toBe(true);
-      expect(service._configure).toHaveBeenCalledWith(newConfig, initialConfig);
+      expect(service._configure).toHaveBeenCalledWith(
+        newConfig,
+        initialConfig,
+        {}
+      );
 
       expect(service._configure).toHaveBeenCalledTimes(2);
     });
@@ -114,7 +119,11 @@ describe('ServiceBase', () => {
       const newConfig = { setting: 'updated' };
       expect((await service.configure(newConfig)).ok).toBe(true);
       expect(service.state).toBe(STATE_RUNNING); // Should stay running
-      expect(service._configure).toHaveBeenCalledWith(newConfig, initialConfig);
+      expect(service._configure).toHaveBeenCalledWith(
+        newConfig,
+        initialConfig,
+        {}
+      );
     });
 
     it('should allow restart from stopped state', async () => {
@@ -356,8 +365,57 @@ describe('ServiceBase', () => {
       await vi.advanceTimersByTimeAsync(150);
 
       expect((await stopPromise).ok).toBe(true);
+      expect((await stopPromise).forced).toBe(true);
       expect(service.state).toBe(STATE_STOPPED);
     });
+
+    it('should drain before stopping', async () => {
+      let finishWork;
+      vi.spyOn(service, '_drain').mockImplementation(
+        () => new Promise((resolve) => (finishWork = resolve))
+      );
+
+      await service.configure();
+      await service.start();
+
+      const drainPromise = service.drain();
+
+      expect(service.state).toBe(STATE_DRAINING);
+      expect(service.healthy).toBe(false);
+
+      finishWork();
+
+      expect((await drainPromise).ok).toBe(true);
+      expect(service.state).toBe(STATE_DRAINING);
+
+      expect((await service.stop()).ok).toBe(true);
+      expect(service.state).toBe(STATE_STOPPED);
+    });
+
+    it('should stop waiting for work in progress after the timeout', async () => {
+      vi.spyOn(service, '_drain').mockImplementation(
+        () => new Promise(() => {}) // Never resolves
+      );
+
+      await service.configure();
+      await service.start();
+
+      const drainPromise = service.drain({ timeout: 100 });
+      await vi.advanceTimersByTimeAsync(100);
+
+      const result = await drainPromise;
+
+      expect(result.ok).toBe(false);
+      expect(result.error.message).toBe('Drain timeout after 100ms');
+      expect(service.state).toBe(STATE_DRAINING);
+    });
+
+    it('should not drain a service that is not running', async () => {
+      const result = await service.drain();
+
+      expect(result.ok).toBe(true);
+      expect(service.state).toBe(STATE_CREATED);
+    });
   });
 
   describe('Cleanup', () => {
@@ -440,6 +498,30 @@ describe('ServiceBase', () => {
     });
   });
 
+  describe('Dependencies', () => {
+    it('should have no dependencies by default', () => {
+      expect(service.dependencies).toEqual({});
+    });
+
+    it('should pass injected dependencies to _configure and _start', async () => {
+      vi.spyOn(service, '_configure').mockResolvedValue();
+      vi.spyOn(service, '_start').mockResolvedValue();
+
+      const database = new ServiceBase('database');
+      service.injectDependencies({ database });
+
+      await service.configure({ setting: 'value' });
+      await service.start();
+
+      expect(service._configure).toHaveBeenCalledWith(
+        { setting: 'value' },
+        null,
+        { database }
+      );
+      expect(service._start).toHaveBeenCalledWith({ database });
+    });
+  });
+
   describe('Logging', () => {
     it('should allow changing log level', () => {
       const spy = vi.spyOn(service.logger, 'setLevel');
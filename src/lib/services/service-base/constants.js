@@ -71,6 +71,12 @@ export const STATE_STARTING = 'starting';
  */
 export const STATE_RUNNING = 'running';
 
+/**
+ * Service stopped accepting new work and finishes work in progress
+ * before it is stopped
+ */
+export const STATE_DRAINING = 'draining';
+
 /**
  * Service is currently shutting down
  */
@@ -29,6 +29,8 @@
  * @typedef {Object} OperationResult
  * @property {boolean} ok - Whether the operation succeeded
  * @property {Error} [error] - Error details if operation failed
+ * @property {boolean} [forced]
+ *   Set by `stop()` if the service was forced to stop after a timeout
  */
 
 /**
@@ -40,6 +42,7 @@
  *           import('./constants.js').STATE_CONFIGURED |
  *           import('./constants.js').STATE_STARTING |
  *           import('./constants.js').STATE_RUNNING |
+ *           import('./constants.js').STATE_DRAINING |
  *           import('./constants.js').STATE_STOPPING |
  *           import('./constants.js').STATE_STOPPED |
  *           import('./constants.js').STATE_DESTROYING |
@@ -59,6 +62,18 @@
  * @property {number} [shutdownTimeout=5000] - Timeout for graceful shutdown
  */
 
+/**
+ * Resolved dependencies of a service, by service name
+ *
+ * - Required dependencies: the service instance
+ * - Optional dependencies: the service instance if it is running,
+ *   otherwise null
+ * - Lazy dependencies: an async function that starts the service on the
+ *   first call and resolves with the service instance
+ *
+ * @typedef {Object<string, ServiceInstance|null|(() => Promise<ServiceInstance>)>} ServiceDependencies
+ */
+
 /**
  * Options for stopping a service
  *
@@ -67,6 +82,14 @@
  * @property {boolean} [force=false] - Force stop even if timeout exceeded
  */
 
+/**
+ * Options for draining a service
+ *
+ * @typedef {Object} DrainOptions
+ * @property {number} [timeout=0]
+ *   Maximum time to wait for work in progress (0 = no limit)
+ */
+
 /**
  * Health status returned by service health checks
  *
@@ -91,11 +114,13 @@
  * @property {import('$lib/logging/common.js').Logger} logger - Service logger
  * @property {(config?: *) => Promise<boolean>} configure
  * @property {() => Promise<boolean>} start
+ * @property {(options?: DrainOptions) => Promise<OperationResult>} drain
  * @property {(options?: StopOptions) => Promise<boolean>} stop
  * @property {() => Promise<boolean>} recover
  * @property {() => Promise<boolean>} destroy
  * @property {() => Promise<HealthStatus>} getHealth
  * @property {(level: string) => boolean} setLogLevel
+ * @property {(dependencies: ServiceDependencies) => void} injectDependencies
  * @property {(event: string, handler: Function) => Function} on
  * @property {(event: string, data: any) => boolean} emit
  */
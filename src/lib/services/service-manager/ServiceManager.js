@@ -65,7 +65,8 @@
 
 import { EventEmitter } from '$lib/generic/events.js';
 import { Logger, DEBUG, INFO } from '$lib/logging/common.js';
-import { DetailedError } from '$lib/generic/errors.js';
+import { DetailedError, TimeoutError } from '$lib/generic/errors.js';
+import { computeBackoffDelay } from '$lib/util/backoff.js';
 
 import {
   SERVICE_LOG,
@@ -75,15 +76,34 @@ import {
   LOG,
   SERVICE_STATE_CHANGED,
   SERVICE_HEALTH_CHANGED,
-  SERVICE_ERROR
+  SERVICE_ERROR,
+  SERVICE_RECOVERING,
+  SERVICE_RECOVERED,
+  SERVICE_GAVE_UP,
+  SERVICE_FORCE_STOPPED,
+  RESTART_NEVER,
+  RESTART_ALWAYS,
+  CIRCUIT_CLOSED,
+  CIRCUIT_OPEN,
+  CIRCUIT_HALF_OPEN
 } from './constants.js';
-import { parseServiceLogLevels } from './util.js';
+import { parseServiceLogLevels, normalizeRestartPolicy } from './util.js';
+import { CircularDependencyError } from './errors.js';
+import { ServiceTimeline } from './ServiceTimeline.js';
+import { ShutdownCoordinator } from './ShutdownCoordinator.js';
+import {
+  validateManifest,
+  loadServiceClass,
+  getRegistrationOptions
+} from './manifest.js';
 
 import {
   STATE_NOT_CREATED,
   STATE_CREATED,
+  STATE_CONFIGURING,
   STATE_RUNNING,
-  STATE_DESTROYED
+  STATE_DESTROYED,
+  STATE_ERROR
 } from '$lib/services/service-base/constants.js';
 
 /** @typedef {import('$lib/logging/typedef.js').LogLevel} LogLevel */
@@ -95,6 +115,18 @@ import {
  * @typedef {import('./typedef.js').ServiceEntry} ServiceEntry
  * @typedef {import('./typedef.js').ServiceConfigOrLabel} ServiceConfigOrLabel
  * @typedef {import('./typedef.js').HealthCheckResult} HealthCheckResult
+ * @typedef {import('./typedef.js').StartAllOptions} StartAllOptions
+ * @typedef {import('./typedef.js').StopAllOptions} StopAllOptions
+ * @typedef {import('./typedef.js').DrainAllOptions} DrainAllOptions
+ * @typedef {import('./typedef.js').ShutdownOptions} ShutdownOptions
+ * @typedef {import('./typedef.js').RecoveryState} RecoveryState
+ * @typedef {import('./typedef.js').HealthCheckOptions} HealthCheckOptions
+ * @typedef {import('./typedef.js').TimelineEntry} TimelineEntry
+ * @typedef {import('./typedef.js').TimelineQuery} TimelineQuery
+ * @typedef {import('./typedef.js').ManagerInspection} ManagerInspection
+ * @typedef {import('./typedef.js').ServiceManifest} ServiceManifest
+ * @typedef {import('./typedef.js').ManifestOptions} ManifestOptions
+ * @typedef {import('../service-base/typedef.js').HealthStatus} HealthStatus
  *
  * @typedef {import('../service-base/typedef.js').StopOptions} StopOptions
  * @typedef {import('../service-base/typedef.js').StateChangeEvent} StateChangeEvent
@@ -111,6 +143,15 @@ export class ServiceManager extends EventEmitter {
   /** @type {Map<string, import('./typedef.js').ServiceManagerPlugin>} */
   #plugins = new Map();
 
+  /** @type {ServiceTimeline} */
+  #timeline;
+
+  /** @type {Set<ServiceManager>} */
+  #children = new Set();
+
+  /** @type {Function|null} */
+  #unsubscribeFromChild = null;
+
   /**
    * Create a new ServiceManager instance
    *
@@ -122,6 +163,21 @@ export class ServiceManager extends EventEmitter {
     /** @type {Map<string, ServiceEntry>} */
     this.services = new Map();
 
+    /**
+     * Parent manager of a child manager (see `createChild`)
+     *
+     * @type {ServiceManager|null}
+     */
+    this.parent = null;
+
+    /**
+     * Scope of a child manager, including the scopes of its ancestors
+     * (e.g. `tenant-a/session-1`), null for a root manager
+     *
+     * @type {string|null}
+     */
+    this.scope = null;
+
     const defaultLogLevel =
       config.defaultLogLevel || (config.debug ? DEBUG : INFO);
     const managerLogLevel = config.managerLogLevel || defaultLogLevel;
@@ -135,6 +191,7 @@ export class ServiceManager extends EventEmitter {
      *   debug: boolean,
      *   autoStart: boolean,
      *   stopTimeout: number,
+     *   concurrency: number,
      *   defaultLogLevel: LogLevel,
      *   managerLogLevel: LogLevel,
      *   serviceLogLevels?: Record<string,LogLevel>
@@ -145,6 +202,7 @@ export class ServiceManager extends EventEmitter {
       debug: config.debug ?? false,
       autoStart: config.autoStart ?? false,
       stopTimeout: config.stopTimeout || 10000,
+      concurrency: config.concurrency || 1,
       defaultLogLevel
       // managerLogLevel will be set bysetManagerLogLevel()
       // serviceLogLevels will be optionally set by setServiceLogLevel()
@@ -152,6 +210,8 @@ export class ServiceManager extends EventEmitter {
 
     this.setManagerLogLevel(managerLogLevel);
 
+    this.#timeline = new ServiceTimeline(config.timelineSize ?? 500);
+
     if (serviceLogLevels) {
       // Parse and store service log levels, but don't apply them yet
       // They will be applied when services are created in get()
@@ -196,6 +256,125 @@ export class ServiceManager extends EventEmitter {
     this.logger.debug(`Attached plugin '${plugin.name}'`);
   }
 
+  /**
+   * Create a child manager for services that exist once per scope, e.g.
+   * per tenant or per game session
+   *
+   * The child inherits the configuration of this manager. Its services can
+   * depend on the services of this manager and its ancestors, which must
+   * be running before the child services are started. A child never
+   * starts, stops or modifies the services of its parent.
+   *
+   * Log events of the child services bubble up to this manager with the
+   * scope in their context (`logEvent.context.scope`).
+   *
+   * @param {string} scope - Scope label, e.g. a tenant id
+   * @param {ServiceManagerConfig} [config={}]
+   *   Configuration overrides for the child
+   *
+   * @returns {ServiceManager} Child manager
+   */
+  createChild(scope, config = {}) {
+    if (typeof scope !== 'string' || !scope) {
+      throw new Error('Child manager requires a scope');
+    }
+
+    const child = new ServiceManager({
+      debug: this.config.debug,
+      stopTimeout: this.config.stopTimeout,
+      concurrency: this.config.concurrency,
+      defaultLogLevel: this.config.defaultLogLevel,
+      managerLogLevel: this.config.managerLogLevel,
+      serviceLogLevels: this.config.serviceLogLevels,
+      ...config
+    });
+
+    child.parent = this;
+    child.scope = this.scope ? `${this.scope}/${scope}` : scope;
+
+    const childScope = child.scope;
+
+    // Forward all log events of the child, including those of its own
+    // children, which already have a scope
+    child.#unsubscribeFromChild = child.onLogEvent(
+      (/** @type {LogEvent} */ logEvent) => {
+        /** @type {{ scope?: string }} */
+        const context = logEvent.context ?? {};
+
+        this.emit(SERVICE_LOG, {
+          ...logEvent,
+          context: { ...context, scope: context.scope ?? childScope }
+        });
+      }
+    );
+
+    this.#children.add(child);
+
+    this.logger.debug(`Created child manager '${child.scope}'`);
+
+    return child;
+  }
+
+  /**
+   * Child managers created by this manager
+   *
+   * @returns {ServiceManager[]}
+   */
+  get children() {
+    return [...this.#children];
+  }
+
+  /**
+   * Check if a service is registered on this manager or on one of its
+   * ancestors
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {boolean}
+   */
+  hasService(name) {
+    return this.services.has(name) || (this.parent?.hasService(name) ?? false);
+  }
+
+  /**
+   * Stop and destroy all services of this manager and its children, and
+   * detach it from its parent
+   *
+   * The services of the parent are never touched.
+   */
+  async dispose() {
+    for (const child of this.#children) {
+      await child.dispose();
+    }
+
+    await this.stopAll({ force: true });
+
+    for (const [name, entry] of this.services) {
+      const result = await entry.instance?.destroy();
+
+      if (result && !result.ok) {
+        this.logger.warn(`Could not destroy service '${name}'`);
+      }
+
+      this.#resetRecovery(entry);
+    }
+
+    for (const pluginName of [...this.#plugins.keys()]) {
+      this.detachPlugin(pluginName);
+    }
+
+    this.services.clear();
+
+    if (this.parent) {
+      this.#unsubscribeFromChild?.();
+      this.#unsubscribeFromChild = null;
+
+      this.parent.#children.delete(this);
+
+      this.logger.debug(`Disposed child manager '${this.scope}'`);
+    }
+  }
+
   /**
    * Detach a plugin from the ServiceManager
    *
@@ -236,25 +415,100 @@ export class ServiceManager extends EventEmitter {
       instance: null,
       serviceConfigOrLabel: serviceConfigOrLabel,
       dependencies: options.dependencies || [],
+      optionalDependencies: options.optionalDependencies || [],
+      lazyDependencies: options.lazyDependencies || [],
       dependents: new Set(),
       tags: options.tags || [],
-      startupPriority: options.startupPriority || 0
+      startupPriority: options.startupPriority || 0,
+      lazy: options.lazy ?? false,
+      critical: options.critical ?? true,
+      drainTimeout: options.drainTimeout ?? null,
+      restartPolicy: normalizeRestartPolicy(options.restart),
+      recovery: {
+        attempts: 0,
+        circuit: CIRCUIT_CLOSED,
+        inProgress: false,
+        timer: null,
+        nextAttemptAt: null,
+        stoppedDependents: []
+      }
     };
 
     // Track dependents
     entry.dependencies.forEach((dep) => {
+      if (this.#isParentService(dep)) {
+        // Services of a parent manager are never modified by a child
+        return;
+      }
+
       const depEntry = this.#getServiceEntry(dep);
       depEntry.dependents.add(name);
     });
 
+    // Optional dependencies may be registered before or after this service
+    entry.optionalDependencies.forEach((/** @type {string} */ dep) => {
+      this.services.get(dep)?.dependents.add(name);
+    });
+
+    for (const [otherName, otherEntry] of this.services) {
+      if (otherEntry.optionalDependencies.includes(name)) {
+        entry.dependents.add(otherName);
+      }
+    }
+
     this.services.set(name, entry);
 
     this.logger.debug(`Registered service '${name}'`, {
       dependencies: entry.dependencies,
+      optionalDependencies: entry.optionalDependencies,
+      lazyDependencies: entry.lazyDependencies,
       tags: entry.tags
     });
   }
 
+  /**
+   * Register all services of a manifest
+   *
+   * The manifest is validated first: duplicate names, services that are
+   * already registered, unknown dependencies and dependency cycles are
+   * reported together. Then all service modules are loaded. Services are
+   * only registered if the manifest is valid and all modules loaded.
+   *
+   * @param {ServiceManifest} manifest - Service manifest
+   * @param {ManifestOptions} [options={}] - Manifest options
+   *
+   * @returns {Promise<string[]>} Names of the registered services
+   *
+   * @throws {import('./errors.js').ManifestError} If the manifest is invalid
+   * @throws {DetailedError} If a service module could not be loaded
+   */
+  async registerManifest(manifest, options = {}) {
+    const { importModule } = options;
+
+    const entries = validateManifest(manifest, {
+      isRegistered: (name) => this.hasService(name),
+      canImportModules: typeof importModule === 'function'
+    });
+
+    const classes = await Promise.all(
+      entries.map((entry) => loadServiceClass(entry, importModule))
+    );
+
+    // Entries are ordered so that dependencies are registered first
+    entries.forEach((entry, index) => {
+      this.register(
+        entry.name,
+        classes[index],
+        entry.config ?? {},
+        getRegistrationOptions(entry)
+      );
+    });
+
+    this.logger.debug(`Registered ${entries.length} services from manifest`);
+
+    return entries.map((entry) => entry.name);
+  }
+
   /**
    * Get or create a service instance
    *
@@ -264,6 +518,10 @@ export class ServiceManager extends EventEmitter {
    * @returns {T|undefined} Service instance or undefined if not found
    */
   get(name) {
+    if (this.#isParentService(name)) {
+      return /** @type {ServiceManager} */ (this.parent).get(name);
+    }
+
     // @throws service not found
     const entry = this.#getServiceEntry(name);
 
@@ -285,6 +543,8 @@ export class ServiceManager extends EventEmitter {
         // Forward events
         this._attachServiceEvents(name, entry.instance);
 
+        this.#timeline.recordState(name, STATE_NOT_CREATED, STATE_CREATED);
+
         this.logger.debug(`Created instance for '${name}'`);
       } catch (error) {
         this.logger.error(
@@ -335,6 +595,8 @@ export class ServiceManager extends EventEmitter {
 
     const entry = this.#getServiceEntry(name);
 
+    instance.injectDependencies(await this.#resolveDependencies(name));
+
     const config = await this.#resolveServiceConfig(name, entry);
 
     return await instance.configure(config);
@@ -356,8 +618,22 @@ export class ServiceManager extends EventEmitter {
       return { ok: false, error };
     }
 
+    // @throws CircularDependencyError
+    this.#topologicalSort([name]);
+
     // Start dependencies first
     for (const dep of entry.dependencies) {
+      if (this.#isParentService(dep)) {
+        if (!(await this.isRunning(dep))) {
+          const error = new Error(
+            `Parent service [${dep}] of service [${name}] is not running`
+          );
+          this.logger.error(error);
+          return { ok: false, error };
+        }
+        continue;
+      }
+
       if (!(await this.isRunning(dep))) {
         this.logger.debug(`Starting dependency '${dep}' for '${name}'`);
 
@@ -375,6 +651,23 @@ export class ServiceManager extends EventEmitter {
       }
     }
 
+    // Optional dependencies do not block startup
+    for (const dep of entry.optionalDependencies) {
+      if (!this.services.has(dep) || (await this.isRunning(dep))) {
+        continue;
+      }
+
+      this.logger.debug(`Starting optional dependency '${dep}' for '${name}'`);
+
+      const dependencyResult = await this.startService(dep);
+
+      if (!dependencyResult.ok) {
+        this.logger.warn(
+          `Optional dependency [${dep}] of [${name}] did not start`
+        );
+      }
+    }
+
     const instance = this.get(name);
     if (!instance) {
       const error = new Error(`Service [${name}] instance not found`);
@@ -393,6 +686,9 @@ export class ServiceManager extends EventEmitter {
       if (!configResult.ok) {
         return configResult; // Forward the configuration error
       }
+    } else {
+      // Optional dependencies may have changed since configuration
+      instance.injectDependencies(await this.#resolveDependencies(name));
     }
 
     return await instance.start();
@@ -418,6 +714,11 @@ export class ServiceManager extends EventEmitter {
     // Check dependents
     const entry = this.#getServiceEntry(name);
 
+    // An explicit stop ends any pending automatic recovery
+    if (!entry.recovery.inProgress) {
+      this.#resetRecovery(entry);
+    }
+
     if (!options.force && entry && entry.dependents.size > 0) {
       const runningDependents = [];
       for (const dep of entry.dependents) {
@@ -435,7 +736,13 @@ export class ServiceManager extends EventEmitter {
       }
     }
 
-    return await instance.stop(options);
+    const result = await instance.stop(options);
+
+    if (result.forced) {
+      this.emit(SERVICE_FORCE_STOPPED, { service: name });
+    }
+
+    return result;
   }
 
   /**
@@ -456,23 +763,58 @@ export class ServiceManager extends EventEmitter {
     return await instance.recover();
   }
 
+  /**
+   * Get the automatic recovery state of a service
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {RecoveryState} Recovery state
+   */
+  getRecoveryState(name) {
+    const { recovery } = this.#getServiceEntry(name);
+
+    return {
+      attempts: recovery.attempts,
+      circuit: recovery.circuit,
+      inProgress: recovery.inProgress,
+      nextAttemptAt: recovery.nextAttemptAt
+    };
+  }
+
   /**
    * Start all registered services in dependency order
    *
+   * With a concurrency above 1, each service is started as soon as all of
+   * its dependencies are running. Services that are ready at the same time
+   * start in order of `startupPriority` (higher first).
+   *
+   * @param {StartAllOptions} [options={}] - Start options
+   *
    * @throws {DetailedError} if one of the services did not start
    *
    * @returns {Promise<string[]>} list of started service names
    */
-  async startAll() {
+  async startAll(options = {}) {
     this.logger.info('Starting all services');
 
     // Sort by priority and dependencies
     const sorted = this.#topologicalSort();
 
+    const concurrency = options.concurrency ?? this.config.concurrency;
+
+    if (concurrency > 1) {
+      return await this.#startAllConcurrently(sorted, concurrency);
+    }
+
     /** @type {string[]} */
     const startedServiceNames = [];
 
     for (const name of sorted) {
+      if (this.#getServiceEntry(name).lazy) {
+        // Started on first use
+        continue;
+      }
+
       const result = await this.startService(name);
       startedServiceNames.push(name);
 
@@ -493,7 +835,10 @@ export class ServiceManager extends EventEmitter {
   /**
    * Stop all services in reverse dependency order
    *
-   * @param {StopOptions} [options={}] - Stop options
+   * With a concurrency above 1, each service is stopped as soon as all of
+   * its dependents have been stopped.
+   *
+   * @param {StopAllOptions} [options={}] - Stop options
    *
    * @returns {Promise<Object<string, boolean>>} Map of service results
    */
@@ -505,10 +850,35 @@ export class ServiceManager extends EventEmitter {
       force: options.force || false
     };
 
+    /** @type {StopOptions} */
+    const serviceStopOptions = {
+      ...stopOptions,
+      timeout: options.serviceTimeout ?? stopOptions.timeout
+    };
+
+    const concurrency = options.concurrency ?? this.config.concurrency;
+
     // Stop in reverse order
     const sorted = this.#topologicalSort().reverse();
     const results = new Map();
 
+    // Services of child managers may depend on the services of this
+    // manager, so they are stopped first
+    for (const child of this.#children) {
+      this.#addChildResults(results, child, await child.stopAll(options));
+    }
+
+    const stopAllFn =
+      concurrency > 1
+        ? () =>
+            this.#stopAllConcurrently(
+              sorted,
+              results,
+              serviceStopOptions,
+              concurrency
+            )
+        : () => this.#stopAllSequentially(sorted, results, serviceStopOptions);
+
     // Handle global timeout if specified
     if (stopOptions.timeout) {
       const timeoutPromise = new Promise((_, reject) =>
@@ -520,10 +890,7 @@ export class ServiceManager extends EventEmitter {
 
       try {
         // Race between stopping all services and timeout
-        await Promise.race([
-          this.#stopAllSequentially(sorted, results, stopOptions),
-          timeoutPromise
-        ]);
+        await Promise.race([stopAllFn(), timeoutPromise]);
       } catch (error) {
         if (
           /** @type {Error} */ (error).message === 'Global shutdown timeout'
@@ -540,37 +907,165 @@ export class ServiceManager extends EventEmitter {
         }
       }
     } else {
-      // No timeout, just stop sequentially
-      await this.#stopAllSequentially(sorted, results, stopOptions);
+      // No timeout, just stop
+      await stopAllFn();
     }
 
     return Object.fromEntries(results);
   }
 
+  /**
+   * Drain all running services in reverse dependency order
+   *
+   * Draining services stop accepting new work and finish the work in
+   * progress. A service is drained after all of its dependents, so that
+   * their work in progress can still use it.
+   *
+   * @param {DrainAllOptions} [options={}] - Drain options
+   *
+   * @returns {Promise<Object<string, boolean>>}
+   *   Map of running services, true if drained within the deadline
+   */
+  async drainAll(options = {}) {
+    this.logger.info('Draining all services');
+
+    // Services wait for their dependents only, not for each other
+    const concurrency = options.concurrency ?? Infinity;
+
+    const running = this.#topologicalSort()
+      .reverse()
+      .filter(
+        (name) => this.services.get(name)?.instance?.state === STATE_RUNNING
+      );
+
+    /** @type {Map<string, boolean>} */
+    const results = new Map();
+
+    for (const child of this.#children) {
+      this.#addChildResults(results, child, await child.drainAll(options));
+    }
+
+    await this.#runDependencyAware(
+      running,
+      (name) => this.#getServiceEntry(name).dependents,
+      async (name) => {
+        const entry = this.#getServiceEntry(name);
+
+        const result = await entry.instance.drain({
+          timeout: entry.drainTimeout ?? options.timeout ?? 0
+        });
+
+        results.set(name, result.ok);
+
+        // A service that did not drain in time does not block the others
+        return true;
+      },
+      { concurrency }
+    );
+
+    return Object.fromEntries(results);
+  }
+
+  /**
+   * Drain and stop all services when the process receives a shutdown
+   * signal
+   *
+   * @param {ShutdownOptions} [options={}] - Shutdown options
+   *
+   * @returns {ShutdownCoordinator} Installed shutdown coordinator
+   */
+  enableGracefulShutdown(options = {}) {
+    const coordinator = new ShutdownCoordinator(this, options);
+
+    coordinator.install();
+
+    return coordinator;
+  }
+
   /**
    * Get health status for all services
    *
+   * The health checks of all services run at the same time.
+   *
+   * @param {HealthCheckOptions} [options={}] - Health check options
+   *
    * @returns {Promise<HealthCheckResult>} Health status for all services
    */
-  async checkHealth() {
+  async checkHealth(options = {}) {
+    const names = [...this.services.keys()];
+
+    const results = await Promise.all(
+      names.map((name) => this.getServiceHealth(name, options))
+    );
+
     /** @type {HealthCheckResult} */
     const health = {};
 
-    for (const [name, entry] of this.services) {
-      if (entry.instance) {
-        health[name] = await entry.instance.getHealth();
-      } else {
-        health[name] = {
-          name,
-          state: STATE_NOT_CREATED,
-          healthy: false
-        };
-      }
-    }
+    names.forEach((name, index) => {
+      health[name] = results[index];
+    });
 
     return health;
   }
 
+  /**
+   * Get health status for a single service
+   *
+   * A health check that does not finish within the timeout is reported
+   * as unhealthy.
+   *
+   * @param {string} name - Service name
+   * @param {HealthCheckOptions} [options={}] - Health check options
+   *
+   * @returns {Promise<HealthStatus>} Health status of the service
+   */
+  async getServiceHealth(name, options = {}) {
+    const entry = this.#getServiceEntry(name);
+    const instance = entry.instance;
+
+    if (!instance) {
+      return {
+        name,
+        state: STATE_NOT_CREATED,
+        healthy: false
+      };
+    }
+
+    if (!options.timeout) {
+      return await instance.getHealth();
+    }
+
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    let timer;
+
+    try {
+      return await Promise.race([
+        instance.getHealth(),
+        new Promise((_, reject) => {
+          timer = setTimeout(
+            () =>
+              reject(
+                new TimeoutError(
+                  `Health check timed out after ${options.timeout}ms`
+                )
+              ),
+            options.timeout
+          );
+        })
+      ]);
+    } catch (error) {
+      return {
+        name,
+        state: instance.state,
+        healthy: false,
+        error: instance.error?.message,
+        checkError: /** @type {Error} */ (error).message
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Check if a service is currently running
    *
@@ -701,6 +1196,80 @@ export class ServiceManager extends EventEmitter {
     return services;
   }
 
+  /**
+   * Get the lifecycle timeline of the services
+   *
+   * The timeline contains state transitions with the time spent in the
+   * previous state, applied configs and errors, oldest first.
+   *
+   * @param {TimelineQuery} [query={}] - Filter for the entries
+   *
+   * @returns {TimelineEntry[]} Timeline entries
+   */
+  getTimeline(query = {}) {
+    return this.#timeline.getEntries(query);
+  }
+
+  /**
+   * Get a JSON-serializable overview of all services
+   *
+   * Includes the state, tags, dependencies and log level per service, the
+   * dependency graph and the lifecycle timeline.
+   *
+   * @param {TimelineQuery} [timelineQuery={}]
+   *   Filter for the included timeline entries
+   *
+   * @returns {ManagerInspection} Introspection data
+   */
+  inspect(timelineQuery = {}) {
+    /** @type {ManagerInspection['services']} */
+    const services = {};
+
+    /** @type {ManagerInspection['graph']['edges']} */
+    const edges = [];
+
+    for (const [name, entry] of this.services) {
+      const instance = entry.instance;
+
+      services[name] = {
+        state: instance?.state ?? STATE_NOT_CREATED,
+        stateSince: this.#timeline.getStateSince(name),
+        healthy: instance?.healthy ?? false,
+        tags: [...entry.tags],
+        dependencies: [...entry.dependencies],
+        optionalDependencies: [...entry.optionalDependencies],
+        lazyDependencies: [...entry.lazyDependencies],
+        dependents: [...entry.dependents],
+        logLevel:
+          instance?.logger.level ?? this.#getServiceLogLevel(name) ?? null,
+        configVersion: this.#timeline.getConfigVersion(name),
+        critical: entry.critical,
+        lazy: entry.lazy,
+        recovery: this.getRecoveryState(name)
+      };
+
+      for (const dep of entry.dependencies) {
+        edges.push({ from: name, to: dep, type: 'required' });
+      }
+
+      for (const dep of entry.optionalDependencies) {
+        edges.push({ from: name, to: dep, type: 'optional' });
+      }
+
+      for (const dep of entry.lazyDependencies) {
+        edges.push({ from: name, to: dep, type: 'lazy' });
+      }
+    }
+
+    return {
+      generatedAt: Date.now(),
+      managerLogLevel: this.logger.level,
+      services,
+      graph: { nodes: [...this.services.keys()], edges },
+      timeline: this.#timeline.getEntries(timelineQuery)
+    };
+  }
+
   /**
    * Attach event listeners to forward service events
    *
@@ -709,17 +1278,41 @@ export class ServiceManager extends EventEmitter {
    *   Service instance
    */
   _attachServiceEvents(name, instance) {
+    const entry = this.#getServiceEntry(name);
+
     // Forward service events
     instance.on(STATE_CHANGED, (/** @type {StateChangeEvent} */ data) => {
+      this.#timeline.recordState(name, data.oldState, data.newState);
+
+      if (
+        data.oldState === STATE_CONFIGURING &&
+        data.newState !== STATE_ERROR
+      ) {
+        this.#timeline.recordConfig(name, instance.lastConfig);
+      }
+
       this.emit(SERVICE_STATE_CHANGED, { service: name, data });
+
+      if (data.newState === STATE_RUNNING && !entry.recovery.inProgress) {
+        // Running again without automatic recovery (e.g. manual recovery)
+        this.#resetRecovery(entry);
+      }
     });
 
     instance.on(HEALTH_CHANGED, (/** @type {HealthChangeEvent} */ data) => {
       this.emit(SERVICE_HEALTH_CHANGED, { service: name, data });
+
+      if (!data.healthy && instance.state === STATE_RUNNING) {
+        this.#handleServiceFailure(name, 'unhealthy');
+      }
     });
 
     instance.on(ERROR, (/** @type {ServiceErrorEvent} */ data) => {
+      this.#timeline.recordError(name, data.operation, data.error);
+
       this.emit(SERVICE_ERROR, { service: name, data });
+
+      this.#handleServiceFailure(name, 'error');
     });
 
     // Forward log events
@@ -749,6 +1342,120 @@ export class ServiceManager extends EventEmitter {
     return entry;
   }
 
+  /**
+   * Resolve the dependencies to inject into a service
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {Promise<import('../service-base/typedef.js').ServiceDependencies>}
+   *   Dependencies by service name
+   */
+  async #resolveDependencies(name) {
+    const entry = this.#getServiceEntry(name);
+
+    /** @type {import('../service-base/typedef.js').ServiceDependencies} */
+    const dependencies = {};
+
+    for (const dep of entry.dependencies) {
+      dependencies[dep] = this.get(dep) ?? null;
+    }
+
+    for (const dep of entry.optionalDependencies) {
+      dependencies[dep] =
+        this.hasService(dep) && (await this.isRunning(dep))
+          ? (this.get(dep) ?? null)
+          : null;
+    }
+
+    for (const dep of entry.lazyDependencies) {
+      dependencies[dep] = () => this.#startLazyDependency(dep, name);
+    }
+
+    return dependencies;
+  }
+
+  /**
+   * Start a lazy dependency on first use
+   *
+   * @param {string} dep - Name of the lazy dependency
+   * @param {string} name - Name of the service that uses it
+   *
+   * @throws {DetailedError} If the dependency could not be started
+   *
+   * @returns {Promise<import('../service-base/typedef.js').ServiceInstance>}
+   *   Running service instance
+   */
+  async #startLazyDependency(dep, name) {
+    if (this.#isParentService(dep) && !(await this.isRunning(dep))) {
+      throw new DetailedError(
+        `Parent service [${dep}] of service [${name}] is not running`
+      );
+    }
+
+    if (!(await this.isRunning(dep))) {
+      this.logger.debug(`Starting lazy dependency '${dep}' for '${name}'`);
+
+      const result = await this.startService(dep);
+
+      if (!result.ok) {
+        throw new DetailedError(
+          `Failed to start lazy dependency [${dep}] for service [${name}]`,
+          null,
+          result.error
+        );
+      }
+    }
+
+    return this.getService(dep);
+  }
+
+  /**
+   * Check if a service is provided by an ancestor and not by this manager
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {boolean}
+   */
+  #isParentService(name) {
+    return !this.services.has(name) && (this.parent?.hasService(name) ?? false);
+  }
+
+  /**
+   * Add the results of a child manager, keyed by scope and service name
+   *
+   * Results of the children of the child already have a scoped key.
+   *
+   * @param {Map<string, boolean>} results - Results of this manager
+   * @param {ServiceManager} child - Child manager
+   * @param {Object<string, boolean>} childResults - Results of the child
+   */
+  #addChildResults(results, child, childResults) {
+    for (const [name, ok] of Object.entries(childResults)) {
+      const key = name.startsWith(`${child.scope}/`)
+        ? name
+        : `${child.scope}/${name}`;
+
+      results.set(key, ok);
+    }
+  }
+
+  /**
+   * Get the names of the services that must be started before a service:
+   * its dependencies and its registered optional dependencies
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {string[]} Service names
+   */
+  #getStartDependencies(name) {
+    const entry = this.#getServiceEntry(name);
+
+    // Services of a parent manager are not started by a child
+    return [...entry.dependencies, ...entry.optionalDependencies].filter(
+      (/** @type {string} */ dep) => this.services.has(dep)
+    );
+  }
+
   /**
    * Resolve service configuration using plugins
    *
@@ -776,6 +1483,14 @@ export class ServiceManager extends EventEmitter {
           }
         }
       }
+
+      // Fall back to the plugins of the parent manager
+      if (this.parent) {
+        return await this.parent.#resolveServiceConfig(
+          serviceName,
+          serviceEntry
+        );
+      }
     } else {
       const config = serviceConfigOrLabel;
       return config;
@@ -829,41 +1544,506 @@ export class ServiceManager extends EventEmitter {
     }
   }
 
+  /**
+   * Schedule an automatic recovery if the restart policy of the service
+   * asks for it
+   *
+   * @param {string} name - Service name
+   * @param {'error'|'unhealthy'} reason - What went wrong
+   */
+  #handleServiceFailure(name, reason) {
+    const entry = this.#getServiceEntry(name);
+    const { restartPolicy: policy, recovery } = entry;
+
+    if (policy.policy === RESTART_NEVER) {
+      return;
+    }
+
+    if (reason === 'unhealthy' && policy.policy !== RESTART_ALWAYS) {
+      return;
+    }
+
+    if (entry.instance?.targetState !== STATE_RUNNING) {
+      // Failed while configuring or stopping: nothing to restart
+      return;
+    }
+
+    if (
+      recovery.inProgress ||
+      recovery.timer ||
+      recovery.circuit !== CIRCUIT_CLOSED
+    ) {
+      // Already being recovered, or given up
+      return;
+    }
+
+    this.#scheduleRecovery(name, reason);
+  }
+
+  /**
+   * Schedule the next recovery attempt using exponential backoff, or give
+   * up if the maximum number of attempts has been reached
+   *
+   * @param {string} name - Service name
+   * @param {'error'|'unhealthy'} reason - What triggered the recovery
+   */
+  #scheduleRecovery(name, reason) {
+    const { restartPolicy: policy, recovery } = this.#getServiceEntry(name);
+
+    // A half-open circuit allows a single trial attempt
+    const maxAttempts =
+      recovery.circuit === CIRCUIT_HALF_OPEN ? 1 : policy.maxAttempts;
+
+    if (recovery.attempts >= maxAttempts) {
+      this.#giveUpRecovery(name);
+      return;
+    }
+
+    recovery.attempts++;
+    recovery.reason = reason;
+
+    const delayMs = computeBackoffDelay(recovery.attempts, policy.backoff);
+    recovery.nextAttemptAt = Date.now() + delayMs;
+
+    this.logger.info(
+      `Recovering '${name}' in ${delayMs}ms (attempt ${recovery.attempts})`
+    );
+
+    this.emit(SERVICE_RECOVERING, {
+      service: name,
+      attempt: recovery.attempts,
+      delayMs,
+      reason
+    });
+
+    recovery.timer = setTimeout(() => {
+      recovery.timer = null;
+      recovery.nextAttemptAt = null;
+      this.#attemptRecovery(name);
+    }, delayMs);
+  }
+
+  /**
+   * Run a scheduled recovery attempt
+   *
+   * @param {string} name - Service name
+   */
+  async #attemptRecovery(name) {
+    const entry = this.#getServiceEntry(name);
+    const { recovery } = entry;
+    const instance = entry.instance;
+
+    if (!instance || instance.targetState !== STATE_RUNNING) {
+      return;
+    }
+
+    if (instance.state === STATE_RUNNING && instance.healthy) {
+      // Recovered by itself in the meantime
+      this.#resetRecovery(entry);
+      return;
+    }
+
+    recovery.inProgress = true;
+
+    /** @type {import('../service-base/typedef.js').OperationResult} */
+    let result;
+
+    try {
+      result = await this.#restartFailedService(name);
+    } catch (error) {
+      result = { ok: false, error: /** @type {Error} */ (error) };
+    } finally {
+      recovery.inProgress = false;
+    }
+
+    if (result.ok) {
+      const attempts = recovery.attempts;
+      this.#resetRecovery(entry);
+
+      this.logger.info(`Recovered '${name}' after ${attempts} attempt(s)`);
+      this.emit(SERVICE_RECOVERED, { service: name, attempts });
+    } else {
+      this.logger.warn(
+        `Recovery attempt ${recovery.attempts} for '${name}' failed`
+      );
+      this.#scheduleRecovery(name, recovery.reason ?? 'error');
+    }
+  }
+
+  /**
+   * Restart a failed service, optionally together with its dependents
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {Promise<import('../service-base/typedef.js').OperationResult>}
+   *   Operation result
+   */
+  async #restartFailedService(name) {
+    const entry = this.#getServiceEntry(name);
+    const { restartPolicy: policy, recovery } = entry;
+    const instance =
+      /** @type {import('../service-base/typedef.js').ServiceInstance} */ (
+        entry.instance
+      );
+
+    if (policy.restartDependents) {
+      const stopped = await this.#stopRunningDependents(name);
+
+      for (const dependent of stopped) {
+        if (!recovery.stoppedDependents.includes(dependent)) {
+          recovery.stoppedDependents.push(dependent);
+        }
+      }
+    }
+
+    /** @type {import('../service-base/typedef.js').OperationResult} */
+    let result;
+
+    if (instance.state === STATE_ERROR) {
+      result = await this.recoverService(name);
+    } else {
+      // Running but unhealthy => restart
+      result = await this.stopService(name, { force: true });
+      if (result.ok) {
+        result = await this.startService(name);
+      }
+    }
+
+    if (result.ok && recovery.stoppedDependents.length > 0) {
+      // Start in reverse stop order, so dependencies start first
+      const dependents = recovery.stoppedDependents.reverse();
+      recovery.stoppedDependents = [];
+
+      for (const dependent of dependents) {
+        const startResult = await this.startService(dependent);
+
+        if (!startResult.ok) {
+          this.logger.warn(
+            `Failed to restart dependent '${dependent}' of '${name}'`
+          );
+        }
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Stop all running services that (indirectly) depend on a service,
+   * dependents first
+   *
+   * @param {string} name - Service name
+   *
+   * @returns {Promise<string[]>} Names of the stopped services, in stop order
+   */
+  async #stopRunningDependents(name) {
+    /** @type {Set<string>} */
+    const dependents = new Set();
+
+    const collect = (/** @type {string} */ serviceName) => {
+      for (const dependent of this.#getServiceEntry(serviceName).dependents) {
+        if (!dependents.has(dependent)) {
+          dependents.add(dependent);
+          collect(dependent);
+        }
+      }
+    };
+
+    collect(name);
+
+    /** @type {string[]} */
+    const stopped = [];
+
+    for (const dependent of this.#topologicalSort().reverse()) {
+      if (!dependents.has(dependent) || !(await this.isRunning(dependent))) {
+        continue;
+      }
+
+      const result = await this.stopService(dependent);
+
+      if (result.ok) {
+        stopped.push(dependent);
+      } else {
+        this.logger.warn(
+          `Failed to stop dependent '${dependent}' before recovering '${name}'`
+        );
+      }
+    }
+
+    return stopped;
+  }
+
+  /**
+   * Stop automatic recovery after too many failed attempts and open the
+   * circuit breaker
+   *
+   * @param {string} name - Service name
+   */
+  #giveUpRecovery(name) {
+    const entry = this.#getServiceEntry(name);
+    const { restartPolicy: policy, recovery } = entry;
+
+    recovery.circuit = CIRCUIT_OPEN;
+
+    /** @type {number|null} */
+    let retryAt = null;
+
+    if (policy.circuitBreakerResetMs > 0) {
+      retryAt = Date.now() + policy.circuitBreakerResetMs;
+      recovery.nextAttemptAt = retryAt;
+
+      recovery.timer = setTimeout(() => {
+        recovery.timer = null;
+        recovery.nextAttemptAt = null;
+        recovery.circuit = CIRCUIT_HALF_OPEN;
+        recovery.attempts = 0;
+
+        this.#scheduleRecovery(name, recovery.reason ?? 'error');
+      }, policy.circuitBreakerResetMs);
+    }
+
+    this.logger.warn(
+      `Gave up recovering '${name}' after ${recovery.attempts} attempt(s)`
+    );
+
+    this.emit(SERVICE_GAVE_UP, {
+      service: name,
+      attempts: recovery.attempts,
+      error: entry.instance?.error ?? null,
+      retryAt
+    });
+  }
+
+  /**
+   * Clear pending recovery attempts and close the circuit breaker
+   *
+   * @param {ServiceEntry} entry - Service registration entry
+   */
+  #resetRecovery(entry) {
+    const { recovery } = entry;
+
+    if (recovery.timer) {
+      clearTimeout(recovery.timer);
+      recovery.timer = null;
+    }
+
+    recovery.attempts = 0;
+    recovery.circuit = CIRCUIT_CLOSED;
+    recovery.nextAttemptAt = null;
+  }
+
+  /**
+   * Start services concurrently, each one as soon as its dependencies
+   * are running
+   *
+   * @param {string[]} serviceNames - Service names in dependency order
+   * @param {number} concurrency - Maximum number of services starting at once
+   *
+   * @throws {DetailedError} if one of the services did not start
+   *
+   * @returns {Promise<string[]>} list of started service names
+   */
+  async #startAllConcurrently(serviceNames, concurrency) {
+    // Lazy services are started on first use
+    // Services that are ready at the same time start by priority
+    const queue = serviceNames
+      .filter((name) => !this.#getServiceEntry(name).lazy)
+      .sort(
+        (a, b) =>
+          this.#getServiceEntry(b).startupPriority -
+          this.#getServiceEntry(a).startupPriority
+      );
+
+    /** @type {string[]} */
+    const startedServiceNames = [];
+
+    /** @type {{ name: string, error?: Error }[]} */
+    const failures = [];
+
+    await this.#runDependencyAware(
+      queue,
+      (name) => this.#getStartDependencies(name),
+      async (name) => {
+        let result;
+        try {
+          result = await this.startService(name);
+        } catch (error) {
+          result = { ok: false, error: /** @type {Error} */ (error) };
+        }
+        startedServiceNames.push(name);
+
+        if (!result.ok) {
+          failures.push({ name, error: result.error });
+        }
+        return result.ok;
+      },
+      { concurrency, abortOnFailure: true }
+    );
+
+    if (failures.length > 0) {
+      // Report the first failure, like a sequential start would
+      const { name, error } = failures[0];
+      throw new DetailedError(`Failed to start service [${name}]`, null, error);
+    }
+
+    return startedServiceNames;
+  }
+
+  /**
+   * Stop services concurrently, each one as soon as its dependents
+   * have been stopped
+   *
+   * @param {string[]} serviceNames - Service names in reverse dependency order
+   * @param {Map<string, boolean>} results - Results map to populate
+   * @param {StopOptions} options - Stop options
+   * @param {number} concurrency - Maximum number of services stopping at once
+   */
+  async #stopAllConcurrently(serviceNames, results, options, concurrency) {
+    await this.#runDependencyAware(
+      serviceNames,
+      (name) => this.#getServiceEntry(name).dependents,
+      async (name) => {
+        let ok = false;
+        try {
+          const result = await this.stopService(name, options);
+          ok = result.ok;
+        } catch (error) {
+          this.logger.error(
+            `Error stopping '${name}'`,
+            /** @type {Error} */ (error)
+          );
+        }
+        results.set(name, ok);
+        return ok;
+      },
+      { concurrency }
+    );
+  }
+
+  /**
+   * Run a task for each service as soon as the tasks of all its
+   * prerequisites have finished, with a limited number of tasks in flight
+   *
+   * @param {string[]} serviceNames
+   *   Service names, in the order in which ready tasks should be picked
+   * @param {(name: string) => Iterable<string>} getPrerequisites
+   *   Names of the services that must be processed first
+   * @param {(name: string) => Promise<boolean>} task
+   *   Task to run, resolves with true on success
+   * @param {object} options
+   * @param {number} options.concurrency - Maximum number of tasks in flight
+   * @param {boolean} [options.abortOnFailure=false]
+   *   Do not run new tasks after a task has failed
+   */
+  async #runDependencyAware(
+    serviceNames,
+    getPrerequisites,
+    task,
+    { concurrency, abortOnFailure = false }
+  ) {
+    const included = new Set(serviceNames);
+    const waiting = [...serviceNames];
+
+    /** @type {Set<string>} */
+    const finished = new Set();
+
+    /** @type {Map<string, Promise<void>>} */
+    const inFlight = new Map();
+
+    let failed = false;
+
+    const isReady = (/** @type {string} */ name) => {
+      for (const prerequisite of getPrerequisites(name)) {
+        if (included.has(prerequisite) && !finished.has(prerequisite)) {
+          return false;
+        }
+      }
+      return true;
+    };
+
+    while (waiting.length > 0 || inFlight.size > 0) {
+      if (!(abortOnFailure && failed)) {
+        for (let i = 0; i < waiting.length && inFlight.size < concurrency; ) {
+          const name = waiting[i];
+
+          if (!isReady(name)) {
+            i++;
+            continue;
+          }
+
+          waiting.splice(i, 1);
+
+          const promise = task(name)
+            .catch((error) => {
+              this.logger.error(
+                `Task for '${name}' failed`,
+                /** @type {Error} */ (error)
+              );
+              return false;
+            })
+            .then((ok) => {
+              if (!ok) {
+                failed = true;
+              }
+              inFlight.delete(name);
+              finished.add(name);
+            });
+
+          inFlight.set(name, promise);
+        }
+      }
+
+      if (inFlight.size === 0) {
+        // Nothing left that can run (aborted after a failure)
+        break;
+      }
+
+      await Promise.race(inFlight.values());
+    }
+  }
+
   /**
    * Sort services by dependencies using topological sort
    *
-   * @throws {Error} If circular dependencies are detected
+   * Lazy dependencies are not taken into account, they are started on
+   * first use.
+   *
+   * @param {Iterable<string>} [names]
+   *   Services to sort together with their dependencies (default: all)
+   *
+   * @throws {CircularDependencyError} If circular dependencies are detected
    *
    * @returns {string[]} Service names in dependency order
    */
-  #topologicalSort() {
+  #topologicalSort(names = this.services.keys()) {
     /** @type {string[]}*/
     const sorted = [];
 
     const visited = new Set();
-    const visiting = new Set();
+
+    /** @type {string[]} */
+    const path = [];
 
     const visit = (/** @type {string} */ name) => {
       if (visited.has(name)) return;
-      if (visiting.has(name)) {
-        throw new Error(`Circular dependency detected involving '${name}'`);
-      }
 
-      visiting.add(name);
+      const index = path.indexOf(name);
+      if (index !== -1) {
+        throw new CircularDependencyError([...path.slice(index), name]);
+      }
 
-      const entry = this.#getServiceEntry(name);
+      path.push(name);
 
-      for (const dep of entry.dependencies) {
+      for (const dep of this.#getStartDependencies(name)) {
         visit(dep);
       }
 
-      visiting.delete(name);
+      path.pop();
       visited.add(name);
       sorted.push(name);
     };
 
-    // Visit all services
-    for (const name of this.services.keys()) {
+    for (const name of names) {
       visit(name);
     }
 
@@ -3,6 +3,8 @@
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { ServiceManager } from './ServiceManager.js';
+import { CircularDependencyError } from './errors.js';
+import { DetailedError } from '$lib/generic/errors.js';
 import { DEBUG, INFO } from '$lib/logging/common.js';
 import { ServiceBase } from '$lib/services/service-base/ServiceBase.js';
 import {
@@ -10,7 +12,8 @@ import {
   STATE_CONFIGURED,
   STATE_RUNNING,
   STATE_STOPPED,
-  STATE_ERROR
+  STATE_ERROR,
+  STATE_DESTROYED
 } from '$lib/services/service-base/constants.js';
 
 // Mock service classes
@@ -369,6 +372,173 @@ describe('ServiceManager', () => {
     });
   });
 
+  describe('Dependency Injection', () => {
+    class ConsumerService extends ServiceBase {
+      async _configure(newConfig, oldConfig, dependencies) {
+        this.configuredWith = dependencies;
+      }
+      async _start(dependencies) {
+        this.startedWith = dependencies;
+      }
+    }
+
+    it('should inject required dependencies', async () => {
+      manager.register('database', MockServiceA);
+      manager.register(
+        'api',
+        ConsumerService,
+        {},
+        {
+          dependencies: ['database']
+        }
+      );
+
+      await manager.startService('api');
+
+      const api = manager.get('api');
+      expect(api.configuredWith.database).toBe(manager.get('database'));
+      expect(api.startedWith.database).toBe(manager.get('database'));
+      expect(api.dependencies.database.state).toBe(STATE_RUNNING);
+    });
+
+    it('should inject null for absent optional dependencies', async () => {
+      manager.register(
+        'api',
+        ConsumerService,
+        {},
+        {
+          optionalDependencies: ['cache']
+        }
+      );
+
+      const result = await manager.startService('api');
+
+      expect(result.ok).toBe(true);
+      expect(manager.get('api').startedWith).toEqual({ cache: null });
+    });
+
+    it('should start registered optional dependencies first', async () => {
+      manager.register(
+        'api',
+        ConsumerService,
+        {},
+        {
+          optionalDependencies: ['cache']
+        }
+      );
+      // Registered after the service that uses it
+      manager.register('cache', MockServiceB);
+
+      const started = await manager.startAll();
+
+      expect(started).toEqual(['cache', 'api']);
+      expect(manager.get('api').startedWith.cache).toBe(manager.get('cache'));
+      expect(manager.services.get('cache').dependents.has('api')).toBe(true);
+    });
+
+    it('should not block startup when an optional dependency fails', async () => {
+      class FailingService extends ServiceBase {
+        async _start() {
+          throw new Error('Start failed');
+        }
+      }
+
+      manager.register('cache', FailingService);
+      manager.register(
+        'api',
+        ConsumerService,
+        {},
+        {
+          optionalDependencies: ['cache']
+        }
+      );
+
+      const result = await manager.startService('api');
+
+      expect(result.ok).toBe(true);
+      expect(manager.get('api').startedWith.cache).toBeNull();
+    });
+
+    it('should start lazy dependencies on first use', async () => {
+      manager.register('mailer', MockServiceB, {}, { lazy: true });
+      manager.register(
+        'api',
+        ConsumerService,
+        {},
+        {
+          lazyDependencies: ['mailer']
+        }
+      );
+
+      const started = await manager.startAll();
+
+      expect(started).toEqual(['api']);
+      expect(manager.get('mailer').state).not.toBe(STATE_RUNNING);
+
+      const getMailer = manager.get('api').startedWith.mailer;
+      const mailer = await getMailer();
+
+      expect(mailer).toBe(manager.get('mailer'));
+      expect(mailer.state).toBe(STATE_RUNNING);
+    });
+
+    it('should reject when a lazy dependency cannot start', async () => {
+      class FailingService extends ServiceBase {
+        async _start() {
+          throw new Error('Start failed');
+        }
+      }
+
+      manager.register('mailer', FailingService, {}, { lazy: true });
+      manager.register(
+        'api',
+        ConsumerService,
+        {},
+        {
+          lazyDependencies: ['mailer']
+        }
+      );
+
+      await manager.startService('api');
+
+      await expect(manager.get('api').startedWith.mailer()).rejects.toThrow(
+        'Failed to start lazy dependency [mailer] for service [api]'
+      );
+    });
+
+    it('should allow cycles through lazy dependencies', async () => {
+      manager.register('a', ConsumerService, {}, { lazyDependencies: ['b'] });
+      manager.register('b', ConsumerService, {}, { dependencies: ['a'] });
+
+      await expect(manager.startAll()).resolves.toEqual(['a', 'b']);
+    });
+
+    it('should report the full path of circular dependencies', async () => {
+      manager.register(
+        'a',
+        ConsumerService,
+        {},
+        {
+          optionalDependencies: ['c']
+        }
+      );
+      manager.register('b', ConsumerService, {}, { dependencies: ['a'] });
+      manager.register('c', ConsumerService, {}, { dependencies: ['b'] });
+
+      const error = await manager.startAll().catch((e) => e);
+
+      expect(error).toBeInstanceOf(CircularDependencyError);
+      expect(error.path).toEqual(['a', 'c', 'b', 'a']);
+      expect(error.message).toBe(
+        'Circular dependency detected: a -> c -> b -> a'
+      );
+
+      await expect(manager.startService('b')).rejects.toThrow(
+        'Circular dependency detected: b -> a -> c -> b'
+      );
+    });
+  });
+
   describe('Batch Operations', () => {
     beforeEach(() => {
       manager.register('serviceA', MockServiceA);
@@ -450,6 +620,694 @@ describe('ServiceManager', () => {
     });
   });
 
+  describe('Concurrent Batch Operations', () => {
+    /**
+     * Create a service class that records when it starts and stops
+     */
+    function createControlledService(log) {
+      return class ControlledService extends ServiceBase {
+        async _start() {
+          log.push(`start:${this.name}`);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          log.push(`running:${this.name}`);
+        }
+        async _stop() {
+          log.push(`stop:${this.name}`);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          log.push(`stopped:${this.name}`);
+        }
+      };
+    }
+
+    it('should start independent services in parallel', async () => {
+      const log = [];
+      const Controlled = createControlledService(log);
+
+      manager.register('db', Controlled);
+      manager.register('cache', Controlled);
+      manager.register('queue', Controlled);
+
+      const started = await manager.startAll({ concurrency: 3 });
+
+      expect(started).toHaveLength(3);
+      expect(log.slice(0, 3)).toEqual([
+        'start:db',
+        'start:cache',
+        'start:queue'
+      ]);
+    });
+
+    it('should start a service only after its dependencies run', async () => {
+      const log = [];
+      const Controlled = createControlledService(log);
+
+      manager.register('db', Controlled);
+      manager.register('cache', Controlled);
+      manager.register('api', Controlled, {}, { dependencies: ['db'] });
+
+      await manager.startAll({ concurrency: 10 });
+
+      expect(log.indexOf('start:api')).toBeGreaterThan(
+        log.indexOf('running:db')
+      );
+      expect(log.indexOf('start:cache')).toBeLessThan(
+        log.indexOf('running:db')
+      );
+      expect(manager.get('api').state).toBe(STATE_RUNNING);
+    });
+
+    it('should respect the concurrency limit', async () => {
+      let active = 0;
+      let maxActive = 0;
+
+      class CountingService extends ServiceBase {
+        async _start() {
+          active++;
+          maxActive = Math.max(maxActive, active);
+          await new Promise((resolve) => setTimeout(resolve, 5));
+          active--;
+        }
+      }
+
+      for (let i = 0; i < 6; i++) {
+        manager.register(`service${i}`, CountingService);
+      }
+
+      await manager.startAll({ concurrency: 2 });
+
+      expect(maxActive).toBe(2);
+    });
+
+    it('should use the concurrency from the manager config', async () => {
+      const log = [];
+      const Controlled = createControlledService(log);
+
+      const concurrentManager = new ServiceManager({ concurrency: 4 });
+      concurrentManager.register('a', Controlled);
+      concurrentManager.register('b', Controlled);
+
+      await concurrentManager.startAll();
+
+      expect(log.slice(0, 2)).toEqual(['start:a', 'start:b']);
+    });
+
+    it('should start ready services by startup priority', async () => {
+      const log = [];
+      const Controlled = createControlledService(log);
+
+      manager.register('low', Controlled, {}, { startupPriority: 1 });
+      manager.register('high', Controlled, {}, { startupPriority: 10 });
+
+      await manager.startAll({ concurrency: 2 });
+
+      expect(log[0]).toBe('start:high');
+    });
+
+    it('should throw and not start dependents after a failure', async () => {
+      class FailingService extends ServiceBase {
+        async _start() {
+          throw new Error('Start failed');
+        }
+      }
+
+      manager.register('db', FailingService);
+      manager.register('api', MockServiceA, {}, { dependencies: ['db'] });
+
+      await expect(manager.startAll({ concurrency: 4 })).rejects.toThrow(
+        'Failed to start service [db]'
+      );
+
+      expect(manager.get('api').state).not.toBe(STATE_RUNNING);
+    });
+
+    it('should throw if a service cannot be created', async () => {
+      class BrokenService extends ServiceBase {
+        constructor(name, options) {
+          super(name, options);
+          throw new Error('Constructor failed');
+        }
+      }
+
+      manager.register('db', BrokenService);
+      manager.register('api', MockServiceA, {}, { dependencies: ['db'] });
+
+      await expect(manager.startAll({ concurrency: 4 })).rejects.toThrow(
+        'Failed to start service [db]'
+      );
+
+      expect(manager.get('api').state).not.toBe(STATE_RUNNING);
+    });
+
+    it('should throw if starting a service rejects', async () => {
+      manager.attachPlugin({
+        name: 'broken',
+        attach: () => {},
+        resolveServiceConfig: async () => {
+          throw new Error('Config failed');
+        }
+      });
+
+      manager.register('db', MockServiceA, 'db-config');
+      manager.register('cache', MockServiceB);
+
+      const error = await manager
+        .startAll({ concurrency: 4 })
+        .catch((error) => error);
+
+      expect(error).toBeInstanceOf(DetailedError);
+      expect(error.message).toBe('Failed to start service [db]');
+      expect(error.cause.message).toBe('Config failed');
+    });
+
+    it('should stop dependents before their dependencies', async () => {
+      const log = [];
+      const Controlled = createControlledService(log);
+
+      manager.register('db', Controlled);
+      manager.register('cache', Controlled);
+      manager.register('api', Controlled, {}, { dependencies: ['db'] });
+
+      await manager.startAll();
+      log.length = 0;
+
+      const results = await manager.stopAll({ concurrency: 4 });
+
+      expect(results).toEqual({ db: true, cache: true, api: true });
+
+      expect(log.indexOf('stop:db')).toBeGreaterThan(
+        log.indexOf('stopped:api')
+      );
+      expect(log.indexOf('stop:cache')).toBeLessThan(
+        log.indexOf('stopped:api')
+      );
+    });
+  });
+
+  describe('Automatic Recovery', () => {
+    const noBackoff = {
+      initialDelayMs: 100,
+      maxDelayMs: 1000,
+      factor: 2,
+      jitter: 0
+    };
+
+    /**
+     * Create a service class whose start fails a number of times
+     */
+    function createFlakyService(failures) {
+      const counter = { failures, starts: 0 };
+
+      class FlakyService extends ServiceBase {
+        async _start() {
+          counter.starts++;
+          if (counter.failures > 0) {
+            counter.failures--;
+            throw new Error('Start failed');
+          }
+        }
+        async _recover() {
+          await this._start();
+        }
+      }
+
+      return { FlakyService, counter };
+    }
+
+    beforeEach(() => {
+      vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+      vi.useRealTimers();
+    });
+
+    it('should not recover services by default', async () => {
+      const { FlakyService, counter } = createFlakyService(1);
+      manager.register('flaky', FlakyService);
+
+      await manager.startService('flaky');
+      await vi.advanceTimersByTimeAsync(60000);
+
+      expect(counter.starts).toBe(1);
+      expect(manager.get('flaky').state).toBe(STATE_ERROR);
+    });
+
+    it('should recover on failure with backoff', async () => {
+      const { FlakyService, counter } = createFlakyService(2);
+      manager.register(
+        'flaky',
+        FlakyService,
+        {},
+        {
+          restart: { policy: 'on-failure', backoff: noBackoff }
+        }
+      );
+
+      const recovering = [];
+      const recovered = vi.fn();
+      manager.on('service:recovering', (e) => recovering.push(e));
+      manager.on('service:recovered', recovered);
+
+      await manager.startService('flaky');
+
+      expect(recovering).toEqual([
+        { service: 'flaky', attempt: 1, delayMs: 100, reason: 'error' }
+      ]);
+
+      await vi.advanceTimersByTimeAsync(100);
+
+      // First recovery attempt fails => second attempt after 200ms
+      expect(recovering[1]).toMatchObject({ attempt: 2, delayMs: 200 });
+      expect(manager.get('flaky').state).toBe(STATE_ERROR);
+
+      await vi.advanceTimersByTimeAsync(200);
+
+      expect(counter.starts).toBe(3);
+      expect(manager.get('flaky').state).toBe(STATE_RUNNING);
+      expect(recovered).toHaveBeenCalledWith({ service: 'flaky', attempts: 2 });
+      expect(manager.getRecoveryState('flaky')).toMatchObject({
+        attempts: 0,
+        circuit: 'closed'
+      });
+    });
+
+    it('should give up after max attempts and open the circuit', async () => {
+      const { FlakyService } = createFlakyService(10);
+      manager.register(
+        'flaky',
+        FlakyService,
+        {},
+        {
+          restart: { policy: 'on-failure', maxAttempts: 2, backoff: noBackoff }
+        }
+      );
+
+      const gaveUp = vi.fn();
+      manager.on('service:gaveUp', gaveUp);
+
+      await manager.startService('flaky');
+      await vi.advanceTimersByTimeAsync(10000);
+
+      expect(gaveUp).toHaveBeenCalledTimes(1);
+      expect(gaveUp).toHaveBeenCalledWith(
+        expect.objectContaining({
+          service: 'flaky',
+          attempts: 2,
+          retryAt: null
+        })
+      );
+      expect(manager.getRecoveryState('flaky').circuit).toBe('open');
+    });
+
+    it('should allow a trial attempt after the circuit reset time', async () => {
+      const { FlakyService, counter } = createFlakyService(2);
+      manager.register(
+        'flaky',
+        FlakyService,
+        {},
+        {
+          restart: {
+            policy: 'on-failure',
+            maxAttempts: 1,
+            backoff: noBackoff,
+            circuitBreakerResetMs: 5000
+          }
+        }
+      );
+
+      await manager.startService('flaky');
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect(manager.getRecoveryState('flaky').circuit).toBe('open');
+
+      await vi.advanceTimersByTimeAsync(5000);
+      expect(manager.getRecoveryState('flaky').circuit).toBe('half-open');
+
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect(counter.starts).toBe(3);
+      expect(manager.get('flaky').state).toBe(STATE_RUNNING);
+      expect(manager.getRecoveryState('flaky').circuit).toBe('closed');
+    });
+
+    it('should restart unhealthy services with the always policy', async () => {
+      manager.register(
+        'serviceA',
+        MockServiceA,
+        {},
+        {
+          restart: { policy: 'always', backoff: noBackoff }
+        }
+      );
+
+      await manager.startService('serviceA');
+
+      const instance = manager.get('serviceA');
+      const startSpy = vi.spyOn(instance, '_start');
+
+      instance._setHealthy(false);
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect(startSpy).toHaveBeenCalledTimes(1);
+      expect(instance.state).toBe(STATE_RUNNING);
+      expect(instance.healthy).toBe(true);
+    });
+
+    it('should ignore unhealthy services with the on-failure policy', async () => {
+      const recovering = vi.fn();
+      manager.on('service:recovering', recovering);
+
+      manager.register(
+        'serviceA',
+        MockServiceA,
+        {},
+        {
+          restart: 'on-failure'
+        }
+      );
+
+      await manager.startService('serviceA');
+      manager.get('serviceA')._setHealthy(false);
+
+      expect(recovering).not.toHaveBeenCalled();
+    });
+
+    it('should stop and restart dependents when requested', async () => {
+      const { FlakyService } = createFlakyService(0);
+      manager.register(
+        'db',
+        FlakyService,
+        {},
+        {
+          restart: {
+            policy: 'on-failure',
+            backoff: noBackoff,
+            restartDependents: true
+          }
+        }
+      );
+      manager.register('api', MockServiceA, {}, { dependencies: ['db'] });
+
+      await manager.startAll();
+
+      const db = manager.get('db');
+      const api = manager.get('api');
+      const apiStop = vi.spyOn(api, '_stop');
+      const apiStart = vi.spyOn(api, '_start');
+
+      db._setError('runtime', new Error('Connection lost'));
+      await vi.advanceTimersByTimeAsync(100);
+
+      expect(apiStop).toHaveBeenCalledTimes(1);
+      expect(apiStart).toHaveBeenCalledTimes(1);
+      expect(db.state).toBe(STATE_RUNNING);
+      expect(api.state).toBe(STATE_RUNNING);
+    });
+
+    it('should cancel pending recovery when the service is stopped', async () => {
+      const { FlakyService, counter } = createFlakyService(1);
+      manager.register(
+        'flaky',
+        FlakyService,
+        {},
+        {
+          restart: { policy: 'on-failure', backoff: noBackoff }
+        }
+      );
+
+      await manager.startService('flaky');
+      await manager.stopService('flaky');
+      await vi.advanceTimersByTimeAsync(10000);
+
+      expect(counter.starts).toBe(1);
+      expect(manager.getRecoveryState('flaky').nextAttemptAt).toBeNull();
+    });
+
+    it('should reject unknown restart policies', () => {
+      expect(() => {
+        manager.register(
+          'serviceA',
+          MockServiceA,
+          {},
+          { restart: 'sometimes' }
+        );
+      }).toThrow('Unknown restart policy [sometimes]');
+    });
+  });
+
+  describe('Child Managers', () => {
+    class SessionService extends ServiceBase {
+      async _configure(config) {
+        this.config = config;
+      }
+      async _start() {
+        this.database = this.dependencies.database;
+      }
+    }
+
+    let child;
+
+    beforeEach(async () => {
+      manager.register('database', MockServiceA, { host: 'localhost' });
+      await manager.startService('database');
+
+      child = manager.createChild('tenant-a');
+      child.register(
+        'session',
+        SessionService,
+        { ttl: 60 },
+        { dependencies: ['database'] }
+      );
+    });
+
+    it('should inherit the parent config and build the scope path', () => {
+      const grandchild = child.createChild('session-1');
+
+      expect(child.parent).toBe(manager);
+      expect(child.config.stopTimeout).toBe(manager.config.stopTimeout);
+      expect(grandchild.scope).toBe('tenant-a/session-1');
+      expect(manager.children).toEqual([child]);
+      expect(() => manager.createChild('')).toThrow();
+    });
+
+    it('should resolve dependencies from the parent', async () => {
+      const result = await child.startService('session');
+
+      expect(result.ok).toBe(true);
+      expect(child.hasService('database')).toBe(true);
+      expect(manager.hasService('session')).toBe(false);
+      expect(child.get('database')).toBe(manager.get('database'));
+      expect(child.get('session').database).toBe(manager.get('database'));
+
+      // The parent is not modified by the child
+      expect(manager.services.get('database').dependents.size).toBe(0);
+    });
+
+    it('should not start services of the parent', async () => {
+      vi.spyOn(child.logger, 'error').mockImplementation(() => {});
+
+      await manager.stopService('database');
+
+      const result = await child.startService('session');
+
+      expect(result.ok).toBe(false);
+      expect(result.error.message).toContain(
+        'Parent service [database] of service [session] is not running'
+      );
+      expect(manager.get('database').state).toBe(STATE_STOPPED);
+    });
+
+    it('should bubble up log events with the scope', async () => {
+      const listener = vi.fn();
+      manager.onLogEvent(listener);
+
+      await child.startAll();
+
+      const grandchild = child.createChild('session-1');
+      grandchild.register('session', SessionService);
+
+      child.get('session').logger.warn('Session expired');
+      grandchild.get('session').logger.warn('Session lost');
+
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: 'Session expired',
+          context: expect.objectContaining({ scope: 'tenant-a' })
+        })
+      );
+      expect(listener).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: 'Session lost',
+          context: expect.objectContaining({ scope: 'tenant-a/session-1' })
+        })
+      );
+    });
+
+    it('should stop children before the parent services', async () => {
+      await child.startAll();
+
+      const results = await manager.stopAll();
+
+      expect(results).toEqual({
+        'tenant-a/session': true,
+        database: true
+      });
+      expect(child.get('session').state).toBe(STATE_STOPPED);
+    });
+
+    it('should dispose a child without touching the parent', async () => {
+      await child.startAll();
+
+      const session = child.get('session');
+      const listener = vi.fn();
+      manager.onLogEvent(listener);
+
+      await child.dispose();
+
+      expect(session.state).toBe(STATE_DESTROYED);
+      expect(child.services.size).toBe(0);
+      expect(manager.children).toEqual([]);
+      expect(manager.get('database').state).toBe(STATE_RUNNING);
+
+      // Log events are no longer forwarded
+      session.logger.warn('After dispose');
+      expect(listener).not.toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'After dispose' })
+      );
+    });
+  });
+
+  describe('Timeline and Introspection', () => {
+    class FailingService extends ServiceBase {
+      async _start() {
+        throw new Error('Port in use');
+      }
+    }
+
+    it('should record state transitions with durations', async () => {
+      vi.useFakeTimers();
+
+      class SlowService extends ServiceBase {
+        async _start() {
+          await new Promise((resolve) => setTimeout(resolve, 250));
+        }
+      }
+
+      manager.register('slow', SlowService);
+
+      const promise = manager.startService('slow');
+      await vi.advanceTimersByTimeAsync(250);
+      await promise;
+
+      vi.useRealTimers();
+
+      const transitions = manager
+        .getTimeline({ service: 'slow', type: 'state' })
+        .map(({ from, to }) => `${from} -> ${to}`);
+
+      expect(transitions).toEqual([
+        'not-created -> created',
+        'created -> configuring',
+        'configuring -> configured',
+        'configured -> starting',
+        'starting -> running'
+      ]);
+
+      const started = manager.getTimeline({ service: 'slow' }).at(-1);
+      expect(started.durationMs).toBe(250);
+    });
+
+    it('should record config versions and errors', async () => {
+      manager.register('serviceA', MockServiceA, { host: 'localhost' });
+      manager.register('failing', FailingService);
+
+      await manager.startService('serviceA');
+      await manager.get('serviceA').configure({ host: 'db', port: 5432 });
+      await manager.startService('failing');
+
+      expect(manager.getTimeline({ type: 'config' })).toEqual([
+        expect.objectContaining({
+          service: 'serviceA',
+          version: 1,
+          keys: ['host']
+        }),
+        expect.objectContaining({
+          service: 'serviceA',
+          version: 2,
+          keys: ['host', 'port']
+        }),
+        expect.objectContaining({ service: 'failing', version: 1 })
+      ]);
+
+      expect(manager.getTimeline({ type: 'error' })).toEqual([
+        expect.objectContaining({
+          service: 'failing',
+          operation: 'startup',
+          cause: 'Port in use'
+        })
+      ]);
+    });
+
+    it('should keep a bounded number of entries', async () => {
+      manager = new ServiceManager({ timelineSize: 3 });
+      manager.register('serviceA', MockServiceA);
+
+      await manager.startService('serviceA');
+
+      const timeline = manager.getTimeline();
+
+      expect(timeline).toHaveLength(3);
+      expect(timeline.at(-1)).toMatchObject({ to: STATE_RUNNING });
+    });
+
+    it('should return services, graph and timeline as JSON', async () => {
+      manager.setServiceLogLevel('serviceB', DEBUG);
+      manager.register('serviceA', MockServiceA, {}, { tags: ['core'] });
+      manager.register(
+        'serviceB',
+        MockServiceB,
+        {},
+        {
+          dependencies: ['serviceA'],
+          lazyDependencies: ['serviceC']
+        }
+      );
+      manager.register('serviceC', MockServiceC, {}, { lazy: true });
+
+      await manager.startAll();
+
+      const inspection = manager.inspect({ limit: 2 });
+
+      expect(JSON.parse(JSON.stringify(inspection))).toEqual(inspection);
+
+      expect(inspection.services.serviceA).toMatchObject({
+        state: STATE_RUNNING,
+        stateSince: expect.any(Number),
+        tags: ['core'],
+        dependents: ['serviceB'],
+        logLevel: INFO,
+        configVersion: 1
+      });
+      expect(inspection.services.serviceB.logLevel).toBe(DEBUG);
+      expect(inspection.services.serviceC).toMatchObject({
+        state: STATE_NOT_CREATED,
+        stateSince: null,
+        configVersion: 0,
+        lazy: true
+      });
+
+      expect(inspection.graph).toEqual({
+        nodes: ['serviceA', 'serviceB', 'serviceC'],
+        edges: [
+          { from: 'serviceB', to: 'serviceA', type: 'required' },
+          { from: 'serviceB', to: 'serviceC', type: 'lazy' }
+        ]
+      });
+
+      expect(inspection.timeline).toHaveLength(2);
+    });
+  });
+
   describe('Health Monitoring', () => {
     beforeEach(() => {
       manager.register('serviceA', MockServiceA);
@@ -485,6 +1343,39 @@ describe('ServiceManager', () => {
         healthy: false
       });
     });
+
+    it('should report a hanging health check as unhealthy', async () => {
+      vi.useFakeTimers();
+
+      await manager.startService('serviceA');
+      await manager.startService('serviceC');
+
+      vi.spyOn(manager.get('serviceC'), '_healthCheck').mockImplementation(
+        () => new Promise(() => {}) // Never resolves
+      );
+
+      const healthPromise = manager.checkHealth({ timeout: 500 });
+      await vi.advanceTimersByTimeAsync(500);
+      const health = await healthPromise;
+
+      expect(health.serviceA.healthy).toBe(true);
+      expect(health.serviceC).toMatchObject({
+        name: 'serviceC',
+        state: STATE_RUNNING,
+        healthy: false,
+        checkError: 'Health check timed out after 500ms'
+      });
+
+      vi.useRealTimers();
+    });
+
+    it('should get the health of a single service', async () => {
+      await manager.startService('serviceC');
+
+      const health = await manager.getServiceHealth('serviceC');
+
+      expect(health).toMatchObject({ healthy: true, custom: 'health-data' });
+    });
   });
 
   describe('Event Forwarding', () => {
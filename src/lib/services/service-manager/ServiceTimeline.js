@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Bounded in-memory timeline of service lifecycle events
+ *
+ * Used by the ServiceManager to record state transitions, applied configs
+ * and errors of all services, so that it can be inspected which service
+ * was configuring, starting or recovering, and for how long.
+ *
+ * @example
+ * const timeline = new ServiceTimeline(100);
+ *
+ * timeline.recordState('database', 'created', 'configuring');
+ * timeline.recordState('database', 'configuring', 'configured');
+ *
+ * const entries = timeline.getEntries({ service: 'database' });
+ * // [..., { type: 'state', from: 'configuring', to: 'configured',
+ * //         durationMs: 12, ... }]
+ */
+
+/**
+ * @typedef {import('./typedef.js').TimelineEntry} TimelineEntry
+ * @typedef {import('./typedef.js').TimelineQuery} TimelineQuery
+ */
+
+/**
+ * Timeline of service lifecycle events with a maximum number of entries
+ */
+export class ServiceTimeline {
+  /** @type {TimelineEntry[]} */
+  #entries = [];
+
+  /** @type {number} */
+  #sequence = 0;
+
+  /** @type {Map<string, number>} */
+  #stateSince = new Map();
+
+  /** @type {Map<string, number>} */
+  #configVersions = new Map();
+
+  /**
+   * Create a new timeline
+   *
+   * @param {number} [maxEntries=500]
+   *   Maximum number of entries, the oldest entries are dropped first
+   *   (0 = recording disabled)
+   */
+  constructor(maxEntries = 500) {
+    /** @type {number} */
+    this.maxEntries = maxEntries;
+  }
+
+  /**
+   * Record a state transition
+   *
+   * The duration is the time the service spent in the previous state.
+   *
+   * @param {string} service - Service name
+   * @param {string} from - Previous state
+   * @param {string} to - New state
+   */
+  recordState(service, from, to) {
+    const at = Date.now();
+    const since = this.#stateSince.get(service);
+
+    this.#stateSince.set(service, at);
+
+    this.#add({
+      type: 'state',
+      service,
+      at,
+      from,
+      to,
+      durationMs: since === undefined ? null : at - since
+    });
+  }
+
+  /**
+   * Record an applied config
+   *
+   * Only the config keys are recorded, since config values may contain
+   * secrets.
+   *
+   * @param {string} service - Service name
+   * @param {Object<string, *>} config - Applied config
+   */
+  recordConfig(service, config) {
+    const version = (this.#configVersions.get(service) ?? 0) + 1;
+
+    this.#configVersions.set(service, version);
+
+    this.#add({
+      type: 'config',
+      service,
+      at: Date.now(),
+      version,
+      keys: Object.keys(config ?? {})
+    });
+  }
+
+  /**
+   * Record an error
+   *
+   * @param {string} service - Service name
+   * @param {string} operation - Operation that failed
+   * @param {Error} error - Error that occurred
+   */
+  recordError(service, operation, error) {
+    this.#add({
+      type: 'error',
+      service,
+      at: Date.now(),
+      operation,
+      message: error?.message ?? String(error),
+      ...(error?.cause instanceof Error ? { cause: error.cause.message } : {})
+    });
+  }
+
+  /**
+   * Get the time a service entered its current state
+   *
+   * @param {string} service - Service name
+   *
+   * @returns {number|null} Time in ms since epoch, null if unknown
+   */
+  getStateSince(service) {
+    return this.#stateSince.get(service) ?? null;
+  }
+
+  /**
+   * Get the number of configs applied to a service
+   *
+   * @param {string} service - Service name
+   *
+   * @returns {number} Config version (0 = never configured)
+   */
+  getConfigVersion(service) {
+    return this.#configVersions.get(service) ?? 0;
+  }
+
+  /**
+   * Get timeline entries, oldest first
+   *
+   * @param {TimelineQuery} [query={}]
+   *
+   * @returns {TimelineEntry[]} Copies of the matching entries
+   */
+  getEntries(query = {}) {
+    const { service, type, since, limit } = query;
+
+    let entries = this.#entries.filter(
+      (entry) =>
+        (service === undefined || entry.service === service) &&
+        (type === undefined || entry.type === type) &&
+        (since === undefined || entry.at >= since)
+    );
+
+    if (limit !== undefined) {
+      entries = entries.slice(Math.max(0, entries.length - limit));
+    }
+
+    return entries.map((entry) => ({ ...entry }));
+  }
+
+  /**
+   * Remove all entries
+   *
+   * The current states and config versions are kept.
+   */
+  clear() {
+    this.#entries = [];
+  }
+
+  // Internal methods
+
+  /**
+   * Add an entry and drop the oldest entries if the timeline is full
+   *
+   * @param {Omit<TimelineEntry, 'seq'>} entry
+   */
+  #add(entry) {
+    if (this.maxEntries <= 0) {
+      return;
+    }
+
+    this.#entries.push(
+      /** @type {TimelineEntry} */ ({ seq: ++this.#sequence, ...entry })
+    );
+
+    if (this.#entries.length > this.maxEntries) {
+      this.#entries.splice(0, this.#entries.length - this.maxEntries);
+    }
+  }
+}
+
+export default ServiceTimeline;
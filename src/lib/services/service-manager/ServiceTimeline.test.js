@@ -0,0 +1,101 @@
+/**
+ * @fileoverview Unit tests for ServiceTimeline.js
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { ServiceTimeline } from './ServiceTimeline.js';
+
+describe('ServiceTimeline', () => {
+  let timeline;
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    timeline = new ServiceTimeline(10);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should record the time spent in the previous state', () => {
+    timeline.recordState('db', 'created', 'configuring');
+    vi.advanceTimersByTime(40);
+    timeline.recordState('db', 'configuring', 'configured');
+
+    const [first, second] = timeline.getEntries();
+
+    expect(first.durationMs).toBeNull();
+    expect(second).toMatchObject({
+      seq: 2,
+      type: 'state',
+      service: 'db',
+      from: 'configuring',
+      to: 'configured',
+      durationMs: 40
+    });
+    expect(timeline.getStateSince('db')).toBe(second.at);
+  });
+
+  it('should count config versions and only record config keys', () => {
+    timeline.recordConfig('db', { host: 'localhost', password: 'secret' });
+    timeline.recordConfig('db', { host: 'db.internal', password: 'secret' });
+
+    expect(timeline.getConfigVersion('db')).toBe(2);
+    expect(timeline.getConfigVersion('cache')).toBe(0);
+    expect(timeline.getEntries({ type: 'config' }).at(-1)).toMatchObject({
+      version: 2,
+      keys: ['host', 'password']
+    });
+    expect(JSON.stringify(timeline.getEntries())).not.toContain('secret');
+  });
+
+  it('should record errors with their cause', () => {
+    const cause = new Error('Connection refused');
+
+    timeline.recordError(
+      'db',
+      'startup',
+      new Error('startup failed', { cause })
+    );
+
+    expect(timeline.getEntries()[0]).toMatchObject({
+      type: 'error',
+      operation: 'startup',
+      message: 'startup failed',
+      cause: 'Connection refused'
+    });
+  });
+
+  it('should drop the oldest entries when full', () => {
+    for (let i = 0; i < 15; i++) {
+      timeline.recordState('db', 'stopped', 'running');
+    }
+
+    const entries = timeline.getEntries();
+
+    expect(entries).toHaveLength(10);
+    expect(entries[0].seq).toBe(6);
+  });
+
+  it('should filter entries', () => {
+    timeline.recordState('db', 'created', 'configuring');
+    vi.advanceTimersByTime(10);
+    timeline.recordState('cache', 'created', 'configuring');
+    timeline.recordError('cache', 'startup', new Error('Failed'));
+
+    const since = Date.now();
+
+    expect(timeline.getEntries({ service: 'cache' })).toHaveLength(2);
+    expect(timeline.getEntries({ since })).toHaveLength(2);
+    expect(timeline.getEntries({ limit: 1 })[0].type).toBe('error');
+    expect(timeline.getEntries({ limit: 0 })).toEqual([]);
+  });
+
+  it('should not record entries when disabled', () => {
+    timeline = new ServiceTimeline(0);
+
+    timeline.recordState('db', 'created', 'configuring');
+
+    expect(timeline.getEntries()).toEqual([]);
+    expect(timeline.getStateSince('db')).toEqual(expect.any(Number));
+  });
+});
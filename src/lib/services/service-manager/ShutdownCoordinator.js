@@ -0,0 +1,331 @@
+/**
+ * @fileoverview Graceful shutdown coordinator for server-side ServiceManagers
+ *
+ * Installs process signal handlers (SIGTERM and SIGINT by default). On a
+ * signal all services are drained first: they stop accepting new work and
+ * finish the work in progress, each within its own deadline. Then all
+ * services are stopped with `stopAll`, within what is left of the global
+ * deadline. Services that did not stop in time are forced to stop.
+ *
+ * @example
+ * // src/hooks.server.js
+ * const coordinator = manager.enableGracefulShutdown({
+ *   drainTimeout: 10000,
+ *   timeout: 30000
+ * });
+ *
+ * manager.on('shutdown:completed', ({ report }) => {
+ *   console.log('Force-stopped services', report.forceStopped);
+ * });
+ *
+ * @example
+ * // Testing with fake signals
+ * import { EventEmitter } from 'node:events';
+ *
+ * const fakeProcess = Object.assign(new EventEmitter(), { exit: vi.fn() });
+ *
+ * const coordinator = manager.enableGracefulShutdown({
+ *   process: fakeProcess
+ * });
+ *
+ * fakeProcess.emit('SIGTERM');
+ *
+ * const report = await coordinator.done;
+ */
+
+import { TimeoutError } from '$lib/generic/errors.js';
+
+import {
+  SERVICE_FORCE_STOPPED,
+  SHUTDOWN_STARTED,
+  SHUTDOWN_COMPLETED
+} from './constants.js';
+
+/**
+ * @typedef {import('./typedef.js').ShutdownOptions} ShutdownOptions
+ * @typedef {import('./typedef.js').ShutdownReport} ShutdownReport
+ * @typedef {import('./typedef.js').SignalTarget} SignalTarget
+ */
+
+/**
+ * Coordinates draining and stopping all services on a shutdown signal
+ */
+export class ShutdownCoordinator {
+  /** @type {Map<string, (signal: string) => void>} */
+  #handlers = new Map();
+
+  /** @type {Promise<ShutdownReport>|null} */
+  #shutdown = null;
+
+  /**
+   * Create a new shutdown coordinator
+   *
+   * @param {import('./ServiceManager.js').ServiceManager} manager
+   *   ServiceManager to shut down
+   * @param {ShutdownOptions} [options={}]
+   */
+  constructor(manager, options = {}) {
+    /** @type {import('./ServiceManager.js').ServiceManager} */
+    this.manager = manager;
+
+    /** @type {SignalTarget|undefined} */
+    this.process = options.process ?? globalThis.process;
+
+    /** @type {Required<Omit<ShutdownOptions, 'process'|'concurrency'>> & { concurrency?: number }} */
+    this.options = {
+      signals: options.signals ?? ['SIGTERM', 'SIGINT'],
+      drainTimeout: options.drainTimeout ?? 10000,
+      stopTimeout: options.stopTimeout ?? manager.config.stopTimeout,
+      timeout: options.timeout ?? 30000,
+      exit: options.exit ?? true,
+      concurrency: options.concurrency
+    };
+  }
+
+  /**
+   * Whether a shutdown has been started
+   *
+   * @returns {boolean}
+   */
+  get shuttingDown() {
+    return this.#shutdown !== null;
+  }
+
+  /**
+   * Promise of the shutdown report, null if no shutdown has been started
+   *
+   * @returns {Promise<ShutdownReport>|null}
+   */
+  get done() {
+    return this.#shutdown;
+  }
+
+  /**
+   * Install the signal handlers
+   *
+   * @throws {Error} If there is no process to listen to
+   */
+  install() {
+    const target = this.process;
+
+    if (!target?.on) {
+      throw new Error('Cannot install signal handlers without a process');
+    }
+
+    for (const signal of this.options.signals) {
+      if (this.#handlers.has(signal)) {
+        continue;
+      }
+
+      const handler = () => {
+        this.#onSignal(signal).catch((error) => {
+          this.manager.logger.error(error);
+          this.#exit(1);
+        });
+      };
+
+      target.on(signal, handler);
+      this.#handlers.set(signal, handler);
+    }
+
+    this.manager.logger.debug(
+      `Graceful shutdown on [${this.options.signals.join(', ')}]`
+    );
+  }
+
+  /**
+   * Remove the signal handlers
+   */
+  uninstall() {
+    for (const [signal, handler] of this.#handlers) {
+      this.process?.off?.(signal, handler);
+    }
+
+    this.#handlers.clear();
+  }
+
+  /**
+   * Drain and stop all services
+   *
+   * Calling this again while a shutdown is in progress returns the same
+   * report.
+   *
+   * @param {string} [reason='shutdown'] - Signal name or other reason
+   *
+   * @returns {Promise<ShutdownReport>} Shutdown report
+   */
+  async shutdown(reason = 'shutdown') {
+    if (!this.#shutdown) {
+      this.#shutdown = this.#run(reason);
+    }
+
+    return await this.#shutdown;
+  }
+
+  // Internal methods
+
+  /**
+   * Handle a signal
+   *
+   * A second signal while shutting down exits immediately.
+   *
+   * @param {string} signal - Signal name
+   */
+  async #onSignal(signal) {
+    if (this.#shutdown) {
+      this.manager.logger.warn(`Received ${signal} again, exiting now`);
+      this.#exit(1);
+      return;
+    }
+
+    this.manager.logger.info(`Received ${signal}, shutting down`);
+
+    const report = await this.shutdown(signal);
+
+    this.#exit(report.failed.length || report.timedOut ? 1 : 0);
+  }
+
+  /**
+   * Exit the process if configured
+   *
+   * @param {number} code - Exit code
+   */
+  #exit(code) {
+    if (this.options.exit) {
+      this.uninstall();
+      this.process?.exit?.(code);
+    }
+  }
+
+  /**
+   * Drain and stop all services within the deadlines
+   *
+   * @param {string} reason - Signal name or other reason
+   *
+   * @returns {Promise<ShutdownReport>} Shutdown report
+   */
+  async #run(reason) {
+    const manager = this.manager;
+    const { drainTimeout, stopTimeout, timeout, concurrency } = this.options;
+
+    const startedAt = Date.now();
+    const deadline = startedAt + timeout;
+
+    manager.emit(SHUTDOWN_STARTED, { reason });
+
+    /** @type {Set<string>} */
+    const forceStopped = new Set();
+
+    const unsubscribe = manager.on(
+      SERVICE_FORCE_STOPPED,
+      (/** @type {{ service: string }} */ { service }) => {
+        forceStopped.add(service);
+      }
+    );
+
+    /** @type {string[]} */
+    const drained = [];
+
+    /** @type {string[]} */
+    const drainTimedOut = [];
+
+    let timedOut = false;
+
+    try {
+      // -- Drain phase
+
+      const drainResults = await this.#withDeadline(
+        manager.drainAll({ timeout: drainTimeout, concurrency }),
+        deadline
+      );
+
+      if (drainResults) {
+        for (const [name, ok] of Object.entries(drainResults)) {
+          (ok ? drained : drainTimedOut).push(name);
+        }
+      } else {
+        timedOut = true;
+        manager.logger.warn('Global deadline reached while draining');
+      }
+
+      // -- Stop phase
+
+      const remaining = Math.max(1, deadline - Date.now());
+
+      const stopResults = await manager.stopAll({
+        timeout: remaining,
+        serviceTimeout: Math.min(stopTimeout, remaining),
+        force: true,
+        concurrency
+      });
+
+      /** @type {string[]} */
+      const stopped = [];
+
+      /** @type {string[]} */
+      const failed = [];
+
+      for (const [name, ok] of Object.entries(stopResults)) {
+        (ok ? stopped : failed).push(name);
+      }
+
+      if (Date.now() >= deadline && failed.length) {
+        timedOut = true;
+      }
+
+      /** @type {ShutdownReport} */
+      const report = {
+        reason,
+        durationMs: Date.now() - startedAt,
+        timedOut,
+        drained,
+        drainTimedOut,
+        stopped,
+        forceStopped: [...forceStopped],
+        failed
+      };
+
+      manager.logger.info('Shutdown completed', report);
+      manager.emit(SHUTDOWN_COMPLETED, { report });
+
+      return report;
+    } finally {
+      unsubscribe();
+    }
+  }
+
+  /**
+   * Wait for a promise until a deadline
+   *
+   * @template T
+   * @param {Promise<T>} promise
+   * @param {number} deadline - Time in ms since epoch
+   *
+   * @returns {Promise<T|null>} Result, or null if the deadline was reached
+   */
+  async #withDeadline(promise, deadline) {
+    /** @type {ReturnType<typeof setTimeout>|undefined} */
+    let timer;
+
+    try {
+      return await Promise.race([
+        promise,
+        new Promise((_, reject) => {
+          timer = setTimeout(
+            () => reject(new TimeoutError('Shutdown deadline reached')),
+            Math.max(0, deadline - Date.now())
+          );
+        })
+      ]);
+    } catch (error) {
+      if (error instanceof TimeoutError) {
+        return null;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export default ShutdownCoordinator;
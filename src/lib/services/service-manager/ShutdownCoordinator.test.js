@@ -0,0 +1,268 @@
+/**
+ * @fileoverview Unit tests for ShutdownCoordinator.js
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { EventEmitter } from 'node:events';
+
+import { ServiceManager } from './ServiceManager.js';
+import { ServiceBase } from '$lib/services/service-base/ServiceBase.js';
+import {
+  STATE_DRAINING,
+  STATE_STOPPED
+} from '$lib/services/service-base/constants.js';
+import { SHUTDOWN_STARTED, SHUTDOWN_COMPLETED } from './constants.js';
+
+// Service with work in progress that takes `workMs` to finish
+class WorkerService extends ServiceBase {
+  constructor(name, options) {
+    super(name, options);
+    this.workMs = 0;
+    this.stopMs = 0;
+    this.events = [];
+  }
+
+  async _drain() {
+    this.events.push('drain');
+    if (this.workMs) {
+      await new Promise((resolve) => setTimeout(resolve, this.workMs));
+    }
+    this.events.push('drained');
+  }
+
+  async _stop() {
+    if (this.stopMs) {
+      await new Promise((resolve) => setTimeout(resolve, this.stopMs));
+    }
+    this.events.push('stopped');
+  }
+}
+
+function createFakeProcess() {
+  return Object.assign(new EventEmitter(), { exit: vi.fn() });
+}
+
+describe('ShutdownCoordinator', () => {
+  let manager;
+  let fakeProcess;
+
+  beforeEach(async () => {
+    vi.useFakeTimers();
+
+    manager = new ServiceManager();
+    manager.register('database', WorkerService);
+    manager.register('api', WorkerService, {}, { dependencies: ['database'] });
+
+    await manager.startAll();
+
+    fakeProcess = createFakeProcess();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  it('should drain and stop all services on a signal', async () => {
+    const coordinator = manager.enableGracefulShutdown({
+      process: fakeProcess
+    });
+
+    const onStarted = vi.fn();
+    const onCompleted = vi.fn();
+    manager.on(SHUTDOWN_STARTED, onStarted);
+    manager.on(SHUTDOWN_COMPLETED, onCompleted);
+
+    manager.get('api').workMs = 100;
+
+    fakeProcess.emit('SIGTERM');
+
+    expect(coordinator.shuttingDown).toBe(true);
+    expect(manager.get('api').state).toBe(STATE_DRAINING);
+
+    await vi.advanceTimersByTimeAsync(100);
+    const report = await coordinator.done;
+
+    expect(report).toMatchObject({
+      reason: 'SIGTERM',
+      timedOut: false,
+      drained: ['api', 'database'],
+      drainTimedOut: [],
+      stopped: ['api', 'database'],
+      forceStopped: [],
+      failed: []
+    });
+
+    expect(manager.get('api').state).toBe(STATE_STOPPED);
+    expect(onStarted).toHaveBeenCalledWith({ reason: 'SIGTERM' });
+    expect(onCompleted).toHaveBeenCalledWith({ report });
+    expect(fakeProcess.exit).toHaveBeenCalledWith(0);
+    expect(fakeProcess.listenerCount('SIGTERM')).toBe(0);
+  });
+
+  it('should drain dependents before their dependencies', async () => {
+    const coordinator = manager.enableGracefulShutdown({
+      process: fakeProcess,
+      exit: false
+    });
+
+    manager.get('api').workMs = 50;
+
+    const promise = coordinator.shutdown();
+
+    expect(manager.get('database').events).toEqual([]);
+
+    await vi.advanceTimersByTimeAsync(50);
+
+    expect(manager.get('database').events).toContain('drain');
+
+    await promise;
+
+    expect(fakeProcess.exit).not.toHaveBeenCalled();
+  });
+
+  it('should enforce per-service drain deadlines', async () => {
+    manager.register(
+      'reports',
+      WorkerService,
+      {},
+      { dependencies: ['database'], drainTimeout: 50 }
+    );
+    await manager.startService('reports');
+
+    manager.get('api').workMs = 200;
+    manager.get('reports').workMs = 200;
+
+    const coordinator = manager.enableGracefulShutdown({
+      process: fakeProcess,
+      exit: false,
+      drainTimeout: 1000
+    });
+
+    const promise = coordinator.shutdown('test');
+    await vi.advanceTimersByTimeAsync(200);
+    const report = await promise;
+
+    expect(report.drained).toEqual(['api', 'database']);
+    expect(report.drainTimedOut).toEqual(['reports']);
+    expect(report.stopped).toContain('reports');
+  });
+
+  it('should force-stop services after their stop timeout', async () => {
+    manager.get('api').workMs = 10000;
+    manager.get('api').stopMs = 10000;
+
+    const coordinator = manager.enableGracefulShutdown({
+      process: fakeProcess,
+      drainTimeout: 200,
+      stopTimeout: 300
+    });
+
+    fakeProcess.emit('SIGINT');
+
+    await vi.advanceTimersByTimeAsync(500);
+    const report = await coordinator.done;
+
+    expect(report).toMatchObject({
+      reason: 'SIGINT',
+      timedOut: false,
+      drained: ['database'],
+      drainTimedOut: ['api'],
+      stopped: ['api', 'database'],
+      forceStopped: ['api'],
+      failed: []
+    });
+    expect(report.durationMs).toBe(500);
+    expect(manager.get('api').state).toBe(STATE_STOPPED);
+    expect(fakeProcess.exit).toHaveBeenCalledWith(0);
+  });
+
+  it('should stop within the global deadline', async () => {
+    vi.spyOn(manager.logger, 'error').mockImplementation(() => {});
+
+    manager.get('api').workMs = 10000;
+    manager.get('api').stopMs = 10000;
+
+    const coordinator = manager.enableGracefulShutdown({
+      process: fakeProcess,
+      drainTimeout: 10000,
+      timeout: 500
+    });
+
+    fakeProcess.emit('SIGTERM');
+
+    await vi.advanceTimersByTimeAsync(600);
+    const report = await coordinator.done;
+
+    expect(report.timedOut).toBe(true);
+    expect(report.drained).toEqual([]);
+    expect(report.durationMs).toBeLessThanOrEqual(600);
+    expect(report.failed).toContain('api');
+    expect(fakeProcess.exit).toHaveBeenCalledWith(1);
+  });
+
+  it('should exit immediately on a second signal', async () => {
+    manager.get('api').workMs = 1000;
+
+    vi.spyOn(manager.logger, 'warn').mockImplementation(() => {});
+
+    manager.enableGracefulShutdown({ process: fakeProcess });
+
+    fakeProcess.emit('SIGTERM');
+    fakeProcess.emit('SIGINT');
+
+    expect(fakeProcess.exit).toHaveBeenCalledWith(1);
+
+    await vi.advanceTimersByTimeAsync(1000);
+  });
+
+  it('should exit with an error if the shutdown fails', async () => {
+    const error = new Error('Stop failed');
+
+    vi.spyOn(manager, 'stopAll').mockRejectedValue(error);
+
+    const logError = vi
+      .spyOn(manager.logger, 'error')
+      .mockImplementation(() => {});
+
+    vi.spyOn(manager.logger, 'info').mockImplementation(() => {});
+
+    manager.enableGracefulShutdown({ process: fakeProcess });
+
+    fakeProcess.emit('SIGTERM');
+
+    await vi.advanceTimersByTimeAsync(0);
+
+    expect(logError).toHaveBeenCalledWith(error);
+    expect(fakeProcess.exit).toHaveBeenCalledWith(1);
+    expect(fakeProcess.listenerCount('SIGTERM')).toBe(0);
+  });
+
+  it('should share the report between shutdown calls', async () => {
+    const coordinator = manager.enableGracefulShutdown({
+      process: fakeProcess,
+      exit: false
+    });
+
+    const [first, second] = await Promise.all([
+      coordinator.shutdown('first'),
+      coordinator.shutdown('second')
+    ]);
+
+    expect(first).toBe(second);
+    expect(first.reason).toBe('first');
+  });
+
+  it('should remove the signal handlers on uninstall', () => {
+    const coordinator = manager.enableGracefulShutdown({
+      process: fakeProcess,
+      signals: ['SIGTERM', 'SIGHUP']
+    });
+
+    expect(fakeProcess.listenerCount('SIGHUP')).toBe(1);
+
+    coordinator.uninstall();
+
+    expect(fakeProcess.listenerCount('SIGTERM')).toBe(0);
+    expect(fakeProcess.listenerCount('SIGHUP')).toBe(0);
+  });
+});
@@ -9,6 +9,29 @@ export const SERVICE_STATE_CHANGED = 'service:stateChanged';
 export const SERVICE_HEALTH_CHANGED = 'service:healthChanged';
 export const SERVICE_ERROR = 'service:error';
 export const SERVICE_LOG = 'service:log';
+export const SERVICE_RECOVERING = 'service:recovering';
+export const SERVICE_RECOVERED = 'service:recovered';
+export const SERVICE_GAVE_UP = 'service:gaveUp';
+export const SERVICE_FORCE_STOPPED = 'service:forceStopped';
+
+// Graceful shutdown events (what ServiceManager emits)
+export const SHUTDOWN_STARTED = 'shutdown:started';
+export const SHUTDOWN_COMPLETED = 'shutdown:completed';
+
+// Aggregated health status (health monitoring)
+export const HEALTH_HEALTHY = 'healthy';
+export const HEALTH_DEGRADED = 'degraded';
+export const HEALTH_UNHEALTHY = 'unhealthy';
+
+// Restart policies (automatic recovery)
+export const RESTART_NEVER = 'never';
+export const RESTART_ON_FAILURE = 'on-failure';
+export const RESTART_ALWAYS = 'always';
+
+// Circuit breaker states (automatic recovery)
+export const CIRCUIT_CLOSED = 'closed';
+export const CIRCUIT_OPEN = 'open';
+export const CIRCUIT_HALF_OPEN = 'half-open';
 
 
 export const ANY_LOG_LEVEL = '*';
@@ -0,0 +1,24 @@
+export class CircularDependencyError extends Error {
+  /**
+   * @param {string[]} path
+   *   Dependency path that forms the cycle, first and last name are equal
+   */
+  constructor(path) {
+    super(`Circular dependency detected: ${path.join(' -> ')}`);
+    this.name = 'CircularDependencyError';
+    this.path = path;
+  }
+}
+
+export class ManifestError extends Error {
+  /**
+   * @param {string[]} issues - All problems found in the manifest
+   */
+  constructor(issues) {
+    super(
+      `Invalid service manifest:\n${issues.map((issue) => `- ${issue}`).join('\n')}`
+    );
+    this.name = 'ManifestError';
+    this.issues = issues;
+  }
+}
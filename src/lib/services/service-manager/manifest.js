@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Declarative service manifests
+ *
+ * A manifest describes all services of an application in one plain object
+ * (or JSON file): names, how to load the service classes, configs or
+ * config labels, dependencies, tags and restart settings. Manifests are
+ * validated as a whole before anything is registered, so that unknown
+ * dependencies, duplicate names and dependency cycles are reported up
+ * front.
+ *
+ * @example
+ * // src/lib/server/services.manifest.js
+ * import DatabaseService from './services/DatabaseService.js';
+ *
+ * export default {
+ *   services: [
+ *     {
+ *       name: 'database',
+ *       load: async () => DatabaseService,
+ *       config: 'database',
+ *       tags: ['storage'],
+ *       restart: 'on-failure'
+ *     },
+ *     {
+ *       name: 'auth',
+ *       // Loaded lazily, returns the module with an `AuthService` export
+ *       load: () => loadAuthModule(),
+ *       export: 'AuthService',
+ *       config: 'auth',
+ *       dependencies: ['database']
+ *     }
+ *   ]
+ * };
+ *
+ * // src/hooks.server.js
+ * await manager.registerManifest(manifest);
+ *
+ * @example
+ * // JSON manifest, modules are resolved by the application
+ * // { "services": [{ "name": "database", "module": "DatabaseService" }] }
+ * const modules = import.meta.glob('./services/*.js');
+ *
+ * await manager.registerManifest(manifestJson, {
+ *   importModule: (name) => modules[`./services/${name}.js`]()
+ * });
+ */
+
+import * as v from 'valibot';
+
+import { DetailedError } from '$lib/generic/errors.js';
+
+import {
+  RESTART_NEVER,
+  RESTART_ON_FAILURE,
+  RESTART_ALWAYS
+} from './constants.js';
+
+import { ManifestError } from './errors.js';
+import { normalizeRestartPolicy } from './util.js';
+
+/**
+ * @typedef {import('./typedef.js').ServiceManifest} ServiceManifest
+ * @typedef {import('./typedef.js').ServiceManifestEntry} ServiceManifestEntry
+ * @typedef {import('./typedef.js').ManifestOptions} ManifestOptions
+ * @typedef {import('./typedef.js').ServiceConstructor} ServiceConstructor
+ * @typedef {import('./typedef.js').ServiceRegistrationOptions} ServiceRegistrationOptions
+ */
+
+const NameListSchema = v.optional(v.array(v.pipe(v.string(), v.nonEmpty())));
+
+const RestartPolicySchema = v.picklist([
+  RESTART_NEVER,
+  RESTART_ON_FAILURE,
+  RESTART_ALWAYS
+]);
+
+const RestartOptionsSchema = v.strictObject({
+  policy: v.optional(RestartPolicySchema),
+  maxAttempts: v.optional(v.number()),
+  backoff: v.optional(
+    v.strictObject({
+      initialDelayMs: v.optional(v.number()),
+      maxDelayMs: v.optional(v.number()),
+      factor: v.optional(v.number()),
+      jitter: v.optional(v.number())
+    })
+  ),
+  circuitBreakerResetMs: v.optional(v.number()),
+  restartDependents: v.optional(v.boolean())
+});
+
+const ManifestEntrySchema = v.strictObject({
+  name: v.pipe(v.string(), v.nonEmpty()),
+  load: v.optional(v.function()),
+  module: v.optional(v.pipe(v.string(), v.nonEmpty())),
+  export: v.optional(v.string()),
+  config: v.optional(v.union([v.string(), v.record(v.string(), v.unknown())])),
+  dependencies: NameListSchema,
+  optionalDependencies: NameListSchema,
+  lazyDependencies: NameListSchema,
+  tags: v.optional(v.array(v.string())),
+  startupPriority: v.optional(v.number()),
+  lazy: v.optional(v.boolean()),
+  critical: v.optional(v.boolean()),
+  drainTimeout: v.optional(v.number()),
+  restart: v.optional(v.union([RestartPolicySchema, RestartOptionsSchema]))
+});
+
+/**
+ * Valibot schema of a service manifest
+ */
+export const ServiceManifestSchema = v.strictObject({
+  services: v.array(ManifestEntrySchema)
+});
+
+/**
+ * Registration options that are copied from a manifest entry
+ *
+ * @type {(keyof ServiceRegistrationOptions)[]}
+ */
+const REGISTRATION_OPTIONS = [
+  'dependencies',
+  'optionalDependencies',
+  'lazyDependencies',
+  'tags',
+  'startupPriority',
+  'lazy',
+  'critical',
+  'drainTimeout',
+  'restart'
+];
+
+/**
+ * Validate a manifest and order its services for registration
+ *
+ * All problems are collected and thrown at once.
+ *
+ * @param {ServiceManifest} manifest - Service manifest
+ * @param {object} [options]
+ * @param {(name: string) => boolean} [options.isRegistered]
+ *   Check if a service is registered already
+ * @param {boolean} [options.canImportModules=false]
+ *   Whether entries may use `module` instead of `load`
+ *
+ * @returns {ServiceManifestEntry[]}
+ *   Entries ordered so that dependencies come before their dependents
+ *
+ * @throws {ManifestError} If the manifest is invalid
+ */
+export function validateManifest(manifest, options = {}) {
+  const { isRegistered = () => false, canImportModules = false } = options;
+
+  const result = v.safeParse(ServiceManifestSchema, manifest);
+
+  if (!result.success) {
+    throw new ManifestError(
+      result.issues.map((issue) => {
+        const path = v.getDotPath(issue);
+        return path ? `${path}: ${issue.message}` : issue.message;
+      })
+    );
+  }
+
+  const entries = /** @type {ServiceManifestEntry[]} */ (
+    result.output.services
+  );
+
+  /** @type {string[]} */
+  const issues = [];
+
+  /** @type {Map<string, ServiceManifestEntry>} */
+  const byName = new Map();
+
+  for (const entry of entries) {
+    const { name } = entry;
+
+    if (byName.has(name)) {
+      issues.push(`Duplicate service name '${name}'`);
+    } else if (isRegistered(name)) {
+      issues.push(`Service '${name}' is already registered`);
+    }
+
+    byName.set(name, entry);
+
+    try {
+      // Fails here instead of halfway through the registration
+      normalizeRestartPolicy(entry.restart);
+    } catch (error) {
+      issues.push(
+        `Service '${name}' has invalid restart options: ${/** @type {Error} */ (error).message}`
+      );
+    }
+
+    if (!entry.load === !entry.module) {
+      issues.push(`Service '${name}' needs either 'load' or 'module'`);
+    } else if (entry.module && !canImportModules) {
+      issues.push(
+        `Service '${name}' uses module '${entry.module}' but no importModule was given`
+      );
+    }
+  }
+
+  for (const entry of entries) {
+    for (const dep of [
+      ...(entry.dependencies ?? []),
+      ...(entry.lazyDependencies ?? [])
+    ]) {
+      if (!byName.has(dep) && !isRegistered(dep)) {
+        issues.push(
+          `Service '${entry.name}' depends on unknown service '${dep}'`
+        );
+      }
+    }
+  }
+
+  const { sorted, cycles } = sortByDependencies(entries, byName);
+
+  for (const cycle of cycles) {
+    issues.push(`Circular dependency: ${cycle.join(' -> ')}`);
+  }
+
+  if (issues.length) {
+    throw new ManifestError(issues);
+  }
+
+  return sorted;
+}
+
+/**
+ * Load the service class of a manifest entry
+ *
+ * The loaded module can be the class itself or a module that exports it,
+ * as default export or as the export named in the entry.
+ *
+ * @param {ServiceManifestEntry} entry - Manifest entry
+ * @param {ManifestOptions['importModule']} [importModule]
+ *   Function that imports modules referenced by name
+ *
+ * @returns {Promise<ServiceConstructor>} Service class
+ *
+ * @throws {DetailedError} If the module could not be loaded
+ */
+export async function loadServiceClass(entry, importModule) {
+  const exportName = entry.export ?? 'default';
+
+  /** @type {*} */
+  let module;
+
+  try {
+    module = entry.load
+      ? await entry.load()
+      : await /** @type {Function} */ (importModule)(entry.module);
+  } catch (error) {
+    throw new DetailedError(
+      `Could not load service '${entry.name}'`,
+      null,
+      /** @type {Error} */ (error)
+    );
+  }
+
+  const ServiceClass =
+    typeof module === 'function' ? module : module?.[exportName];
+
+  if (typeof ServiceClass !== 'function') {
+    throw new DetailedError(
+      `Module of service '${entry.name}' has no class export '${exportName}'`
+    );
+  }
+
+  return ServiceClass;
+}
+
+/**
+ * Get the registration options of a manifest entry
+ *
+ * @param {ServiceManifestEntry} entry - Manifest entry
+ *
+ * @returns {ServiceRegistrationOptions} Registration options
+ */
+export function getRegistrationOptions(entry) {
+  /** @type {Object<string, *>} */
+  const options = {};
+
+  for (const key of REGISTRATION_OPTIONS) {
+    if (entry[key] !== undefined) {
+      options[key] = entry[key];
+    }
+  }
+
+  return options;
+}
+
+// Internal functions
+
+/**
+ * Sort manifest entries so that required dependencies come first
+ *
+ * Dependencies outside the manifest are registered already and do not
+ * affect the order.
+ *
+ * @param {ServiceManifestEntry[]} entries - Manifest entries
+ * @param {Map<string, ServiceManifestEntry>} byName - Entries by name
+ *
+ * @returns {{ sorted: ServiceManifestEntry[], cycles: string[][] }}
+ */
+function sortByDependencies(entries, byName) {
+  /** @type {ServiceManifestEntry[]} */
+  const sorted = [];
+
+  /** @type {string[][]} */
+  const cycles = [];
+
+  const visited = new Set();
+
+  /** @type {string[]} */
+  const path = [];
+
+  const visit = (/** @type {ServiceManifestEntry} */ entry) => {
+    if (visited.has(entry.name)) return;
+
+    const index = path.indexOf(entry.name);
+    if (index !== -1) {
+      cycles.push([...path.slice(index), entry.name]);
+      return;
+    }
+
+    path.push(entry.name);
+
+    for (const dep of entry.dependencies ?? []) {
+      const depEntry = byName.get(dep);
+      if (depEntry) {
+        visit(depEntry);
+      }
+    }
+
+    path.pop();
+    visited.add(entry.name);
+    sorted.push(entry);
+  };
+
+  for (const entry of entries) {
+    visit(entry);
+  }
+
+  return { sorted, cycles };
+}
@@ -0,0 +1,229 @@
+/**
+ * @fileoverview Unit tests for manifest.js and ServiceManager.registerManifest
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+
+import { ServiceManager } from './ServiceManager.js';
+import { ManifestError } from './errors.js';
+import { validateManifest } from './manifest.js';
+import { ServiceBase } from '$lib/services/service-base/ServiceBase.js';
+
+class DatabaseService extends ServiceBase {
+  async _configure(config) {
+    this.config = config;
+  }
+}
+
+class AuthService extends ServiceBase {}
+
+/**
+ * Get the issues of the ManifestError thrown by a function
+ */
+function getIssues(fn) {
+  try {
+    fn();
+  } catch (error) {
+    expect(error).toBeInstanceOf(ManifestError);
+    return error.issues;
+  }
+  throw new Error('Expected a ManifestError');
+}
+
+describe('validateManifest', () => {
+  it('should order services so that dependencies come first', () => {
+    const entries = validateManifest({
+      services: [
+        { name: 'auth', load: async () => AuthService, dependencies: ['db'] },
+        { name: 'db', load: async () => DatabaseService }
+      ]
+    });
+
+    expect(entries.map((entry) => entry.name)).toEqual(['db', 'auth']);
+  });
+
+  it('should report all problems at once', () => {
+    const load = async () => AuthService;
+
+    const issues = getIssues(() =>
+      validateManifest(
+        {
+          services: [
+            { name: 'auth', load, dependencies: ['users', 'cache'] },
+            { name: 'auth', load },
+            { name: 'cache', load, dependencies: ['queue'] },
+            { name: 'queue', load, dependencies: ['cache'] },
+            { name: 'logger', load },
+            { name: 'mail', module: 'MailService' }
+          ]
+        },
+        { isRegistered: (name) => name === 'logger' }
+      )
+    );
+
+    expect(issues).toEqual([
+      "Duplicate service name 'auth'",
+      "Service 'logger' is already registered",
+      "Service 'mail' uses module 'MailService' but no importModule was given",
+      "Service 'auth' depends on unknown service 'users'",
+      'Circular dependency: cache -> queue -> cache'
+    ]);
+  });
+
+  it('should report invalid entries with their path', () => {
+    const issues = getIssues(() =>
+      validateManifest({
+        services: [{ name: 'db', load: async () => DatabaseService, tag: [] }]
+      })
+    );
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatch(/^services\.0\.tag: /);
+  });
+
+  it('should report invalid restart options', () => {
+    const issues = getIssues(() =>
+      validateManifest({
+        services: [
+          {
+            name: 'db',
+            load: async () => DatabaseService,
+            restart: { policy: 'bogus', maxAttempts: '3' }
+          }
+        ]
+      })
+    );
+
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatch(/^services\.0\.restart: /);
+  });
+
+  it('should require either load or module', () => {
+    const issues = getIssues(() =>
+      validateManifest({ services: [{ name: 'db' }] })
+    );
+
+    expect(issues).toEqual(["Service 'db' needs either 'load' or 'module'"]);
+  });
+});
+
+describe('ServiceManager.registerManifest', () => {
+  let manager;
+
+  beforeEach(() => {
+    manager = new ServiceManager();
+  });
+
+  it('should register all services of a manifest', async () => {
+    const names = await manager.registerManifest({
+      services: [
+        {
+          name: 'auth',
+          load: async () => ({ AuthService }),
+          export: 'AuthService',
+          dependencies: ['database'],
+          tags: ['security'],
+          restart: 'on-failure'
+        },
+        {
+          name: 'database',
+          load: async () => ({ default: DatabaseService }),
+          config: { host: 'localhost' },
+          startupPriority: 10
+        }
+      ]
+    });
+
+    expect(names).toEqual(['database', 'auth']);
+
+    const auth = manager.services.get('auth');
+    expect(auth.ServiceClass).toBe(AuthService);
+    expect(auth.dependencies).toEqual(['database']);
+    expect(auth.tags).toEqual(['security']);
+    expect(auth.restartPolicy.policy).toBe('on-failure');
+    expect(manager.services.get('database').startupPriority).toBe(10);
+
+    await manager.startAll();
+
+    expect(manager.get('database').config).toEqual({ host: 'localhost' });
+    expect(await manager.isRunning('auth')).toBe(true);
+  });
+
+  it('should import modules of JSON manifests', async () => {
+    const modules = { DatabaseService: { default: DatabaseService } };
+
+    const manifest = JSON.parse(
+      '{ "services": [{ "name": "database", "module": "DatabaseService" }] }'
+    );
+
+    await manager.registerManifest(manifest, {
+      importModule: async (name) => modules[name]
+    });
+
+    expect(manager.services.get('database').ServiceClass).toBe(DatabaseService);
+  });
+
+  it('should accept dependencies that are registered already', async () => {
+    manager.register('database', DatabaseService);
+
+    await manager.registerManifest({
+      services: [
+        {
+          name: 'auth',
+          load: async () => AuthService,
+          dependencies: ['database']
+        }
+      ]
+    });
+
+    expect(manager.services.get('database').dependents.has('auth')).toBe(true);
+  });
+
+  it('should register nothing if a module fails to load', async () => {
+    await expect(
+      manager.registerManifest({
+        services: [
+          { name: 'database', load: async () => DatabaseService },
+          {
+            name: 'auth',
+            load: async () => {
+              throw new Error('Cannot find module');
+            }
+          }
+        ]
+      })
+    ).rejects.toThrow("Could not load service 'auth'");
+
+    expect(manager.services.size).toBe(0);
+  });
+
+  it('should register nothing if restart options are invalid', async () => {
+    await expect(
+      manager.registerManifest({
+        services: [
+          { name: 'database', load: async () => DatabaseService },
+          {
+            name: 'auth',
+            load: async () => AuthService,
+            restart: { backoff: { factor: 'fast' } }
+          }
+        ]
+      })
+    ).rejects.toThrow(ManifestError);
+
+    expect(manager.services.size).toBe(0);
+  });
+
+  it('should reject modules without the service class export', async () => {
+    await expect(
+      manager.registerManifest({
+        services: [
+          {
+            name: 'auth',
+            load: async () => ({ AuthService }),
+            export: 'Auth'
+          }
+        ]
+      })
+    ).rejects.toThrow("Module of service 'auth' has no class export 'Auth'");
+  });
+});
@@ -43,8 +43,147 @@
  *
  * @typedef {Object} ServiceRegistrationOptions
  * @property {string[]} [dependencies=[]] - Services this service depends on
+ * @property {string[]} [optionalDependencies=[]]
+ *   Services that are started first when registered, but do not block
+ *   startup when absent or failing
+ * @property {string[]} [lazyDependencies=[]]
+ *   Services that are only started when the service first uses them
+ * @property {boolean} [lazy=false]
+ *   Do not start this service in `startAll`, only when it is needed
  * @property {string[]} [tags=[]] - Tags for grouping services
  * @property {number} [startupPriority=0] - Higher starts first
+ * @property {RestartOptions|RestartPolicy['policy']} [restart='never']
+ *   Automatic recovery policy, or just the policy name
+ * @property {boolean} [critical=true]
+ *   Whether the application is unusable when this service is unhealthy
+ *   (used for aggregated health status)
+ * @property {number} [drainTimeout]
+ *   Maximum time to finish work in progress during a graceful shutdown,
+ *   overrides the `drainTimeout` of the shutdown
+ */
+
+/**
+ * Service description in a manifest
+ *
+ * Either `load` or `module` is required.
+ *
+ * @typedef {Object} ServiceManifestEntry
+ * @property {string} name - Unique service identifier
+ * @property {() => Promise<*>} [load]
+ *   Lazy import of the service module or class, e.g. a dynamic import of
+ *   the service module or `async () => DatabaseService`
+ * @property {string} [module]
+ *   Module reference for JSON manifests, imported with `importModule`
+ * @property {string} [export='default']
+ *   Name of the class export in the module
+ * @property {ServiceConfigOrLabel} [config={}]
+ *   Service configuration object or config label string
+ * @property {string[]} [dependencies]
+ * @property {string[]} [optionalDependencies]
+ * @property {string[]} [lazyDependencies]
+ * @property {string[]} [tags]
+ * @property {number} [startupPriority]
+ * @property {boolean} [lazy]
+ * @property {boolean} [critical]
+ * @property {number} [drainTimeout]
+ * @property {RestartOptions|RestartPolicy['policy']} [restart]
+ *   Same as the registration options of `register`
+ */
+
+/**
+ * Declarative description of all services of an application
+ *
+ * @typedef {Object} ServiceManifest
+ * @property {ServiceManifestEntry[]} services - Services to register
+ */
+
+/**
+ * Options for registering a manifest
+ *
+ * @typedef {Object} ManifestOptions
+ * @property {(module: string) => Promise<*>} [importModule]
+ *   Import the modules referenced by `module` in the manifest entries
+ */
+
+/**
+ * Options for health checks
+ *
+ * @typedef {Object} HealthCheckOptions
+ * @property {number} [timeout]
+ *   Maximum time in milliseconds per health check (no limit by default)
+ */
+
+/**
+ * Backoff settings for automatic recovery attempts
+ *
+ * @typedef {Object} BackoffOptions
+ * @property {number} [initialDelayMs=1000] - Delay before the first attempt
+ * @property {number} [maxDelayMs=30000] - Upper limit for the delay
+ * @property {number} [factor=2] - Delay multiplier per attempt
+ * @property {number} [jitter=0.2]
+ *   Fraction of the delay that is randomly subtracted (0 = no jitter)
+ */
+
+/**
+ * Automatic recovery options for a service
+ *
+ * - `never`: no automatic recovery
+ * - `on-failure`: recover when the service lands in the error state
+ * - `always`: also restart when a running service reports unhealthy
+ *
+ * @typedef {Object} RestartOptions
+ * @property {'never'|'on-failure'|'always'} [policy='never'] - Restart policy
+ * @property {number} [maxAttempts]
+ *   Attempts before giving up (default 5, unlimited for `always`)
+ * @property {BackoffOptions} [backoff] - Backoff between attempts
+ * @property {number} [circuitBreakerResetMs=0]
+ *   After giving up, the circuit breaker stays open for this long and then
+ *   allows a single trial attempt (0 = stay open until the service runs
+ *   again, e.g. after a manual recovery)
+ * @property {boolean} [restartDependents=false]
+ *   Stop running dependents before recovery and start them again after
+ */
+
+/**
+ * Restart options with all defaults applied
+ *
+ * @typedef {Object} RestartPolicy
+ * @property {'never'|'on-failure'|'always'} policy
+ * @property {number} maxAttempts
+ * @property {Required<BackoffOptions>} backoff
+ * @property {number} circuitBreakerResetMs
+ * @property {boolean} restartDependents
+ */
+
+/**
+ * Event data emitted with `service:recovering`
+ *
+ * @typedef {Object} ServiceRecoveringEvent
+ * @property {string} service - Service name
+ * @property {number} attempt - Attempt number, starting at 1
+ * @property {number} delayMs - Delay before the attempt starts
+ * @property {'error'|'unhealthy'} reason - What triggered the recovery
+ */
+
+/**
+ * Event data emitted with `service:gaveUp`
+ *
+ * @typedef {Object} ServiceGaveUpEvent
+ * @property {string} service - Service name
+ * @property {number} attempts - Number of failed attempts
+ * @property {Error|null} error - Last error of the service
+ * @property {number|null} retryAt
+ *   Time at which the circuit breaker allows a trial attempt, or null
+ */
+
+/**
+ * Current automatic recovery state of a service
+ *
+ * @typedef {Object} RecoveryState
+ * @property {number} attempts - Attempts since the last successful run
+ * @property {'closed'|'open'|'half-open'} circuit - Circuit breaker state
+ * @property {boolean} inProgress - Whether a recovery is running now
+ * @property {number|null} nextAttemptAt - Time of the next scheduled attempt
  */
 
 /**
@@ -54,12 +193,163 @@
  * @property {boolean} [debug=false] - Debug mode switch
  * @property {boolean} [autoStart=false] - Auto-start services on registration
  * @property {number} [stopTimeout=10000] - Default timeout for stopping services
+ * @property {number} [concurrency=1]
+ *   Default maximum number of services that startAll and stopAll process
+ *   at the same time (1 = one service at a time)
  * @property {LogLevel} [defaultLogLevel] - Default log level for new services
  * @property {LogLevel} [managerLogLevel] - Initial log level for ServiceManager
  * @property {string|Record<string,LogLevel>} [serviceLogLevels]
  *   Per-service log levels:
  *   - String: "auth:debug,database:info"
  *   - Object: { auth: "debug", database: "info" }
+ * @property {number} [timelineSize=500]
+ *   Maximum number of lifecycle events kept in the timeline (0 = disabled)
+ */
+
+/**
+ * Lifecycle event recorded in the service timeline
+ *
+ * - `state`: state transition, `durationMs` is the time spent in `from`
+ * - `config`: config applied, `version` counts the applied configs
+ * - `error`: service error
+ *
+ * @typedef {Object} TimelineEntry
+ * @property {number} seq - Sequence number
+ * @property {'state'|'config'|'error'} type - Entry type
+ * @property {string} service - Service name
+ * @property {number} at - Time of the event (ms since epoch)
+ * @property {string} [from] - Previous state
+ * @property {string} [to] - New state
+ * @property {number|null} [durationMs] - Time spent in the previous state
+ * @property {number} [version] - Config version
+ * @property {string[]} [keys] - Config keys
+ * @property {string} [operation] - Operation that failed
+ * @property {string} [message] - Error message
+ * @property {string} [cause] - Message of the error cause
+ */
+
+/**
+ * Filter for timeline entries
+ *
+ * @typedef {Object} TimelineQuery
+ * @property {string} [service] - Only entries of this service
+ * @property {'state'|'config'|'error'} [type] - Only entries of this type
+ * @property {number} [since] - Only entries at or after this time
+ * @property {number} [limit] - Only the most recent entries
+ */
+
+/**
+ * Introspection data of a single service
+ *
+ * @typedef {Object} ServiceInspection
+ * @property {string} state - Current state
+ * @property {number|null} stateSince - Time the current state was entered
+ * @property {boolean} healthy - Last reported health
+ * @property {string[]} tags - Service tags
+ * @property {string[]} dependencies - Required dependencies
+ * @property {string[]} optionalDependencies - Optional dependencies
+ * @property {string[]} lazyDependencies - Lazy dependencies
+ * @property {string[]} dependents - Services that depend on this service
+ * @property {LogLevel|null} logLevel - Current log level
+ * @property {number} configVersion - Number of configs applied
+ * @property {boolean} critical - Whether the service is critical
+ * @property {boolean} lazy - Whether the service is started on demand
+ * @property {RecoveryState} recovery - Automatic recovery state
+ */
+
+/**
+ * JSON-serializable introspection data of a ServiceManager
+ *
+ * @typedef {Object} ManagerInspection
+ * @property {number} generatedAt - Time of the inspection
+ * @property {LogLevel} managerLogLevel - Log level of the manager
+ * @property {Object<string, ServiceInspection>} services - Services by name
+ * @property {{
+ *   nodes: string[],
+ *   edges: { from: string, to: string, type: 'required'|'optional'|'lazy' }[]
+ * }} graph
+ *   Dependency graph, edges point from a service to its dependency
+ * @property {TimelineEntry[]} timeline - Lifecycle events, oldest first
+ */
+
+/**
+ * Options for starting all services
+ *
+ * @typedef {Object} StartAllOptions
+ * @property {number} [concurrency]
+ *   Maximum number of services starting at the same time, overrides
+ *   the manager's `concurrency` config
+ */
+
+/**
+ * Options for stopping all services
+ *
+ * @typedef {Object} StopAllOptions
+ * @property {number} [timeout] - Global shutdown timeout
+ * @property {number} [serviceTimeout]
+ *   Stop timeout per service (defaults to `timeout`)
+ * @property {boolean} [force=false] - Force stop even if timeout exceeded
+ * @property {number} [concurrency]
+ *   Maximum number of services stopping at the same time, overrides
+ *   the manager's `concurrency` config
+ */
+
+/**
+ * Options for draining all services
+ *
+ * @typedef {Object} DrainAllOptions
+ * @property {number} [timeout]
+ *   Default time per service to finish work in progress (0 = no limit)
+ * @property {number} [concurrency]
+ *   Maximum number of services draining at the same time (default: no
+ *   limit)
+ */
+
+/**
+ * Process (or fake process in tests) that emits shutdown signals
+ *
+ * @typedef {Object} SignalTarget
+ * @property {(signal: string, handler: (...args: any[]) => void) => *} on
+ * @property {(signal: string, handler: (...args: any[]) => void) => *} [off]
+ * @property {(code?: number) => *} [exit]
+ */
+
+/**
+ * Options for graceful shutdown
+ *
+ * @typedef {Object} ShutdownOptions
+ * @property {string[]} [signals=['SIGTERM', 'SIGINT']]
+ *   Signals that start the shutdown
+ * @property {SignalTarget} [process=globalThis.process]
+ *   Process to install the signal handlers on
+ * @property {number} [drainTimeout=10000]
+ *   Default time per service to finish work in progress
+ * @property {number} [stopTimeout]
+ *   Time per service to stop before it is forced to stop (defaults to the
+ *   manager's `stopTimeout`)
+ * @property {number} [timeout=30000]
+ *   Global deadline for draining and stopping all services
+ * @property {boolean} [exit=true]
+ *   Exit the process after a shutdown started by a signal
+ * @property {number} [concurrency]
+ *   Maximum number of services draining and stopping at the same time
+ */
+
+/**
+ * Result of a graceful shutdown
+ *
+ * @typedef {Object} ShutdownReport
+ * @property {string} reason - Signal or other reason of the shutdown
+ * @property {number} durationMs - Duration of the shutdown
+ * @property {boolean} timedOut - Whether the global deadline was reached
+ * @property {string[]} drained
+ *   Services that finished their work in progress in time
+ * @property {string[]} drainTimedOut
+ *   Services that did not finish their work in progress in time
+ * @property {string[]} stopped - Services that were stopped
+ * @property {string[]} forceStopped
+ *   Services that were forced to stop after their stop timeout
+ * @property {string[]} failed - Services that could not be stopped
  */
 
 /**
@@ -102,9 +392,32 @@
  * @property {T|null} instance - Service instance (lazy-created)
  * @property {ServiceConfigOrLabel} serviceConfigOrLabel
  * @property {string[]} dependencies
- * @property {Set<string>} dependents - Services that depend on this service
+ * @property {string[]} optionalDependencies
+ * @property {string[]} lazyDependencies
+ * @property {Set<string>} dependents
+ *   Services that depend on this service (required or optional)
  * @property {string[]} tags
  * @property {number} startupPriority - Startup priority
+ * @property {boolean} lazy - Whether startAll skips this service
+ * @property {boolean} critical - Whether the service is critical for health
+ * @property {number|null} drainTimeout
+ *   Time to finish work in progress during a graceful shutdown
+ * @property {RestartPolicy} restartPolicy - Automatic recovery policy
+ * @property {RecoveryRuntime} recovery - Automatic recovery bookkeeping
+ */
+
+/**
+ * Internal automatic recovery bookkeeping of a service entry
+ *
+ * @typedef {Object} RecoveryRuntime
+ * @property {number} attempts
+ * @property {'closed'|'open'|'half-open'} circuit
+ * @property {boolean} inProgress
+ * @property {ReturnType<typeof setTimeout>|null} timer
+ * @property {number|null} nextAttemptAt
+ * @property {'error'|'unhealthy'} [reason]
+ * @property {string[]} stoppedDependents
+ *   Dependents stopped for recovery, to start again when it succeeds
  */
 
 export {};
@@ -7,8 +7,19 @@
 
 import { DEBUG, INFO, WARN, ERROR } from '$lib/logging/common.js';
 
+import {
+  RESTART_NEVER,
+  RESTART_ON_FAILURE,
+  RESTART_ALWAYS
+} from './constants.js';
+
 /** @typedef {import('$lib/logging/typedef.js').LogLevel} LogLevel */
 
+/**
+ * @typedef {import('./typedef.js').RestartPolicy} RestartPolicy
+ * @typedef {import('./typedef.js').RestartOptions} RestartOptions
+ */
+
 /**
  * Parse comma-separated service:level configuration string
  *
@@ -90,3 +101,49 @@ export function expandLogLevels(serviceLevels) {
 
   return result;
 }
+
+/**
+ * Normalize restart options from service registration into a complete
+ * restart policy
+ *
+ * @param {RestartOptions|RestartPolicy['policy']} [restart]
+ *   Restart options or policy name
+ *
+ * @throws {Error} If the policy name is unknown
+ *
+ * @returns {RestartPolicy} Restart policy with defaults applied
+ *
+ * @example
+ * const policy = normalizeRestartPolicy('on-failure');
+ * // Returns: { policy: 'on-failure', maxAttempts: 5, ... }
+ */
+export function normalizeRestartPolicy(restart) {
+  const options = typeof restart === 'string' ? { policy: restart } : restart;
+
+  const policy = options?.policy ?? RESTART_NEVER;
+
+  if (
+    policy !== RESTART_NEVER &&
+    policy !== RESTART_ON_FAILURE &&
+    policy !== RESTART_ALWAYS
+  ) {
+    throw new Error(`Unknown restart policy [${policy}]`);
+  }
+
+  const backoff = options?.backoff ?? {};
+
+  return {
+    policy,
+    maxAttempts:
+      options?.maxAttempts ??
+      (policy === RESTART_ALWAYS ? Number.POSITIVE_INFINITY : 5),
+    backoff: {
+      initialDelayMs: backoff.initialDelayMs ?? 1000,
+      maxDelayMs: backoff.maxDelayMs ?? 30000,
+      factor: backoff.factor ?? 2,
+      jitter: backoff.jitter ?? 0.2
+    },
+    circuitBreakerResetMs: options?.circuitBreakerResetMs ?? 0,
+    restartDependents: options?.restartDependents ?? false
+  };
+}
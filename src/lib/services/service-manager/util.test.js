@@ -5,7 +5,8 @@ import { describe, it, expect } from 'vitest';
 import { DEBUG, INFO, WARN, ERROR } from '$lib/logging/common.js';
 import {
   parseServiceLogLevels,
-  expandLogLevels
+  expandLogLevels,
+  normalizeRestartPolicy
 } from './util.js';
 
 describe('parseServiceLogLevels', () => {
@@ -114,3 +115,52 @@ describe('expandLogLevels', () => {
     expect(result).toEqual({});
   });
 });
+
+describe('normalizeRestartPolicy', () => {
+  it('should default to the never policy', () => {
+    expect(normalizeRestartPolicy().policy).toBe('never');
+  });
+
+  it('should accept a policy name', () => {
+    const policy = normalizeRestartPolicy('on-failure');
+
+    expect(policy).toEqual({
+      policy: 'on-failure',
+      maxAttempts: 5,
+      backoff: {
+        initialDelayMs: 1000,
+        maxDelayMs: 30000,
+        factor: 2,
+        jitter: 0.2
+      },
+      circuitBreakerResetMs: 0,
+      restartDependents: false
+    });
+  });
+
+  it('should allow unlimited attempts for the always policy', () => {
+    expect(normalizeRestartPolicy('always').maxAttempts).toBe(
+      Number.POSITIVE_INFINITY
+    );
+  });
+
+  it('should keep provided options', () => {
+    const policy = normalizeRestartPolicy({
+      policy: 'always',
+      maxAttempts: 3,
+      backoff: { initialDelayMs: 50 },
+      restartDependents: true
+    });
+
+    expect(policy.maxAttempts).toBe(3);
+    expect(policy.backoff.initialDelayMs).toBe(50);
+    expect(policy.backoff.factor).toBe(2);
+    expect(policy.restartDependents).toBe(true);
+  });
+
+  it('should throw on unknown policies', () => {
+    expect(() => normalizeRestartPolicy('sometimes')).toThrow(
+      'Unknown restart policy [sometimes]'
+    );
+  });
+});
@@ -1,4 +1,5 @@
 export * from './service-base/typedef.js';
 export * from './service-manager/typedef.js';
+export * from './manager-plugins/typedef.js';
 
 export default {};
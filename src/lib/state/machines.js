@@ -1,4 +1,5 @@
 export * from './machines/finite-state-machine/index.js';
 export * from './machines/loading-state-machine/index.js';
+export * from './machines/persistence/index.js';
 
 export { default as PageMachine } from './machines/page-machine/PageMachine.svelte.js';
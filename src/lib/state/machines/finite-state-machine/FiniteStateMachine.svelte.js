@@ -4,13 +4,58 @@
  * @see {@link https://runed.dev/docs/utilities/finite-state-machine}
  */
 
+import { SvelteMap } from 'svelte/reactivity';
+
 import { isTestEnv } from '$lib/util/env.js';
 import { EventEmitter } from '$lib/generic/events.js';
-import { ENTER, EXIT } from './constants.js';
+import {
+  ENTER,
+  EXIT,
+  ANY_STATE,
+  UNHANDLED,
+  TYPE_ATOMIC,
+  TYPE_COMPOUND,
+  TYPE_PARALLEL,
+  TYPE_HISTORY,
+  HISTORY_KEY,
+  HISTORY_DEEP,
+  AFTER_KEY,
+  DEFAULT_MAX_QUEUE_DEPTH
+} from './constants.js';
+
+import {
+  ROOT,
+  buildStateTree,
+  getParentPath,
+  isDescendant,
+  getAncestors,
+  resolveTarget,
+  toCandidates
+} from './state-tree.js';
+
+import { toMermaid, toDot } from './diagram.js';
+
+import {
+  upgradeSnapshot,
+  assertSnapshotObject
+} from '../persistence/snapshots.js';
+import { persistSnapshots } from '../persistence/persist.svelte.js';
+import { DEFAULT_SNAPSHOT_VERSION } from '../persistence/constants.js';
 
 /** @typedef {import('./typedef.js').TransitionData} TransitionData */
 /** @typedef {import('./typedef.js').OnEnterCallback} OnEnterCallback */
 /** @typedef {import('./typedef.js').OnExitCallback} OnExitCallback */
+/** @typedef {import('./typedef.js').StatesConfig} StatesConfig */
+/** @typedef {import('./typedef.js').TransitionConfig} TransitionConfig */
+/** @typedef {import('./typedef.js').TransitionObject} TransitionObject */
+/** @typedef {import('./typedef.js').TransitionAction} TransitionAction */
+/** @typedef {import('./typedef.js').SendResult} SendResult */
+/** @typedef {import('./typedef.js').StateNode} StateNode */
+/** @typedef {import('./typedef.js').FiniteStateMachineOptions} FiniteStateMachineOptions */
+/** @typedef {import('./typedef.js').FiniteStateMachineSnapshot} FiniteStateMachineSnapshot */
+/** @typedef {import('./typedef.js').DiagramOptions} DiagramOptions */
+/** @typedef {import('../persistence/typedef.js').SnapshotMigration} SnapshotMigration */
+/** @typedef {import('../persistence/typedef.js').Persistence} Persistence */
 
 /**
  * Check if the value is valid meta data
@@ -30,11 +75,37 @@ export function isLifecycleFnMeta(meta) {
 
 /**
  * Defines a Finite State Machine that extends EventEmitter
+ *
+ * States can be nested (compound states), run side by side (parallel
+ * states) and remember their active children (history states). Events
+ * are handled by the deepest active state first and bubble up to the
+ * parent states and finally to the `*` state.
  */
 export default class FiniteStateMachine extends EventEmitter {
   #current = $state();
+
+  /**
+   * Paths of all active states in document order
+   *
+   * @type {string[]}
+   */
+  #active = $state.raw([]);
+
+  /** @type {Readonly<Object<string, any>>} */
+  #context = $state.raw({});
+
+  /** @type {StatesConfig} */
   states;
-  #timeout = {};
+
+  /** @type {Map<string, StateNode>} */
+  #nodes;
+
+  /**
+   * Child states that were active when a state was exited last
+   *
+   * @type {Map<string, { shallow: string[], deep: string[] }>}
+   */
+  #history = new SvelteMap();
 
   /** @type {OnEnterCallback | null} */
   onenter = null;
@@ -45,155 +116,1077 @@ export default class FiniteStateMachine extends EventEmitter {
   /** @type {boolean} */
   #enableConsoleWarnings = !isTestEnv;
 
-  /** @type {boolean} */
-  #isTransitioning = false;
+  /**
+   * True while an event is processed, events sent in the meantime are
+   * queued
+   *
+   * @type {boolean}
+   */
+  #isProcessing = false;
+
+  /**
+   * Events that were sent while an event was processed
+   *
+   * @type {QueuedEvent[]}
+   */
+  #queue = [];
+
+  /** @type {number} */
+  #maxQueueDepth;
+
+  /**
+   * Timers of the delayed transitions of active states
+   *
+   * @type {Map<string, ReturnType<typeof setTimeout>[]>}
+   */
+  #timers = new SvelteMap();
+
+  /**
+   * Timers of debounced events
+   *
+   * @type {Map<string, ReturnType<typeof setTimeout>>}
+   */
+  #debounceTimers = new SvelteMap();
+
+  /** @type {number} */
+  #snapshotVersion;
+
+  /** @type {SnapshotMigration|undefined} */
+  #migrate;
+
+  /** @type {Persistence|null} */
+  #persistence = null;
+
+  /**
+   * Resolves when a persisted snapshot was restored, true if there was
+   * a snapshot (always false without the `persist` option)
+   *
+   * @type {Promise<boolean>}
+   */
+  ready;
 
   /**
    * Constructor
    *
-   * @param {string} initial
-   * @param {{ [key: string]: { [key: string]: (string|((...args: any[])=>void)) } }} states
+   * @param {string} initial - Initial state, a dotted path for nested states
+   * @param {StatesConfig} states
+   * @param {FiniteStateMachineOptions} [options]
    */
-  constructor(initial, states) {
+  constructor(initial, states, options = {}) {
     super();
-    this.#current = initial;
     this.states = states;
+    this.#nodes = buildStateTree(states, initial);
+    this.#context = Object.freeze({ ...options.context });
+    this.#maxQueueDepth = options.maxQueueDepth ?? DEFAULT_MAX_QUEUE_DEPTH;
+    this.#snapshotVersion = options.snapshotVersion ?? DEFAULT_SNAPSHOT_VERSION;
+    this.#migrate = options.migrate;
+
+    const entered = this.#getEntrySet(initial, ROOT);
+
+    this.#setActive(entered);
+    this.#isProcessing = true;
 
     // synthetically trigger _enter for the initial state.
+    /** @type {TransitionData} */
     const initialTransitionData = {
       from: null,
-      to: initial,
+      to: this.#current,
       event: null,
-      args: []
+      args: [],
+      context: this.#context
     };
 
-    this.#executeAction('_enter', initialTransitionData);
+    try {
+      for (const path of entered) {
+        this.#startTimers(path);
+        this.#executeAction(path, ENTER, initialTransitionData);
 
-    // Emit ENTER event for external listeners for initial state
-    this.emit(ENTER, { state: initial, transition: initialTransitionData });
+        // Emit ENTER event for external listeners for initial state
+        this.emit(ENTER, { state: path, transition: initialTransitionData });
+      }
+
+      this.#processQueue();
+    } finally {
+      this.#isProcessing = false;
+      this.#queue = [];
+    }
+
+    if (options.persist) {
+      this.#persistence = persistSnapshots({
+        ...options.persist,
+        getSnapshot: () => this.getSnapshot(),
+        restore: (snapshot) => this.restore(snapshot)
+      });
+
+      this.ready = this.#persistence.ready;
+    } else {
+      this.ready = Promise.resolve(false);
+    }
   }
 
   /**
-   * Transition to new state
+   * Transition from a state to a target state
+   *
+   * States are exited from the deepest state up to the transition domain
+   * and entered from the domain down to the target and its initial child
+   * states.
    *
-   * @param {string} newState
+   * @param {string} source - State that defines the transition
+   * @param {string} target - Path of the target state
    * @param {string} event
-   * @param {any[]} [args]
+   * @param {any[]} args
+   * @param {Readonly<Object<string, any>>} context
+   *   Context after the transition
    */
-  #transition(newState, event, args) {
+  #transition(source, target, event, args, context) {
+    const domain = this.#getTransitionDomain(source, target);
+
+    const exited = this.#active
+      .filter((path) => isDescendant(path, domain))
+      .reverse();
+
+    const entered = this.#getEntrySet(target, domain);
+
+    const from = this.#current;
+
+    this.#recordHistory(exited);
+
+    const active = [
+      ...this.#active.filter((path) => !exited.includes(path)),
+      ...entered
+    ];
+
     /** @type {TransitionData} */
-    const transition = { from: this.#current, to: newState, event, args };
+    const transition = {
+      from,
+      to: getCurrentPath(this.#sortByOrder(active), this.#nodes),
+      event,
+      args,
+      context
+    };
 
-    this.#isTransitioning = true;
+    for (const path of exited) {
+      this.#clearTimers(path);
 
-    try {
       // Call onexit callback before leaving current state
-      this.onexit?.(this.#current, transition);
+      this.onexit?.(path, transition);
 
       // Emit EXIT event for external listeners
-      this.emit(EXIT, { state: this.#current, transition });
+      this.emit(EXIT, { state: path, transition });
+
+      this.#executeAction(path, EXIT, transition);
+    }
+
+    this.#setActive(active);
+    this.#context = context;
 
-      this.#executeAction('_exit', transition);
-      this.#current = newState;
-      this.#executeAction('_enter', transition);
+    for (const path of entered) {
+      this.#startTimers(path);
+      this.#executeAction(path, ENTER, transition);
 
       // Emit ENTER event for external listeners
-      this.emit(ENTER, { state: newState, transition });
+      this.emit(ENTER, { state: path, transition });
 
       // Call onenter callback after state change
-      this.onenter?.(newState, transition);
-    } finally {
-      this.#isTransitioning = false;
+      this.onenter?.(path, transition);
     }
   }
 
   /**
-   * Execute an action for the given event
+   * Execute the lifecycle function (`_enter` or `_exit`) of a state
    *
-   * @param {string} event
-   * @param {any} args
+   * @param {string} path - Path of the state
+   * @param {string} event - ENTER or EXIT
+   * @param {TransitionData} transition
    */
-  #executeAction(event, ...args) {
+  #executeAction(path, event, transition) {
     const action =
-      this.states[this.#current]?.[event] ?? this.states['*']?.[event];
+      this.#nodes.get(path)?.config[event] ?? this.states[ANY_STATE]?.[event];
 
     if (action instanceof Function) {
-      switch (event) {
-        // Internal lifecycle events
-        case ENTER:
-        case EXIT:
-          if (isLifecycleFnMeta(args[0])) {
-            return action(args[0]);
-          } else {
-            throw new Error(`Invalid transition data passed to lifecycle function`);
-          }
-
-        // Normal state events
-        default:
-          return action(...args);
-      }
-    } else if (typeof action === 'string') {
-      // No function execution => just return target state
-      return action;
-    } else {
-      // No action found - only warn for non-lifecycle events
-      if (event !== ENTER && event !== EXIT) {
-        if (this.#enableConsoleWarnings) {
-          console.warn(
-            'No action defined for event',
-            event,
-            'in state',
-            this.#current
-          );
-        }
+      if (isLifecycleFnMeta(transition)) {
+        return action(transition);
+      } else {
+        throw new Error(`Invalid transition data passed to lifecycle function`);
       }
     }
   }
+
   /**
-   * Triggers a new event and returns the new state.
+   * Select the transitions for an event
+   *
+   * Every active atomic state offers the event to itself and then to its
+   * ancestors and the `*` state, until a candidate without guard or with
+   * a guard that passes is found. With parallel states, more than one
+   * transition can be selected. A transition of an ancestor is dropped if
+   * a descendant in another region also handles the event.
    *
    * @param {string} event
    * @param {any[]} args
+   *
+   * @returns {TransitionSelection}
    */
-  send(event, ...args) {
-    if (this.#isTransitioning) {
-      throw new Error(
-        `Cannot send event '${event}' while state machine is transitioning. ` +
-        `This indicates a re-entrant call from within onenter, onexit, or ` +
-        `lifecycle callbacks (_enter/_exit). Consider using setTimeout() to ` +
-        `defer the event or restructure to avoid nested state transitions.`
+  #selectTransitions(event, args) {
+    /** @type {TransitionSelection['transitions']} */
+    const transitions = [];
+
+    /** @type {string[]} */
+    const visited = [];
+
+    let rejectedBy = UNHANDLED;
+    let hasCandidates = false;
+
+    for (const leaf of this.#getLeaves()) {
+      for (const source of [leaf, ...getAncestors(leaf).reverse(), ROOT]) {
+        if (visited.includes(source)) {
+          break;
+        }
+
+        visited.push(source);
+
+        const candidates = toCandidates(this.#nodes.get(source)?.config[event]);
+
+        hasCandidates ||= candidates.length > 0;
+
+        const selected = this.#selectCandidate(candidates, args);
+
+        if (typeof selected === 'string') {
+          rejectedBy = selected;
+        } else if (selected) {
+          transitions.push({ source, ...selected });
+          break;
+        }
+      }
+    }
+
+    // The deepest active state handles the event first, also when its
+    // ancestor was reached from a leaf in another region
+    const deepest = transitions.filter(
+      ({ source }) =>
+        !transitions.some((other) => isDescendant(other.source, source))
+    );
+
+    if (!hasCandidates && this.#enableConsoleWarnings) {
+      console.warn(
+        'No action defined for event',
+        event,
+        'in state',
+        this.#current
       );
     }
 
-    const newState = this.#executeAction(event, ...args);
+    return {
+      transitions: deepest,
+      rejectedBy: deepest.length ? null : rejectedBy
+    };
+  }
+
+  /**
+   * Select the first candidate without guard or with a guard that passes
+   *
+   * @param {(string|Function|TransitionObject)[]} candidates
+   * @param {any[]} args
+   *
+   * @returns {{ target: string|null, action: TransitionAction|null }
+   *   |string|null} The selected transition, the name of the last guard
+   *   that rejected a candidate, or null if there are no candidates
+   */
+  #selectCandidate(candidates, args) {
+    /** @type {string|null} */
+    let rejectedBy = null;
+
+    for (const candidate of candidates) {
+      if (typeof candidate === 'string') {
+        return { target: candidate, action: null };
+      }
+
+      if (candidate instanceof Function) {
+        // Function action => the return value is the target state
+        const target = candidate(...args);
+
+        return {
+          target: typeof target === 'string' ? target : null,
+          action: null
+        };
+      }
+
+      const { target = null, guard, action = null } = candidate;
+
+      if (guard && !guard(this.#context, ...args)) {
+        rejectedBy = guard.name || 'guard';
+        continue;
+      }
 
-    if (newState && newState !== this.#current) {
-      this.#transition(newState, event, args);
+      return { target, action };
     }
 
-    return this.#current;
+    return rejectedBy;
+  }
+
+  /**
+   * Triggers a new event and returns the result of the event
+   *
+   * Events that are sent while an event is processed, e.g. from `_enter`,
+   * `onenter` or a listener, are queued and processed in order after the
+   * current event.
+   *
+   * @param {string} event
+   * @param {any[]} args
+   *
+   * @returns {SendResult}
+   */
+  send(event, ...args) {
+    return this.#dispatch({ event, args, source: null, delayMs: null });
   }
+
   /**
-   * Debounces the triggering of an event.
+   * Debounces the triggering of an event
+   *
+   * The event is sent after `wait` milliseconds without another call for
+   * the same event.
+   *
+   * @deprecated Use a delayed transition (`_after`) instead
    *
    * @param {number} wait
    * @param {string} event
    * @param {any[]} args
+   *
+   * @returns {Promise<SendResult>}
    */
   async debounce(wait = 500, event, ...args) {
-    if (this.#timeout[event]) {
-      clearTimeout(this.#timeout[event]);
-    }
+    clearTimeout(this.#debounceTimers.get(event));
+
     return new Promise((resolve) => {
-      this.#timeout[event] = setTimeout(() => {
-        delete this.#timeout[event];
-        resolve(this.send(event, ...args));
-      }, wait);
+      this.#debounceTimers.set(
+        event,
+        setTimeout(() => {
+          this.#debounceTimers.delete(event);
+          resolve(this.send(event, ...args));
+        }, wait)
+      );
     });
   }
 
-  /** The current state. */
+  /**
+   * Stop all delayed transitions and debounced events, discard queued
+   * events and stop saving snapshots
+   */
+  destroy() {
+    for (const path of [...this.#timers.keys()]) {
+      this.#clearTimers(path);
+    }
+
+    for (const timer of this.#debounceTimers.values()) {
+      clearTimeout(timer);
+    }
+
+    this.#debounceTimers.clear();
+
+    this.#queue = [];
+    this.#persistence?.stop();
+  }
+
+  /**
+   * Get a serializable snapshot of the machine
+   *
+   * The snapshot contains the active states, the context and the
+   * recorded history. The context must be serializable to JSON to
+   * persist snapshots.
+   *
+   * @returns {FiniteStateMachineSnapshot}
+   *
+   * @example
+   * localStorage.setItem('game', JSON.stringify(machine.getSnapshot()));
+   */
+  getSnapshot() {
+    return {
+      version: this.#snapshotVersion,
+      active: [...this.#active],
+      context: { ...this.#context },
+      history: Object.fromEntries(
+        [...this.#history].map(([path, { shallow, deep }]) => [
+          path,
+          { shallow: [...shallow], deep: [...deep] }
+        ])
+      )
+    };
+  }
+
+  /**
+   * Restore a snapshot of the machine
+   *
+   * Snapshots of older versions are converted by the `migrate` option.
+   * The active states are replaced without running `_enter` and `_exit`
+   * functions, delayed transitions of the restored states start again.
+   *
+   * @param {any} snapshot - Snapshot returned by getSnapshot
+   *
+   * @throws {Error} If the snapshot is invalid, has an unsupported
+   *   version or an event is being processed
+   *
+   * @example
+   * machine.restore(JSON.parse(localStorage.getItem('game')));
+   */
+  restore(snapshot) {
+    if (this.#isProcessing) {
+      throw new Error('Cannot restore a snapshot while an event is processed');
+    }
+
+    const upgraded = /** @type {FiniteStateMachineSnapshot} */ (
+      upgradeSnapshot(snapshot, {
+        version: this.#snapshotVersion,
+        migrate: this.#migrate
+      })
+    );
+
+    assertSnapshotObject(upgraded, 'context');
+    assertSnapshotObject(upgraded, 'history');
+
+    const { active, context, history } = upgraded;
+
+    this.#assertValidSnapshot(active, history);
+
+    for (const path of [...this.#timers.keys()]) {
+      this.#clearTimers(path);
+    }
+
+    this.#history.clear();
+
+    for (const [path, recorded] of Object.entries(history ?? {})) {
+      this.#history.set(path, {
+        shallow: [...recorded.shallow],
+        deep: [...recorded.deep]
+      });
+    }
+
+    this.#context = Object.freeze({ ...context });
+    this.#setActive(active);
+
+    for (const path of this.#active) {
+      this.#startTimers(path);
+    }
+  }
+
+  /**
+   * Check if a state is active
+   *
+   * @param {string} path - Dotted path of the state, e.g. `playing.paused`
+   *
+   * @returns {boolean} True if the state or one of its descendants is the
+   *   current state
+   *
+   * @example
+   * machine.current;
+   * // 'playing.paused.menu'
+   *
+   * machine.matches('playing.paused');
+   * // Returns: true
+   */
+  matches(path) {
+    return this.#active.includes(path);
+  }
+
+  /**
+   * The current state
+   *
+   * The dotted path of the active atomic state, e.g. `playing.paused.menu`.
+   * With parallel states, the paths of the active atomic states of all
+   * regions are joined by commas.
+   */
   get current() {
     return this.#current;
   }
+
+  /**
+   * Paths of all active states, parents before children
+   *
+   * @returns {string[]}
+   */
+  get activeStates() {
+    return this.#active;
+  }
+
+  /**
+   * The current context
+   *
+   * The context is frozen, it is replaced by transition actions.
+   */
+  get context() {
+    return this.#context;
+  }
+
+  /**
+   * Get the events that the active states and the `*` state handle
+   *
+   * Guards are not evaluated, so an event in the list can still be
+   * rejected.
+   *
+   * @returns {string[]} Event names
+   *
+   * @example
+   * machine.getAvailableEvents();
+   * // Returns: ['pause', 'stop', 'reset']
+   */
+  getAvailableEvents() {
+    /** @type {string[]} */
+    const events = [];
+
+    for (const path of [...this.#active].reverse().concat(ROOT)) {
+      for (const key of Object.keys(this.#nodes.get(path)?.config ?? {})) {
+        if (!key.startsWith('_') && !events.includes(key)) {
+          events.push(key);
+        }
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Export the machine as Mermaid `stateDiagram-v2` with the active
+   * states highlighted
+   *
+   * @returns {string} Mermaid diagram source
+   */
+  toMermaid() {
+    return toMermaid(this.#getInitial(), this.states, {
+      active: this.#active
+    });
+  }
+
+  /**
+   * Export the machine as Graphviz DOT with the active states highlighted
+   *
+   * @param {Omit<DiagramOptions, 'active'>} [options]
+   *
+   * @returns {string} DOT graph source
+   */
+  toDot(options) {
+    return toDot(this.#getInitial(), this.states, {
+      ...options,
+      active: this.#active
+    });
+  }
+
+  /**
+   * Process an event, or queue it if an event is being processed
+   *
+   * @param {QueuedEvent} item
+   *
+   * @returns {SendResult}
+   */
+  #dispatch(item) {
+    if (this.#isProcessing) {
+      this.#queue.push(item);
+
+      return {
+        event: item.event,
+        changed: false,
+        from: this.#current,
+        to: this.#current,
+        rejectedBy: null,
+        queued: true
+      };
+    }
+
+    this.#isProcessing = true;
+
+    try {
+      const result = this.#processEvent(item);
+
+      this.#processQueue();
+
+      return result;
+    } finally {
+      this.#isProcessing = false;
+      this.#queue = [];
+    }
+  }
+
+  /**
+   * Process the queued events in order
+   *
+   * @throws {Error} If more than `maxQueueDepth` events are processed
+   */
+  #processQueue() {
+    let depth = 0;
+
+    while (this.#queue.length) {
+      if (++depth > this.#maxQueueDepth) {
+        throw new Error(
+          `Maximum queue depth [${this.#maxQueueDepth}] exceeded, ` +
+            `events sent during transitions keep triggering each other`
+        );
+      }
+
+      this.#processEvent(/** @type {QueuedEvent} */ (this.#queue.shift()));
+    }
+  }
+
+  /**
+   * Select and execute the transitions of an event
+   *
+   * @param {QueuedEvent} item
+   *
+   * @returns {SendResult}
+   */
+  #processEvent({ event, args, source, delayMs }) {
+    const from = this.#current;
+
+    /** @type {TransitionSelection} */
+    let selection;
+
+    if (source !== null) {
+      selection = this.#selectDelayedTransition(
+        source,
+        /** @type {number} */ (delayMs)
+      );
+    } else if (event.startsWith('_')) {
+      // Lifecycle functions and configuration keys are not events
+      selection = { transitions: [], rejectedBy: UNHANDLED };
+    } else {
+      selection = this.#selectTransitions(event, args);
+    }
+
+    for (const { source, target, action } of selection.transitions) {
+      // The source might have been exited by a transition of another region
+      if (!this.#active.includes(source) && source !== ROOT) {
+        continue;
+      }
+
+      const context = action
+        ? Object.freeze({ ...this.#context, ...action(this.#context, ...args) })
+        : this.#context;
+
+      const targetPath = target ? this.#resolveTarget(source, target) : null;
+
+      if (targetPath && !this.#isSameState(source, targetPath)) {
+        this.#transition(source, targetPath, event, args, context);
+      } else {
+        this.#context = context;
+      }
+    }
+
+    return {
+      event,
+      changed: this.#current !== from,
+      from,
+      to: this.#current,
+      rejectedBy: selection.rejectedBy,
+      queued: false
+    };
+  }
+
+  /**
+   * Select the delayed transition of a state
+   *
+   * @param {string} source - State that defines the delayed transition
+   * @param {number} delayMs - Delay of the transition
+   *
+   * @returns {TransitionSelection}
+   */
+  #selectDelayedTransition(source, delayMs) {
+    if (!this.#active.includes(source)) {
+      return { transitions: [], rejectedBy: UNHANDLED };
+    }
+
+    const after = /** @type {Object<number, TransitionConfig>|undefined} */ (
+      this.#nodes.get(source)?.config[AFTER_KEY]
+    );
+
+    const selected = this.#selectCandidate(toCandidates(after?.[delayMs]), []);
+
+    if (selected && typeof selected === 'object') {
+      return { transitions: [{ source, ...selected }], rejectedBy: null };
+    }
+
+    return { transitions: [], rejectedBy: selected ?? UNHANDLED };
+  }
+
+  /**
+   * Start the timers of the delayed transitions of a state
+   *
+   * @param {string} path
+   */
+  #startTimers(path) {
+    const after = this.#nodes.get(path)?.config[AFTER_KEY];
+
+    if (!after) {
+      return;
+    }
+
+    const timers = Object.keys(after).map((key) => {
+      const delayMs = Number(key);
+
+      return setTimeout(() => {
+        try {
+          this.#dispatch({
+            event: `after(${delayMs})`,
+            args: [],
+            source: path,
+            delayMs
+          });
+        } catch (error) {
+          // There is no caller to throw to, e.g. if the queue depth was
+          // exceeded or a target function returned an unknown state
+          console.error(
+            `Delayed transition [after(${delayMs})] of state [${path}] failed`,
+            error
+          );
+        }
+      }, delayMs);
+    });
+
+    this.#timers.set(path, timers);
+  }
+
+  /**
+   * Cancel the delayed transitions of a state
+   *
+   * @param {string} path
+   */
+  #clearTimers(path) {
+    for (const timer of this.#timers.get(path) ?? []) {
+      clearTimeout(timer);
+    }
+
+    this.#timers.delete(path);
+  }
+
+  /**
+   * Check that the states of a snapshot exist in the machine
+   *
+   * @param {any} active - Active states of the snapshot
+   * @param {any} history - Recorded history of the snapshot
+   *
+   * @throws {Error} If a state is unknown or the active states are not
+   *   a complete configuration (parents and child states)
+   */
+  #assertValidSnapshot(active, history) {
+    if (!Array.isArray(active) || !active.length) {
+      throw new Error('Invalid snapshot (missing active states)');
+    }
+
+    for (const path of active) {
+      const node = this.#nodes.get(path);
+
+      if (!node || path === ROOT || node.type === TYPE_HISTORY) {
+        throw new Error(`Invalid snapshot (unknown state [${path}])`);
+      }
+
+      if (node.parent !== ROOT && !active.includes(node.parent)) {
+        throw new Error(`Invalid snapshot (parent of [${path}] is not active)`);
+      }
+
+      const children = node.children.filter(
+        (child) => this.#nodes.get(child)?.type !== TYPE_HISTORY
+      );
+
+      const isComplete =
+        node.type === TYPE_PARALLEL
+          ? children.every((child) => active.includes(child))
+          : node.type === TYPE_ATOMIC ||
+            children.some((child) => active.includes(child));
+
+      if (!isComplete) {
+        throw new Error(
+          `Invalid snapshot (child states of [${path}] are not active)`
+        );
+      }
+    }
+
+    for (const path of Object.keys(history ?? {})) {
+      if (!this.#nodes.has(path)) {
+        throw new Error(`Invalid snapshot (unknown history state [${path}])`);
+      }
+    }
+  }
+
+  /**
+   * Get the initial state of the machine
+   *
+   * @returns {string}
+   */
+  #getInitial() {
+    return /** @type {string} */ (this.#nodes.get(ROOT)?.initial);
+  }
+
+  /**
+   * Set the active states and update the current state
+   *
+   * @param {string[]} active
+   */
+  #setActive(active) {
+    this.#active = this.#sortByOrder(active);
+    this.#current = getCurrentPath(this.#active, this.#nodes);
+  }
+
+  /**
+   * Sort state paths in document order
+   *
+   * @param {string[]} paths
+   *
+   * @returns {string[]}
+   */
+  #sortByOrder(paths) {
+    return [...paths].sort(
+      (a, b) =>
+        /** @type {StateNode} */ (this.#nodes.get(a)).order -
+        /** @type {StateNode} */ (this.#nodes.get(b)).order
+    );
+  }
+
+  /**
+   * Get the active atomic states
+   *
+   * @returns {string[]}
+   */
+  #getLeaves() {
+    return this.#active.filter(
+      (path) => this.#nodes.get(path)?.type === TYPE_ATOMIC
+    );
+  }
+
+  /**
+   * Resolve the target of a transition
+   *
+   * @param {string} source - State that defines the transition
+   * @param {string} target - Target as written in the configuration
+   *
+   * @returns {string} Path of the target state
+   *
+   * @throws {Error} If the target state does not exist
+   */
+  #resolveTarget(source, target) {
+    const path = resolveTarget(this.#nodes, source, target);
+
+    if (path === null) {
+      throw new Error(
+        `Unknown target state [${target}] of a transition in state [${source || ANY_STATE}]`
+      );
+    }
+
+    return path;
+  }
+
+  /**
+   * Check if a transition stays in the same state
+   *
+   * Transitions to the state that defines them or to an active atomic
+   * state do not exit or enter states.
+   *
+   * @param {string} source
+   * @param {string} target
+   *
+   * @returns {boolean}
+   */
+  #isSameState(source, target) {
+    return (
+      source === target ||
+      (this.#active.includes(target) &&
+        this.#nodes.get(target)?.type === TYPE_ATOMIC)
+    );
+  }
+
+  /**
+   * Get the state whose descendants are exited and entered by a
+   * transition
+   *
+   * Transitions to descendants of the source stay inside the source. All
+   * other transitions use the closest compound ancestor of both states.
+   *
+   * @param {string} source
+   * @param {string} target
+   *
+   * @returns {string}
+   */
+  #getTransitionDomain(source, target) {
+    let domain = isDescendant(target, source) ? source : getParentPath(source);
+
+    while (
+      domain !== ROOT &&
+      (!isDescendant(target, domain) ||
+        this.#nodes.get(domain)?.type === TYPE_PARALLEL)
+    ) {
+      domain = getParentPath(domain);
+    }
+
+    return domain;
+  }
+
+  /**
+   * Get the states that are entered by a transition, parents first
+   *
+   * @param {string} target - Path of the target state
+   * @param {string} domain - Transition domain, not entered
+   *
+   * @returns {string[]}
+   */
+  #getEntrySet(target, domain) {
+    /** @type {string[]} */
+    const entered = [];
+
+    const ancestors = getAncestors(target).filter((path) =>
+      isDescendant(path, domain)
+    );
+
+    for (const path of ancestors) {
+      entered.push(path);
+    }
+
+    this.#addDescendants(target, entered);
+
+    // Enter the other regions of parallel ancestors
+    for (const path of ancestors) {
+      const node = /** @type {StateNode} */ (this.#nodes.get(path));
+
+      if (node.type !== TYPE_PARALLEL) {
+        continue;
+      }
+
+      for (const region of node.children) {
+        if (
+          !entered.some((item) => item === region || isDescendant(item, region))
+        ) {
+          this.#addDescendants(region, entered);
+        }
+      }
+    }
+
+    return entered;
+  }
+
+  /**
+   * Add a state and its initial descendants to the entry set
+   *
+   * @param {string} path
+   * @param {string[]} entered
+   */
+  #addDescendants(path, entered) {
+    const node = /** @type {StateNode} */ (this.#nodes.get(path));
+
+    if (node.type === TYPE_HISTORY) {
+      this.#addHistory(node, entered);
+      return;
+    }
+
+    if (!entered.includes(path)) {
+      entered.push(path);
+    }
+
+    if (node.type === TYPE_COMPOUND && node.initial) {
+      this.#addDescendants(node.initial, entered);
+    } else if (node.type === TYPE_PARALLEL) {
+      for (const region of node.children) {
+        if (this.#nodes.get(region)?.type !== TYPE_HISTORY) {
+          this.#addDescendants(region, entered);
+        }
+      }
+    }
+  }
+
+  /**
+   * Add the states recorded by a history state to the entry set
+   *
+   * Without recorded states, the parent enters its initial states.
+   *
+   * @param {StateNode} node - History state
+   * @param {string[]} entered
+   */
+  #addHistory(node, entered) {
+    const parent = /** @type {string} */ (node.parent);
+    const recorded = this.#history.get(parent);
+
+    if (!recorded) {
+      const parentNode = /** @type {StateNode} */ (this.#nodes.get(parent));
+
+      if (parentNode.type === TYPE_COMPOUND && parentNode.initial) {
+        this.#addDescendants(parentNode.initial, entered);
+      } else {
+        for (const child of parentNode.children) {
+          if (this.#nodes.get(child)?.type !== TYPE_HISTORY) {
+            this.#addDescendants(child, entered);
+          }
+        }
+      }
+
+      return;
+    }
+
+    if (node.config[HISTORY_KEY] === HISTORY_DEEP) {
+      for (const leaf of recorded.deep) {
+        for (const path of [...getAncestors(leaf), leaf]) {
+          if (isDescendant(path, parent) && !entered.includes(path)) {
+            entered.push(path);
+          }
+        }
+      }
+    } else {
+      for (const child of recorded.shallow) {
+        this.#addDescendants(child, entered);
+      }
+    }
+  }
+
+  /**
+   * Record the active child states of exited states with history states
+   *
+   * @param {string[]} exited
+   */
+  #recordHistory(exited) {
+    for (const path of exited) {
+      const node = /** @type {StateNode} */ (this.#nodes.get(path));
+
+      const hasHistory = node.children.some(
+        (child) => this.#nodes.get(child)?.type === TYPE_HISTORY
+      );
+
+      if (!hasHistory) {
+        continue;
+      }
+
+      this.#history.set(path, {
+        shallow: this.#active.filter((item) => getParentPath(item) === path),
+        deep: this.#active.filter(
+          (item) =>
+            isDescendant(item, path) &&
+            this.#nodes.get(item)?.type === TYPE_ATOMIC
+        )
+      });
+    }
+  }
+}
+
+// > Internal functions
+
+/**
+ * @typedef {object} QueuedEvent
+ * @property {string} event - Event name
+ * @property {any[]} args - Arguments of the event
+ * @property {string|null} source - State of a delayed transition
+ * @property {number|null} delayMs - Delay of a delayed transition
+ */
+
+/**
+ * @typedef {object} TransitionSelection
+ * @property {{
+ *   source: string,
+ *   target: string|null,
+ *   action: TransitionAction|null
+ * }[]} transitions - Selected transitions and the states that define them
+ * @property {string|null} rejectedBy - See SendResult
+ */
+
+/**
+ * Get the current state path from the active states
+ *
+ * @param {string[]} active - Active states in document order
+ * @param {Map<string, StateNode>} nodes
+ *
+ * @returns {string} Paths of the active atomic states joined by commas
+ */
+function getCurrentPath(active, nodes) {
+  return active
+    .filter((path) => nodes.get(path)?.type === TYPE_ATOMIC)
+    .join(',');
 }
@@ -1,9 +1,9 @@
 // @vitest-environment jsdom
 
-import { describe, it, expect, vi } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 
 import FiniteStateMachine from './FiniteStateMachine.svelte.js';
-import { ENTER, EXIT } from './constants.js';
+import { ENTER, EXIT, UNHANDLED } from './constants.js';
 
 describe('FiniteStateMachine - Basic Tests', () => {
   it('should handle basic state transitions', () => {
@@ -150,11 +150,11 @@ describe('FiniteStateMachine - Advanced Tests', () => {
     expect(machine.current).toBe('idle');
 
     const result1 = machine.send('start');
-    expect(result1).toBe('loading');
+    expect(result1.to).toBe('loading');
     expect(machine.current).toBe('loading');
 
     const result2 = machine.send('complete');
-    expect(result2).toBe('loaded');
+    expect(result2.to).toBe('loaded');
     expect(machine.current).toBe('loaded');
   });
 
@@ -251,7 +251,8 @@ describe('FiniteStateMachine - onexit/onenter Callbacks', () => {
     });
 
     machine.onexit = (currentState) => callOrder.push(`onexit-${currentState}`);
-    machine.onenter = (currentState) => callOrder.push(`onenter-${currentState}`);
+    machine.onenter = (currentState) =>
+      callOrder.push(`onenter-${currentState}`);
 
     // Clear the initial state entry calls
     callOrder.length = 0;
@@ -326,7 +327,8 @@ describe('FiniteStateMachine - onexit/onenter Callbacks', () => {
       from: 'idle',
       to: 'running',
       event: 'start',
-      args: ['arg1', 'arg2']
+      args: ['arg1', 'arg2'],
+      context: {}
     });
   });
 });
@@ -418,123 +420,854 @@ describe('FiniteStateMachine - EventEmitter Integration', () => {
   });
 });
 
-describe('FiniteStateMachine - Transition Guards', () => {
-  it('should prevent re-entrant send() calls during transition', () => {
+describe('FiniteStateMachine - Guards and Context', () => {
+  /** @param {{ lives: number }} context */
+  const hasLives = (context) => context.lives > 0;
+
+  const createGame = (lives = 2) =>
+    new FiniteStateMachine(
+      'playing',
+      {
+        playing: {
+          hit: [
+            {
+              target: 'respawning',
+              guard: (context) => context.lives > 1,
+              action: (context) => ({ lives: context.lives - 1 })
+            },
+            { target: 'gameOver', action: () => ({ lives: 0 }) }
+          ],
+          score: {
+            action: (context, points) => ({ score: context.score + points })
+          }
+        },
+        respawning: {
+          respawn: { target: 'playing', guard: hasLives }
+        },
+        gameOver: {
+          respawn: { target: 'playing', guard: hasLives }
+        }
+      },
+      { context: { lives, score: 0 } }
+    );
+
+  it('should take the first candidate whose guard passes', () => {
+    const machine = createGame(2);
+
+    expect(machine.send('hit')).toEqual({
+      event: 'hit',
+      changed: true,
+      from: 'playing',
+      to: 'respawning',
+      rejectedBy: null,
+      queued: false
+    });
+    expect(machine.context.lives).toBe(1);
+
+    machine.send('respawn');
+    machine.send('hit');
+
+    expect(machine.current).toBe('gameOver');
+    expect(machine.context.lives).toBe(0);
+  });
+
+  it('should report the guard that rejected the event', () => {
+    const machine = createGame(1);
+
+    machine.send('hit');
+
+    expect(machine.send('respawn')).toEqual({
+      event: 'respawn',
+      changed: false,
+      from: 'gameOver',
+      to: 'gameOver',
+      rejectedBy: 'hasLives',
+      queued: false
+    });
+  });
+
+  it('should report unhandled events', () => {
+    const machine = createGame();
+
+    const result = machine.send('unknown');
+
+    expect(result.changed).toBe(false);
+    expect(result.rejectedBy).toBe(UNHANDLED);
+  });
+
+  it('should update the context immutably', () => {
+    const machine = createGame();
+    const initial = machine.context;
+
+    const result = machine.send('score', 10);
+
+    expect(result.changed).toBe(false);
+    expect(result.rejectedBy).toBe(null);
+    expect(machine.context).toEqual({ lives: 2, score: 10 });
+    expect(machine.context).not.toBe(initial);
+    expect(initial).toEqual({ lives: 2, score: 0 });
+    expect(Object.isFrozen(machine.context)).toBe(true);
+  });
+
+  it('should pass the updated context to lifecycle functions', () => {
+    const entered = vi.fn();
+
+    const machine = new FiniteStateMachine(
+      'idle',
+      {
+        idle: {
+          start: { target: 'running', action: (context, id) => ({ id }) }
+        },
+        running: { _enter: entered }
+      },
+      { context: { id: null } }
+    );
+
+    machine.send('start', 7);
+
+    expect(entered).toHaveBeenCalledWith(
+      expect.objectContaining({ to: 'running', context: { id: 7 } })
+    );
+  });
+
+  it('should fall through to wildcard transitions', () => {
+    const machine = new FiniteStateMachine(
+      'idle',
+      {
+        idle: {
+          reset: { target: 'ready', guard: (context) => context.ready }
+        },
+        ready: {},
+        '*': { reset: 'initial' },
+        initial: {}
+      },
+      { context: { ready: false } }
+    );
+
+    expect(machine.send('reset').to).toBe('initial');
+  });
+});
+
+describe('FiniteStateMachine - Event Queue', () => {
+  it('should queue events sent from onenter', () => {
     const machine = new FiniteStateMachine('idle', {
       idle: { start: 'loading' },
       loading: { complete: 'loaded' },
       loaded: {}
     });
 
-    // Set up onenter callback that tries to send another event
+    const results = [];
+
     machine.onenter = (state) => {
       if (state === 'loading') {
-        // This should throw an error
-        expect(() => {
-          machine.send('complete');
-        }).toThrow('Cannot send event \'complete\' while state machine is transitioning');
+        results.push(machine.send('complete'));
+
+        // Not processed yet
+        expect(machine.current).toBe('loading');
       }
     };
 
-    // This should not throw (the send inside onenter should be caught)
-    expect(() => {
-      machine.send('start');
-    }).not.toThrow();
+    const result = machine.send('start');
 
-    // Machine should be in 'loading' state (not 'loaded')
-    expect(machine.current).toBe('loading');
+    expect(result.to).toBe('loading');
+    expect(machine.current).toBe('loaded');
+    expect(results).toEqual([
+      {
+        event: 'complete',
+        changed: false,
+        from: 'loading',
+        to: 'loading',
+        rejectedBy: null,
+        queued: true
+      }
+    ]);
   });
 
-  it('should prevent re-entrant send() calls during _enter lifecycle', () => {
-    let enterCallbackRan = false;
+  it('should queue events sent from _enter and _exit', () => {
+    const calls = [];
 
     const machine = new FiniteStateMachine('idle', {
-      idle: { start: 'loading' },
+      idle: {
+        _exit: () => machine.send('log', 'exit-idle'),
+        start: 'loading'
+      },
       loading: {
-        _enter: () => {
-          enterCallbackRan = true;
-          // This should throw an error
-          expect(() => {
-            machine.send('complete');
-          }).toThrow('Cannot send event \'complete\' while state machine is transitioning');
-        },
+        _enter: () => machine.send('complete'),
+        log: { action: (context, message) => ({ message }) },
         complete: 'loaded'
       },
-      loaded: {}
+      loaded: {
+        _enter: () => calls.push('enter-loaded')
+      }
     });
 
     machine.send('start');
 
-    expect(enterCallbackRan).toBe(true);
-    expect(machine.current).toBe('loading'); // Should not have transitioned to 'loaded'
+    // Events are processed in the order in which they were sent
+    expect(machine.current).toBe('loaded');
+    expect(machine.context).toEqual({ message: 'exit-idle' });
+    expect(calls).toEqual(['enter-loaded']);
+  });
+
+  it('should throw if queued events keep triggering each other', () => {
+    const machine = new FiniteStateMachine(
+      'idle',
+      {
+        idle: { toggle: 'ping' },
+        ping: { _enter: () => machine.send('toggle'), toggle: 'pong' },
+        pong: { _enter: () => machine.send('toggle'), toggle: 'ping' }
+      },
+      { maxQueueDepth: 10 }
+    );
+
+    expect(() => machine.send('toggle')).toThrow(
+      'Maximum queue depth [10] exceeded'
+    );
+
+    // The queue is discarded after the error
+    expect(machine.send('unknown').queued).toBe(false);
   });
+});
 
-  it('should prevent re-entrant send() calls during onexit callback', () => {
-    let exitCallbackRan = false;
+describe('FiniteStateMachine - Delayed Transitions', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
 
+  it('should transition after a delay', () => {
     const machine = new FiniteStateMachine('idle', {
-      idle: { start: 'loading' },
-      loading: { complete: 'loaded' },
-      loaded: {}
+      idle: { load: 'loading' },
+      loading: { _after: { 1000: 'timeout' }, loaded: 'loaded' },
+      loaded: {},
+      timeout: {}
     });
 
-    machine.onexit = (state) => {
-      if (state === 'idle') {
-        exitCallbackRan = true;
-        // This should throw an error
-        expect(() => {
-          machine.send('complete');
-        }).toThrow('Cannot send event \'complete\' while state machine is transitioning');
-      }
-    };
+    const events = [];
 
-    machine.send('start');
+    machine.on(ENTER, ({ transition }) => events.push(transition.event));
+
+    machine.send('load');
+    vi.advanceTimersByTime(999);
+
+    expect(machine.current).toBe('loading');
+
+    vi.advanceTimersByTime(1);
+
+    expect(machine.current).toBe('timeout');
+    expect(events).toEqual(['load', 'after(1000)']);
+  });
+
+  it('should cancel delayed transitions when the state is exited', () => {
+    const machine = new FiniteStateMachine('loading', {
+      loading: { _after: { 1000: 'timeout' }, loaded: 'loaded' },
+      loaded: { load: 'loading' },
+      timeout: {}
+    });
+
+    vi.advanceTimersByTime(500);
+
+    machine.send('loaded');
+    vi.advanceTimersByTime(1000);
+
+    expect(machine.current).toBe('loaded');
+
+    // Entering the state again starts a new timer
+    machine.send('load');
+    vi.advanceTimersByTime(999);
+
+    expect(machine.current).toBe('loading');
+
+    vi.advanceTimersByTime(1);
+
+    expect(machine.current).toBe('timeout');
+  });
+
+  it('should support guards, actions and nested states', () => {
+    const machine = new FiniteStateMachine(
+      'playing',
+      {
+        playing: {
+          _states: {
+            countdown: {
+              _after: {
+                100: [
+                  {
+                    target: 'countdown',
+                    guard: (context) => context.count > 1,
+                    action: (context) => ({ count: context.count - 1 })
+                  },
+                  { target: 'done', action: () => ({ count: 0 }) }
+                ]
+              }
+            },
+            done: {}
+          },
+          _after: { 1000: 'expired' }
+        },
+        expired: {}
+      },
+      { context: { count: 3 } }
+    );
+
+    vi.advanceTimersByTime(100);
+
+    expect(machine.context.count).toBe(2);
+
+    // Same-state transitions do not restart the timer
+    vi.advanceTimersByTime(300);
+
+    expect(machine.current).toBe('playing.countdown');
+
+    vi.advanceTimersByTime(600);
 
-    expect(exitCallbackRan).toBe(true);
-    expect(machine.current).toBe('loading'); // Should be in target state
+    expect(machine.current).toBe('expired');
   });
 
-  it('should allow send() calls after transition is complete', () => {
+  it('should stop delayed transitions on destroy()', () => {
+    const machine = new FiniteStateMachine('loading', {
+      loading: { _after: { 1000: 'timeout' } },
+      timeout: {}
+    });
+
+    machine.destroy();
+    vi.advanceTimersByTime(1000);
+
+    expect(machine.current).toBe('loading');
+  });
+
+  it('should throw on unknown targets when the machine is created', () => {
+    expect(
+      () =>
+        new FiniteStateMachine('loading', {
+          loading: { _after: { 1000: 'timeuot' } },
+          timeout: {}
+        })
+    ).toThrow(
+      'Unknown target state [timeuot] of a transition in state [loading]'
+    );
+
+    expect(
+      () =>
+        new FiniteStateMachine('idle', {
+          idle: { start: [{ target: 'runing', guard: () => true }] },
+          running: {}
+        })
+    ).toThrow('Unknown target state [runing] of a transition in state [idle]');
+  });
+
+  it('should report errors of delayed transitions', () => {
+    const consoleError = vi
+      .spyOn(console, 'error')
+      .mockImplementation(() => {});
+
+    const machine = new FiniteStateMachine('loading', {
+      loading: { _after: { 1000: () => 'unknown' } },
+      timeout: {}
+    });
+
+    expect(() => vi.advanceTimersByTime(1000)).not.toThrow();
+    expect(machine.current).toBe('loading');
+    expect(consoleError).toHaveBeenCalledWith(
+      'Delayed transition [after(1000)] of state [loading] failed',
+      expect.any(Error)
+    );
+
+    consoleError.mockRestore();
+  });
+
+  it('should send debounced events after a period without calls', async () => {
     const machine = new FiniteStateMachine('idle', {
-      idle: { start: 'loading' },
-      loading: { complete: 'loaded' },
-      loaded: {}
+      idle: { search: 'searching' },
+      searching: {}
     });
 
-    machine.onenter = (state) => {
-      if (state === 'loading') {
-        // Schedule send for after current transition completes
-        setTimeout(() => {
-          expect(() => {
-            machine.send('complete');
-          }).not.toThrow();
-          expect(machine.current).toBe('loaded');
-        }, 0);
+    machine.debounce(500, 'search', 'a');
+    vi.advanceTimersByTime(300);
+
+    const promise = machine.debounce(500, 'search', 'ab');
+    vi.advanceTimersByTime(499);
+
+    expect(machine.current).toBe('idle');
+
+    vi.advanceTimersByTime(1);
+
+    const result = await promise;
+
+    expect(result.to).toBe('searching');
+    expect(machine.current).toBe('searching');
+  });
+
+  it('should cancel debounced events on destroy()', () => {
+    const machine = new FiniteStateMachine('idle', {
+      idle: { search: 'searching' },
+      searching: {}
+    });
+
+    machine.debounce(500, 'search');
+    machine.destroy();
+    vi.advanceTimersByTime(500);
+
+    expect(machine.current).toBe('idle');
+  });
+});
+describe('FiniteStateMachine - Hierarchical States', () => {
+  /**
+   * @param {string[]} log
+   * @param {string} name
+   */
+  const logged = (log, name) => ({
+    _enter: () => log.push(`enter-${name}`),
+    _exit: () => log.push(`exit-${name}`)
+  });
+
+  const createGame = (log = []) =>
+    new FiniteStateMachine('title', {
+      title: { ...logged(log, 'title'), start: 'playing' },
+      playing: {
+        ...logged(log, 'playing'),
+        _initial: 'running',
+        _states: {
+          running: { ...logged(log, 'running'), pause: 'paused' },
+          paused: {
+            ...logged(log, 'paused'),
+            _initial: 'overlay',
+            _states: {
+              overlay: { ...logged(log, 'overlay'), open: 'menu' },
+              menu: { ...logged(log, 'menu'), close: 'overlay' }
+            },
+            resume: 'running'
+          }
+        },
+        quit: 'title'
       }
-    };
+    });
+
+  it('should enter initial child states', () => {
+    const log = [];
+    const machine = createGame(log);
+
+    log.length = 0;
+
+    const result = machine.send('start');
+
+    expect(result.to).toBe('playing.running');
+    expect(log).toEqual(['exit-title', 'enter-playing', 'enter-running']);
+  });
+
+  it('should expose a dotted path and matches()', () => {
+    const machine = createGame();
 
     machine.send('start');
-    expect(machine.current).toBe('loading');
+    machine.send('pause');
+    machine.send('open');
+
+    expect(machine.current).toBe('playing.paused.menu');
+    expect(machine.matches('playing')).toBe(true);
+    expect(machine.matches('playing.paused')).toBe(true);
+    expect(machine.matches('playing.running')).toBe(false);
+    expect(machine.activeStates).toEqual([
+      'playing',
+      'playing.paused',
+      'playing.paused.menu'
+    ]);
   });
 
-  it('should provide helpful error message with suggestions', () => {
-    const machine = new FiniteStateMachine('idle', {
-      idle: { start: 'loading' },
-      loading: { complete: 'loaded' },
-      loaded: {}
+  it('should bubble events to parent states', () => {
+    const log = [];
+    const machine = createGame(log);
+
+    machine.send('start');
+    machine.send('pause');
+    machine.send('open');
+
+    log.length = 0;
+
+    const result = machine.send('quit');
+
+    expect(result).toEqual({
+      event: 'quit',
+      changed: true,
+      from: 'playing.paused.menu',
+      to: 'title',
+      rejectedBy: null,
+      queued: false
     });
+    expect(log).toEqual([
+      'exit-menu',
+      'exit-paused',
+      'exit-playing',
+      'enter-title'
+    ]);
+  });
 
-    machine.onenter = (state) => {
-      if (state === 'loading') {
-        try {
-          machine.send('complete');
-        } catch (error) {
-          expect(error.message).toContain('Cannot send event \'complete\'');
-          expect(error.message).toContain('while state machine is transitioning');
-        }
+  it('should only exit and enter states below the common parent', () => {
+    const log = [];
+    const machine = createGame(log);
+
+    machine.send('start');
+    machine.send('pause');
+
+    log.length = 0;
+
+    machine.send('resume');
+
+    expect(machine.current).toBe('playing.running');
+    expect(log).toEqual(['exit-overlay', 'exit-paused', 'enter-running']);
+  });
+
+  it('should call onexit and onenter for every level', () => {
+    const machine = createGame();
+    const calls = [];
+
+    machine.onexit = (state) => calls.push(`onexit-${state}`);
+    machine.onenter = (state) => calls.push(`onenter-${state}`);
+
+    machine.send('start');
+
+    expect(calls).toEqual([
+      'onexit-title',
+      'onenter-playing',
+      'onenter-playing.running'
+    ]);
+  });
+
+  it('should restore deep history', () => {
+    const machine = new FiniteStateMachine('game', {
+      game: {
+        _states: {
+          level: {
+            _states: {
+              running: { pause: 'paused' },
+              paused: {
+                _states: { overlay: { open: 'menu' }, menu: {} }
+              }
+            }
+          },
+          history: { _type: 'history', _history: 'deep' }
+        },
+        settings: 'settings'
+      },
+      settings: { back: 'game.history' }
+    });
+
+    expect(machine.current).toBe('game.level.running');
+
+    machine.send('pause');
+    machine.send('open');
+    machine.send('settings');
+
+    expect(machine.current).toBe('settings');
+
+    machine.send('back');
+
+    expect(machine.current).toBe('game.level.paused.menu');
+  });
+
+  it('should restore shallow history', () => {
+    const machine = new FiniteStateMachine('game', {
+      game: {
+        _states: {
+          running: { pause: 'paused' },
+          paused: {
+            _states: { overlay: { open: 'menu' }, menu: {} }
+          },
+          history: { _type: 'history' }
+        },
+        settings: 'settings'
+      },
+      settings: { back: 'game.history' }
+    });
+
+    // Without history the initial state is entered
+    machine.send('settings');
+    machine.send('back');
+
+    expect(machine.current).toBe('game.running');
+
+    machine.send('pause');
+    machine.send('open');
+    machine.send('settings');
+    machine.send('back');
+
+    expect(machine.current).toBe('game.paused.overlay');
+  });
+});
+
+describe('FiniteStateMachine - Parallel States', () => {
+  const createGame = () =>
+    new FiniteStateMachine('game', {
+      game: {
+        _type: 'parallel',
+        _states: {
+          audio: {
+            _states: {
+              on: { mute: 'muted', pause: 'muted' },
+              muted: { unmute: 'on' }
+            }
+          },
+          gameplay: {
+            _states: {
+              running: { pause: 'paused' },
+              paused: { resume: 'running' }
+            }
+          }
+        },
+        quit: 'title'
+      },
+      title: { start: 'game' }
+    });
+
+  it('should enter all regions', () => {
+    const machine = createGame();
+
+    expect(machine.current).toBe('game.audio.on,game.gameplay.running');
+    expect(machine.matches('game.audio.on')).toBe(true);
+    expect(machine.matches('game.gameplay.running')).toBe(true);
+  });
+
+  it('should handle events in each region', () => {
+    const machine = createGame();
+
+    machine.send('mute');
+
+    expect(machine.current).toBe('game.audio.muted,game.gameplay.running');
+
+    machine.send('unmute');
+
+    const result = machine.send('pause');
+
+    expect(result.to).toBe('game.audio.muted,game.gameplay.paused');
+  });
+
+  it('should exit and enter all regions', () => {
+    const machine = createGame();
+    const exited = [];
+
+    machine.on(EXIT, ({ state }) => exited.push(state));
+
+    machine.send('quit');
+
+    expect(exited).toEqual([
+      'game.gameplay.running',
+      'game.gameplay',
+      'game.audio.on',
+      'game.audio',
+      'game'
+    ]);
+
+    machine.send('start');
+
+    expect(machine.current).toBe('game.audio.on,game.gameplay.running');
+  });
+
+  it('should let a state in another region handle an event first', () => {
+    const machine = new FiniteStateMachine('game', {
+      game: {
+        _type: 'parallel',
+        _states: {
+          audio: {
+            _states: { on: {} }
+          },
+          gameplay: {
+            _states: {
+              running: { quit: 'confirm' },
+              confirm: {}
+            }
+          }
+        },
+        quit: 'title'
+      },
+      title: {}
+    });
+
+    const result = machine.send('quit');
+
+    expect(result.to).toBe('game.audio.on,game.gameplay.confirm');
+    expect(machine.current).toBe('game.audio.on,game.gameplay.confirm');
+  });
+});
+
+describe('FiniteStateMachine - Snapshots', () => {
+  const states = {
+    title: { start: 'game' },
+    game: {
+      _states: {
+        level: {
+          _states: {
+            running: { pause: 'paused' },
+            paused: { resume: 'running' }
+          }
+        },
+        hist: { _type: 'history', _history: 'deep' }
+      },
+      menu: 'menu',
+      score: {
+        action: (context, points) => ({ score: context.score + points })
       }
-    };
+    },
+    menu: { back: 'game.hist' }
+  };
+
+  it('should restore the state, context and history', () => {
+    const machine = new FiniteStateMachine('title', states, {
+      context: { score: 0 }
+    });
+
+    machine.send('start');
+    machine.send('pause');
+    machine.send('score', 10);
+    machine.send('menu');
+
+    const snapshot = JSON.parse(JSON.stringify(machine.getSnapshot()));
+
+    expect(snapshot).toEqual({
+      version: 1,
+      active: ['menu'],
+      context: { score: 10 },
+      history: {
+        game: { shallow: ['game.level'], deep: ['game.level.paused'] }
+      }
+    });
+
+    const restored = new FiniteStateMachine('title', states, {
+      context: { score: 0 }
+    });
+
+    const entered = [];
+
+    restored.on(ENTER, ({ state }) => entered.push(state));
+    restored.restore(snapshot);
+
+    expect(entered).toEqual([]);
+    expect(restored.current).toBe('menu');
+    expect(restored.context).toEqual({ score: 10 });
+    expect(Object.isFrozen(restored.context)).toBe(true);
+
+    restored.send('back');
+
+    expect(restored.current).toBe('game.level.paused');
+  });
+
+  it('should migrate snapshots of older versions', () => {
+    const migrate = vi.fn((snapshot) => ({
+      version: 2,
+      active: ['game', 'game.level', 'game.level.running'],
+      context: { score: snapshot.points },
+      history: {}
+    }));
+
+    const machine = new FiniteStateMachine('title', states, {
+      context: { score: 0 },
+      snapshotVersion: 2,
+      migrate
+    });
+
+    machine.restore({ version: 1, state: 'game', points: 5 });
+
+    expect(migrate).toHaveBeenCalledWith(
+      { version: 1, state: 'game', points: 5 },
+      1
+    );
+    expect(machine.current).toBe('game.level.running');
+    expect(machine.getSnapshot().version).toBe(2);
+    expect(machine.context).toEqual({ score: 5 });
+  });
+
+  it('should reject invalid snapshots', () => {
+    const machine = new FiniteStateMachine('title', states);
+
+    expect(() => machine.restore(null)).toThrow('missing version');
+
+    expect(() =>
+      machine.restore({ version: 2, active: ['title'], context: {} })
+    ).toThrow('Unsupported snapshot version [2]');
+
+    expect(() =>
+      machine.restore({ version: 1, active: ['lobby'], context: {} })
+    ).toThrow('unknown state [lobby]');
+
+    expect(() =>
+      machine.restore({ version: 1, active: ['game.level'], context: {} })
+    ).toThrow('parent of [game.level] is not active');
+
+    expect(() =>
+      machine.restore({ version: 1, active: ['game'], context: {} })
+    ).toThrow('child states of [game] are not active');
+
+    expect(() =>
+      machine.restore({ version: 1, active: ['menu'], context: [] })
+    ).toThrow('[context] is not an object');
+
+    expect(() =>
+      machine.restore({
+        version: 1,
+        active: ['title'],
+        context: {},
+        history: 'game'
+      })
+    ).toThrow('[history] is not an object');
+
+    expect(machine.current).toBe('title');
+    expect(machine.context).toEqual({});
+  });
+
+  it('should restart delayed transitions of restored states', () => {
+    vi.useFakeTimers();
+
+    try {
+      const machine = new FiniteStateMachine('idle', {
+        idle: { start: 'loading' },
+        loading: { _after: { 100: 'timeout' } },
+        timeout: {}
+      });
+
+      machine.restore({ version: 1, active: ['loading'], context: {} });
+
+      vi.advanceTimersByTime(100);
+
+      expect(machine.current).toBe('timeout');
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+});
+
+describe('FiniteStateMachine - Inspection', () => {
+  it('should export diagrams with the active states', () => {
+    const machine = new FiniteStateMachine('idle', {
+      idle: { start: 'running' },
+      running: { stop: 'idle' }
+    });
 
     machine.send('start');
+
+    expect(machine.toMermaid()).toContain('  class running active');
+    expect(machine.toDot({ name: 'runner' })).toContain(
+      '"running" [label="running", style="rounded,filled"'
+    );
+  });
+
+  it('should list the events of the active states', () => {
+    const machine = new FiniteStateMachine('game', {
+      game: {
+        _states: {
+          running: { pause: 'paused', _enter: () => {} },
+          paused: { resume: 'running' }
+        },
+        quit: 'title'
+      },
+      title: { start: 'game' },
+      '*': { reset: 'title' }
+    });
+
+    expect(machine.getAvailableEvents()).toEqual(['pause', 'quit', 'reset']);
+
+    machine.send('quit');
+
+    expect(machine.getAvailableEvents()).toEqual(['start', 'reset']);
   });
 });
@@ -13,3 +13,77 @@ export const ENTER = '_enter';
  * @type {string}
  */
 export const EXIT = '_exit';
+
+/**
+ * Wildcard state, its transitions are available in every state
+ * @type {string}
+ */
+export const ANY_STATE = '*';
+
+/**
+ * Value of `rejectedBy` in a send result if the current state has no
+ * transition for the event
+ * @type {string}
+ */
+export const UNHANDLED = 'unhandled';
+
+/**
+ * Default maximum number of queued events that are processed after a
+ * transition, protects against events that keep sending each other
+ * @type {number}
+ */
+export const DEFAULT_MAX_QUEUE_DEPTH = 100;
+
+// > State configuration keys
+
+/**
+ * Key of the child states of a compound or parallel state
+ * @type {string}
+ */
+export const STATES_KEY = '_states';
+
+/**
+ * Key of the initial child state of a compound state
+ * @type {string}
+ */
+export const INITIAL_KEY = '_initial';
+
+/**
+ * Key of the type of a state (`parallel` or `history`)
+ * @type {string}
+ */
+export const TYPE_KEY = '_type';
+
+/**
+ * Key of the history mode of a history state (`shallow` or `deep`)
+ * @type {string}
+ */
+export const HISTORY_KEY = '_history';
+
+/**
+ * Key of the delayed transitions of a state, by delay in milliseconds
+ * @type {string}
+ */
+export const AFTER_KEY = '_after';
+
+// > State types
+
+/** @type {'atomic'} */
+export const TYPE_ATOMIC = 'atomic';
+
+/** @type {'compound'} */
+export const TYPE_COMPOUND = 'compound';
+
+/** @type {'parallel'} */
+export const TYPE_PARALLEL = 'parallel';
+
+/** @type {'history'} */
+export const TYPE_HISTORY = 'history';
+
+// > History modes
+
+/** @type {'shallow'} */
+export const HISTORY_SHALLOW = 'shallow';
+
+/** @type {'deep'} */
+export const HISTORY_DEEP = 'deep';
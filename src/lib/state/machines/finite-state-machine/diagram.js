@@ -0,0 +1,483 @@
+/**
+ * @fileoverview Export of state machine definitions as Mermaid
+ * `stateDiagram-v2` and Graphviz DOT diagrams
+ *
+ * Transitions to fixed targets are drawn with the event as label and the
+ * name of the guard in brackets. Transitions of the `*` state are drawn
+ * from every top level state. Function transitions and transitions
+ * without target are not drawn, their target is only known at runtime.
+ *
+ * @example
+ * const mermaid = toMermaid('idle', states, { active: machine.activeStates });
+ *
+ * // Or use the machine methods
+ * const dot = machine.toDot({ name: 'game' });
+ */
+
+import {
+  AFTER_KEY,
+  HISTORY_KEY,
+  HISTORY_DEEP,
+  TYPE_ATOMIC,
+  TYPE_COMPOUND,
+  TYPE_PARALLEL,
+  TYPE_HISTORY
+} from './constants.js';
+
+import {
+  ROOT,
+  buildStateTree,
+  getParentPath,
+  isDescendant,
+  resolveTarget,
+  toCandidates
+} from './state-tree.js';
+
+/** @typedef {import('./typedef.js').StatesConfig} StatesConfig */
+/** @typedef {import('./typedef.js').StateNode} StateNode */
+/** @typedef {import('./typedef.js').DiagramOptions} DiagramOptions */
+
+/**
+ * Fill color of active states
+ */
+const ACTIVE_FILL = '#fde68a';
+
+/**
+ * Border color of active states
+ */
+const ACTIVE_STROKE = '#d97706';
+
+/**
+ * Export a state machine definition as Mermaid `stateDiagram-v2`
+ *
+ * Active atomic states are highlighted with the class `active`.
+ *
+ * @param {string} initial - Initial state
+ * @param {StatesConfig} states - States configuration
+ * @param {DiagramOptions} [options]
+ *
+ * @returns {string} Mermaid diagram source
+ *
+ * @example
+ * toMermaid('idle', {
+ *   idle: { start: 'running' },
+ *   running: { stop: 'idle' }
+ * });
+ * // Returns:
+ * // stateDiagram-v2
+ * //   [*] --> idle
+ * //   state "idle" as idle
+ * //   state "running" as running
+ * //   idle --> running : start
+ * //   running --> idle : stop
+ */
+export function toMermaid(initial, states, { active = [] } = {}) {
+  const nodes = buildStateTree(states, initial);
+  const edges = getEdges(nodes);
+
+  const lines = ['stateDiagram-v2'];
+
+  /**
+   * @param {StateNode} node
+   * @param {number} depth
+   */
+  const addChildren = (node, depth) => {
+    const indent = '  '.repeat(depth);
+
+    if (node.type !== TYPE_PARALLEL && node.initial) {
+      lines.push(`${indent}[*] --> ${toMermaidId(node.initial)}`);
+    }
+
+    node.children.forEach((path, index) => {
+      const child = getNode(nodes, path);
+      const id = toMermaidId(path);
+
+      if (node.type === TYPE_PARALLEL && index > 0) {
+        lines.push(`${indent}--`);
+      }
+
+      const label =
+        child.type === TYPE_HISTORY ? getHistoryLabel(child) : getName(path);
+
+      lines.push(`${indent}state "${escapeMermaid(label)}" as ${id}`);
+
+      if (child.type === TYPE_COMPOUND || child.type === TYPE_PARALLEL) {
+        lines.push(`${indent}state ${id} {`);
+        addChildren(child, depth + 1);
+        lines.push(`${indent}}`);
+      }
+    });
+
+    for (const edge of edges) {
+      if (edge.scope === node.path) {
+        lines.push(
+          `${indent}${toMermaidId(edge.from)} --> ${toMermaidId(edge.to)}` +
+            ` : ${escapeMermaid(edge.label)}`
+        );
+      }
+    }
+  };
+
+  addChildren(getNode(nodes, ROOT), 1);
+
+  const highlighted = active.filter(
+    (path) => nodes.get(path)?.type === TYPE_ATOMIC
+  );
+
+  if (highlighted.length) {
+    lines.push(
+      `  classDef active fill:${ACTIVE_FILL},stroke:${ACTIVE_STROKE},stroke-width:2px`,
+      `  class ${highlighted.map(toMermaidId).join(',')} active`
+    );
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Export a state machine definition as Graphviz DOT
+ *
+ * Compound and parallel states are drawn as clusters, active states are
+ * highlighted.
+ *
+ * @param {string} initial - Initial state
+ * @param {StatesConfig} states - States configuration
+ * @param {DiagramOptions} [options]
+ *
+ * @returns {string} DOT graph source
+ *
+ * @example
+ * const dot = toDot('idle', states, { name: 'loader' });
+ * // digraph "loader" { ... }
+ */
+export function toDot(initial, states, { active = [], name = 'machine' } = {}) {
+  const nodes = buildStateTree(states, initial);
+
+  const lines = [
+    `digraph ${quoteDot(name)} {`,
+    '  compound=true;',
+    '  node [shape=box, style=rounded];'
+  ];
+
+  /**
+   * Add the initial pseudo state of a compound state
+   *
+   * @param {StateNode} node
+   * @param {string} indent
+   */
+  const addInitial = (node, indent) => {
+    if (node.type !== TYPE_COMPOUND || !node.initial) {
+      return;
+    }
+
+    const id = quoteDot(`${node.path}:initial`);
+
+    lines.push(
+      `${indent}${id} [shape=point];`,
+      `${indent}${id} -> ${quoteDot(getEntryLeaf(nodes, node.initial))}` +
+        `${formatDotAttributes(getClusterAttributes(nodes, null, node.initial))};`
+    );
+  };
+
+  /**
+   * @param {StateNode} node
+   * @param {number} depth
+   */
+  const addChildren = (node, depth) => {
+    const indent = '  '.repeat(depth);
+
+    for (const path of node.children) {
+      const child = getNode(nodes, path);
+      const isActive = active.includes(path);
+
+      if (child.type === TYPE_HISTORY) {
+        lines.push(
+          `${indent}${quoteDot(path)} [shape=circle, label=${quoteDot(getHistoryLabel(child))}];`
+        );
+      } else if (child.type === TYPE_ATOMIC) {
+        lines.push(
+          `${indent}${quoteDot(path)} [label=${quoteDot(getName(path))}` +
+            (isActive
+              ? `, style="rounded,filled", fillcolor="${ACTIVE_FILL}", color="${ACTIVE_STROKE}"`
+              : '') +
+            '];'
+        );
+      } else {
+        lines.push(
+          `${indent}subgraph ${quoteDot(`cluster_${path}`)} {`,
+          `${indent}  label=${quoteDot(getName(path))};`,
+          `${indent}  style="${child.type === TYPE_PARALLEL ? 'rounded,dashed' : 'rounded'}";`
+        );
+
+        if (isActive) {
+          lines.push(
+            `${indent}  color="${ACTIVE_STROKE}";`,
+            `${indent}  penwidth=2;`
+          );
+        }
+
+        addInitial(child, `${indent}  `);
+        addChildren(child, depth + 1);
+
+        lines.push(`${indent}}`);
+      }
+    }
+  };
+
+  addInitial(getNode(nodes, ROOT), '  ');
+  addChildren(getNode(nodes, ROOT), 1);
+
+  for (const edge of getEdges(nodes)) {
+    lines.push(
+      `  ${quoteDot(getEntryLeaf(nodes, edge.from))} -> ` +
+        `${quoteDot(getEntryLeaf(nodes, edge.to))}` +
+        formatDotAttributes({
+          label: edge.label,
+          ...getClusterAttributes(nodes, edge.from, edge.to)
+        }) +
+        ';'
+    );
+  }
+
+  lines.push('}');
+
+  return lines.join('\n');
+}
+
+// > Internal functions
+
+/**
+ * @typedef {object} DiagramEdge
+ * @property {string} from - Path of the source state
+ * @property {string} to - Path of the target state
+ * @property {string} label - Event and guard
+ * @property {string} scope - State that contains both states
+ */
+
+/**
+ * Get the transitions with fixed targets of all states
+ *
+ * @param {Map<string, StateNode>} nodes
+ *
+ * @returns {DiagramEdge[]}
+ */
+function getEdges(nodes) {
+  /** @type {DiagramEdge[]} */
+  const edges = [];
+
+  const topLevel = getNode(nodes, ROOT).children.filter(
+    (path) => getNode(nodes, path).type !== TYPE_HISTORY
+  );
+
+  for (const node of nodes.values()) {
+    /** @type {[string, any][]} */
+    const events = [];
+
+    for (const [key, config] of Object.entries(node.config)) {
+      if (key === AFTER_KEY) {
+        for (const [delayMs, delayed] of Object.entries(config ?? {})) {
+          events.push([`after(${delayMs})`, delayed]);
+        }
+      } else if (!key.startsWith('_')) {
+        events.push([key, config]);
+      }
+    }
+
+    const sources = node.path === ROOT ? topLevel : [node.path];
+
+    for (const [event, config] of events) {
+      for (const candidate of toCandidates(config)) {
+        if (candidate instanceof Function) {
+          continue;
+        }
+
+        const target =
+          typeof candidate === 'string' ? candidate : candidate.target;
+
+        const to = target ? resolveTarget(nodes, node.path, target) : null;
+
+        if (to === null) {
+          continue;
+        }
+
+        const guard = typeof candidate === 'object' ? candidate.guard : null;
+
+        const label = guard ? `${event} [${guard.name || 'guard'}]` : event;
+
+        for (const from of sources) {
+          edges.push({ from, to, label, scope: getEdgeScope(nodes, from, to) });
+        }
+      }
+    }
+  }
+
+  return edges;
+}
+
+/**
+ * Get the closest compound state that contains both states of a
+ * transition
+ *
+ * @param {Map<string, StateNode>} nodes
+ * @param {string} from
+ * @param {string} to
+ *
+ * @returns {string}
+ */
+function getEdgeScope(nodes, from, to) {
+  let scope = getParentPath(from);
+
+  while (
+    scope !== ROOT &&
+    (!isDescendant(to, scope) || getNode(nodes, scope).type === TYPE_PARALLEL)
+  ) {
+    scope = getParentPath(scope);
+  }
+
+  return scope;
+}
+
+/**
+ * Get the state that represents a state in DOT, clusters are not nodes
+ *
+ * @param {Map<string, StateNode>} nodes
+ * @param {string} path
+ *
+ * @returns {string} Path of the first atomic or history state that is
+ *   entered
+ */
+function getEntryLeaf(nodes, path) {
+  const node = getNode(nodes, path);
+
+  if (node.type === TYPE_COMPOUND && node.initial) {
+    return getEntryLeaf(nodes, node.initial);
+  }
+
+  if (node.type === TYPE_PARALLEL) {
+    const region = node.children.find(
+      (child) => getNode(nodes, child).type !== TYPE_HISTORY
+    );
+
+    if (region) {
+      return getEntryLeaf(nodes, region);
+    }
+  }
+
+  return path;
+}
+
+/**
+ * Get the `ltail` and `lhead` attributes of an edge between clusters
+ *
+ * @param {Map<string, StateNode>} nodes
+ * @param {string|null} from
+ * @param {string} to
+ *
+ * @returns {Object<string, string>}
+ */
+function getClusterAttributes(nodes, from, to) {
+  /** @type {Object<string, string>} */
+  const attributes = {};
+
+  if (from !== null && isCluster(nodes, from)) {
+    attributes.ltail = `cluster_${from}`;
+  }
+
+  if (isCluster(nodes, to)) {
+    attributes.lhead = `cluster_${to}`;
+  }
+
+  return attributes;
+}
+
+/**
+ * @param {Map<string, StateNode>} nodes
+ * @param {string} path
+ *
+ * @returns {boolean} True if the state is drawn as a cluster
+ */
+function isCluster(nodes, path) {
+  const type = getNode(nodes, path).type;
+
+  return type === TYPE_COMPOUND || type === TYPE_PARALLEL;
+}
+
+/**
+ * @param {Map<string, StateNode>} nodes
+ * @param {string} path
+ *
+ * @returns {StateNode}
+ */
+function getNode(nodes, path) {
+  return /** @type {StateNode} */ (nodes.get(path));
+}
+
+/**
+ * Get the name of a state without its parents
+ *
+ * @param {string} path
+ *
+ * @returns {string}
+ */
+function getName(path) {
+  return path.slice(path.lastIndexOf('.') + 1);
+}
+
+/**
+ * @param {StateNode} node - History state
+ *
+ * @returns {string} `H` or `H*` for deep history
+ */
+function getHistoryLabel(node) {
+  return node.config[HISTORY_KEY] === HISTORY_DEEP ? 'H*' : 'H';
+}
+
+/**
+ * Convert a state path to a Mermaid state id
+ *
+ * @param {string} path
+ *
+ * @returns {string}
+ */
+function toMermaidId(path) {
+  return path.replaceAll('.', '__').replace(/[^\w]/g, '_');
+}
+
+/**
+ * Remove characters that end a Mermaid label or statement
+ *
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function escapeMermaid(text) {
+  return text.replace(/["\n;]/g, ' ');
+}
+
+/**
+ * Quote a DOT id
+ *
+ * @param {string} text
+ *
+ * @returns {string}
+ */
+function quoteDot(text) {
+  return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Format DOT attributes
+ *
+ * @param {Object<string, string>} attributes
+ *
+ * @returns {string} Attribute list, empty without attributes
+ */
+function formatDotAttributes(attributes) {
+  const entries = Object.entries(attributes);
+
+  if (!entries.length) {
+    return '';
+  }
+
+  return ` [${entries.map(([key, value]) => `${key}=${quoteDot(value)}`).join(', ')}]`;
+}
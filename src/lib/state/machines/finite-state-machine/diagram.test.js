@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+
+import { toMermaid, toDot } from './diagram.js';
+
+const states = {
+  title: { start: 'game' },
+  game: {
+    _type: 'parallel',
+    _states: {
+      audio: {
+        _states: {
+          on: { mute: 'muted' },
+          muted: { unmute: 'on' }
+        }
+      },
+      gameplay: {
+        _initial: 'running',
+        _states: {
+          running: {
+            pause: 'paused',
+            finish: {
+              target: 'title',
+              guard: function hasWon() {
+                return true;
+              }
+            }
+          },
+          paused: { resume: 'running', _after: { 5000: 'title' } },
+          hist: { _type: 'history' }
+        }
+      }
+    }
+  },
+  '*': { reset: 'title', log: () => {} }
+};
+
+describe('toMermaid', () => {
+  it('should export states, initial states and transitions', () => {
+    const mermaid = toMermaid('idle', {
+      idle: { start: 'running' },
+      running: { stop: 'idle' }
+    });
+
+    expect(mermaid).toBe(
+      [
+        'stateDiagram-v2',
+        '  [*] --> idle',
+        '  state "idle" as idle',
+        '  state "running" as running',
+        '  idle --> running : start',
+        '  running --> idle : stop'
+      ].join('\n')
+    );
+  });
+
+  it('should export nested, parallel and history states', () => {
+    const mermaid = toMermaid('title', states);
+
+    expect(mermaid).toContain(
+      '  state game {\n    state "audio" as game__audio'
+    );
+    expect(mermaid).toContain('    }\n    --\n    state "gameplay"');
+    expect(mermaid).toContain('      [*] --> game__gameplay__running');
+    expect(mermaid).toContain('      state "H" as game__gameplay__hist');
+    expect(mermaid).toContain(
+      '      game__gameplay__running --> game__gameplay__paused : pause'
+    );
+  });
+
+  it('should label guards, delayed and wildcard transitions', () => {
+    const mermaid = toMermaid('title', states);
+
+    expect(mermaid).toContain(
+      '  game__gameplay__running --> title : finish [hasWon]'
+    );
+    expect(mermaid).toContain(
+      '  game__gameplay__paused --> title : after(5000)'
+    );
+    expect(mermaid).toContain('  title --> title : reset');
+    expect(mermaid).toContain('  game --> title : reset');
+    expect(mermaid).not.toContain('log');
+  });
+
+  it('should highlight active atomic states', () => {
+    const mermaid = toMermaid('title', states, {
+      active: ['game', 'game.audio', 'game.audio.on']
+    });
+
+    expect(mermaid).toContain('  class game__audio__on active');
+  });
+});
+
+describe('toDot', () => {
+  it('should export clusters and edges between clusters', () => {
+    const dot = toDot('title', states, { name: 'game' });
+
+    expect(dot.startsWith('digraph "game" {\n  compound=true;')).toBe(true);
+    expect(dot).toContain('  subgraph "cluster_game" {');
+    expect(dot).toContain('    style="rounded,dashed";');
+    expect(dot).toContain(
+      '  "title" -> "game.audio.on" [label="start", lhead="cluster_game"];'
+    );
+    expect(dot).toContain(
+      '  "game.gameplay.running" -> "title" [label="finish [hasWon]"];'
+    );
+    expect(dot).toContain('"game.gameplay.hist" [shape=circle, label="H"];');
+    expect(dot.endsWith('}')).toBe(true);
+  });
+
+  it('should highlight active states', () => {
+    const dot = toDot('title', states, {
+      active: ['game', 'game.audio', 'game.audio.on']
+    });
+
+    expect(dot).toContain(
+      '"game.audio.on" [label="on", style="rounded,filled", fillcolor="#fde68a", color="#d97706"];'
+    );
+    expect(dot).toContain('"game.audio.muted" [label="muted"];');
+  });
+});
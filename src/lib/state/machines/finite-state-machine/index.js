@@ -1,2 +1,3 @@
 export { default as FiniteStateMachine } from './FiniteStateMachine.svelte.js';
 export * from './constants.js';
+export * from './diagram.js';
@@ -0,0 +1,269 @@
+/**
+ * @fileoverview Helpers for the state tree of hierarchical state machines
+ */
+
+import {
+  ANY_STATE,
+  STATES_KEY,
+  INITIAL_KEY,
+  TYPE_KEY,
+  TYPE_ATOMIC,
+  TYPE_COMPOUND,
+  TYPE_HISTORY,
+  AFTER_KEY
+} from './constants.js';
+
+/** @typedef {import('./typedef.js').StateNode} StateNode */
+/** @typedef {import('./typedef.js').StatesConfig} StatesConfig */
+/** @typedef {import('./typedef.js').StateConfig} StateConfig */
+/** @typedef {import('./typedef.js').TransitionObject} TransitionObject */
+
+/**
+ * Path of the root state, its transitions are defined by the `*` state
+ */
+export const ROOT = '';
+
+/**
+ * Build the state tree of a machine
+ *
+ * @param {StatesConfig} states - States configuration
+ * @param {string} initial - Path of the initial state
+ *
+ * @returns {Map<string, StateNode>} State nodes by path
+ *
+ * @example
+ * const nodes = buildStateTree({
+ *   idle: { start: 'playing' },
+ *   playing: {
+ *     _initial: 'running',
+ *     _states: { running: { pause: 'paused' }, paused: {} }
+ *   }
+ * }, 'idle');
+ *
+ * nodes.get('playing').initial;
+ * // Returns: 'playing.running'
+ */
+export function buildStateTree(states, initial) {
+  /** @type {Map<string, StateNode>} */
+  const nodes = new Map();
+
+  /** @type {StateNode} */
+  const root = {
+    path: ROOT,
+    parent: null,
+    config: states[ANY_STATE] ?? {},
+    type: TYPE_COMPOUND,
+    children: [],
+    initial: null,
+    order: 0
+  };
+
+  nodes.set(ROOT, root);
+
+  /**
+   * @param {StatesConfig} children
+   * @param {StateNode} parent
+   */
+  const addChildren = (children, parent) => {
+    for (const [name, config] of Object.entries(children)) {
+      if (parent === root && name === ANY_STATE) {
+        continue;
+      }
+
+      if (name.includes('.')) {
+        throw new Error(`Invalid state name [${name}] (must not contain dots)`);
+      }
+
+      const path = parent === root ? name : `${parent.path}.${name}`;
+      const childStates = /** @type {StatesConfig|undefined} */ (
+        config[STATES_KEY]
+      );
+
+      /** @type {StateNode} */
+      const node = {
+        path,
+        parent: parent.path,
+        config,
+        type:
+          /** @type {StateNode['type']|undefined} */ (config[TYPE_KEY]) ??
+          (childStates ? TYPE_COMPOUND : TYPE_ATOMIC),
+        children: [],
+        initial: null,
+        order: nodes.size
+      };
+
+      nodes.set(path, node);
+      parent.children.push(path);
+
+      if (childStates) {
+        addChildren(childStates, node);
+      }
+
+      if (node.type === TYPE_COMPOUND) {
+        const initialChild = /** @type {string|undefined} */ (
+          config[INITIAL_KEY]
+        );
+
+        node.initial = initialChild
+          ? `${path}.${initialChild}`
+          : (node.children.find(
+              (child) => nodes.get(child)?.type !== TYPE_HISTORY
+            ) ?? null);
+
+        if (!node.initial || !nodes.has(node.initial)) {
+          throw new Error(`Missing or unknown initial state of [${path}]`);
+        }
+      }
+    }
+  };
+
+  addChildren(states, root);
+
+  if (!nodes.has(initial) || initial === ROOT) {
+    throw new Error(`Unknown initial state [${initial}]`);
+  }
+
+  root.initial = initial;
+
+  assertValidTargets(nodes);
+
+  return nodes;
+}
+
+/**
+ * Check that the fixed targets of all transitions exist
+ *
+ * Targets of event transitions and delayed transitions (`_after`) are
+ * checked, targets returned by transition functions are only known when
+ * the event is sent.
+ *
+ * @param {Map<string, StateNode>} nodes - State nodes by path
+ *
+ * @throws {Error} If a target state does not exist
+ */
+function assertValidTargets(nodes) {
+  for (const { path, config } of nodes.values()) {
+    const transitions = Object.entries(config)
+      .filter(([key]) => !key.startsWith('_'))
+      .map(([, transition]) => transition);
+
+    const after = /** @type {Object<number, *>|undefined} */ (
+      config[AFTER_KEY]
+    );
+
+    transitions.push(...Object.values(after ?? {}));
+
+    for (const candidate of transitions.flatMap(toCandidates)) {
+      const target =
+        typeof candidate === 'string'
+          ? candidate
+          : candidate instanceof Function
+            ? null
+            : candidate.target;
+
+      if (target && resolveTarget(nodes, path, target) === null) {
+        throw new Error(
+          `Unknown target state [${target}] of a transition in state [${path || ANY_STATE}]`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * Get the path of the parent of a state
+ *
+ * @param {string} path
+ *
+ * @returns {string} Parent path, ROOT for top level states
+ *
+ * @example
+ * getParentPath('playing.paused.menu');
+ * // Returns: 'playing.paused'
+ */
+export function getParentPath(path) {
+  const index = path.lastIndexOf('.');
+
+  return index === -1 ? ROOT : path.slice(0, index);
+}
+
+/**
+ * Check if a state is a (proper) descendant of another state
+ *
+ * @param {string} path
+ * @param {string} ancestor
+ *
+ * @returns {boolean}
+ */
+export function isDescendant(path, ancestor) {
+  if (ancestor === ROOT) {
+    return path !== ROOT;
+  }
+
+  return path.startsWith(`${ancestor}.`);
+}
+
+/**
+ * Get the ancestors of a state, outermost first
+ *
+ * The root and the state itself are not included.
+ *
+ * @param {string} path
+ *
+ * @returns {string[]}
+ *
+ * @example
+ * getAncestors('playing.paused.menu');
+ * // Returns: ['playing', 'playing.paused']
+ */
+export function getAncestors(path) {
+  const parts = path.split('.');
+
+  return parts
+    .slice(0, -1)
+    .map((_, index) => parts.slice(0, index + 1).join('.'));
+}
+
+/**
+ * Resolve the target of a transition
+ *
+ * Targets are looked up as siblings of the source state first, then as
+ * siblings of its ancestors, so that absolute paths work from every
+ * state.
+ *
+ * @param {Map<string, StateNode>} nodes - State nodes by path
+ * @param {string} source - State that defines the transition
+ * @param {string} target - Target as written in the configuration
+ *
+ * @returns {string|null} Path of the target state, null if not found
+ *
+ * @example
+ * resolveTarget(nodes, 'playing.running', 'paused');
+ * // Returns: 'playing.paused'
+ */
+export function resolveTarget(nodes, source, target) {
+  for (const scope of [...getAncestors(source).reverse(), ROOT]) {
+    const path = scope === ROOT ? target : `${scope}.${target}`;
+
+    if (nodes.has(path)) {
+      return path;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the transition candidates of an event
+ *
+ * @param {*} config - Transition configuration of the event
+ *
+ * @returns {(string|Function|TransitionObject)[]}
+ */
+export function toCandidates(config) {
+  if (!config) {
+    return [];
+  }
+
+  return Array.isArray(config) ? config : [config];
+}
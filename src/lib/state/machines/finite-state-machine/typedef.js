@@ -6,10 +6,156 @@
  * Metadata object passed to state transition callbacks
  *
  * @typedef {object} TransitionData
- * @property {string} from - The state being exited
+ * @property {string|null} from - The state being exited (null for the
+ *   initial state)
  * @property {string} to - The state being entered
- * @property {string} event - The event that triggered the transition
+ * @property {string|null} event - The event that triggered the transition
+ *   (null for the initial state)
  * @property {any[]} args - Arguments passed to the send() method
+ * @property {Readonly<Object<string, any>>} context - Context of the
+ *   machine after the transition
+ */
+
+/**
+ * Guard of a transition, the transition is only taken if the guard
+ * returns true
+ *
+ * @callback TransitionGuard
+ * @param {Readonly<Object<string, any>>} context - Current context
+ * @param {...any} args - Arguments passed to the send() method
+ * @returns {boolean}
+ */
+
+/**
+ * Action of a transition that updates the context
+ *
+ * The current context must not be changed, return the properties that
+ * should be changed instead. They are merged into a new context object.
+ *
+ * @callback TransitionAction
+ * @param {Readonly<Object<string, any>>} context - Current context
+ * @param {...any} args - Arguments passed to the send() method
+ * @returns {Object<string, any>|void} Properties to change
+ */
+
+/**
+ * Transition with an optional guard and action
+ *
+ * A transition without target only runs its action and stays in the
+ * current state.
+ *
+ * @typedef {object} TransitionObject
+ * @property {string} [target] - State to transition to
+ * @property {TransitionGuard} [guard] - Condition for the transition
+ * @property {TransitionAction} [action] - Context update
+ */
+
+/**
+ * Transition of an event: a target state, a function that returns the
+ * target state, a transition object or a list of candidates that are
+ * tried in order until a guard passes
+ *
+ * @typedef {string
+ *   |((...args: any[]) => string|void)
+ *   |TransitionObject
+ *   |(string|TransitionObject)[]
+ * } TransitionConfig
+ */
+
+/**
+ * Transitions, lifecycle functions (`_enter`, `_exit`) and child states
+ * of a state
+ *
+ * A state with `_states` is a compound state that enters its `_initial`
+ * child (the first child by default). With `_type: 'parallel'` all child
+ * states (regions) are active at the same time. A child with
+ * `_type: 'history'` enters the child states that were active when the
+ * parent was exited last (`_history: 'deep'` for all levels).
+ *
+ * `_after` defines transitions that are taken after a delay in
+ * milliseconds, unless the state was exited before.
+ *
+ * @typedef {{
+ *   _enter?: (transition: TransitionData) => void,
+ *   _exit?: (transition: TransitionData) => void,
+ *   _states?: StatesConfig,
+ *   _initial?: string,
+ *   _type?: 'parallel'|'history',
+ *   _history?: 'shallow'|'deep',
+ *   _after?: { [delayMs: number]: TransitionConfig },
+ *   [event: string]: TransitionConfig
+ *     |((transition: TransitionData) => void)
+ *     |StatesConfig
+ *     |undefined
+ * }} StateConfig
+ */
+
+/**
+ * States of a machine by name, `*` defines transitions for all states
+ *
+ * @typedef {{ [state: string]: StateConfig }} StatesConfig
+ */
+
+/**
+ * Node of the state tree of a machine
+ *
+ * @typedef {object} StateNode
+ * @property {string} path - Dotted path of the state, empty for the root
+ * @property {string|null} parent - Path of the parent state
+ * @property {StateConfig} config - Configuration of the state
+ * @property {'atomic'|'compound'|'parallel'|'history'} type
+ * @property {string[]} children - Paths of the child states
+ * @property {string|null} initial - Path of the initial child state
+ * @property {number} order - Position of the state in document order
+ */
+
+/**
+ * @typedef {object} FiniteStateMachineOptions
+ * @property {Object<string, any>} [context] - Initial context
+ * @property {number} [maxQueueDepth=100] - Maximum number of events that
+ *   are processed after a transition, an error is thrown if more events
+ *   are sent during the transitions
+ * @property {number} [snapshotVersion=1] - Version of the snapshots of
+ *   the machine, increase it when states or context change
+ * @property {import('../persistence/typedef.js').SnapshotMigration} [migrate]
+ *   Converts snapshots of older versions
+ * @property {import('../persistence/typedef.js').PersistOptions} [persist]
+ *   Save snapshots automatically and restore them on construction
+ */
+
+/**
+ * Serializable state of a machine
+ *
+ * @typedef {object} FiniteStateMachineSnapshot
+ * @property {number} version - Version of the snapshot format
+ * @property {string[]} active - Paths of all active states
+ * @property {Object<string, any>} context - Context of the machine
+ * @property {Object<string, { shallow: string[], deep: string[] }>} history
+ *   Recorded child states of states with history states
+ */
+
+/**
+ * Options of the diagram export
+ *
+ * @typedef {object} DiagramOptions
+ * @property {string[]} [active] - Paths of the states to highlight, e.g.
+ *   `machine.activeStates`
+ * @property {string} [name='machine'] - Name of the DOT graph
+ */
+
+/**
+ * Result of sending an event
+ *
+ * @typedef {object} SendResult
+ * @property {string} event - The event that was sent
+ * @property {boolean} changed - True if the state changed
+ * @property {string} from - State before the event
+ * @property {string} to - State after the event
+ * @property {string|null} rejectedBy - Name of the guard that rejected
+ *   the last candidate, `unhandled` if the state has no transition for
+ *   the event, or null if a transition was taken
+ * @property {boolean} queued - True if the event was sent during a
+ *   transition, it is processed after the transition
  */
 
   /**
@@ -34,7 +34,14 @@ export default class LoadingStateMachine extends FiniteStateMachine {
   /** @type {Error|null} */
   #error = null;
 
-  constructor() {
+  /**
+   * Constructor
+   *
+   * @param {object} [options]
+   * @param {number} [options.timeoutMs=0] - Transition from loading to
+   *   timeout after this many milliseconds, no timeout if 0
+   */
+  constructor({ timeoutMs = 0 } = {}) {
     super(STATE_INITIAL, {
       [STATE_INITIAL]: {
         [LOAD]: STATE_LOADING
@@ -43,6 +50,7 @@ export default class LoadingStateMachine extends FiniteStateMachine {
         // _enter: () => {
         //   console.log('LoadingStateMachine: enter LOADING');
         // },
+        ...(timeoutMs > 0 ? { _after: { [timeoutMs]: STATE_TIMEOUT } } : {}),
         [ABORT]: STATE_ABORTING,
         [ERROR]: STATE_ERROR,
         [LOADED]: STATE_LOADED,
@@ -105,7 +113,7 @@ export default class LoadingStateMachine extends FiniteStateMachine {
   /**
    * Transition to timeout state
    * - Only valid when currently loading
-   * - Useful for external timeout management
+   * - Use the `timeoutMs` option to time out automatically
    */
   timeout() {
     this.send(TIMEOUT);
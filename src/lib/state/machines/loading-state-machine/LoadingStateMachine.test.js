@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 
 import { LoadingStateMachine } from '$lib/state/machines.js';
 
@@ -311,4 +311,27 @@ describe('LoadingStateMachine - timeout functionality', () => {
     machine.send(TIMEOUT);
     expect(machine.current).toBe(STATE_TIMEOUT);
   });
+
+  it('should time out after timeoutMs while loading', () => {
+    vi.useFakeTimers();
+
+    try {
+      const machine = new LoadingStateMachine({ timeoutMs: 1000 });
+
+      machine.send(LOAD);
+      vi.advanceTimersByTime(999);
+      expect(machine.current).toBe(STATE_LOADING);
+
+      vi.advanceTimersByTime(1);
+      expect(machine.current).toBe(STATE_TIMEOUT);
+
+      // The timeout is cancelled when loading completes
+      machine.send(LOAD);
+      machine.send(LOADED);
+      vi.advanceTimersByTime(1000);
+      expect(machine.current).toBe(STATE_LOADED);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
 });
@@ -72,6 +72,25 @@
 import { SvelteSet } from 'svelte/reactivity';
 import { ReactiveDataStore } from '$lib/state/classes.js';
 
+import {
+	upgradeSnapshot,
+	assertSnapshotObject
+} from '../persistence/snapshots.js';
+import { persistSnapshots } from '../persistence/persist.svelte.js';
+import { DEFAULT_SNAPSHOT_VERSION } from '../persistence/constants.js';
+
+/**
+ * Serializable state of a page machine
+ *
+ * Dev data is not included.
+ *
+ * @typedef {object} PageMachineSnapshot
+ * @property {number} version - Version of the snapshot format
+ * @property {string} current - Current route
+ * @property {string[]} visitedRoutes - Visited routes
+ * @property {Record<string, any>} data - Data properties
+ */
+
 export default class PageMachine {
 	/**
 	 * Logger instance
@@ -117,6 +136,31 @@ export default class PageMachine {
 	 */
 	#visitedRoutes;
 
+	/**
+	 * Version of the snapshots
+	 * @type {number}
+	 */
+	#snapshotVersion;
+
+	/**
+	 * Converts snapshots of older versions
+	 * @type {import('../persistence/typedef.js').SnapshotMigration|undefined}
+	 */
+	#migrate;
+
+	/**
+	 * Automatic persistence of snapshots
+	 * @type {import('../persistence/typedef.js').Persistence|null}
+	 */
+	#persistence = null;
+
+	/**
+	 * Resolves when a persisted snapshot was restored
+	 * True if there was a snapshot (always false without `persist`)
+	 * @type {Promise<boolean>}
+	 */
+	ready;
+
 	/**
 	 * Constructor
 	 *
@@ -131,6 +175,12 @@ export default class PageMachine {
 	 *   Initial dev data properties (use KEY_DEV_ constants for keys)
 	 * @param {import('$lib/logging/client.js').Logger} [config.logger]
 	 *   Logger instance (optional)
+	 * @param {number} [config.snapshotVersion=1]
+	 *   Version of the snapshots, increase it when routes or data change
+	 * @param {import('../persistence/typedef.js').SnapshotMigration} [config.migrate]
+	 *   Converts snapshots of older versions
+	 * @param {import('../persistence/typedef.js').PersistOptions} [config.persist]
+	 *   Save snapshots automatically and restore them on construction
 	 *
 	 * @example
 	 * ```javascript
@@ -152,7 +202,16 @@ export default class PageMachine {
 	 * });
 	 * ```
 	 */
-	constructor({ startPath, routes = [], initialData = {}, initialDevData = {}, logger = null }) {
+	constructor({
+		startPath,
+		routes = [],
+		initialData = {},
+		initialDevData = {},
+		logger = null,
+		snapshotVersion = DEFAULT_SNAPSHOT_VERSION,
+		migrate,
+		persist
+	}) {
 		if (!startPath) {
 			throw new Error('PageMachine requires startPath parameter');
 		}
@@ -177,6 +236,21 @@ export default class PageMachine {
 
 		// Mark start path as visited
 		this.#visitedRoutes.add(startPath);
+
+		this.#snapshotVersion = snapshotVersion;
+		this.#migrate = migrate;
+
+		if (persist) {
+			this.#persistence = persistSnapshots({
+				...persist,
+				getSnapshot: () => this.getSnapshot(),
+				restore: (snapshot) => this.restore(snapshot)
+			});
+
+			this.ready = this.#persistence.ready;
+		} else {
+			this.ready = Promise.resolve(false);
+		}
 	}
 
 	/**
@@ -208,6 +282,18 @@ export default class PageMachine {
 		return false;
 	}
 
+	/**
+	 * Check if a route is one of the configured routes
+	 *
+	 * @param {string} route
+	 *
+	 * @returns {boolean} True if the route is configured or if no routes
+	 *   are configured
+	 */
+	#isKnownRoute(route) {
+		return !this.#routes.length || this.#routes.includes(route);
+	}
+
 	/**
 	 * Find matching route from path
 	 *
@@ -405,6 +491,94 @@ export default class PageMachine {
 		return this.#visitedRoutes.size;
 	}
 
+	/* ===== Snapshots ===== */
+
+	/**
+	 * Get a serializable snapshot of the current route, the visited routes
+	 * and the data properties
+	 *
+	 * Dev data is not included. Data values must be serializable to JSON
+	 * to persist snapshots.
+	 *
+	 * @returns {PageMachineSnapshot}
+	 *
+	 * @example
+	 * ```javascript
+	 * sessionStorage.setItem('intro', JSON.stringify(machine.getSnapshot()));
+	 * ```
+	 */
+	getSnapshot() {
+		return {
+			version: this.#snapshotVersion,
+			current: this.#current,
+			visitedRoutes: Array.from(this.#visitedRoutes),
+			data: this.#data.getAll()
+		};
+	}
+
+	/**
+	 * Restore a snapshot
+	 *
+	 * Snapshots of older versions are converted by the `migrate` option.
+	 * Data properties of the snapshot replace the current values, data
+	 * properties that are missing in the snapshot keep their values.
+	 *
+	 * Only the machine is restored, navigate to `machine.current` to show
+	 * the restored route.
+	 *
+	 * @param {any} snapshot - Snapshot returned by getSnapshot
+	 *
+	 * @throws {Error} If the snapshot is invalid, its current route is not
+	 *   one of the configured `routes` or it has an unsupported version
+	 *
+	 * @example
+	 * ```javascript
+	 * machine.restore(JSON.parse(sessionStorage.getItem('intro')));
+	 * ```
+	 */
+	restore(snapshot) {
+		const upgraded = /** @type {PageMachineSnapshot} */ (
+			upgradeSnapshot(snapshot, {
+				version: this.#snapshotVersion,
+				migrate: this.#migrate
+			})
+		);
+
+		assertSnapshotObject(upgraded, 'data');
+
+		const { current, visitedRoutes, data } = upgraded;
+
+		if (typeof current !== 'string' || !current) {
+			throw new Error('Invalid snapshot (missing current route)');
+		}
+
+		if (!this.#isKnownRoute(current)) {
+			throw new Error(`Invalid snapshot (unknown route [${current}])`);
+		}
+
+		this.#current = current;
+
+		this.#visitedRoutes.clear();
+
+		// Routes that were removed from the configuration are dropped
+		for (const route of visitedRoutes ?? []) {
+			if (this.#isKnownRoute(route)) {
+				this.#visitedRoutes.add(route);
+			}
+		}
+
+		this.#visitedRoutes.add(current);
+
+		this.#data.update(data ?? {});
+	}
+
+	/**
+	 * Stop saving snapshots
+	 */
+	destroy() {
+		this.#persistence?.stop();
+	}
+
 	/* ===== Start Path Methods ===== */
 
 	/**
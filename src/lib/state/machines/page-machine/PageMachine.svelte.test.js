@@ -4,6 +4,7 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { flushSync } from 'svelte';
 
 import PageMachine from './PageMachine.svelte.js';
+import { WebStorageAdapter } from '../persistence/index.js';
 
 // Data key constants (best practice - use KEY_ prefix)
 const KEY_SCORE = 'score';
@@ -1021,3 +1022,162 @@ describe('PageMachine - Dev Data Integration', () => {
     expect(machine.devData.get(KEY_DEV_NULL_VALUE)).toBe(null);
   });
 });
+
+describe('PageMachine - Snapshots', () => {
+  const routes = ['/game/intro', '/game/level1', '/game/level2'];
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should restore the route, visited routes and data', () => {
+    const machine = new PageMachine({
+      startPath: '/game/intro',
+      routes,
+      initialData: { [KEY_SCORE]: 0 },
+      initialDevData: { [KEY_DEV_AUTO_NAVIGATION]: true }
+    });
+
+    machine.syncFromPath('/game/level1');
+    machine.data.set(KEY_SCORE, 50);
+
+    const snapshot = JSON.parse(JSON.stringify(machine.getSnapshot()));
+
+    expect(snapshot).toEqual({
+      version: 1,
+      current: '/game/level1',
+      visitedRoutes: ['/game/intro', '/game/level1'],
+      data: { [KEY_SCORE]: 50 }
+    });
+
+    const restored = new PageMachine({
+      startPath: '/game/intro',
+      routes,
+      initialData: { [KEY_SCORE]: 0, [KEY_LEVEL]: 1 }
+    });
+
+    restored.restore(snapshot);
+
+    expect(restored.current).toBe('/game/level1');
+    expect(restored.hasVisited('/game/level1')).toBe(true);
+    expect(restored.data.get(KEY_SCORE)).toBe(50);
+    expect(restored.data.get(KEY_LEVEL)).toBe(1);
+  });
+
+  it('should reject snapshots with routes that are not configured', () => {
+    const machine = new PageMachine({ startPath: '/game/intro', routes });
+
+    expect(() =>
+      machine.restore({ version: 1, current: '/game/bonus', data: {} })
+    ).toThrow('Invalid snapshot (unknown route [/game/bonus])');
+
+    expect(machine.current).toBe('/game/intro');
+
+    machine.restore({
+      version: 1,
+      current: '/game/level1',
+      visitedRoutes: ['/game/intro', '/game/bonus'],
+      data: {}
+    });
+
+    expect(machine.hasVisited('/game/intro')).toBe(true);
+    expect(machine.hasVisited('/game/bonus')).toBe(false);
+  });
+
+  it('should reject snapshots with invalid data as a whole', async () => {
+    const onError = vi.fn();
+
+    localStorage.setItem(
+      'game-pages',
+      JSON.stringify({ version: 1, current: '/game/level2', data: 'score' })
+    );
+
+    const machine = new PageMachine({
+      startPath: '/game/intro',
+      routes,
+      persist: {
+        adapter: new WebStorageAdapter({ key: 'game-pages' }),
+        onError
+      }
+    });
+
+    expect(await machine.ready).toBe(false);
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0].message).toBe(
+      'Invalid snapshot ([data] is not an object)'
+    );
+    expect(machine.current).toBe('/game/intro');
+    expect(machine.hasVisited('/game/level2')).toBe(false);
+
+    machine.destroy();
+  });
+
+  it('should migrate snapshots of older versions', () => {
+    const machine = new PageMachine({
+      startPath: '/game/intro',
+      snapshotVersion: 2,
+      migrate: (snapshot) => ({
+        ...snapshot,
+        version: 2,
+        data: { [KEY_SCORE]: snapshot.data.points }
+      })
+    });
+
+    machine.restore({
+      version: 1,
+      current: '/game/level2',
+      visitedRoutes: [],
+      data: { points: 7 }
+    });
+
+    expect(machine.current).toBe('/game/level2');
+    expect(machine.data.get(KEY_SCORE)).toBe(7);
+
+    expect(() =>
+      machine.restore({ version: 3, current: '/game/intro', data: {} })
+    ).toThrow('Unsupported snapshot version [3]');
+  });
+
+  it('should save snapshots and restore them on construction', async () => {
+    const createMachine = () =>
+      new PageMachine({
+        startPath: '/game/intro',
+        routes,
+        initialData: { [KEY_SCORE]: 0 },
+        persist: {
+          adapter: new WebStorageAdapter({ key: 'game-pages' }),
+          debounceMs: 100
+        }
+      });
+
+    const machine = createMachine();
+
+    expect(await machine.ready).toBe(false);
+
+    machine.syncFromPath('/game/level2');
+    machine.data.set(KEY_SCORE, 30);
+    flushSync();
+
+    vi.advanceTimersByTime(100);
+    machine.destroy();
+
+    expect(JSON.parse(localStorage.getItem('game-pages'))).toMatchObject({
+      current: '/game/level2',
+      data: { [KEY_SCORE]: 30 }
+    });
+
+    const restored = createMachine();
+
+    expect(restored.current).toBe('/game/level2');
+    expect(restored.data.get(KEY_SCORE)).toBe(30);
+    expect(await restored.ready).toBe(true);
+
+    restored.destroy();
+  });
+});
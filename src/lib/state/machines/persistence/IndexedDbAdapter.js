@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Snapshot storage in IndexedDB
+ *
+ * Snapshots of several machines can share a database, every machine uses
+ * its own key. Loading is asynchronous, so a machine restores its
+ * snapshot after construction (see the `ready` promise of the machine).
+ *
+ * @example
+ * const adapter = new IndexedDbAdapter({
+ *   key: 'game-machine',
+ *   dbName: 'my-game'
+ * });
+ */
+
+/** @typedef {import('./typedef.js').Snapshot} Snapshot */
+
+const DEFAULT_DB_NAME = 'machine-snapshots';
+const DEFAULT_STORE_NAME = 'snapshots';
+
+/**
+ * Snapshot storage in IndexedDB
+ */
+export default class IndexedDbAdapter {
+  /**
+   * Create a new IndexedDB adapter
+   *
+   * @param {Object} options - Adapter options
+   * @param {string} options.key - Key of the snapshot
+   * @param {string} [options.dbName='machine-snapshots'] - Database name
+   * @param {string} [options.storeName='snapshots'] - Store name
+   */
+  constructor({ key, dbName, storeName }) {
+    if (!key) {
+      throw new Error('Missing parameter [key]');
+    }
+
+    this.key = key;
+    this.dbName = dbName || DEFAULT_DB_NAME;
+    this.storeName = storeName || DEFAULT_STORE_NAME;
+
+    /**
+     * Database connection promise
+     * @type {Promise<IDBDatabase>|null}
+     * @private
+     */
+    this.dbPromise = null;
+  }
+
+  /**
+   * Load the stored snapshot
+   *
+   * @returns {Promise<Snapshot|null>} Snapshot or null if there is none
+   */
+  async load() {
+    const snapshot = await this._run('readonly', (store) =>
+      store.get(this.key)
+    );
+
+    return snapshot ?? null;
+  }
+
+  /**
+   * Store a snapshot
+   *
+   * @param {Snapshot} snapshot
+   *
+   * @returns {Promise<void>}
+   */
+  async save(snapshot) {
+    await this._run('readwrite', (store) => store.put(snapshot, this.key));
+  }
+
+  /**
+   * Remove the stored snapshot
+   *
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await this._run('readwrite', (store) => store.delete(this.key));
+  }
+
+  /**
+   * Close the database connection
+   */
+  async close() {
+    if (this.dbPromise) {
+      (await this.dbPromise).close();
+      this.dbPromise = null;
+    }
+  }
+
+  /**
+   * Run a request on the object store
+   *
+   * @private
+   * @param {IDBTransactionMode} mode - Transaction mode
+   * @param {(store: IDBObjectStore) => IDBRequest} createRequest
+   *
+   * @returns {Promise<*>} Result of the request
+   */
+  async _run(mode, createRequest) {
+    const db = await this._openDatabase();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = createRequest(transaction.objectStore(this.storeName));
+
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => resolve(request.result);
+    });
+  }
+
+  /**
+   * Open the database, creating the object store if needed
+   *
+   * @private
+   * @returns {Promise<IDBDatabase>}
+   */
+  _openDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+
+        request.onerror = () => {
+          this.dbPromise = null;
+          reject(request.error);
+        };
+
+        request.onupgradeneeded = () => {
+          const db = request.result;
+
+          if (!db.objectStoreNames.contains(this.storeName)) {
+            db.createObjectStore(this.storeName);
+          }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+      });
+    }
+
+    return this.dbPromise;
+  }
+}
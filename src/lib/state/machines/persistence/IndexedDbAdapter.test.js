@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Unit tests for IndexedDbAdapter
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import IndexedDbAdapter from './IndexedDbAdapter.js';
+import 'fake-indexeddb/auto';
+
+describe('IndexedDbAdapter', () => {
+  const dbName = `snapshots-test-${Math.random()}`;
+
+  /** @type {IndexedDbAdapter} */
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new IndexedDbAdapter({ key: 'game', dbName });
+  });
+
+  afterEach(async () => {
+    await adapter.clear();
+    await adapter.close();
+  });
+
+  it('should return null without a stored snapshot', async () => {
+    expect(await adapter.load()).toBe(null);
+  });
+
+  it('should save, load and clear a snapshot', async () => {
+    const snapshot = { version: 1, active: ['idle'], context: { score: 3 } };
+
+    await adapter.save(snapshot);
+
+    expect(await adapter.load()).toEqual(snapshot);
+
+    await adapter.clear();
+
+    expect(await adapter.load()).toBe(null);
+  });
+
+  it('should store snapshots of machines by key', async () => {
+    const other = new IndexedDbAdapter({ key: 'menu', dbName });
+
+    await adapter.save({ version: 1, current: '/game' });
+    await other.save({ version: 1, current: '/menu' });
+
+    expect(await adapter.load()).toEqual({ version: 1, current: '/game' });
+    expect(await other.load()).toEqual({ version: 1, current: '/menu' });
+
+    await other.clear();
+    await other.close();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Snapshot storage in localStorage or sessionStorage
+ *
+ * Snapshots are stored as JSON under a single key. Loading and saving is
+ * synchronous, so a machine restores its snapshot in the constructor.
+ *
+ * @example
+ * const adapter = new WebStorageAdapter({ key: 'game-machine' });
+ *
+ * const session = new WebStorageAdapter({
+ *   key: 'wizard-machine',
+ *   storage: 'session'
+ * });
+ */
+
+/** @typedef {import('./typedef.js').Snapshot} Snapshot */
+
+/**
+ * Snapshot storage in localStorage or sessionStorage
+ */
+export default class WebStorageAdapter {
+  /**
+   * Create a new web storage adapter
+   *
+   * @param {Object} options - Adapter options
+   * @param {string} options.key - Storage key of the snapshot
+   * @param {'local'|'session'|Storage} [options.storage='local']
+   *   Storage to use
+   */
+  constructor({ key, storage = 'local' }) {
+    if (!key) {
+      throw new Error('Missing parameter [key]');
+    }
+
+    this.key = key;
+
+    /**
+     * @type {'local'|'session'|Storage}
+     * @private
+     */
+    this.storage = storage;
+  }
+
+  /**
+   * Load the stored snapshot
+   *
+   * @returns {Snapshot|null} Snapshot or null if there is none
+   */
+  load() {
+    const json = this._getStorage()?.getItem(this.key);
+
+    return json ? JSON.parse(json) : null;
+  }
+
+  /**
+   * Store a snapshot
+   *
+   * @param {Snapshot} snapshot
+   */
+  save(snapshot) {
+    this._getStorage()?.setItem(this.key, JSON.stringify(snapshot));
+  }
+
+  /**
+   * Remove the stored snapshot
+   */
+  clear() {
+    this._getStorage()?.removeItem(this.key);
+  }
+
+  /**
+   * Get the storage, undefined if there is no storage (e.g. on the server)
+   *
+   * @private
+   * @returns {Storage|undefined}
+   */
+  _getStorage() {
+    if (typeof this.storage === 'object') {
+      return this.storage;
+    }
+
+    return this.storage === 'session'
+      ? globalThis.sessionStorage
+      : globalThis.localStorage;
+  }
+}
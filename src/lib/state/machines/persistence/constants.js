@@ -0,0 +1,11 @@
+/**
+ * Version of snapshots of machines without a `snapshotVersion` option
+ * @type {number}
+ */
+export const DEFAULT_SNAPSHOT_VERSION = 1;
+
+/**
+ * Time to wait after the last change before a snapshot is saved
+ * @type {number}
+ */
+export const DEFAULT_PERSIST_DEBOUNCE_MS = 250;
@@ -0,0 +1,6 @@
+export { default as WebStorageAdapter } from './WebStorageAdapter.js';
+export { default as IndexedDbAdapter } from './IndexedDbAdapter.js';
+
+export * from './constants.js';
+export * from './snapshots.js';
+export * from './persist.svelte.js';
@@ -0,0 +1,158 @@
+/**
+ * @fileoverview Automatic persistence of machine snapshots
+ */
+
+import { DEFAULT_PERSIST_DEBOUNCE_MS } from './constants.js';
+
+/** @typedef {import('./typedef.js').Snapshot} Snapshot */
+/** @typedef {import('./typedef.js').PersistOptions} PersistOptions */
+/** @typedef {import('./typedef.js').Persistence} Persistence */
+
+/**
+ * Restore the stored snapshot of a machine and save its snapshots when
+ * the machine changes
+ *
+ * A snapshot that is stored synchronously (web storage) is restored
+ * before this function returns. Snapshots are serialized as JSON, so that
+ * changes to nested values are tracked as well. Saving starts after the
+ * stored snapshot was restored and is debounced.
+ *
+ * Errors are passed to `onError`, a snapshot that cannot be restored is
+ * ignored and overwritten by the next save.
+ *
+ * In the browser, a pending save is flushed on `pagehide`, so that the
+ * last change is not lost when the page is closed.
+ *
+ * @param {PersistOptions & {
+ *   getSnapshot: () => Snapshot,
+ *   restore: (snapshot: any) => void
+ * }} options
+ *
+ * @returns {Persistence}
+ *
+ * @example
+ * const persistence = persistSnapshots({
+ *   adapter: new WebStorageAdapter({ key: 'game' }),
+ *   getSnapshot: () => machine.getSnapshot(),
+ *   restore: (snapshot) => machine.restore(snapshot)
+ * });
+ *
+ * await persistence.ready;
+ */
+export function persistSnapshots({
+  adapter,
+  debounceMs = DEFAULT_PERSIST_DEBOUNCE_MS,
+  onError = (error) => console.error('Machine snapshot error', error),
+  getSnapshot,
+  restore
+}) {
+  /** @type {ReturnType<typeof setTimeout>|null} */
+  let timer = null;
+
+  /** @type {string|null} */
+  let pendingJson = null;
+
+  /** @type {string|null} */
+  let savedJson = null;
+
+  /** @type {(() => void)|null} */
+  let stopTracking = null;
+
+  let stopped = false;
+
+  const flush = () => {
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+
+    if (pendingJson === null || pendingJson === savedJson) {
+      return;
+    }
+
+    savedJson = pendingJson;
+
+    try {
+      Promise.resolve(adapter.save(JSON.parse(pendingJson))).catch(onError);
+    } catch (error) {
+      onError(error);
+    }
+  };
+
+  const startTracking = () => {
+    if (stopped) {
+      return;
+    }
+
+    stopTracking = $effect.root(() => {
+      $effect(() => {
+        pendingJson = JSON.stringify(getSnapshot());
+
+        if (timer) {
+          clearTimeout(timer);
+        }
+
+        timer = setTimeout(flush, debounceMs);
+      });
+    });
+  };
+
+  /**
+   * @param {Snapshot|null} snapshot
+   *
+   * @returns {boolean}
+   */
+  const apply = (snapshot) => {
+    if (!snapshot || stopped) {
+      return false;
+    }
+
+    restore(snapshot);
+    savedJson = JSON.stringify(snapshot);
+
+    return true;
+  };
+
+  /** @type {Promise<boolean>} */
+  let ready;
+
+  try {
+    const loaded = adapter.load();
+
+    ready =
+      loaded instanceof Promise
+        ? loaded.then(apply)
+        : Promise.resolve(apply(loaded));
+  } catch (error) {
+    ready = Promise.reject(error);
+  }
+
+  ready = ready
+    .catch((error) => {
+      onError(error);
+      return false;
+    })
+    .finally(startTracking);
+
+  if (typeof window !== 'undefined') {
+    window.addEventListener('pagehide', flush);
+  }
+
+  return {
+    ready,
+    flush,
+    stop() {
+      stopped = true;
+      stopTracking?.();
+
+      if (typeof window !== 'undefined') {
+        window.removeEventListener('pagehide', flush);
+      }
+
+      if (timer) {
+        clearTimeout(timer);
+        timer = null;
+      }
+    }
+  };
+}
@@ -0,0 +1,238 @@
+// @vitest-environment jsdom
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { flushSync } from 'svelte';
+
+import FiniteStateMachine from '../finite-state-machine/FiniteStateMachine.svelte.js';
+
+import WebStorageAdapter from './WebStorageAdapter.js';
+import { persistSnapshots } from './persist.svelte.js';
+
+const states = {
+  idle: { start: 'playing' },
+  playing: {
+    pause: 'paused',
+    score: { action: (context, points) => ({ score: context.score + points }) }
+  },
+  paused: { resume: 'playing' }
+};
+
+/**
+ * Create an adapter that stores the snapshot in memory
+ *
+ * @param {object} [snapshot] - Stored snapshot
+ * @param {number} [delayMs] - Load asynchronously after a delay
+ */
+function createMemoryAdapter(snapshot = null, delayMs = null) {
+  let stored = snapshot;
+
+  return {
+    load: vi.fn(() =>
+      delayMs === null
+        ? stored
+        : new Promise((resolve) => setTimeout(() => resolve(stored), delayMs))
+    ),
+    save: vi.fn((value) => {
+      stored = value;
+    }),
+    clear: vi.fn(() => {
+      stored = null;
+    })
+  };
+}
+
+describe('WebStorageAdapter', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    sessionStorage.clear();
+  });
+
+  it('should store snapshots as JSON', () => {
+    const adapter = new WebStorageAdapter({ key: 'game' });
+
+    expect(adapter.load()).toBe(null);
+
+    adapter.save({ version: 1, active: ['idle'] });
+
+    expect(localStorage.getItem('game')).toBe(
+      '{"version":1,"active":["idle"]}'
+    );
+    expect(adapter.load()).toEqual({ version: 1, active: ['idle'] });
+
+    adapter.clear();
+
+    expect(adapter.load()).toBe(null);
+  });
+
+  it('should use sessionStorage', () => {
+    const adapter = new WebStorageAdapter({ key: 'game', storage: 'session' });
+
+    adapter.save({ version: 1 });
+
+    expect(sessionStorage.getItem('game')).toBe('{"version":1}');
+    expect(localStorage.getItem('game')).toBe(null);
+  });
+});
+
+describe('persistSnapshots', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should save debounced snapshots', async () => {
+    const adapter = createMemoryAdapter();
+
+    const machine = new FiniteStateMachine('idle', states, {
+      context: { score: 0 },
+      persist: { adapter, debounceMs: 100 }
+    });
+
+    await machine.ready;
+    flushSync();
+
+    machine.send('start');
+    flushSync();
+    vi.advanceTimersByTime(50);
+
+    machine.send('score', 5);
+    flushSync();
+    vi.advanceTimersByTime(50);
+
+    expect(adapter.save).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(50);
+
+    expect(adapter.save).toHaveBeenCalledTimes(1);
+    expect(adapter.save).toHaveBeenCalledWith({
+      version: 1,
+      active: ['playing'],
+      context: { score: 5 },
+      history: {}
+    });
+
+    machine.destroy();
+    machine.send('pause');
+    flushSync();
+    vi.advanceTimersByTime(100);
+
+    expect(adapter.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('should restore synchronously stored snapshots on construction', async () => {
+    const adapter = createMemoryAdapter({
+      version: 1,
+      active: ['paused'],
+      context: { score: 10 },
+      history: {}
+    });
+
+    const machine = new FiniteStateMachine('idle', states, {
+      context: { score: 0 },
+      persist: { adapter }
+    });
+
+    expect(machine.current).toBe('paused');
+    expect(machine.context).toEqual({ score: 10 });
+    expect(await machine.ready).toBe(true);
+
+    machine.destroy();
+  });
+
+  it('should restore asynchronously stored snapshots', async () => {
+    const adapter = createMemoryAdapter(
+      { version: 1, active: ['playing'], context: { score: 2 }, history: {} },
+      10
+    );
+
+    const machine = new FiniteStateMachine('idle', states, {
+      context: { score: 0 },
+      persist: { adapter }
+    });
+
+    expect(machine.current).toBe('idle');
+
+    vi.advanceTimersByTime(10);
+
+    expect(await machine.ready).toBe(true);
+    expect(machine.current).toBe('playing');
+
+    machine.destroy();
+  });
+
+  it('should report snapshots that cannot be restored', async () => {
+    const onError = vi.fn();
+
+    const machine = new FiniteStateMachine('idle', states, {
+      persist: {
+        adapter: createMemoryAdapter({ version: 1, active: ['unknown'] }),
+        onError
+      }
+    });
+
+    expect(await machine.ready).toBe(false);
+    expect(machine.current).toBe('idle');
+    expect(onError).toHaveBeenCalledWith(
+      expect.objectContaining({ message: expect.stringContaining('unknown') })
+    );
+
+    machine.destroy();
+  });
+
+  it('should save a pending snapshot on flush', async () => {
+    const adapter = createMemoryAdapter();
+    const machine = new FiniteStateMachine('idle', states);
+
+    const persistence = persistSnapshots({
+      adapter,
+      getSnapshot: () => machine.getSnapshot(),
+      restore: (snapshot) => machine.restore(snapshot)
+    });
+
+    await persistence.ready;
+
+    machine.send('start');
+    flushSync();
+    persistence.flush();
+
+    expect(adapter.save).toHaveBeenCalledTimes(1);
+    expect(adapter.save.mock.calls[0][0].active).toEqual(['playing']);
+
+    persistence.flush();
+
+    expect(adapter.save).toHaveBeenCalledTimes(1);
+
+    persistence.stop();
+  });
+
+  it('should save a pending snapshot on pagehide until stopped', async () => {
+    const adapter = createMemoryAdapter();
+    const machine = new FiniteStateMachine('idle', states);
+
+    const persistence = persistSnapshots({
+      adapter,
+      getSnapshot: () => machine.getSnapshot(),
+      restore: (snapshot) => machine.restore(snapshot)
+    });
+
+    await persistence.ready;
+
+    machine.send('start');
+    flushSync();
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(adapter.save).toHaveBeenCalledTimes(1);
+
+    // Pending when stopped
+    machine.send('pause');
+    flushSync();
+    persistence.stop();
+
+    window.dispatchEvent(new Event('pagehide'));
+
+    expect(adapter.save).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview Versioning of machine snapshots
+ */
+
+/** @typedef {import('./typedef.js').SnapshotMigration} SnapshotMigration */
+
+/**
+ * Bring a snapshot to the current version
+ *
+ * Snapshots of older versions are passed to `migrate`, which must return
+ * a snapshot with the current version.
+ *
+ * @param {any} snapshot - Snapshot to check
+ * @param {object} _
+ * @param {number} _.version - Current snapshot version
+ * @param {SnapshotMigration} [_.migrate] - Migration of older snapshots
+ *
+ * @returns {Object<string, any>} Snapshot with the current version
+ *
+ * @throws {Error} If the snapshot is invalid or cannot be migrated
+ *
+ * @example
+ * const snapshot = upgradeSnapshot(JSON.parse(json), {
+ *   version: 2,
+ *   migrate: (snapshot, fromVersion) => ({
+ *     ...snapshot,
+ *     version: 2,
+ *     context: { ...snapshot.context, lives: 3 }
+ *   })
+ * });
+ */
+export function upgradeSnapshot(snapshot, { version, migrate }) {
+  if (
+    !snapshot ||
+    typeof snapshot !== 'object' ||
+    typeof snapshot.version !== 'number'
+  ) {
+    throw new Error('Invalid snapshot (missing version)');
+  }
+
+  if (snapshot.version === version) {
+    return snapshot;
+  }
+
+  if (snapshot.version > version || !migrate) {
+    throw new Error(
+      `Unsupported snapshot version [${snapshot.version}] (expected ${version})`
+    );
+  }
+
+  const migrated = migrate(snapshot, snapshot.version);
+
+  if (migrated?.version !== version) {
+    throw new Error(
+      `Migration of snapshot version [${snapshot.version}] did not return version [${version}]`
+    );
+  }
+
+  return migrated;
+}
+
+/**
+ * Check that a property of a snapshot is a plain object
+ *
+ * Missing properties are allowed. Machines check the properties of a
+ * snapshot before they change any state, so that an invalid snapshot is
+ * rejected as a whole.
+ *
+ * @param {Object<string, any>} snapshot - Snapshot to check
+ * @param {string} key - Name of the property, e.g. `context`
+ *
+ * @throws {Error} If the property is not a plain object
+ *
+ * @example
+ * assertSnapshotObject({ version: 1, context: [] }, 'context');
+ * // Throws: Invalid snapshot ([context] is not an object)
+ */
+export function assertSnapshotObject(snapshot, key) {
+  const value = snapshot[key];
+
+  if (value === undefined) {
+    return;
+  }
+
+  const prototype =
+    value && typeof value === 'object' ? Object.getPrototypeOf(value) : false;
+
+  if (prototype !== Object.prototype && prototype !== null) {
+    throw new Error(`Invalid snapshot ([${key}] is not an object)`);
+  }
+}
@@ -0,0 +1,64 @@
+import { describe, it, expect, vi } from 'vitest';
+
+import { upgradeSnapshot, assertSnapshotObject } from './snapshots.js';
+
+describe('upgradeSnapshot', () => {
+  it('should return snapshots of the current version', () => {
+    const snapshot = { version: 2, value: 1 };
+
+    expect(upgradeSnapshot(snapshot, { version: 2 })).toBe(snapshot);
+  });
+
+  it('should migrate snapshots of older versions', () => {
+    const migrate = vi.fn((snapshot) => ({
+      version: 2,
+      value: snapshot.old
+    }));
+
+    expect(
+      upgradeSnapshot({ version: 1, old: 5 }, { version: 2, migrate })
+    ).toEqual({ version: 2, value: 5 });
+    expect(migrate).toHaveBeenCalledWith({ version: 1, old: 5 }, 1);
+  });
+
+  it('should reject invalid and unsupported snapshots', () => {
+    expect(() => upgradeSnapshot(null, { version: 1 })).toThrow(
+      'missing version'
+    );
+    expect(() => upgradeSnapshot({ version: '1' }, { version: 1 })).toThrow(
+      'missing version'
+    );
+    expect(() => upgradeSnapshot({ version: 1 }, { version: 2 })).toThrow(
+      'Unsupported snapshot version [1]'
+    );
+    expect(() =>
+      upgradeSnapshot({ version: 3 }, { version: 2, migrate: (s) => s })
+    ).toThrow('Unsupported snapshot version [3]');
+    expect(() =>
+      upgradeSnapshot({ version: 1 }, { version: 2, migrate: (s) => s })
+    ).toThrow('did not return version [2]');
+  });
+});
+
+describe('assertSnapshotObject', () => {
+  it('should accept plain objects and missing properties', () => {
+    expect(() =>
+      assertSnapshotObject({ version: 1, context: { lives: 3 } }, 'context')
+    ).not.toThrow();
+    expect(() =>
+      assertSnapshotObject(
+        { version: 1, context: Object.create(null) },
+        'context'
+      )
+    ).not.toThrow();
+    expect(() => assertSnapshotObject({ version: 1 }, 'context')).not.toThrow();
+  });
+
+  it('should reject other values', () => {
+    for (const context of [null, 'lives', 3, [], new Date()]) {
+      expect(() =>
+        assertSnapshotObject({ version: 1, context }, 'context')
+      ).toThrow('Invalid snapshot ([context] is not an object)');
+    }
+  });
+});
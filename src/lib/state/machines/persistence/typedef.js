@@ -0,0 +1,53 @@
+/**
+ * Serializable state of a machine
+ *
+ * @typedef {object} Snapshot
+ * @property {number} version - Version of the snapshot format
+ */
+
+/**
+ * Function that converts a snapshot of an older version to the current
+ * version
+ *
+ * @callback SnapshotMigration
+ * @param {Object<string, any>} snapshot - Snapshot of an older version
+ * @param {number} fromVersion - Version of the snapshot
+ * @returns {Object<string, any>} Snapshot with the current version
+ */
+
+/**
+ * Storage for the snapshot of a machine
+ *
+ * `load` and `save` may be synchronous (web storage) or asynchronous
+ * (IndexedDB).
+ *
+ * @typedef {object} SnapshotAdapter
+ * @property {() => (Snapshot|null|Promise<Snapshot|null>)} load
+ *   Load the stored snapshot, null if there is none
+ * @property {(snapshot: Snapshot) => (void|Promise<void>)} save
+ *   Store a snapshot
+ * @property {() => (void|Promise<void>)} clear
+ *   Remove the stored snapshot
+ */
+
+/**
+ * @typedef {object} PersistOptions
+ * @property {SnapshotAdapter} adapter - Storage for the snapshots
+ * @property {number} [debounceMs=250] - Time to wait after the last
+ *   change before a snapshot is saved
+ * @property {(error: any) => void} [onError] - Called when a snapshot
+ *   could not be loaded, restored or saved
+ */
+
+/**
+ * Handle of the automatic persistence of a machine
+ *
+ * @typedef {object} Persistence
+ * @property {Promise<boolean>} ready - Resolves when the stored snapshot
+ *   was restored, true if there was a snapshot
+ * @property {() => void} flush - Save a pending snapshot immediately
+ * @property {() => void} stop - Stop saving snapshots
+ */
+
+// Export types for JSdoc
+export {};
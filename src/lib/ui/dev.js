@@ -1,3 +1,5 @@
 export { default as CheckButton } from './dev/buttons/CheckButton.svelte';
 export { default as TextBlock } from './dev/blocks/TextBlock.svelte';
 export { default as DebugPanelDesignScaling } from './dev/debug-panel-design-scaling/DebugPanelDesignScaling.svelte';
+export { default as ServiceInspectorPanel } from './dev/service-inspector/ServiceInspectorPanel.svelte';
+export { default as StateMachineInspectorPanel } from './dev/state-machine-inspector/StateMachineInspectorPanel.svelte';
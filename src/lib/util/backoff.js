@@ -0,0 +1,9 @@
+/**
+ * Backoff utilities main export
+ *
+ * @description
+ * This module provides delay calculations for retries and recovery
+ * attempts.
+ */
+
+export * from './backoff/index.js';
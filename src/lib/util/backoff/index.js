@@ -0,0 +1,51 @@
+/**
+ * backoff.js
+ *
+ * @description
+ * This file contains exponential backoff calculations, used for retries
+ * of network requests and recovery attempts of services
+ *
+ * @example
+ *
+ *   import { computeBackoffDelay } from './backoff.js';
+ *
+ *   const delayMs = computeBackoffDelay(attempt, {
+ *     initialDelayMs: 1000,
+ *     maxDelayMs: 30000,
+ *     factor: 2,
+ *     jitter: 0.2
+ *   });
+ */
+
+/**
+ * Compute the delay before an attempt using exponential backoff with
+ * jitter
+ *
+ * @param {number} attempt - Attempt number, starting at 1
+ * @param {object} options - Backoff settings
+ * @param {number} options.initialDelayMs - Delay before the first attempt
+ * @param {number} options.maxDelayMs - Upper limit for the delay
+ * @param {number} options.factor - Delay multiplier per attempt
+ * @param {number} options.jitter
+ *   Fraction of the delay that is randomly subtracted (0 = no jitter)
+ * @param {() => number} [random=Math.random] - Random number source [0, 1)
+ *
+ * @returns {number} Delay in milliseconds
+ *
+ * @example
+ * const delay = computeBackoffDelay(3, {
+ *   initialDelayMs: 100, maxDelayMs: 1000, factor: 2, jitter: 0
+ * });
+ * // Returns: 400
+ */
+export function computeBackoffDelay(attempt, options, random = Math.random) {
+  const { initialDelayMs, maxDelayMs, factor, jitter } = options;
+
+  const delay = Math.min(
+    maxDelayMs,
+    initialDelayMs * Math.pow(factor, Math.max(0, attempt - 1))
+  );
+
+  // Jitter reduces the delay by up to `jitter` (fraction) of the delay
+  return Math.round(delay - delay * jitter * random());
+}
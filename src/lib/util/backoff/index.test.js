@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest';
+
+import { computeBackoffDelay } from './index.js';
+
+describe('computeBackoffDelay', () => {
+  const backoff = {
+    initialDelayMs: 100,
+    maxDelayMs: 1000,
+    factor: 2,
+    jitter: 0
+  };
+
+  it('should grow exponentially', () => {
+    expect(computeBackoffDelay(1, backoff)).toBe(100);
+    expect(computeBackoffDelay(2, backoff)).toBe(200);
+    expect(computeBackoffDelay(3, backoff)).toBe(400);
+  });
+
+  it('should not exceed the maximum delay', () => {
+    expect(computeBackoffDelay(10, backoff)).toBe(1000);
+  });
+
+  it('should subtract jitter from the delay', () => {
+    const withJitter = { ...backoff, jitter: 0.5 };
+
+    expect(computeBackoffDelay(1, withJitter, () => 0)).toBe(100);
+    expect(computeBackoffDelay(1, withJitter, () => 0.5)).toBe(75);
+  });
+});